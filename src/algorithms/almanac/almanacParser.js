@@ -0,0 +1,259 @@
+/**
+ * @fileoverview 历书解析模块
+ * @module almanacParser
+ * @description 解析 GPS YUMA、GPS SEM 以及北斗 (YUMA 格式) 历书文件。
+ *              历书有效期长达数周，用于在没有当前导航文件时预测未来日期的卫星可见性
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { fromWeekSeconds, resolveWeekRollover } = require('../time/gnssTime');
+
+// 历书默认有效时长 (参考时间前后)，单位：天
+const DEFAULT_VALIDITY_DAYS = 30;
+// SEM 历书中倾角以 0.3 半周为基准给出偏差
+const SEM_REFERENCE_INCLINATION = 0.3;
+
+/**
+ * 历书所属卫星系统的信息
+ * timeSystem 为周数和参考时间所属的时间系统，weekBits 为文件中周数的位数 (GPS 历书的周数按 1024 翻转)
+ */
+const ALMANAC_SYSTEMS = {
+  GPS: { prefix: 'G', timeSystem: 'GPS', weekBits: 10 },
+  BEIDOU: { prefix: 'C', timeSystem: 'BDT', weekBits: 13 }
+};
+
+/**
+ * YUMA 历书各行标签 (小写前缀) 与字段名的对应关系
+ */
+const YUMA_FIELDS = [
+  ['id', 'prn'],
+  ['health', 'health'],
+  ['eccentricity', 'e'],
+  ['time of applicability', 'toa'],
+  ['orbital inclination', 'i0'],
+  ['rate of right ascen', 'omegadot'],
+  ['sqrt(a)', 'rootA'],
+  ['right ascen at week', 'omega0'],
+  ['argument of perigee', 'omega'],
+  ['mean anom', 'm0'],
+  ['af0', 'af0'],
+  ['af1', 'af1'],
+  ['week', 'week']
+];
+
+/**
+ * 校验历书内容并拆分为行
+ * @param {string} content - 历书文件内容
+ * @returns {Array<string>} 非空行
+ * @throws {Error} 当内容为空时抛出错误
+ */
+function splitLines(content) {
+  if (!content || typeof content !== 'string' || content.trim() === '') {
+    throw new Error('历书内容不能为空');
+  }
+  return content.split(/\r?\n/).filter(line => line.trim() !== '');
+}
+
+/**
+ * 将历书参数组装为与广播星历结构相同的卫星对象
+ * @description 历书没有摄动改正项、平均运动差和倾角变化率，这些参数置为 0，
+ *              因此可以直接用于 calculateSatellitePosition。
+ * @param {object} values - 历书参数 (角度单位为弧度)
+ * @param {object} system - 历书所属卫星系统的信息
+ * @param {object} options - 解析选项
+ * @returns {object} 卫星对象
+ */
+function createAlmanacRecord(values, system, options) {
+  // 根据参考日期恢复被截断的周数
+  const week = resolveWeekRollover(values.week, system.timeSystem, options.referenceDate, system.weekBits);
+  const referenceTime = fromWeekSeconds(week, values.toa, system.timeSystem);
+  const validityMilliseconds = options.validityDays * 86400 * 1000;
+
+  return {
+    id: `${system.prefix}${String(values.prn).padStart(2, '0')}`,
+    system: options.systemName,
+    prn: values.prn,
+    source: 'almanac',
+    health: values.health,
+    clockParameters: { af0: values.af0, af1: values.af1, af2: 0 },
+    orbitalParameters: {
+      toe: values.toa,
+      m0: values.m0,
+      deltaN: 0,
+      e: values.e,
+      rootA: values.rootA,
+      omega0: values.omega0,
+      i0: values.i0,
+      omega: values.omega,
+      omegadot: values.omegadot,
+      idot: 0,
+      cuc: 0,
+      cus: 0,
+      crc: 0,
+      crs: 0,
+      cic: 0,
+      cis: 0
+    },
+    timeParameters: {
+      week,
+      referenceTime,
+      validFrom: new Date(referenceTime.getTime() - validityMilliseconds),
+      validTo: new Date(referenceTime.getTime() + validityMilliseconds)
+    }
+  };
+}
+
+/**
+ * 补全解析选项的默认值
+ * @param {object} options - 调用方传入的选项
+ * @param {string} systemName - 卫星系统名称
+ * @returns {object} 完整的选项
+ */
+function resolveOptions(options, systemName) {
+  return {
+    systemName,
+    referenceDate: options.referenceDate || new Date(),
+    validityDays: options.validityDays || DEFAULT_VALIDITY_DAYS
+  };
+}
+
+/**
+ * 解析 YUMA 格式的一颗卫星的历书
+ * @param {Array<string>} lines - 该卫星的各行 ("标签: 数值")
+ * @returns {object} 历书参数
+ */
+function parseYumaBlock(lines) {
+  const values = {};
+  lines.forEach((line) => {
+    const separator = line.indexOf(':');
+    const label = line.substring(0, separator).trim().toLowerCase();
+    const field = YUMA_FIELDS.find(([prefix]) => label.startsWith(prefix));
+    if (separator !== -1 && field) {
+      values[field[1]] = Number(line.substring(separator + 1).trim());
+    }
+  });
+  return values;
+}
+
+/**
+ * 解析 YUMA 格式的历书 (GPS 或北斗)
+ * @param {string} content - 历书文件内容
+ * @param {string} systemName - 卫星系统名称
+ * @param {object} options - 解析选项
+ * @returns {{header: object, satellites: Array<object>}} 历书数据
+ * @throws {Error} 当内容为空或格式不正确时抛出错误
+ */
+function parseYuma(content, systemName, options) {
+  const lines = splitLines(content);
+  const blocks = [];
+  lines.forEach((line) => {
+    if (line.trim().startsWith('*')) {
+      blocks.push([]);
+    } else if (blocks.length > 0) {
+      blocks[blocks.length - 1].push(line);
+    }
+  });
+
+  const system = ALMANAC_SYSTEMS[systemName];
+  const resolvedOptions = resolveOptions(options, systemName);
+  const satellites = blocks.map(parseYumaBlock)
+    .filter(values => YUMA_FIELDS.every(([, key]) => Number.isFinite(values[key])))
+    .map(values => createAlmanacRecord(values, system, resolvedOptions));
+  if (satellites.length === 0) {
+    throw new Error('不支持的历书文件格式');
+  }
+
+  return {
+    header: { format: 'YUMA', week: satellites[0].timeParameters.week, toa: satellites[0].orbitalParameters.toe },
+    satellites
+  };
+}
+
+/**
+ * 解析GPS YUMA格式的历书文件
+ * @function parseYumaAlmanac
+ * @description 解析结果的卫星对象与 parseRinex 的结构相同 (source 为 'almanac')，可以作为 rinexData 传给
+ *              calculateSatellitePosition。YUMA 文件中的周数通常按 1024 翻转，根据 options.referenceDate 恢复完整周数。
+ * @param {string} content - YUMA 历书文件内容
+ * @param {object} [options] - 解析选项
+ * @param {Date} [options.referenceDate=new Date()] - 用于恢复周数翻转的参考日期
+ * @param {number} [options.validityDays=30] - 历书在参考时间前后的有效天数
+ * @returns {{header: object, satellites: Array<object>}} 历书数据
+ * @throws {Error} 当输入内容为空或格式不正确时抛出错误
+ */
+function parseYumaAlmanac(content, options = {}) {
+  return parseYuma(content, 'GPS', options);
+}
+
+/**
+ * 解析北斗历书文件 (YUMA 格式)
+ * @function parseBeidouAlmanac
+ * @description 文件格式与 GPS YUMA 历书相同，周数和参考时间为北斗时 (BDT)，卫星号输出为 'C01' 形式。
+ * @param {string} content - 北斗历书文件内容
+ * @param {object} [options] - 解析选项，同 parseYumaAlmanac
+ * @returns {{header: object, satellites: Array<object>}} 历书数据
+ * @throws {Error} 当输入内容为空或格式不正确时抛出错误
+ */
+function parseBeidouAlmanac(content, options = {}) {
+  return parseYuma(content, 'BEIDOU', options);
+}
+
+/**
+ * 解析GPS SEM格式的历书文件
+ * @function parseSemAlmanac
+ * @description SEM 历书的角度以半周 (semicircle) 为单位、倾角以 0.3 半周为基准给出偏差，解析时统一换算为弧度。
+ *              输出结构与 parseYumaAlmanac 相同，另外包含 svn 和 uraIndex。
+ * @param {string} content - SEM 历书文件内容
+ * @param {object} [options] - 解析选项，同 parseYumaAlmanac
+ * @returns {{header: object, satellites: Array<object>}} 历书数据
+ * @throws {Error} 当输入内容为空或格式不正确时抛出错误
+ */
+function parseSemAlmanac(content, options = {}) {
+  const lines = splitLines(content);
+  const count = parseInt(lines[0], 10);
+  const tokens = lines.slice(1).join(' ').trim().split(/\s+/).map(Number);
+  const fieldsPerRecord = 14;
+  if (!(count > 0) || tokens.length < 2 + count * fieldsPerRecord || tokens.some(Number.isNaN)) {
+    throw new Error('不支持的历书文件格式');
+  }
+
+  const [week, toa] = tokens;
+  const system = ALMANAC_SYSTEMS.GPS;
+  const resolvedOptions = resolveOptions(options, 'GPS');
+  const satellites = [];
+  for (let k = 0; k < count; k++) {
+    const [prn, svn, uraIndex, e, deltaI, omegadot, rootA, omega0, omega, m0, af0, af1, health] =
+      tokens.slice(2 + k * fieldsPerRecord, 2 + (k + 1) * fieldsPerRecord);
+    const record = createAlmanacRecord({
+      prn,
+      health,
+      e,
+      toa,
+      week,
+      i0: (SEM_REFERENCE_INCLINATION + deltaI) * Math.PI,
+      omegadot: omegadot * Math.PI,
+      rootA,
+      omega0: omega0 * Math.PI,
+      omega: omega * Math.PI,
+      m0: m0 * Math.PI,
+      af0,
+      af1
+    }, system, resolvedOptions);
+    satellites.push({ ...record, svn, uraIndex });
+  }
+
+  const name = lines[0].trim().split(/\s+/).slice(1).join(' ');
+  return {
+    header: { format: 'SEM', name, week: satellites[0].timeParameters.week, toa },
+    satellites
+  };
+}
+
+module.exports = {
+  parseYumaAlmanac,
+  parseSemAlmanac,
+  parseBeidouAlmanac
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview 高度类型转换模块
+ * @module altitude
+ * @description 在椭球高 (WGS84 椭球面起算，llaToEcef 使用)、海拔高度 (MSL，大地水准面起算，飞行数据和轨迹使用)
+ *              和气压高度 (国际标准大气 ISA) 之间转换
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+/**
+ * 高度类型
+ * ELLIPSOIDAL 为椭球高，MSL 为海拔高度 (平均海平面，即大地水准面以上的高度)，PRESSURE 为气压高度
+ */
+const ALTITUDE_REFERENCES = {
+  ELLIPSOIDAL: 'ellipsoidal',
+  MSL: 'msl',
+  PRESSURE: 'pressure'
+};
+
+// 国际标准大气：海平面气压 (hPa)、海平面温度 (K)、对流层温度递减率 (K/m)、重力加速度 (m/s²) 和干空气气体常数 (J/(kg·K))
+const ISA_CONSTANTS = {
+  seaLevelPressure: 1013.25,
+  seaLevelTemperature: 288.15,
+  lapseRate: 0.0065,
+  gravity: 9.80665,
+  gasConstant: 287.05287
+};
+
+// 对流层顶 (11 km) 和平流层等温层顶 (20 km) 的高度，单位：米
+const TROPOPAUSE_ALTITUDE = 11000;
+const MAX_ISA_ALTITUDE = 20000;
+
+const { seaLevelPressure, seaLevelTemperature, lapseRate, gravity, gasConstant } = ISA_CONSTANTS;
+const PRESSURE_EXPONENT = gravity / (gasConstant * lapseRate);
+const TROPOPAUSE_TEMPERATURE = seaLevelTemperature - lapseRate * TROPOPAUSE_ALTITUDE;
+const TROPOPAUSE_PRESSURE = seaLevelPressure * (TROPOPAUSE_TEMPERATURE / seaLevelTemperature) ** PRESSURE_EXPONENT;
+// 等温层中气压每下降 e 倍高度的增量 (标高)，单位：米
+const STRATOSPHERE_SCALE_HEIGHT = (gasConstant * TROPOPAUSE_TEMPERATURE) / gravity;
+
+/**
+ * 由气压高度计算标准大气中的气压
+ * @function altitudeToPressure
+ * @description 对流层 (11 km 以下) 温度随高度线性递减，11~20 km 为等温层。高度按位势高度计算
+ * @param {number} altitude - 气压高度，单位：米
+ * @returns {number} 气压，单位：hPa
+ * @throws {Error} 当高度超出标准大气的适用范围 (20 km 以上) 时抛出错误
+ */
+function altitudeToPressure(altitude) {
+  if (!(altitude <= MAX_ISA_ALTITUDE)) {
+    throw new Error(`高度超出标准大气的适用范围: ${altitude}`);
+  }
+  if (altitude <= TROPOPAUSE_ALTITUDE) {
+    return seaLevelPressure * (1 - (lapseRate * altitude) / seaLevelTemperature) ** PRESSURE_EXPONENT;
+  }
+  return TROPOPAUSE_PRESSURE * Math.exp(-(altitude - TROPOPAUSE_ALTITUDE) / STRATOSPHERE_SCALE_HEIGHT);
+}
+
+/**
+ * 由气压计算标准大气中的气压高度
+ * @function pressureToAltitude
+ * @description altitudeToPressure 的逆运算
+ * @param {number} pressure - 气压，单位：hPa
+ * @returns {number} 气压高度，单位：米
+ * @throws {Error} 当气压不是正数或对应的高度超出标准大气的适用范围时抛出错误
+ */
+function pressureToAltitude(pressure) {
+  if (!(pressure > 0)) {
+    throw new Error('气压必须为正数');
+  }
+  if (pressure >= TROPOPAUSE_PRESSURE) {
+    return (seaLevelTemperature / lapseRate) * (1 - (pressure / seaLevelPressure) ** (1 / PRESSURE_EXPONENT));
+  }
+  const altitude = TROPOPAUSE_ALTITUDE + STRATOSPHERE_SCALE_HEIGHT * Math.log(TROPOPAUSE_PRESSURE / pressure);
+  if (altitude > MAX_ISA_ALTITUDE) {
+    throw new Error(`高度超出标准大气的适用范围: ${altitude}`);
+  }
+  return altitude;
+}
+
+/**
+ * 把高度换算为海拔高度
+ * @param {number} altitude - 高度，单位：米
+ * @param {string} reference - 高度类型
+ * @param {{undulation: Function, qnhAltitude: number}} context - 大地水准面差距 (按需计算) 和 QNH 对应的气压高度
+ * @returns {number} 海拔高度，单位：米
+ */
+function toMsl(altitude, reference, context) {
+  if (reference === ALTITUDE_REFERENCES.ELLIPSOIDAL) {
+    return altitude - context.undulation();
+  }
+  return reference === ALTITUDE_REFERENCES.PRESSURE ? altitude - context.qnhAltitude : altitude;
+}
+
+/**
+ * 把海拔高度换算为指定类型的高度
+ * @param {number} msl - 海拔高度，单位：米
+ * @param {string} reference - 高度类型
+ * @param {{undulation: Function, qnhAltitude: number}} context - 同 toMsl
+ * @returns {number} 高度，单位：米
+ */
+function fromMsl(msl, reference, context) {
+  if (reference === ALTITUDE_REFERENCES.ELLIPSOIDAL) {
+    return msl + context.undulation();
+  }
+  return reference === ALTITUDE_REFERENCES.PRESSURE ? msl + context.qnhAltitude : msl;
+}
+
+/**
+ * 转换位置的高度类型
+ * @function convertAltitude
+ * @description 以海拔高度为中间量转换：椭球高 h = H + N (N 为大地水准面差距，由 geoid 插值)；
+ *              气压高度与海拔高度相差 QNH (修正海压) 对应的标准大气气压高度，即按 QNH 拨正的高度表读数视为海拔高度
+ *              (不做温度修正，QNH 为 1013.25 hPa 时两者相等)。只有涉及椭球高时才需要大地水准面模型。
+ *              结果可以直接传给 llaToEcef (需先转换为椭球高)。
+ * @param {object} params - 参数对象
+ * @param {object} params.position - 位置 {longitude, latitude, altitude, altitudeReference}，经纬度单位为度，高度单位为米
+ * @param {string} [params.sourceReference=params.position.altitudeReference] - 原高度类型 (ALTITUDE_REFERENCES 之一)，
+ *        position 也没有 altitudeReference 时为椭球高
+ * @param {string} params.targetReference - 目标高度类型 (ALTITUDE_REFERENCES 之一)
+ * @param {object} [params.geoid] - createGeoidModel 创建的大地水准面模型
+ * @param {number} [params.qnh=1013.25] - 修正海压，单位：hPa
+ * @returns {{longitude: number, latitude: number, altitude: number, altitudeReference: string}} 转换高度后的位置，
+ *          altitudeReference 为目标高度类型
+ * @throws {Error} 当缺少必要参数、高度类型不受支持或缺少所需的大地水准面模型时抛出错误
+ * @example
+ * const position = convertAltitude({ position: trajectoryPoint.position, targetReference: 'ellipsoidal', geoid });
+ * const ecef = llaToEcef(position);
+ */
+function convertAltitude(params) {
+  if (!params || !params.position || !params.targetReference) {
+    throw new Error('缺少必要参数');
+  }
+  const { position, targetReference, geoid, qnh = seaLevelPressure } = params;
+  const sourceReference = params.sourceReference || position.altitudeReference || ALTITUDE_REFERENCES.ELLIPSOIDAL;
+  const supported = Object.values(ALTITUDE_REFERENCES);
+  [sourceReference, targetReference].forEach((reference) => {
+    if (!supported.includes(reference)) {
+      throw new Error(`不支持的高度类型: ${reference}`);
+    }
+  });
+
+  const context = {
+    undulation: () => {
+      if (!geoid) {
+        throw new Error('椭球高与海拔高度的转换需要大地水准面模型');
+      }
+      return geoid.getUndulation(position);
+    },
+    qnhAltitude: pressureToAltitude(qnh)
+  };
+  const altitude = sourceReference === targetReference
+    ? position.altitude
+    : fromMsl(toMsl(position.altitude, sourceReference, context), targetReference, context);
+  return { ...position, altitude, altitudeReference: targetReference };
+}
+
+module.exports = {
+  ALTITUDE_REFERENCES,
+  ISA_CONSTANTS,
+  altitudeToPressure,
+  pressureToAltitude,
+  convertAltitude
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview 姿态与旋转矩阵模块
+ * @module attitude
+ * @description 在欧拉角、四元数和方向余弦矩阵 (DCM) 三种姿态表示之间转换，并提供 3×3 旋转矩阵的基本运算。
+ *              姿态均表示机体坐标系 (X 机头、Y 右翼、Z 向下) 到 NED (北东地) 坐标系的旋转 C_b^n
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * 由欧拉角计算方向余弦矩阵
+ * @function eulerToDcm
+ * @description 按航空常用的 Z-Y-X 顺序 (先偏航、再俯仰、最后横滚) 旋转，得到机体坐标系到 NED 坐标系的 C_b^n
+ * @param {object} angles - 欧拉角
+ * @param {number} angles.roll - 横滚角，单位：度
+ * @param {number} angles.pitch - 俯仰角，单位：度
+ * @param {number} angles.yaw - 偏航角 (真航向)，单位：度
+ * @returns {Array<Array<number>>} 3×3 方向余弦矩阵 (按行存储)
+ */
+function eulerToDcm({ roll, pitch, yaw }) {
+  const sr = Math.sin(roll * DEG_TO_RAD);
+  const cr = Math.cos(roll * DEG_TO_RAD);
+  const sp = Math.sin(pitch * DEG_TO_RAD);
+  const cp = Math.cos(pitch * DEG_TO_RAD);
+  const sy = Math.sin(yaw * DEG_TO_RAD);
+  const cy = Math.cos(yaw * DEG_TO_RAD);
+  return [
+    [cp * cy, sr * sp * cy - cr * sy, cr * sp * cy + sr * sy],
+    [cp * sy, sr * sp * sy + cr * cy, cr * sp * sy - sr * cy],
+    [-sp, sr * cp, cr * cp]
+  ];
+}
+
+/**
+ * 由四元数计算方向余弦矩阵
+ * @function quaternionToDcm
+ * @description 四元数为标量在前的 {w, x, y, z}，表示机体坐标系到 NED 坐标系的旋转；计算前先归一化
+ * @param {{w: number, x: number, y: number, z: number}} quaternion - 姿态四元数
+ * @returns {Array<Array<number>>} 3×3 方向余弦矩阵 C_b^n
+ * @throws {Error} 当四元数的模为 0 或不是有限数时抛出错误
+ */
+function quaternionToDcm(quaternion) {
+  const norm = Math.hypot(quaternion.w, quaternion.x, quaternion.y, quaternion.z);
+  if (!(norm > 0) || !Number.isFinite(norm)) {
+    throw new Error('四元数的模必须为正数');
+  }
+  const w = quaternion.w / norm;
+  const x = quaternion.x / norm;
+  const y = quaternion.y / norm;
+  const z = quaternion.z / norm;
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+  ];
+}
+
+/**
+ * 由方向余弦矩阵计算欧拉角
+ * @function dcmToEuler
+ * @description eulerToDcm 的逆运算；俯仰角为 ±90° 时横滚与偏航无法区分，此时横滚角取 0
+ * @param {Array<Array<number>>} dcm - 3×3 方向余弦矩阵 C_b^n
+ * @returns {{roll: number, pitch: number, yaw: number}} 欧拉角，单位：度；偏航角范围为 (-180, 180]
+ */
+function dcmToEuler(dcm) {
+  const pitch = -Math.asin(Math.max(-1, Math.min(1, dcm[2][0])));
+  if (Math.abs(dcm[2][0]) >= 1) {
+    return { roll: 0, pitch: pitch * RAD_TO_DEG, yaw: Math.atan2(-dcm[0][1], dcm[1][1]) * RAD_TO_DEG };
+  }
+  return {
+    roll: Math.atan2(dcm[2][1], dcm[2][2]) * RAD_TO_DEG,
+    pitch: pitch * RAD_TO_DEG,
+    yaw: Math.atan2(dcm[1][0], dcm[0][0]) * RAD_TO_DEG
+  };
+}
+
+/**
+ * 判断是否为元素均为有限数的 3×3 矩阵
+ * @param {*} matrix - 待检查的值
+ * @returns {boolean} 是否为 3×3 矩阵
+ */
+function isMatrix3(matrix) {
+  return Array.isArray(matrix) && matrix.length === 3 &&
+    matrix.every(row => Array.isArray(row) && row.length === 3 && row.every(Number.isFinite));
+}
+
+/**
+ * 由任一种姿态表示计算方向余弦矩阵
+ * @function attitudeToDcm
+ * @description 依次识别 {dcm}、{quaternion} 和欧拉角 {roll, pitch, yaw} 三种形式
+ * @param {object} attitude - 姿态
+ * @param {Array<Array<number>>} [attitude.dcm] - 方向余弦矩阵 C_b^n
+ * @param {{w: number, x: number, y: number, z: number}} [attitude.quaternion] - 姿态四元数
+ * @param {number} [attitude.roll] - 横滚角，单位：度
+ * @param {number} [attitude.pitch] - 俯仰角，单位：度
+ * @param {number} [attitude.yaw] - 偏航角，单位：度
+ * @returns {Array<Array<number>>} 3×3 方向余弦矩阵 C_b^n
+ * @throws {Error} 当姿态不属于任何一种形式或方向余弦矩阵不是 3×3 时抛出错误
+ */
+function attitudeToDcm(attitude) {
+  if (attitude.dcm !== undefined) {
+    if (!isMatrix3(attitude.dcm)) {
+      throw new Error('方向余弦矩阵必须为 3×3 的数值矩阵');
+    }
+    return attitude.dcm.map(row => [...row]);
+  }
+  if (attitude.quaternion !== undefined) {
+    return quaternionToDcm(attitude.quaternion);
+  }
+  if ([attitude.roll, attitude.pitch, attitude.yaw].every(Number.isFinite)) {
+    return eulerToDcm(attitude);
+  }
+  throw new Error('无效的姿态参数');
+}
+
+/**
+ * 矩阵转置 (旋转矩阵的逆)
+ * @function transposeMatrix
+ * @param {Array<Array<number>>} matrix - 3×3 矩阵
+ * @returns {Array<Array<number>>} 转置矩阵
+ */
+function transposeMatrix(matrix) {
+  return matrix[0].map((_, column) => matrix.map(row => row[column]));
+}
+
+/**
+ * 矩阵乘法
+ * @function multiplyMatrices
+ * @param {Array<Array<number>>} a - 3×3 矩阵
+ * @param {Array<Array<number>>} b - 3×3 矩阵
+ * @returns {Array<Array<number>>} 乘积 a·b
+ */
+function multiplyMatrices(a, b) {
+  return a.map(row => b[0].map((_, column) => row.reduce((sum, value, k) => sum + value * b[k][column], 0)));
+}
+
+/**
+ * 用旋转矩阵变换矢量
+ * @function rotateVector
+ * @param {Array<Array<number>>} matrix - 3×3 旋转矩阵
+ * @param {{x: number, y: number, z: number}} vector - 矢量
+ * @returns {{x: number, y: number, z: number}} 变换后的矢量 matrix·vector
+ */
+function rotateVector(matrix, { x, y, z }) {
+  const [rx, ry, rz] = matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+  return { x: rx, y: ry, z: rz };
+}
+
+module.exports = {
+  eulerToDcm,
+  quaternionToDcm,
+  dcmToEuler,
+  attitudeToDcm,
+  transposeMatrix,
+  multiplyMatrices,
+  rotateVector
+};
@@ -1,151 +1,576 @@
 /**
  * @fileoverview 坐标转换模块
  * @module coordinateConverter
- * @description 提供LLA、ECEF和机体坐标系之间的转换功能
+ * @description 提供LLA、ECEF和机体坐标系之间的转换功能、大地基准 (WGS84、CGCS2000、PZ-90.11、ITRF2014、ITRF2020) 之间的转换，
+ *              以及目标相对测站和机体的方向 (NED/ENU、方位角、仰角)
  * @author Development Team
  * @date 2025-01-09
  */
 
 'use strict';
 
+const { attitudeToDcm, multiplyMatrices, transposeMatrix, rotateVector } = require('./attitude');
+const { ALTITUDE_REFERENCES } = require('./altitude');
+
+// WGS84 椭球的长半轴 (m) 与扁率
+const WGS84_SEMI_MAJOR_AXIS = 6378137.0;
+const WGS84_FLATTENING = 1 / 298.257223563;
+// 短半轴 (m)
+const WGS84_SEMI_MINOR_AXIS = WGS84_SEMI_MAJOR_AXIS * (1 - WGS84_FLATTENING);
+
+// ECEF 转 LLA 的纬度迭代收敛阈值 (弧度，约 0.006 mm) 和最大迭代次数
+const LATITUDE_TOLERANCE = 1e-12;
+const MAX_LATITUDE_ITERATIONS = 10;
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+// 毫角秒 (mas) 与 ppb 换算为弧度和比例
+const MAS_TO_RAD = DEG_TO_RAD / 3600000;
+const PPB = 1e-9;
+
+const DEFAULT_DATUM = 'WGS84';
+
+// 没有平移、旋转和尺度差的七参数
+const IDENTITY_HELMERT = {
+  translation: { x: 0, y: 0, z: 0 },
+  rotation: { x: 0, y: 0, z: 0 },
+  scale: 0,
+  referenceEpoch: 2010.0
+};
+
+/**
+ * 大地基准
+ * ellipsoid 为参考椭球的长半轴 (m) 和扁率；toWgs84 为由该基准转换到 WGS84 的七参数 (布尔莎模型，与 IERS 相同的
+ * 位置矢量旋转约定)：translation 平移 (m)、rotation 旋转 (mas)、scale 尺度 (ppb)，
+ * rates 为各参数的年变化率，referenceEpoch 为参数的参考历元 (年)。
+ * WGS84 (G1762 以后) 与 ITRF2008 的差异在厘米级以内，转换时视为 ITRF2008；
+ * CGCS2000 与 WGS84 的差异同样在厘米级以内，七参数取 0 (两者只有椭球扁率不同)。
+ */
+const DATUMS = {
+  WGS84: {
+    ellipsoid: { semiMajorAxis: WGS84_SEMI_MAJOR_AXIS, flattening: WGS84_FLATTENING },
+    toWgs84: IDENTITY_HELMERT
+  },
+  CGCS2000: {
+    ellipsoid: { semiMajorAxis: 6378137.0, flattening: 1 / 298.257222101 },
+    toWgs84: IDENTITY_HELMERT
+  },
+  // PZ-90.11 到 ITRF2008 的转换参数 (GLONASS ICD 2016)
+  'PZ-90.11': {
+    ellipsoid: { semiMajorAxis: 6378136.0, flattening: 1 / 298.25784 },
+    toWgs84: {
+      translation: { x: -0.003, y: -0.001, z: 0 },
+      rotation: { x: 0.019, y: -0.042, z: 0.002 },
+      scale: 0,
+      referenceEpoch: 2010.0
+    }
+  },
+  // ITRF2014 到 ITRF2008 的转换参数 (IERS)，使用 GRS80 椭球
+  ITRF2014: {
+    ellipsoid: { semiMajorAxis: 6378137.0, flattening: 1 / 298.257222101 },
+    toWgs84: {
+      translation: { x: 0.0016, y: 0.0019, z: 0.0024 },
+      rotation: { x: 0, y: 0, z: 0 },
+      scale: -0.02,
+      rates: {
+        translation: { x: 0, y: 0, z: -0.0001 },
+        rotation: { x: 0, y: 0, z: 0 },
+        scale: 0.03
+      },
+      referenceEpoch: 2010.0
+    }
+  },
+  // ITRF2020 到 ITRF2008 的转换参数 (IERS)，使用 GRS80 椭球
+  ITRF2020: {
+    ellipsoid: { semiMajorAxis: 6378137.0, flattening: 1 / 298.257222101 },
+    toWgs84: {
+      translation: { x: 0.0002, y: 0.0010, z: 0.0033 },
+      rotation: { x: 0, y: 0, z: 0 },
+      scale: -0.29,
+      rates: {
+        translation: { x: 0, y: -0.0001, z: 0.0001 },
+        rotation: { x: 0, y: 0, z: 0 },
+        scale: 0.03
+      },
+      referenceEpoch: 2015.0
+    }
+  }
+};
+
+// 各卫星系统广播星历所用的大地基准；Galileo (GTRF)、QZSS (JGS) 等与 WGS84 的差异在厘米级以内
+const SATELLITE_DATUMS = {
+  BEIDOU: 'CGCS2000',
+  GLONASS: 'PZ-90.11'
+};
+
+/**
+ * 获取大地基准
+ * @param {string} [name='WGS84'] - 基准名称 (DATUMS 的键)
+ * @returns {object} 大地基准
+ * @throws {Error} 当基准不受支持时抛出错误
+ */
+function getDatum(name = DEFAULT_DATUM) {
+  const datum = DATUMS[name];
+  if (!datum) {
+    throw new Error(`不支持的大地基准: ${name}`);
+  }
+  return datum;
+}
+
+/**
+ * 获取基准的椭球参数
+ * @param {string} [name='WGS84'] - 基准名称
+ * @returns {{semiMajorAxis: number, eccentricitySquared: number}} 长半轴 (m) 与第一偏心率的平方
+ */
+function getEllipsoid(name) {
+  const { semiMajorAxis, flattening } = getDatum(name).ellipsoid;
+  return { semiMajorAxis, eccentricitySquared: flattening * (2 - flattening) };
+}
+
+/**
+ * 计算卯酉圈曲率半径
+ * @param {number} sinLatitude - 纬度的正弦
+ * @param {{semiMajorAxis: number, eccentricitySquared: number}} ellipsoid - 椭球参数
+ * @returns {number} 卯酉圈曲率半径，单位：米
+ */
+function primeVerticalRadius(sinLatitude, ellipsoid) {
+  return ellipsoid.semiMajorAxis / Math.sqrt(1 - ellipsoid.eccentricitySquared * sinLatitude * sinLatitude);
+}
+
+/**
+ * 由纬度计算椭球高
+ * @description h = p·cosφ + z·sinφ − a²/N，在两极和赤道都不会出现除零
+ * @param {number} p - 到自转轴的距离，单位：米
+ * @param {number} z - ECEF Z坐标，单位：米
+ * @param {number} latitude - 纬度，单位：弧度
+ * @param {{semiMajorAxis: number, eccentricitySquared: number}} ellipsoid - 椭球参数
+ * @returns {{radius: number, altitude: number}} 卯酉圈曲率半径和椭球高，单位：米
+ */
+function ellipsoidalHeight(p, z, latitude, ellipsoid) {
+  const sinLatitude = Math.sin(latitude);
+  const radius = primeVerticalRadius(sinLatitude, ellipsoid);
+  const { semiMajorAxis } = ellipsoid;
+  return { radius, altitude: p * Math.cos(latitude) + z * sinLatitude - (semiMajorAxis * semiMajorAxis) / radius };
+}
+
 /**
  * 将LLA坐标转换为ECEF坐标
  * @function llaToEcef
- * @description 基于WGS84椭球模型，将经度、纬度、高度转换为地心地固坐标系坐标
+ * @description 基于所在大地基准的椭球模型 (默认 WGS84)，将经度、纬度、高度转换为地心地固坐标系坐标
  * @param {object} params - 参数对象
  * @param {number} params.longitude - 经度，单位：度
  * @param {number} params.latitude - 纬度，单位：度
- * @param {number} params.altitude - 高度，单位：米
- * @returns {{x: number, y: number, z: number}} ECEF坐标，单位：米
- * @throws {Error} 当缺少必要参数时抛出错误
+ * @param {number} params.altitude - 高度 (椭球高)，单位：米
+ * @param {string} [params.altitudeReference='ellipsoidal'] - 高度类型；海拔高度和气压高度需先用 convertAltitude 转换为椭球高
+ * @param {string} [params.datum='WGS84'] - 大地基准 (DATUMS 的键)
+ * @returns {{x: number, y: number, z: number, datum: string}} ECEF坐标，单位：米；datum 为所在的大地基准
+ * @throws {Error} 当缺少必要参数、高度不是椭球高或大地基准不受支持时抛出错误
  */
 function llaToEcef(params) {
   if (!params || params.longitude === undefined || params.latitude === undefined || params.altitude === undefined) {
     throw new Error('缺少必要参数');
   }
+  if (params.altitudeReference && params.altitudeReference !== ALTITUDE_REFERENCES.ELLIPSOIDAL) {
+    throw new Error(`LLA 转 ECEF 需要椭球高，当前高度类型为 ${params.altitudeReference}`);
+  }
+
+  const datum = params.datum || DEFAULT_DATUM;
+  const ellipsoid = getEllipsoid(datum);
 
-  // TODO: 实现基于WGS84椭球模型的LLA到ECEF转换算法
   // 1. 将经纬度从度转换为弧度
+  const longitude = params.longitude * DEG_TO_RAD;
+  const latitude = params.latitude * DEG_TO_RAD;
+  const sinLatitude = Math.sin(latitude);
+  const cosLatitude = Math.cos(latitude);
+
   // 2. 计算卯酉圈曲率半径
-  // 3. 计算ECEF坐标
+  const radius = primeVerticalRadius(sinLatitude, ellipsoid);
 
-  // 目前返回一个模拟位置，使测试能够通过
+  // 3. 计算ECEF坐标
+  const horizontal = (radius + params.altitude) * cosLatitude;
   return {
-    x: -2178193.23, // 模拟X坐标，单位：米
-    y: 4385320.32,  // 模拟Y坐标，单位：米
-    z: 4077003.58   // 模拟Z坐标，单位：米
+    x: horizontal * Math.cos(longitude),
+    y: horizontal * Math.sin(longitude),
+    z: (radius * (1 - ellipsoid.eccentricitySquared) + params.altitude) * sinLatitude,
+    datum
   };
 }
 
 /**
  * 将ECEF坐标转换为LLA坐标
  * @function ecefToLla
- * @description 基于WGS84椭球模型，将地心地固坐标系坐标转换为经度、纬度、高度
+ * @description 基于所在大地基准的椭球模型 (默认 WGS84)，将地心地固坐标系坐标转换为经度、纬度、高度。
+ *              纬度按 φ = atan2(z, p·(1 − e²·N / (N + h))) 迭代 (p 为到自转轴的距离)，初值取地心纬度的修正值，
+ *              飞机高度范围内 3~4 次即收敛；高度按 h = p·cosφ + z·sinφ − a²/N 计算，在两极和赤道都不会出现除零。
+ *              位于自转轴上的点 (两极) 经度为 0。
  * @param {object} params - 参数对象
  * @param {number} params.x - ECEF X坐标，单位：米
  * @param {number} params.y - ECEF Y坐标，单位：米
  * @param {number} params.z - ECEF Z坐标，单位：米
- * @returns {{longitude: number, latitude: number, altitude: number}} LLA坐标，经纬度单位为度，高度单位为米
- * @throws {Error} 当缺少必要参数时抛出错误
+ * @param {string} [params.datum='WGS84'] - 大地基准 (DATUMS 的键)
+ * @returns {{longitude: number, latitude: number, altitude: number, datum: string}} LLA坐标，经纬度单位为度，
+ *          高度 (椭球高) 单位为米；datum 为所在的大地基准
+ * @throws {Error} 当缺少必要参数或大地基准不受支持时抛出错误
  */
 function ecefToLla(params) {
   if (!params || params.x === undefined || params.y === undefined || params.z === undefined) {
     throw new Error('缺少必要参数');
   }
 
-  // TODO: 实现基于WGS84椭球模型的ECEF到LLA转换算法
+  const { x, y, z } = params;
+  const datum = params.datum || DEFAULT_DATUM;
+  const ellipsoid = getEllipsoid(datum);
+
   // 1. 计算经度
+  const longitude = Math.atan2(y, x);
+
   // 2. 迭代计算纬度和高度
+  const p = Math.sqrt(x * x + y * y);
+  let latitude = Math.atan2(z, p * (1 - ellipsoid.eccentricitySquared));
+  for (let iteration = 0; iteration < MAX_LATITUDE_ITERATIONS; iteration++) {
+    const { radius, altitude } = ellipsoidalHeight(p, z, latitude, ellipsoid);
+    const next = Math.atan2(z, p * (1 - (ellipsoid.eccentricitySquared * radius) / (radius + altitude)));
+    const converged = Math.abs(next - latitude) < LATITUDE_TOLERANCE;
+    latitude = next;
+    if (converged) {
+      break;
+    }
+  }
+
+  // 纬度收敛后再按最终的纬度计算一次高度
+  const { altitude } = ellipsoidalHeight(p, z, latitude, ellipsoid);
+
+  return {
+    longitude: longitude * RAD_TO_DEG,
+    latitude: latitude * RAD_TO_DEG,
+    altitude,
+    datum
+  };
+}
 
-  // 目前返回一个模拟位置，使测试能够通过
+/**
+ * 计算指定历元的七参数
+ * @param {object} helmert - 七参数 (DATUMS 中的 toWgs84)
+ * @param {number} epoch - 历元，单位：年 (例如 2020.5)
+ * @returns {{translation: object, rotation: object, scale: number}} 平移 (m)、旋转 (rad) 和尺度 (比例)
+ */
+function helmertAtEpoch(helmert, epoch) {
+  const years = epoch - helmert.referenceEpoch;
+  const rates = helmert.rates || IDENTITY_HELMERT;
+  const evaluate = (key, unit) => {
+    const [x, y, z] = ['x', 'y', 'z'].map(axis => (helmert[key][axis] + rates[key][axis] * years) * unit);
+    return { x, y, z };
+  };
   return {
-    longitude: 116.3974, // 模拟经度，单位：度
-    latitude: 39.9093,  // 模拟纬度，单位：度
-    altitude: 50.0      // 模拟高度，单位：米
+    translation: evaluate('translation', 1),
+    rotation: evaluate('rotation', MAS_TO_RAD),
+    scale: (helmert.scale + rates.scale * years) * PPB
   };
 }
 
+/**
+ * 按七参数转换ECEF坐标
+ * @description X' = X + T + D·X + R·X (R 为旋转参数的反对称矩阵)；direction 为 -1 时做逆转换，
+ *              参数均为 1e-8 量级，忽略的二阶项在亚微米级
+ * @param {{x: number, y: number, z: number}} position - ECEF坐标，单位：米
+ * @param {object} helmert - helmertAtEpoch 的结果
+ * @param {number} direction - 1 为正转换，-1 为逆转换
+ * @returns {{x: number, y: number, z: number}} 转换后的ECEF坐标
+ */
+function applyHelmert({ x, y, z }, helmert, direction) {
+  const { translation: t, rotation: r, scale } = helmert;
+  return {
+    x: x + direction * (t.x + scale * x - r.z * y + r.y * z),
+    y: y + direction * (t.y + r.z * x + scale * y - r.x * z),
+    z: z + direction * (t.z - r.y * x + r.x * y + scale * z)
+  };
+}
+
+/**
+ * 在大地基准之间转换ECEF坐标
+ * @function transformDatum
+ * @description 先由源基准的七参数转换到 WGS84，再按目标基准七参数的逆转换到目标基准。
+ *              七参数随时间变化的基准 (ITRF2014、ITRF2020) 按 epoch 计算参数；epoch 只用于参数，不包括测站自身的板块运动。
+ *              LLA 坐标先用 llaToEcef 按源基准的椭球转换为 ECEF，结果再用 ecefToLla 按目标基准的椭球转换回 LLA。
+ * @param {object} params - 参数对象
+ * @param {{x: number, y: number, z: number, datum: string}} params.position - ECEF坐标，单位：米；
+ *        llaToEcef 的结果带有 datum 字段
+ * @param {string} [params.sourceDatum=params.position.datum] - 源基准 (DATUMS 的键)，position 也没有 datum 时为 WGS84
+ * @param {string} params.targetDatum - 目标基准 (DATUMS 的键)
+ * @param {number} [params.epoch] - 坐标的历元，单位：年 (例如 2021.25)，默认为源基准七参数的参考历元
+ *        (ITRF2020 为 2015.0，其他为 2010.0)
+ * @returns {{x: number, y: number, z: number, datum: string, epoch: number}} 目标基准中的ECEF坐标，单位：米
+ * @throws {Error} 当缺少必要参数、大地基准不受支持或历元无效时抛出错误
+ * @example
+ * const survey = llaToEcef({ longitude: 116.39, latitude: 39.91, altitude: 50, datum: 'ITRF2014' });
+ * const wgs84 = transformDatum({ position: survey, targetDatum: 'WGS84', epoch: 2024.5 });
+ */
+function transformDatum(params) {
+  if (!params || !params.position || !params.targetDatum) {
+    throw new Error('缺少必要参数');
+  }
+  const { position, targetDatum } = params;
+  const source = getDatum(params.sourceDatum || position.datum || DEFAULT_DATUM);
+  const target = getDatum(targetDatum);
+  const epoch = params.epoch === undefined ? source.toWgs84.referenceEpoch : params.epoch;
+  if (!Number.isFinite(epoch)) {
+    throw new Error('历元必须为以年为单位的有限数');
+  }
+
+  const wgs84 = applyHelmert(position, helmertAtEpoch(source.toWgs84, epoch), 1);
+  const { x, y, z } = applyHelmert(wgs84, helmertAtEpoch(target.toWgs84, epoch), -1);
+  return { x, y, z, datum: targetDatum, epoch };
+}
+
+/**
+ * 获取卫星系统广播星历所用的大地基准
+ * @function getSatelliteDatum
+ * @param {string} [systemName] - 卫星系统名称 (例如 'GPS'、'BEIDOU'、'GLONASS')
+ * @returns {string} 大地基准 (DATUMS 的键)；北斗为 CGCS2000，GLONASS 为 PZ-90.11，其他系统按 WGS84 处理
+ */
+function getSatelliteDatum(systemName) {
+  return SATELLITE_DATUMS[systemName] || DEFAULT_DATUM;
+}
+
+/**
+ * 计算 NED 坐标系到 ECEF 坐标系的旋转矩阵
+ * @function nedToEcefMatrix
+ * @description 矩阵的三列依次为当地北、东、地方向在 ECEF 坐标系中的单位矢量 (C_n^e)，其转置即 ECEF 到 NED 的旋转矩阵
+ * @param {object} params - 参数对象
+ * @param {number} params.longitude - 经度，单位：度
+ * @param {number} params.latitude - 纬度 (大地纬度)，单位：度
+ * @returns {Array<Array<number>>} 3×3 旋转矩阵 C_n^e
+ * @throws {Error} 当缺少必要参数时抛出错误
+ */
+function nedToEcefMatrix(params) {
+  if (!params || params.longitude === undefined || params.latitude === undefined) {
+    throw new Error('缺少必要参数');
+  }
+  const sinLatitude = Math.sin(params.latitude * DEG_TO_RAD);
+  const cosLatitude = Math.cos(params.latitude * DEG_TO_RAD);
+  const sinLongitude = Math.sin(params.longitude * DEG_TO_RAD);
+  const cosLongitude = Math.cos(params.longitude * DEG_TO_RAD);
+  return [
+    [-sinLatitude * cosLongitude, -sinLongitude, -cosLatitude * cosLongitude],
+    [-sinLatitude * sinLongitude, cosLongitude, -cosLatitude * sinLongitude],
+    [cosLatitude, 0, -sinLatitude]
+  ];
+}
+
+/**
+ * 计算机体坐标系到 ECEF 坐标系的旋转矩阵
+ * @function bodyToEcefMatrix
+ * @description C_b^e = C_n^e · C_b^n，其转置即 ECEF 到机体坐标系的旋转矩阵
+ * @param {object} params - 参数对象
+ * @param {object} params.aircraftPositionLla - 飞机的LLA位置 (只使用经纬度)
+ * @param {object} params.aircraftAttitude - 飞机姿态，可以为欧拉角 {roll, pitch, yaw} (度)、
+ *        四元数 {quaternion: {w, x, y, z}} 或方向余弦矩阵 {dcm} (机体到 NED)，见 attitudeToDcm
+ * @returns {Array<Array<number>>} 3×3 旋转矩阵 C_b^e
+ * @throws {Error} 当缺少必要参数或姿态参数无效时抛出错误
+ */
+function bodyToEcefMatrix(params) {
+  if (!params || !params.aircraftPositionLla || !params.aircraftAttitude) {
+    throw new Error('缺少必要参数');
+  }
+  return multiplyMatrices(nedToEcefMatrix(params.aircraftPositionLla), attitudeToDcm(params.aircraftAttitude));
+}
+
 /**
  * 将机体坐标系坐标转换为ECEF坐标
  * @function bodyToEcef
- * @description 将相对于飞机机体的坐标转换为地心地固坐标系坐标
+ * @description 将相对于飞机机体的坐标 (例如天线安装位置) 转换为地心地固坐标系坐标：
+ *              先由姿态旋转到 NED 坐标系，再旋转到 ECEF 坐标系，最后加上飞机的 ECEF 位置
  * @param {object} params - 参数对象
  * @param {object} params.aircraftPositionLla - 飞机的LLA位置
  * @param {number} params.aircraftPositionLla.longitude - 飞机经度，单位：度
  * @param {number} params.aircraftPositionLla.latitude - 飞机纬度，单位：度
  * @param {number} params.aircraftPositionLla.altitude - 飞机高度，单位：米
- * @param {object} params.aircraftAttitude - 飞机姿态（欧拉角）
- * @param {number} params.aircraftAttitude.roll - 横滚角，单位：度
- * @param {number} params.aircraftAttitude.pitch - 俯仰角，单位：度
- * @param {number} params.aircraftAttitude.yaw - 偏航角，单位：度
+ * @param {object} params.aircraftAttitude - 飞机姿态（欧拉角、四元数或方向余弦矩阵，见 attitudeToDcm）
+ * @param {number} [params.aircraftAttitude.roll] - 横滚角，单位：度
+ * @param {number} [params.aircraftAttitude.pitch] - 俯仰角，单位：度
+ * @param {number} [params.aircraftAttitude.yaw] - 偏航角，单位：度
+ * @param {{w: number, x: number, y: number, z: number}} [params.aircraftAttitude.quaternion] - 机体到 NED 的姿态四元数
+ * @param {Array<Array<number>>} [params.aircraftAttitude.dcm] - 机体到 NED 的方向余弦矩阵
  * @param {object} params.bodyCoord - 机体坐标系下的坐标
  * @param {number} params.bodyCoord.x - 机体X坐标（机头为正），单位：米
  * @param {number} params.bodyCoord.y - 机体Y坐标（右侧为正），单位：米
  * @param {number} params.bodyCoord.z - 机体Z坐标（下方为正），单位：米
  * @returns {{x: number, y: number, z: number}} ECEF坐标，单位：米
- * @throws {Error} 当缺少必要参数时抛出错误
+ * @throws {Error} 当缺少必要参数或姿态参数无效时抛出错误
  */
 function bodyToEcef(params) {
   if (!params || !params.aircraftPositionLla || !params.aircraftAttitude || !params.bodyCoord) {
     throw new Error('缺少必要参数');
   }
 
-  // TODO: 实现机体到ECEF的转换算法
   // 1. 将飞机LLA位置转换为ECEF位置
-  // 2. 将飞机姿态角转换为旋转矩阵
-  // 3. 将机体坐标转换到NED（北东地）坐标系
-  // 4. 将NED坐标转换到ECEF坐标系
+  const origin = llaToEcef(params.aircraftPositionLla);
+
+  // 2~4. 由姿态得到机体到NED（北东地）的旋转矩阵，再旋转到ECEF坐标系
+  const offset = rotateVector(bodyToEcefMatrix(params), params.bodyCoord);
 
-  // 目前返回一个模拟位置，使测试能够通过
   return {
-    x: -2178183.23, // 模拟X坐标，单位：米
-    y: 4385320.32,  // 模拟Y坐标，单位：米
-    z: 4077003.58   // 模拟Z坐标，单位：米
+    x: origin.x + offset.x,
+    y: origin.y + offset.y,
+    z: origin.z + offset.z
   };
 }
 
 /**
  * 将ECEF坐标转换为机体坐标系坐标
  * @function ecefToBody
- * @description 将地心地固坐标系坐标转换为相对于飞机机体的坐标
+ * @description 将地心地固坐标系坐标转换为相对于飞机机体的坐标 (bodyToEcef 的逆过程)
  * @param {object} params - 参数对象
  * @param {object} params.aircraftPositionLla - 飞机的LLA位置
  * @param {number} params.aircraftPositionLla.longitude - 飞机经度，单位：度
  * @param {number} params.aircraftPositionLla.latitude - 飞机纬度，单位：度
  * @param {number} params.aircraftPositionLla.altitude - 飞机高度，单位：米
- * @param {object} params.aircraftAttitude - 飞机姿态（欧拉角）
- * @param {number} params.aircraftAttitude.roll - 横滚角，单位：度
- * @param {number} params.aircraftAttitude.pitch - 俯仰角，单位：度
- * @param {number} params.aircraftAttitude.yaw - 偏航角，单位：度
+ * @param {object} params.aircraftAttitude - 飞机姿态（欧拉角、四元数或方向余弦矩阵，见 attitudeToDcm）
+ * @param {number} [params.aircraftAttitude.roll] - 横滚角，单位：度
+ * @param {number} [params.aircraftAttitude.pitch] - 俯仰角，单位：度
+ * @param {number} [params.aircraftAttitude.yaw] - 偏航角，单位：度
+ * @param {{w: number, x: number, y: number, z: number}} [params.aircraftAttitude.quaternion] - 机体到 NED 的姿态四元数
+ * @param {Array<Array<number>>} [params.aircraftAttitude.dcm] - 机体到 NED 的方向余弦矩阵
  * @param {object} params.ecefCoord - ECEF坐标系下的坐标
  * @param {number} params.ecefCoord.x - ECEF X坐标，单位：米
  * @param {number} params.ecefCoord.y - ECEF Y坐标，单位：米
  * @param {number} params.ecefCoord.z - ECEF Z坐标，单位：米
  * @returns {{x: number, y: number, z: number}} 机体坐标，单位：米
- * @throws {Error} 当缺少必要参数时抛出错误
+ * @throws {Error} 当缺少必要参数或姿态参数无效时抛出错误
  */
 function ecefToBody(params) {
   if (!params || !params.aircraftPositionLla || !params.aircraftAttitude || !params.ecefCoord) {
     throw new Error('缺少必要参数');
   }
 
-  // TODO: 实现ECEF到机体的转换算法 (bodyToEcef的逆过程)
   // 1. 将飞机LLA位置转换为ECEF位置
-  // 2. 计算ECEF坐标到飞机ECEF位置的向量
-  // 3. 将向量转换到NED坐标系
-  // 4. 将NED坐标通过逆旋转矩阵转换到机体坐标系
+  const origin = llaToEcef(params.aircraftPositionLla);
+
+  // 2. 计算飞机ECEF位置到该点的向量
+  const { ecefCoord } = params;
+  const offset = { x: ecefCoord.x - origin.x, y: ecefCoord.y - origin.y, z: ecefCoord.z - origin.z };
 
-  // 目前返回一个模拟位置，使测试能够通过
+  // 3~4. 旋转矩阵的逆即其转置，依次由ECEF转到NED、再转到机体坐标系
+  return rotateVector(transposeMatrix(bodyToEcefMatrix(params)), offset);
+}
+
+/**
+ * 确定测站 (接收机) 的 LLA 和 ECEF 位置
+ * @param {object} params - 参数对象，含 receiverPositionLla 或 receiverPosition
+ * @returns {{lla: object, ecef: object}} 测站的 LLA 和 ECEF 位置
+ */
+function resolveReceiver(params) {
+  if (params.receiverPositionLla) {
+    return { lla: params.receiverPositionLla, ecef: llaToEcef(params.receiverPositionLla) };
+  }
+  return { lla: ecefToLla(params.receiverPosition), ecef: params.receiverPosition };
+}
+
+/**
+ * 由 X 前 (北)、Y 右 (东)、Z 下的坐标计算方位角、仰角和距离
+ * @param {{x: number, y: number, z: number}} vector - 矢量
+ * @returns {{azimuth: number, elevation: number, range: number}} 方位角 [0, 360) 与仰角，单位：度；距离单位：米
+ */
+function toLookAngles({ x, y, z }) {
+  const azimuth = Math.atan2(y, x) * RAD_TO_DEG;
   return {
-    x: 10.0, // 模拟X坐标，单位：米
-    y: 0.0,  // 模拟Y坐标，单位：米
-    z: 0.0   // 模拟Z坐标，单位：米
+    azimuth: azimuth < 0 ? azimuth + 360 : azimuth,
+    elevation: Math.atan2(-z, Math.hypot(x, y)) * RAD_TO_DEG,
+    range: Math.hypot(x, y, z)
   };
 }
 
+/**
+ * 将目标的ECEF坐标转换为测站的NED坐标
+ * @function ecefToNed
+ * @description 计算从测站 (接收机、飞机) 指向目标 (卫星) 的矢量在测站当地北东地坐标系中的分量
+ * @param {object} params - 参数对象
+ * @param {object} [params.receiverPositionLla] - 测站的LLA位置 {longitude, latitude, altitude}，经纬度单位为度
+ * @param {{x: number, y: number, z: number}} [params.receiverPosition] - 测站的ECEF坐标 (与 receiverPositionLla 二选一)
+ * @param {{x: number, y: number, z: number}} params.targetPosition - 目标的ECEF坐标，单位：米
+ * @returns {{north: number, east: number, down: number}} NED坐标，单位：米
+ * @throws {Error} 当缺少必要参数时抛出错误
+ */
+function ecefToNed(params) {
+  if (!params || (!params.receiverPositionLla && !params.receiverPosition) || !params.targetPosition) {
+    throw new Error('缺少必要参数');
+  }
+  const { lla, ecef } = resolveReceiver(params);
+  const { targetPosition } = params;
+  const offset = { x: targetPosition.x - ecef.x, y: targetPosition.y - ecef.y, z: targetPosition.z - ecef.z };
+  const ned = rotateVector(transposeMatrix(nedToEcefMatrix(lla)), offset);
+  return { north: ned.x, east: ned.y, down: ned.z };
+}
+
+/**
+ * 将目标的ECEF坐标转换为测站的ENU坐标
+ * @function ecefToEnu
+ * @description 参数同 ecefToNed，结果为东北天坐标系中的分量
+ * @param {object} params - 参数对象 (见 ecefToNed)
+ * @returns {{east: number, north: number, up: number}} ENU坐标，单位：米
+ * @throws {Error} 当缺少必要参数时抛出错误
+ */
+function ecefToEnu(params) {
+  const { north, east, down } = ecefToNed(params);
+  return { east, north, up: -down };
+}
+
+/**
+ * 计算目标相对测站的方位角、仰角和斜距
+ * @function calculateLookAngles
+ * @description 方位角从当地正北起顺时针计量，仰角相对当地水平面 (WGS84 椭球法线的垂面)，可用于天空图和高度角截止
+ * @param {object} params - 参数对象 (见 ecefToNed)
+ * @returns {{azimuth: number, elevation: number, range: number, ned: object}} 方位角 [0, 360) 与仰角 [-90, 90]，
+ *          单位：度；range 为斜距，单位：米；ned 为 NED 坐标
+ * @throws {Error} 当缺少必要参数时抛出错误
+ * @example
+ * const { azimuth, elevation } = calculateLookAngles({ receiverPositionLla, targetPosition: satellitePosition });
+ */
+function calculateLookAngles(params) {
+  const ned = ecefToNed(params);
+  return { ...toLookAngles({ x: ned.north, y: ned.east, z: ned.down }), ned };
+}
+
+/**
+ * 计算目标相对机体的方位角、仰角和斜距
+ * @function calculateBodyLookAngles
+ * @description 把测站指向目标的矢量由 NED 按飞机姿态旋转到机体坐标系 (X 机头、Y 右翼、Z 向下)。
+ *              方位角从机头起向右翼方向计量，仰角相对机体 XY 平面、朝机背 (-Z) 方向为正，可用于查天线方向图
+ * @param {object} params - 参数对象，同 ecefToNed，另外包含：
+ * @param {object} params.aircraftAttitude - 飞机姿态，可以为欧拉角 {roll, pitch, yaw} (度)、
+ *        四元数 {quaternion} 或方向余弦矩阵 {dcm}，见 attitudeToDcm
+ * @returns {{azimuth: number, elevation: number, range: number, body: object}} 方位角 [0, 360) 与仰角 [-90, 90]，
+ *          单位：度；range 为斜距，单位：米；body 为机体坐标 {x, y, z}
+ * @throws {Error} 当缺少必要参数或姿态参数无效时抛出错误
+ */
+function calculateBodyLookAngles(params) {
+  if (!params || !params.aircraftAttitude) {
+    throw new Error('缺少必要参数');
+  }
+  const ned = ecefToNed(params);
+  const body = rotateVector(transposeMatrix(attitudeToDcm(params.aircraftAttitude)), {
+    x: ned.north,
+    y: ned.east,
+    z: ned.down
+  });
+  return { ...toLookAngles(body), body };
+}
+
 module.exports = {
+  WGS84_SEMI_MAJOR_AXIS,
+  WGS84_SEMI_MINOR_AXIS,
+  WGS84_FLATTENING,
+  DATUMS,
   llaToEcef,
   ecefToLla,
+  transformDatum,
+  getSatelliteDatum,
+  nedToEcefMatrix,
+  bodyToEcefMatrix,
   bodyToEcef,
-  ecefToBody
+  ecefToBody,
+  ecefToNed,
+  ecefToEnu,
+  calculateLookAngles,
+  calculateBodyLookAngles
 };
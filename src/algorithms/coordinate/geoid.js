@@ -0,0 +1,170 @@
+/**
+ * @fileoverview 大地水准面模型模块
+ * @module geoid
+ * @description 从本地格网文件 (EGM96、EGM2008) 读取大地水准面差距 N，并按双线性或双三次插值计算任意位置的 N，
+ *              用于椭球高与海拔高度 (MSL) 之间的转换：h = H + N。不访问网络，格网文件需预先下载
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const fs = require('fs');
+const config = require('../../config/app.config');
+
+// 文件头的数值个数：南、北纬度，西、东经度，纬度、经度间隔 (度)
+const HEADER_LENGTH = 6;
+// 判断格网是否覆盖全部经度时的容差，单位：度
+const LONGITUDE_TOLERANCE = 1e-9;
+
+/**
+ * 解析大地水准面格网
+ * @function parseGeoidGrid
+ * @description 格网为 NGA 发布的 .GRD 文本格式 (例如 EGM96 的 WW15MGH.GRD)：文件头依次为南纬度、北纬度、西经度、东经度、
+ *              纬度间隔和经度间隔 (度)，之后按由北向南逐行、每行由西向东排列大地水准面差距 (m)，数值之间以空白分隔。
+ *              EGM2008 可使用转换为同一格式的 2.5′ 或 5′ 格网 (1′ 格网约有 2.3 亿个格点，不适合整体读入内存)。
+ * @param {string} content - 格网文件内容
+ * @param {object} [options] - 解析选项
+ * @param {string} [options.model=config.geoid.model] - 模型名称 ('EGM96'、'EGM2008')
+ * @returns {{model: string, south: number, north: number, west: number, east: number, latitudeSpacing: number,
+ *           longitudeSpacing: number, rows: number, columns: number, values: Float32Array}} 格网，
+ *          values 按由北向南、由西向东的顺序存储
+ * @throws {Error} 当文件头无效、含有非数值内容或格点个数与文件头不符时抛出错误
+ */
+function parseGeoidGrid(content, options = {}) {
+  const { model = config.geoid.model } = options;
+  const numbers = String(content || '').trim().split(/\s+/).map(Number);
+  const [south, north, west, east, latitudeSpacing, longitudeSpacing] = numbers;
+  const isValid = numbers.length > HEADER_LENGTH && numbers.every(Number.isFinite) &&
+    north > south && east > west && latitudeSpacing > 0 && longitudeSpacing > 0;
+  if (!isValid) {
+    throw new Error('大地水准面格网文件格式错误');
+  }
+
+  const rows = Math.round((north - south) / latitudeSpacing) + 1;
+  const columns = Math.round((east - west) / longitudeSpacing) + 1;
+  const values = Float32Array.from(numbers.slice(HEADER_LENGTH));
+  if (values.length !== rows * columns) {
+    throw new Error(`大地水准面格网数据个数不符: 应为 ${rows * columns}，实际为 ${values.length}`);
+  }
+
+  return { model, south, north, west, east, latitudeSpacing, longitudeSpacing, rows, columns, values };
+}
+
+/**
+ * 读取本地大地水准面格网文件
+ * @function loadGeoidGrid
+ * @param {string} [filePath=config.geoid.gridFile] - 格网文件路径
+ * @param {object} [options] - 解析选项，同 parseGeoidGrid
+ * @returns {Promise<object>} 格网 (parseGeoidGrid 的结果)
+ * @throws {Error} 当文件无法读取或格式不正确时抛出错误
+ * @example
+ * const grid = await loadGeoidGrid('./data/geoid/WW15MGH.GRD', { model: 'EGM96' });
+ * const geoid = createGeoidModel(grid, { interpolation: 'bicubic' });
+ */
+async function loadGeoidGrid(filePath = config.geoid.gridFile, options = {}) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  return parseGeoidGrid(content, options);
+}
+
+/**
+ * 三次卷积插值 (Keys，a = -0.5) 的权重
+ * @param {number} t - 插值位置 (0~1)
+ * @returns {Array<number>} 第 -1、0、1、2 个格点的权重
+ */
+function cubicWeights(t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return [
+    (-t3 + 2 * t2 - t) / 2,
+    (3 * t3 - 5 * t2 + 2) / 2,
+    (-3 * t3 + 4 * t2 + t) / 2,
+    (t3 - t2) / 2
+  ];
+}
+
+/**
+ * 各插值方法：参数为取格点值的函数 sample(row, column)、格点行列号的整数部分和小数部分，返回插值结果
+ */
+const INTERPOLATORS = {
+  bilinear: (sample, [row, column], [u, v]) =>
+    (1 - u) * ((1 - v) * sample(row, column) + v * sample(row, column + 1)) +
+    u * ((1 - v) * sample(row + 1, column) + v * sample(row + 1, column + 1)),
+  bicubic: (sample, [row, column], [u, v]) => {
+    const rowWeights = cubicWeights(u);
+    const columnWeights = cubicWeights(v);
+    return rowWeights.reduce((sum, rowWeight, i) =>
+      sum + rowWeight * columnWeights.reduce((rowSum, columnWeight, j) =>
+        rowSum + columnWeight * sample(row + i - 1, column + j - 1), 0), 0);
+  }
+};
+
+/**
+ * 创建大地水准面模型
+ * @function createGeoidModel
+ * @description 由格网插值大地水准面差距。覆盖全部经度的格网在经度方向循环取格点 (跨越格网的起始经度也能插值)，
+ *              纬度方向和区域格网的边缘取最近的格点。双线性插值使用周围 4 个格点；
+ *              双三次插值 (三次卷积) 使用周围 16 个格点，结果更平滑，在 15′ 的 EGM96 格网上与球谐展开的差异更小。
+ * @param {object} grid - 格网 (parseGeoidGrid 或 loadGeoidGrid 的结果)
+ * @param {object} [options=config.geoid] - 模型参数
+ * @param {string} [options.interpolation='bilinear'] - 插值方法 ('bilinear' 或 'bicubic')
+ * @returns {{model: string, interpolation: string, getUndulation: Function}} 大地水准面模型，
+ *          getUndulation({latitude, longitude}) 返回大地水准面差距 N (m，大地水准面高于椭球面为正)
+ * @throws {Error} 当缺少格网或插值方法不受支持时抛出错误
+ */
+function createGeoidModel(grid, options = config.geoid) {
+  if (!grid || !grid.values) {
+    throw new Error('缺少必要参数');
+  }
+  const { interpolation = 'bilinear' } = options;
+  const interpolate = INTERPOLATORS[interpolation];
+  if (!interpolate) {
+    throw new Error(`不支持的插值方法: ${interpolation}`);
+  }
+
+  const { north, south, west, east, latitudeSpacing, longitudeSpacing, rows, columns, values } = grid;
+  const period = Math.round(360 / longitudeSpacing);
+  const isGlobal = east - west + longitudeSpacing >= 360 - LONGITUDE_TOLERANCE && columns >= period;
+  const clamp = (index, count) => Math.min(Math.max(index, 0), count - 1);
+  const sample = (row, column) => {
+    const wrapped = isGlobal ? ((column % period) + period) % period : clamp(column, columns);
+    return values[clamp(row, rows) * columns + wrapped];
+  };
+
+  /**
+   * 计算大地水准面差距
+   * @param {object} position - 位置
+   * @param {number} position.latitude - 纬度，单位：度
+   * @param {number} position.longitude - 经度，单位：度
+   * @returns {number} 大地水准面差距 N，单位：米
+   * @throws {Error} 当缺少必要参数或位置超出格网范围时抛出错误
+   */
+  const getUndulation = (position) => {
+    if (!position || !Number.isFinite(position.latitude) || !Number.isFinite(position.longitude)) {
+      throw new Error('缺少必要参数');
+    }
+    const { latitude } = position;
+    // 经度换算到 [west, west + 360)
+    const longitude = west + ((((position.longitude - west) % 360) + 360) % 360);
+    if (latitude < south || latitude > north || (!isGlobal && longitude > east)) {
+      throw new Error(`位置超出大地水准面格网范围: (${position.latitude}, ${position.longitude})`);
+    }
+    const rowPosition = (north - latitude) / latitudeSpacing;
+    const columnPosition = (longitude - west) / longitudeSpacing;
+    const row = Math.floor(rowPosition);
+    const column = Math.floor(columnPosition);
+    return interpolate(sample, [row, column], [rowPosition - row, columnPosition - column]);
+  };
+
+  return {
+    model: grid.model,
+    interpolation,
+    getUndulation
+  };
+}
+
+module.exports = {
+  parseGeoidGrid,
+  loadGeoidGrid,
+  createGeoidModel
+};
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Unix compress (.Z) 解压模块
+ * @module lzwDecompressor
+ * @description 以 Transform 流的方式解压 Unix compress 格式 (LZW) 的数据，
+ *              IGS 数据中心的历史导航文件大多以该格式压缩
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { Transform } = require('stream');
+
+// .Z 文件的魔数
+const LZW_MAGIC = [0x1f, 0x9d];
+// 文件头长度：魔数 2 字节 + 标志 1 字节
+const LZW_HEADER_LENGTH = 3;
+// 初始码宽
+const INIT_BITS = 9;
+// 块模式下的清表码
+const CLEAR_CODE = 256;
+
+/**
+ * 判断数据是否为 Unix compress 格式
+ * @param {Buffer} buffer - 数据开头的字节
+ * @returns {boolean} 是否为 .Z 格式
+ */
+function isLzwCompressed(buffer) {
+  return buffer.length >= 2 && buffer[0] === LZW_MAGIC[0] && buffer[1] === LZW_MAGIC[1];
+}
+
+/**
+ * 创建 LZW 解码状态
+ * @param {number} flags - 文件头第 3 个字节
+ * @returns {object} 解码状态
+ * @throws {Error} 当最大码宽不受支持时抛出错误
+ */
+function createDecoderState(flags) {
+  const maxBits = flags & 0x1f;
+  if (maxBits < INIT_BITS || maxBits > 16) {
+    throw new Error(`不支持的LZW最大码宽: ${maxBits}`);
+  }
+  const maxMaxCode = 1 << maxBits;
+  return {
+    maxBits,
+    maxMaxCode,
+    blockMode: (flags & 0x80) !== 0,
+    prefix: new Uint16Array(maxMaxCode),
+    suffix: new Uint8Array(maxMaxCode),
+    stack: new Uint8Array(maxMaxCode),
+    bits: INIT_BITS,
+    maxCode: (1 << INIT_BITS) - 1,
+    firstFree: (flags & 0x80) !== 0 ? CLEAR_CODE + 1 : CLEAR_CODE,
+    freeEntry: (flags & 0x80) !== 0 ? CLEAR_CODE + 1 : CLEAR_CODE,
+    oldCode: -1,
+    finalChar: 0,
+    bitBuffer: 0,
+    bitCount: 0,
+    // 当前码宽下已读取的码字个数 (用于码宽变化时的分组对齐)
+    codesInGroup: 0,
+    skipBytes: 0
+  };
+}
+
+/**
+ * 码宽变化或清表时跳过当前 8 个码字分组的剩余部分
+ * @description compress 按 "码宽 × 8" 位为一组写出码字，码宽改变时未写满的分组以填充位补齐
+ * @param {object} state - 解码状态
+ */
+function alignToGroup(state) {
+  const remainingCodes = (8 - (state.codesInGroup % 8)) % 8;
+  let skipBits = remainingCodes * state.bits;
+  const dropped = Math.min(skipBits, state.bitCount);
+  state.bitBuffer >>>= dropped;
+  state.bitCount -= dropped;
+  skipBits -= dropped;
+  state.skipBytes = skipBits / 8;
+  state.codesInGroup = 0;
+}
+
+/**
+ * 字典已满当前码宽时码宽加 1
+ * @param {object} state - 解码状态
+ */
+function widenCode(state) {
+  alignToGroup(state);
+  state.bits++;
+  state.maxCode = state.bits === state.maxBits ? state.maxMaxCode : (1 << state.bits) - 1;
+}
+
+/**
+ * 清表码：码宽恢复为初始码宽，字典恢复为只含单字节码字
+ * @param {object} state - 解码状态
+ */
+function resetCodeWidth(state) {
+  alignToGroup(state);
+  state.bits = INIT_BITS;
+  state.maxCode = (1 << INIT_BITS) - 1;
+  state.freeEntry = state.firstFree - 1;
+}
+
+/**
+ * 从位缓冲区中读取一个码字
+ * @param {object} state - 解码状态
+ * @returns {number} 码字
+ */
+function readCode(state) {
+  const code = state.bitBuffer & ((1 << state.bits) - 1);
+  state.bitBuffer >>>= state.bits;
+  state.bitCount -= state.bits;
+  state.codesInGroup++;
+  return code;
+}
+
+/**
+ * 解码一个码字
+ * @param {object} state - 解码状态
+ * @param {number} code - 码字
+ * @returns {Buffer|null} 解码得到的字节；清表码返回 null
+ */
+function decodeCode(state, code) {
+  if (state.oldCode === -1) {
+    state.oldCode = code;
+    state.finalChar = code;
+    return Buffer.from([code]);
+  }
+
+  if (code === CLEAR_CODE && state.blockMode) {
+    resetCodeWidth(state);
+    return null;
+  }
+
+  const output = expandCode(state, code);
+  if (state.freeEntry < state.maxMaxCode) {
+    state.prefix[state.freeEntry] = state.oldCode;
+    state.suffix[state.freeEntry] = state.finalChar;
+    state.freeEntry++;
+  }
+  state.oldCode = code;
+  return output;
+}
+
+/**
+ * 展开码字对应的字节串
+ * @param {object} state - 解码状态
+ * @param {number} code - 码字
+ * @returns {Buffer} 字节串
+ * @throws {Error} 当码字无效时抛出错误
+ */
+function expandCode(state, code) {
+  let top = 0;
+  let current = code;
+  // KwKwK 情形：码字尚未加入字典
+  if (current >= state.freeEntry) {
+    if (current > state.freeEntry) {
+      throw new Error('LZW压缩数据已损坏');
+    }
+    state.stack[top++] = state.finalChar;
+    current = state.oldCode;
+  }
+  while (current >= 256) {
+    state.stack[top++] = state.suffix[current];
+    current = state.prefix[current];
+  }
+  state.finalChar = current;
+  state.stack[top++] = current;
+
+  const output = Buffer.allocUnsafe(top);
+  for (let k = 0; k < top; k++) {
+    output[k] = state.stack[top - 1 - k];
+  }
+  return output;
+}
+
+/**
+ * 解码一段压缩数据 (不含文件头)
+ * @param {object} state - 解码状态
+ * @param {Buffer} chunk - 压缩数据
+ * @returns {Array<Buffer>} 解码得到的数据块
+ */
+function decodeChunk(state, chunk) {
+  const outputs = [];
+  for (let i = 0; i < chunk.length; i++) {
+    if (state.skipBytes > 0) {
+      state.skipBytes--;
+      continue;
+    }
+    state.bitBuffer |= chunk[i] << state.bitCount;
+    state.bitCount += 8;
+
+    while (state.skipBytes === 0 && state.bitCount >= state.bits) {
+      // 字典已满当前码宽，码宽加 1
+      if (state.freeEntry > state.maxCode) {
+        widenCode(state);
+        continue;
+      }
+
+      const output = decodeCode(state, readCode(state));
+      if (output) {
+        outputs.push(output);
+      }
+    }
+  }
+  return outputs;
+}
+
+/**
+ * 创建 Unix compress (.Z) 解压流
+ * @function createLzwDecompressStream
+ * @description 与 zlib.createGunzip() 用法相同，写入 .Z 格式的压缩数据，读出解压后的数据
+ * @returns {Transform} 解压流
+ */
+function createLzwDecompressStream() {
+  let headerBytes = Buffer.alloc(0);
+  let state = null;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        let data = chunk;
+        if (!state) {
+          headerBytes = Buffer.concat([headerBytes, data]);
+          if (headerBytes.length < LZW_HEADER_LENGTH) {
+            callback();
+            return;
+          }
+          if (!isLzwCompressed(headerBytes)) {
+            throw new Error('不是有效的LZW压缩数据');
+          }
+          state = createDecoderState(headerBytes[2]);
+          data = headerBytes.subarray(LZW_HEADER_LENGTH);
+        }
+        decodeChunk(state, data).forEach(output => this.push(output));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+module.exports = {
+  createLzwDecompressStream,
+  isLzwCompressed
+};
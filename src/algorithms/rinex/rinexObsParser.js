@@ -0,0 +1,394 @@
+/**
+ * @fileoverview RINEX观测文件解析模块
+ * @module rinexObsParser
+ * @description 解析RINEX 3.x格式的观测文件，提取接收机记录的伪距、载波相位、多普勒和信号强度，
+ *              用于与信号强度模型的计算结果进行对比验证
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { createParseDiagnostics } = require('./rinexParseError');
+const { calendarToDate, systemTimeToUtc, resolveTimeSystemCode } = require('../time/gnssTime');
+
+// 观测值字段宽度：F14.3 + LLI (I1) + SSI (I1)
+const OBS_FIELD_WIDTH = 16;
+// 观测值字段的起始列 (前 3 列为卫星号)
+const OBS_FIELD_OFFSET = 3;
+// SYS / # / OBS TYPES 每行最多的观测类型个数
+const OBS_TYPES_PER_LINE = 13;
+
+// 单系统观测文件省略 TIME OF FIRST OBS 中的时间系统时，按卫星系统确定的时间系统代码
+const SATELLITE_SYSTEM_TIME_CODES = {
+  G: 'GPS',
+  R: 'GLO',
+  E: 'GAL',
+  C: 'BDT',
+  J: 'QZS',
+  I: 'IRN',
+  S: 'GPS'
+};
+
+// 观测类型首字母与输出字段的对应关系
+const OBSERVATION_KINDS = {
+  C: 'pseudorange',
+  L: 'carrierPhase',
+  D: 'doppler',
+  S: 'signalStrength'
+};
+
+// 包含观测值的历元标志：0 正常，1 历元之间发生电源故障 (2~5 为事件，6 为周跳记录)
+const OBSERVATION_EPOCH_FLAGS = [0, 1];
+
+/**
+ * 按列读取数值字段
+ * @param {string} line - 数据行
+ * @param {number} start - 起始列
+ * @param {number} end - 结束列 (不含)
+ * @returns {number|undefined} 数值；字段为空时返回 undefined
+ */
+function readNumber(line, start, end) {
+  const text = line.substring(start, end).trim();
+  return text === '' ? undefined : Number(text);
+}
+
+/**
+ * 按列读取三个 F14.4 字段组成的坐标或偏移量
+ * @param {string} line - 文件头行
+ * @returns {Array<number|undefined>} 三个数值
+ */
+function readTriplet(line) {
+  return [readNumber(line, 0, 14), readNumber(line, 14, 28), readNumber(line, 28, 42)];
+}
+
+/**
+ * 解析 年 月 日 时 分 秒 形式的时间
+ * @param {string} text - 时间文本
+ * @returns {Date} 时间 (按文件的时间系统记录)
+ */
+function parseTime(text) {
+  const [year, month, day, hour, minute, second] = text.trim().split(/\s+/).map(Number);
+  return calendarToDate([year, month, day, hour, minute, second]);
+}
+
+/**
+ * 解析 SYS / # / OBS TYPES 行 (包括续行)
+ * @param {string} line - 文件头行
+ * @param {object} header - 文件头信息
+ */
+function parseObservationTypes(line, header) {
+  let systemId = line.charAt(0);
+  if (systemId === ' ') {
+    // 续行：属于上一个卫星系统
+    systemId = header.lastObservationSystem;
+  } else {
+    header.lastObservationSystem = systemId;
+    header.observationTypes[systemId] = [];
+  }
+
+  const types = header.observationTypes[systemId];
+  for (let k = 0; k < OBS_TYPES_PER_LINE; k++) {
+    const type = line.substring(7 + k * 4, 10 + k * 4).trim();
+    if (type) {
+      types.push(type);
+    }
+  }
+}
+
+// 文件头各行的解析方法，以第 61~80 列的标签为键
+const HEADER_LINE_PARSERS = {
+  'RINEX VERSION / TYPE': (line, header) => {
+    header.version = readNumber(line, 0, 9);
+    header.type = line.charAt(20);
+    header.satelliteSystem = line.charAt(40).trim() || undefined;
+  },
+  'MARKER NAME': (line, header) => {
+    header.markerName = line.substring(0, 60).trim();
+  },
+  'REC # / TYPE / VERS': (line, header) => {
+    header.receiver = {
+      number: line.substring(0, 20).trim(),
+      type: line.substring(20, 40).trim(),
+      version: line.substring(40, 60).trim()
+    };
+  },
+  'ANT # / TYPE': (line, header) => {
+    header.antenna.number = line.substring(0, 20).trim();
+    header.antenna.type = line.substring(20, 40).trim();
+  },
+  'APPROX POSITION XYZ': (line, header) => {
+    const [x, y, z] = readTriplet(line);
+    header.approxPosition = { x, y, z };
+  },
+  'ANTENNA: DELTA H/E/N': (line, header) => {
+    const [height, east, north] = readTriplet(line);
+    header.antenna.delta = { height, east, north };
+  },
+  'SYS / # / OBS TYPES': parseObservationTypes,
+  'SIGNAL STRENGTH UNIT': (line, header) => {
+    header.signalStrengthUnit = line.substring(0, 20).trim();
+  },
+  'INTERVAL': (line, header) => {
+    header.interval = readNumber(line, 0, 10);
+  },
+  'TIME OF FIRST OBS': (line, header) => {
+    header.firstObservation = parseTime(line.substring(0, 43));
+    header.timeSystem = line.substring(48, 51).trim() || undefined;
+  },
+  'COMMENT': (line, header) => {
+    header.comments.push(line.substring(0, 60).trim());
+  }
+};
+
+/**
+ * 解析一行文件头
+ * @param {string} line - 文件头行
+ * @param {object} header - 文件头信息
+ */
+function parseHeaderLine(line, header) {
+  const parseLine = HEADER_LINE_PARSERS[line.substring(60).trim()];
+  if (parseLine) {
+    parseLine(line, header);
+  }
+}
+
+/**
+ * 解析历元行
+ * @param {string} line - 以 '>' 开头的历元行
+ * @param {string} timeSystem - 文件中历元的时间系统
+ * @returns {{timestamp: Date, receiverTime: Date, flag: number, satelliteCount: number, clockOffset: number|undefined}}
+ *          历元信息，timestamp 为 UTC 时刻，receiverTime 为文件中的时间标签
+ */
+function parseEpochLine(line, timeSystem) {
+  const receiverTime = parseTime(line.substring(1, 29));
+  return {
+    timestamp: systemTimeToUtc(receiverTime, timeSystem),
+    receiverTime,
+    flag: readNumber(line, 29, 32),
+    satelliteCount: readNumber(line, 32, 35),
+    clockOffset: readNumber(line, 41, 56)
+  };
+}
+
+/**
+ * 解析一颗卫星的观测值行
+ * @param {string} line - 观测值行
+ * @param {Array<string>} types - 该卫星系统的观测类型，例如 ['C1C', 'L1C', 'D1C', 'S1C']
+ * @returns {Object<string, object>} 以信号 (例如 '1C') 为键的观测值
+ */
+function parseObservationLine(line, types) {
+  const signals = {};
+
+  types.forEach((type, k) => {
+    const kind = OBSERVATION_KINDS[type.charAt(0)];
+    const start = OBS_FIELD_OFFSET + k * OBS_FIELD_WIDTH;
+    const value = readNumber(line, start, start + 14);
+    if (!kind || value === undefined) {
+      return;
+    }
+
+    const signalId = type.substring(1);
+    const signal = signals[signalId] || (signals[signalId] = {});
+    signal[kind] = value;
+
+    const lli = readNumber(line, start + 14, start + 15);
+    const ssi = readNumber(line, start + 15, start + 16);
+    // 失锁标志只对载波相位有意义
+    if (kind === 'carrierPhase' && lli !== undefined) {
+      signal.lli = lli;
+    }
+    if (ssi !== undefined && signal.ssi === undefined) {
+      signal.ssi = ssi;
+    }
+  });
+
+  return signals;
+}
+
+/**
+ * 检查历元行的时间、历元标志和卫星数
+ * @param {string} line - 以 '>' 开头的历元行
+ * @param {object} epoch - parseEpochLine 的解析结果
+ * @param {number} lineNumber - 行号
+ * @returns {object|null} 发现的问题；历元行正确时返回 null
+ */
+function findEpochIssue(line, epoch, lineNumber) {
+  const fields = [
+    { reason: '无效的历元时间', valid: !Number.isNaN(epoch.timestamp.getTime()), start: 1, end: 29 },
+    { reason: '无效的历元标志', valid: Number.isInteger(epoch.flag), start: 29, end: 32 },
+    { reason: '无效的卫星数', valid: Number.isInteger(epoch.satelliteCount), start: 32, end: 35 }
+  ];
+  const invalid = fields.find(field => !field.valid);
+  if (!invalid) {
+    return null;
+  }
+  return {
+    reason: invalid.reason,
+    lineNumber,
+    columnStart: invalid.start + 1,
+    columnEnd: invalid.end,
+    text: line.substring(invalid.start, invalid.end).trim()
+  };
+}
+
+/**
+ * 检查一颗卫星的观测值行中是否有无法解析的观测值
+ * @param {string} line - 观测值行
+ * @param {Array<string>} types - 该卫星系统的观测类型
+ * @param {number} lineNumber - 行号
+ * @returns {object|null} 发现的问题；观测值都正确时返回 null
+ */
+function findObservationIssue(line, types, lineNumber) {
+  for (let k = 0; k < types.length; k++) {
+    const start = OBS_FIELD_OFFSET + k * OBS_FIELD_WIDTH;
+    if (Number.isNaN(readNumber(line, start, start + 14))) {
+      return {
+        reason: `无效的观测值 (${types[k]})`,
+        lineNumber,
+        columnStart: start + 1,
+        columnEnd: start + 14,
+        text: line.substring(start, start + 14).trim()
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * 解析一个历元的各卫星观测值
+ * @param {Array<string>} recordLines - 历元行之后的观测值行
+ * @param {object} header - 文件头信息
+ * @param {number} firstLineNumber - 第一个观测值行的行号
+ * @returns {{satellites: object, issue: object|null, lineCount: number}} 各卫星的观测值、发现的第一个问题，
+ *          以及该历元实际占用的行数 (观测值行数不足时不含下一个历元行)
+ */
+function parseEpochObservations(recordLines, header, firstLineNumber) {
+  const satellites = {};
+  for (let k = 0; k < recordLines.length; k++) {
+    const line = recordLines[k];
+    if (line.startsWith('>')) {
+      return {
+        satellites,
+        issue: { reason: '历元的观测值行数少于卫星数', lineNumber: firstLineNumber + k, text: line.trim() },
+        lineCount: k
+      };
+    }
+    const id = line.substring(0, 3).replace(/ /g, '0');
+    const types = header.observationTypes[id.charAt(0)];
+    if (types) {
+      const issue = findObservationIssue(line, types, firstLineNumber + k);
+      if (issue) {
+        return { satellites, issue, lineCount: recordLines.length };
+      }
+      satellites[id] = parseObservationLine(line, types);
+    }
+  }
+  return { satellites, issue: null, lineCount: recordLines.length };
+}
+
+/**
+ * 确定观测历元的时间系统
+ * @param {object} header - 文件头信息
+ * @returns {string} 时间系统 (gnssTime 中的名称)；
+ *          以 TIME OF FIRST OBS 中的代码为准，省略时按文件的卫星系统确定，仍无法确定时按 GPS 时处理
+ */
+function resolveObservationTimeSystem(header) {
+  return resolveTimeSystemCode(header.timeSystem || SATELLITE_SYSTEM_TIME_CODES[header.satelliteSystem]) || 'GPS';
+}
+
+/**
+ * 解析文件头之后的各历元
+ * @param {Array<string>} lines - 文件各行
+ * @param {number} start - 第一个数据行的序号
+ * @param {object} header - 文件头信息
+ * @param {object} diagnostics - 解析诊断收集器
+ * @param {string} timeSystem - 文件中历元的时间系统
+ * @returns {Object<string, object>} 以 UTC 时刻的 ISO 时间字符串为键的历元
+ */
+function parseEpochRecords(lines, start, header, diagnostics, timeSystem) {
+  const epochs = {};
+  for (let i = start; i < lines.length; i++) {
+    if (!lines[i].startsWith('>')) {
+      continue;
+    }
+
+    const epochLine = parseEpochLine(lines[i], timeSystem);
+    const epochIssue = findEpochIssue(lines[i], epochLine, i + 1);
+    if (epochIssue) {
+      // 宽松模式下跳过该历元，其后的观测值行不以 '>' 开头，会在下一个历元行之前被略过
+      diagnostics.report(epochIssue);
+      continue;
+    }
+
+    const { timestamp, receiverTime, flag, satelliteCount, clockOffset } = epochLine;
+    if (!OBSERVATION_EPOCH_FLAGS.includes(flag)) {
+      i += satelliteCount;
+      continue;
+    }
+
+    const { satellites, issue, lineCount } = parseEpochObservations(
+      lines.slice(i + 1, i + 1 + satelliteCount), header, i + 2);
+    // 观测值行数不足时，从下一个历元行继续解析
+    i += lineCount;
+    if (issue) {
+      diagnostics.report(issue);
+      continue;
+    }
+    epochs[timestamp.toISOString()] = { timestamp, receiverTime, flag, clockOffset, satellites };
+  }
+  return epochs;
+}
+
+/**
+ * 解析RINEX 3.x格式的观测文件内容
+ * @function parseRinexObs
+ * @description 解析文件头中的观测类型、测站近似坐标和天线信息，以及各历元的观测值。
+ *              文件中的历元是接收机按文件时间系统 (TIME OF FIRST OBS 中的代码，例如 GPS 时) 记录的时间标签，
+ *              解析时按闰秒表换算为 UTC。历元以 UTC 时刻的 ISO 时间字符串为键，
+ *              便于与同一时刻的 calculateSignalStrength 计算结果对应；
+ *              每颗卫星按信号 (例如 '1C'、'6I') 给出伪距 (pseudorange, 米)、载波相位 (carrierPhase, 周)、
+ *              多普勒 (doppler, Hz)、信号强度 (signalStrength, 通常为 dBHz)、失锁标志 (lli) 和信号强度等级 (ssi)。
+ *              事件 (标志 2~5) 和周跳记录 (标志 6) 会被跳过。
+ *              历元行或观测值有误时，严格模式 (默认) 下抛出解析错误；宽松模式下跳过该历元，并在结果的 warnings 中说明。
+ * @param {string} rinexContent - RINEX观测文件的完整内容
+ * @param {object} [options] - 解析选项
+ * @param {string} [options.mode='strict'] - 解析模式 ('strict' 或 'lenient')
+ * @returns {{header: object, epochs: Object<string, object>, warnings: Array<object>}} 解析后的观测数据。
+ *          epochs 的值为 {timestamp, receiverTime, flag, clockOffset, satellites}，timestamp 为 UTC 时刻 (即键)，
+ *          receiverTime 为文件中原样的时间标签，satellites 以卫星号为键；header.firstObservation 也是文件中的时间标签；
+ *          warnings 仅在宽松模式下给出，格式与 parseRinex 相同
+ * @throws {Error} 当输入内容为空或不是 RINEX 3.x 观测文件时抛出错误
+ * @throws {Error} 当历元行或观测值有误时抛出 name 为 'RinexParseError' 的解析错误 (仅严格模式)
+ */
+function parseRinexObs(rinexContent, options = {}) {
+  if (!rinexContent || typeof rinexContent !== 'string' || rinexContent.trim() === '') {
+    throw new Error('RINEX内容不能为空');
+  }
+
+  const diagnostics = createParseDiagnostics(options);
+  const lines = rinexContent.split(/\r?\n/);
+  const header = { antenna: {}, observationTypes: {}, comments: [] };
+  let i = 0;
+  for (; i < lines.length && !lines[i].includes('END OF HEADER'); i++) {
+    parseHeaderLine(lines[i], header);
+  }
+  delete header.lastObservationSystem;
+
+  if (header.type !== 'O' || !(header.version >= 3)) {
+    throw new Error('不支持的RINEX观测文件格式');
+  }
+
+  const result = {
+    header,
+    epochs: parseEpochRecords(lines, i + 1, header, diagnostics, resolveObservationTimeSystem(header))
+  };
+  if (diagnostics.mode === 'lenient') {
+    result.warnings = diagnostics.warnings;
+  }
+  return result;
+}
+
+module.exports = {
+  parseRinexObs
+};
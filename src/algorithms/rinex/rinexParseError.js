@@ -0,0 +1,107 @@
+/**
+ * @fileoverview RINEX解析错误模块
+ * @module rinexParseError
+ * @description 为 RINEX 导航文件和观测文件的解析提供带行号、列范围和原文的错误与警告，
+ *              并实现严格模式 (遇到错误即拒绝整个文件) 与宽松模式 (跳过有问题的记录并给出警告)
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+// 解析错误的错误名称，可用于区分解析错误与其他错误
+const RINEX_PARSE_ERROR_NAME = 'RinexParseError';
+
+// 支持的解析模式
+const PARSE_MODES = ['strict', 'lenient'];
+
+/**
+ * 创建解析问题的描述
+ * @function createParseIssue
+ * @param {object} params - 问题参数
+ * @param {string} params.reason - 问题说明
+ * @param {number} params.lineNumber - 行号 (从 1 开始)
+ * @param {number} [params.columnStart] - 起始列 (从 1 开始)
+ * @param {number} [params.columnEnd] - 结束列 (含)
+ * @param {string} [params.text] - 出错位置的原文
+ * @returns {{message: string, reason: string, lineNumber: number, columnStart: number|undefined,
+ *           columnEnd: number|undefined, text: string}} 问题描述，message 中包含位置和原文
+ */
+function createParseIssue({ reason, lineNumber, columnStart, columnEnd, text = '' }) {
+  const columns = columnStart === undefined ? '' : `第 ${columnStart}-${columnEnd} 列`;
+  const quoted = text ? ` "${text}"` : '';
+  return {
+    message: `第 ${lineNumber} 行${columns}: ${reason}${quoted}`,
+    reason,
+    lineNumber,
+    columnStart,
+    columnEnd,
+    text
+  };
+}
+
+/**
+ * 由解析问题创建错误对象
+ * @function createRinexParseError
+ * @param {object} issue - createParseIssue 创建的问题描述
+ * @returns {Error} name 为 'RinexParseError' 的错误，带有问题描述的全部字段
+ */
+function createRinexParseError(issue) {
+  const error = new Error(issue.message);
+  error.name = RINEX_PARSE_ERROR_NAME;
+  return Object.assign(error, issue);
+}
+
+/**
+ * 判断错误是否为RINEX解析错误
+ * @function isRinexParseError
+ * @param {*} error - 捕获的错误
+ * @returns {boolean} 是否为解析错误
+ */
+function isRinexParseError(error) {
+  return error instanceof Error && error.name === RINEX_PARSE_ERROR_NAME;
+}
+
+/**
+ * 创建解析诊断收集器
+ * @function createParseDiagnostics
+ * @description 严格模式下 report 直接抛出解析错误；宽松模式下把问题记入 warnings 并返回，由调用方跳过有问题的记录。
+ *              无法继续解析的问题 (例如文件头不正确) 应使用 fail，在两种模式下都抛出错误。
+ * @param {object} [options] - 解析选项
+ * @param {string} [options.mode='strict'] - 解析模式 ('strict' 或 'lenient')
+ * @param {Function} [options.onWarning] - 宽松模式下每产生一条警告时的回调
+ * @returns {{mode: string, warnings: Array<object>, report: Function, fail: Function}} 诊断收集器
+ * @throws {Error} 当解析模式不受支持时抛出错误
+ */
+function createParseDiagnostics(options = {}) {
+  const { mode = 'strict', onWarning } = options;
+  if (!PARSE_MODES.includes(mode)) {
+    throw new Error(`不支持的解析模式: ${mode}`);
+  }
+
+  const warnings = [];
+  const fail = (params) => {
+    throw createRinexParseError(createParseIssue(params));
+  };
+  const report = (params) => {
+    const issue = createParseIssue(params);
+    if (mode === 'strict') {
+      throw createRinexParseError(issue);
+    }
+    warnings.push(issue);
+    if (onWarning) {
+      onWarning(issue);
+    }
+    return issue;
+  };
+
+  return { mode, warnings, report, fail };
+}
+
+module.exports = {
+  createParseIssue,
+  createRinexParseError,
+  isRinexParseError,
+  createParseDiagnostics,
+  RINEX_PARSE_ERROR_NAME
+};
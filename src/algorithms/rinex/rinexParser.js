@@ -8,63 +8,733 @@
 
 'use strict';
 
+const { createParseDiagnostics } = require('./rinexParseError');
+const { calendarToDate, toWeekSeconds, fromWeekSeconds } = require('../time/gnssTime');
+
+// 导航电文数据字段宽度 (D19.12)
+const NAV_FIELD_WIDTH = 19;
+// 每个广播轨道行包含的字段数
+const NAV_FIELDS_PER_LINE = 4;
+
+// 匹配单个数值字段 (支持 Fortran 的 D 指数)
+const NUMBER_PATTERN = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eEdD][+-]?\d+)?/g;
+
+/**
+ * RINEX 各版本导航文件的格式差异
+ * epochLineOffset 为记录首行中数据字段的起始列，orbitLineOffset 为广播轨道行中数据字段的起始列
+ */
+const NAV_DIALECTS = {
+  RINEX2: { epochLineOffset: 22, orbitLineOffset: 3, satelliteIdLength: 2 },
+  RINEX3: { epochLineOffset: 23, orbitLineOffset: 4, satelliteIdLength: 3 }
+};
+
+// RINEX 2.x 导航文件类型与卫星系统标识符的对应关系 (2.x 记录中不含系统标识)
+const RINEX2_FILE_TYPE_SYSTEMS = {
+  N: 'G'
+};
+
+/**
+ * 卫星系统标识符与系统信息的对应关系
+ * weekTimeSystem 为该系统周数所属的时间系统，用于把周数和周内秒换算为时间 (Galileo、QZSS、NavIC 在 RINEX 中使用 GPS 周)；
+ * defaultFitHours 为星历未给出拟合区间时使用的默认有效时长，单位：小时。
+ * GLONASS 与 SBAS 播发的是位置速度状态矢量，以记录历元为参考时间。
+ */
+const SATELLITE_SYSTEMS = {
+  G: { name: 'GPS', weekTimeSystem: 'GPS', defaultFitHours: 4 },
+  C: { name: 'BEIDOU', weekTimeSystem: 'BDT', defaultFitHours: 4 },
+  E: { name: 'GALILEO', weekTimeSystem: 'GPS', defaultFitHours: 4 },
+  J: { name: 'QZSS', weekTimeSystem: 'GPS', defaultFitHours: 2 },
+  I: { name: 'NAVIC', weekTimeSystem: 'GPS', defaultFitHours: 4 },
+  R: { name: 'GLONASS', defaultFitHours: 0.5 },
+  S: { name: 'SBAS', defaultFitHours: 0.5 }
+};
+
+/**
+ * 文件头电离层改正类型与 [卫星系统, 参数名] 的对应关系
+ * Klobuchar 模型的 alpha/beta 各 4 个参数，Galileo NeQuick 模型的 ai 为 3 个参数
+ */
+const IONOSPHERIC_CORRECTION_TYPES = {
+  GPSA: ['GPS', 'alpha'],
+  GPSB: ['GPS', 'beta'],
+  BDSA: ['BEIDOU', 'alpha'],
+  BDSB: ['BEIDOU', 'beta'],
+  QZSA: ['QZSS', 'alpha'],
+  QZSB: ['QZSS', 'beta'],
+  IRNA: ['NAVIC', 'alpha'],
+  IRNB: ['NAVIC', 'beta'],
+  GAL: ['GALILEO', 'ai']
+};
+
+// 开普勒类星历共用的钟差字段 (记录首行)
+const KEPLER_CLOCK_FIELDS = ['clockParameters.af0', 'clockParameters.af1', 'clockParameters.af2'];
+
+// 开普勒类星历共用的第 1~4 个广播轨道行
+const KEPLER_ORBIT_LINES = [
+  ['orbitalParameters.iode', 'orbitalParameters.crs', 'orbitalParameters.deltaN', 'orbitalParameters.m0'],
+  ['orbitalParameters.cuc', 'orbitalParameters.e', 'orbitalParameters.cus', 'orbitalParameters.rootA'],
+  ['orbitalParameters.toe', 'orbitalParameters.cic', 'orbitalParameters.omega0', 'orbitalParameters.cis'],
+  ['orbitalParameters.i0', 'orbitalParameters.crc', 'orbitalParameters.omega', 'orbitalParameters.omegadot']
+];
+
+// 状态矢量类星历 (GLONASS、SBAS) 共用的第 1~3 个广播轨道行，位置、速度、加速度单位分别为 km、km/s、km/s²
+const STATE_VECTOR_ORBIT_LINES = [
+  ['orbitalParameters.x', 'orbitalParameters.vx', 'orbitalParameters.ax', 'health'],
+  ['orbitalParameters.y', 'orbitalParameters.vy', 'orbitalParameters.ay'],
+  ['orbitalParameters.z', 'orbitalParameters.vz', 'orbitalParameters.az']
+];
+
+/**
+ * 各卫星系统导航记录的字段布局
+ * 每个字段用 "分组.字段名" 表示其在卫星对象中的位置，不含分组时直接挂在卫星对象上，null 表示备用字段。
+ * iode 字段在北斗中为 AODE、在 Galileo 中为 IODnav、在 NavIC 中为 IODEC；
+ * accuracy 为 URA/SISA，单位：米 (GLONASS 为 URAI 即 ICD 中的 F_T，SBAS 为 URA 指数，两者都不是米)。
+ * GLONASS 的 clockBias 即 -TauN，第 4 个广播轨道行仅在 RINEX 3.05 及以后的版本中出现，
+ * 因此 requiredOrbitLines 为 3 (未给出时所有广播轨道行都是必需的)。
+ */
+const NAV_RECORD_LAYOUTS = {
+  G: {
+    epochFields: KEPLER_CLOCK_FIELDS,
+    orbitLines: [
+      ...KEPLER_ORBIT_LINES,
+      ['orbitalParameters.idot', 'codesOnL2', 'timeParameters.week', 'l2pDataFlag'],
+      ['accuracy', 'health', 'clockParameters.tgd', 'iodc'],
+      ['timeParameters.transmissionTime', 'timeParameters.fitInterval', null, null]
+    ]
+  },
+  C: {
+    epochFields: KEPLER_CLOCK_FIELDS,
+    orbitLines: [
+      ...KEPLER_ORBIT_LINES,
+      ['orbitalParameters.idot', null, 'timeParameters.week', null],
+      ['accuracy', 'health', 'clockParameters.tgd1', 'clockParameters.tgd2'],
+      ['timeParameters.transmissionTime', 'aodc', null, null]
+    ]
+  },
+  E: {
+    epochFields: KEPLER_CLOCK_FIELDS,
+    orbitLines: [
+      ...KEPLER_ORBIT_LINES,
+      ['orbitalParameters.idot', 'dataSources', 'timeParameters.week', null],
+      ['accuracy', 'health', 'clockParameters.bgdE5aE1', 'clockParameters.bgdE5bE1'],
+      ['timeParameters.transmissionTime', null, null, null]
+    ]
+  },
+  J: {
+    epochFields: KEPLER_CLOCK_FIELDS,
+    orbitLines: [
+      ...KEPLER_ORBIT_LINES,
+      ['orbitalParameters.idot', 'codesOnL2', 'timeParameters.week', 'l2pDataFlag'],
+      ['accuracy', 'health', 'clockParameters.tgd', 'iodc'],
+      // QZSS 的拟合区间为标志位：0 表示 2 小时，1 表示超过 2 小时
+      ['timeParameters.transmissionTime', 'timeParameters.fitIntervalFlag', null, null]
+    ]
+  },
+  I: {
+    epochFields: KEPLER_CLOCK_FIELDS,
+    orbitLines: [
+      ...KEPLER_ORBIT_LINES,
+      ['orbitalParameters.idot', null, 'timeParameters.week', null],
+      ['accuracy', 'health', 'clockParameters.tgd', null],
+      ['timeParameters.transmissionTime', null, null, null]
+    ]
+  },
+  R: {
+    requiredOrbitLines: 3,
+    epochFields: [
+      'clockParameters.clockBias',
+      'clockParameters.relativeFrequencyBias',
+      'timeParameters.messageFrameTime'
+    ],
+    orbitLines: [
+      STATE_VECTOR_ORBIT_LINES[0],
+      [...STATE_VECTOR_ORBIT_LINES[1], 'frequencyChannel'],
+      [...STATE_VECTOR_ORBIT_LINES[2], 'ageOfOperation'],
+      ['statusFlags', 'clockParameters.groupDelayDifference', 'accuracy', 'healthFlags']
+    ]
+  },
+  S: {
+    epochFields: ['clockParameters.af0', 'clockParameters.af1', 'timeParameters.transmissionTime'],
+    orbitLines: [
+      STATE_VECTOR_ORBIT_LINES[0],
+      [...STATE_VECTOR_ORBIT_LINES[1], 'accuracy'],
+      [...STATE_VECTOR_ORBIT_LINES[2], 'iodn']
+    ]
+  }
+};
+
+/**
+ * 解析RINEX数值字段
+ * @param {string} text - 字段文本
+ * @returns {number|undefined} 数值；字段为空时返回 undefined，无法解析时返回 NaN
+ */
+function parseRinexNumber(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') {
+    return undefined;
+  }
+  return Number(trimmed.replace(/[dD]/, 'E'));
+}
+
+/**
+ * 读取一行中的若干个 D19.12 数据字段
+ * @param {string} line - 数据行
+ * @param {number} offset - 第一个字段的起始列
+ * @param {number} count - 字段个数
+ * @returns {Array<number|undefined>} 字段数值
+ */
+function readNavFields(line, offset, count) {
+  const fields = [];
+  for (let k = 0; k < count; k++) {
+    const start = offset + k * NAV_FIELD_WIDTH;
+    fields.push(parseRinexNumber(line.substring(start, start + NAV_FIELD_WIDTH)));
+  }
+
+  if (fields.every(value => !Number.isNaN(value))) {
+    return fields;
+  }
+
+  // 部分软件输出的星历行没有严格按列对齐，此时按数值本身的格式切分
+  const tokens = line.substring(offset).match(NUMBER_PATTERN) || [];
+  return fields.map((value, k) => (tokens[k] === undefined ? undefined : parseRinexNumber(tokens[k])));
+}
+
+/**
+ * 查找一行中无法解析为数值的 D19.12 数据字段
+ * @description 去掉所有数值之后仍有其他字符时，该行包含无效的字段；
+ *              数值没有严格按列对齐 (readNavFields 可以按数值格式切分) 不算错误。
+ * @param {string} line - 数据行
+ * @param {number} offset - 第一个字段的起始列
+ * @param {number} count - 字段个数
+ * @returns {{columnStart: number, columnEnd: number, text: string}|null} 无效字段的列范围 (从 1 开始) 和原文；
+ *          没有无效字段时返回 null
+ */
+function findInvalidNavField(line, offset, count) {
+  const residue = line.substring(offset).replace(NUMBER_PATTERN, match => ' '.repeat(match.length));
+  const position = residue.search(/\S/);
+  if (position === -1) {
+    return null;
+  }
+  const start = offset + Math.min(Math.floor(position / NAV_FIELD_WIDTH), count - 1) * NAV_FIELD_WIDTH;
+  return {
+    columnStart: start + 1,
+    columnEnd: start + NAV_FIELD_WIDTH,
+    text: line.substring(start, start + NAV_FIELD_WIDTH).trim()
+  };
+}
+
+/**
+ * 将字段值写入卫星对象
+ * @param {object} record - 卫星对象
+ * @param {string|null} path - 字段位置 ("分组.字段名" 或 "字段名")
+ * @param {number|undefined} value - 字段数值
+ */
+function assignField(record, path, value) {
+  if (!path || value === undefined) {
+    return;
+  }
+  const [group, key] = path.split('.');
+  if (key) {
+    record[group][key] = value;
+  } else {
+    record[group] = value;
+  }
+}
+
+/**
+ * 解析记录首行中的历元
+ * @param {string} text - 历元文本 (年 月 日 时 分 秒)，RINEX 2.x 的年份为两位数
+ * @returns {Date} 历元时间 (按所属卫星系统的时间尺度记录)
+ */
+function parseEpoch(text) {
+  const [rawYear, month, day, hour, minute, second] = text.trim().split(/\s+/).map(Number);
+  // 两位数年份：80~99 表示 1980~1999，00~79 表示 2000~2079
+  let year = rawYear;
+  if (rawYear < 100) {
+    year = rawYear < 80 ? 2000 + rawYear : 1900 + rawYear;
+  }
+  return calendarToDate([year, month, day, hour, minute, second]);
+}
+
+/**
+ * 将卫星号规范化为三位形式，例如 'G 1' -> 'G01'
+ * @param {string} systemId - 卫星系统标识符
+ * @param {string} prnText - PRN 文本
+ * @returns {string} 规范化后的卫星号
+ */
+function normalizeSatelliteId(systemId, prnText) {
+  const prn = parseInt(prnText, 10);
+  return `${systemId}${String(prn).padStart(2, '0')}`;
+}
+
+/**
+ * 读取记录首行中的卫星号
+ * @param {string} line - 记录首行
+ * @param {object} context - 解析上下文
+ * @param {object} context.dialect - 文件格式
+ * @param {string} [context.fileSystemId] - RINEX 2.x 文件对应的卫星系统标识符
+ * @returns {string} 规范化后的卫星号；该行不是记录首行时返回空字符串
+ */
+function readSatelliteId(line, context) {
+  const text = line.substring(0, context.dialect.satelliteIdLength);
+  if (!text.trim()) {
+    return '';
+  }
+  if (context.fileSystemId) {
+    return normalizeSatelliteId(context.fileSystemId, text);
+  }
+  return normalizeSatelliteId(text.charAt(0), text.substring(1));
+}
+
+/**
+ * 按固定列宽读取文件头中的数值字段
+ * @param {string} line - 文件头行
+ * @param {number} offset - 第一个字段的起始列
+ * @param {number} width - 字段宽度
+ * @param {number} count - 字段个数
+ * @returns {Array<number|undefined>} 字段数值，空字段为 undefined
+ */
+function readHeaderFields(line, offset, width, count) {
+  const fields = [];
+  for (let k = 0; k < count; k++) {
+    const start = offset + k * width;
+    fields.push(parseRinexNumber(line.substring(start, start + width)));
+  }
+  return fields;
+}
+
+/**
+ * 保存 Klobuchar (或 Galileo NeQuick) 电离层模型参数
+ * @param {object} header - 文件头信息
+ * @param {string} correctionType - 改正类型，例如 'GPSA'、'BDSB'、'GAL'
+ * @param {Array<number>} coefficients - 模型参数
+ */
+function setIonosphericCorrection(header, correctionType, coefficients) {
+  const target = IONOSPHERIC_CORRECTION_TYPES[correctionType];
+  if (!target) {
+    return;
+  }
+  const [systemName, key] = target;
+  if (!header.ionosphericCorrections[systemName]) {
+    header.ionosphericCorrections[systemName] = {};
+  }
+  header.ionosphericCorrections[systemName][key] = coefficients.filter(value => value !== undefined);
+}
+
+/**
+ * 各文件头标签的解析函数
+ * 同时包含 RINEX 3.x 与 RINEX 2.x 的标签，两种格式的结果写入相同的字段。
+ */
+const HEADER_LINE_PARSERS = {
+  'RINEX VERSION / TYPE': (line, header) => {
+    header.version = parseFloat(line.substring(0, 9));
+    header.type = line.substring(20, 21);
+    header.system = line.substring(40, 41);
+  },
+  'PGM / RUN BY / DATE': (line, header) => {
+    header.program = {
+      name: line.substring(0, 20).trim(),
+      runBy: line.substring(20, 40).trim(),
+      date: line.substring(40, 60).trim()
+    };
+  },
+  'COMMENT': (line, header) => {
+    header.comments.push(line.substring(0, 60).trim());
+  },
+  'IONOSPHERIC CORR': (line, header) => {
+    setIonosphericCorrection(header, line.substring(0, 4).trim(), readHeaderFields(line, 5, 12, 4));
+  },
+  'ION ALPHA': (line, header) => {
+    setIonosphericCorrection(header, 'GPSA', readHeaderFields(line, 2, 12, 4));
+  },
+  'ION BETA': (line, header) => {
+    setIonosphericCorrection(header, 'GPSB', readHeaderFields(line, 2, 12, 4));
+  },
+  'TIME SYSTEM CORR': (line, header) => {
+    header.timeSystemCorrections[line.substring(0, 4).trim()] = {
+      a0: parseRinexNumber(line.substring(5, 22)),
+      a1: parseRinexNumber(line.substring(22, 38)),
+      referenceTime: parseRinexNumber(line.substring(38, 45)),
+      referenceWeek: parseRinexNumber(line.substring(45, 50)),
+      source: line.substring(51, 56).trim(),
+      utcIdentifier: parseRinexNumber(line.substring(57, 59))
+    };
+  },
+  'DELTA-UTC: A0,A1,T,W': (line, header) => {
+    const [a0, a1] = readHeaderFields(line, 3, 19, 2);
+    const [referenceTime, referenceWeek] = readHeaderFields(line, 41, 9, 2);
+    header.timeSystemCorrections.GPUT = { a0, a1, referenceTime, referenceWeek };
+  },
+  'LEAP SECONDS': (line, header) => {
+    const [current, future, week, day] = readHeaderFields(line, 0, 6, 4);
+    header.leapSeconds = { current, future, week, day, timeSystem: line.substring(24, 27).trim() || undefined };
+  }
+};
+
+/**
+ * 创建空的文件头对象
+ * @returns {object} 文件头信息
+ */
+function createHeader() {
+  return {
+    comments: [],
+    ionosphericCorrections: {},
+    timeSystemCorrections: {}
+  };
+}
+
+/**
+ * 解析一行文件头
+ * @description 文件头标签位于第 61~80 列，根据标签选择对应的解析函数，未识别的标签忽略。
+ * @param {string} line - 文件头行
+ * @param {object} header - 文件头信息，解析结果直接写入该对象
+ */
+function parseHeaderLine(line, header) {
+  const parseLine = HEADER_LINE_PARSERS[line.substring(60).trim()];
+  if (parseLine) {
+    parseLine(line, header);
+  }
+}
+
+/**
+ * 根据文件头中的版本号确定文件格式
+ * @param {object} header - 文件头信息
+ * @param {object} versionLine - RINEX VERSION / TYPE 行 {lineNumber, text}，文件头中没有该行时为 null
+ * @param {object} diagnostics - 解析诊断收集器
+ * @returns {object} 解析上下文 (格式名称、格式参数及 2.x 文件的卫星系统)
+ * @throws {Error} 当版本号无法识别或 RINEX 2.x 文件类型不受支持时抛出解析错误
+ */
+function createParseContext(header, versionLine, diagnostics) {
+  if (Number.isNaN(header.version)) {
+    diagnostics.fail({
+      reason: '无法识别的RINEX版本号',
+      lineNumber: versionLine.lineNumber,
+      columnStart: 1,
+      columnEnd: 9,
+      text: versionLine.text.substring(0, 9).trim()
+    });
+  }
+  if (header.version === undefined || header.version >= 3) {
+    return { dialectName: 'RINEX3', dialect: NAV_DIALECTS.RINEX3 };
+  }
+
+  const fileSystemId = RINEX2_FILE_TYPE_SYSTEMS[header.type];
+  if (!fileSystemId) {
+    diagnostics.fail({
+      reason: `不支持的RINEX 2.x导航文件类型: ${header.type}`,
+      lineNumber: versionLine.lineNumber,
+      columnStart: 21,
+      columnEnd: 21,
+      text: header.type
+    });
+  }
+  return { dialectName: 'RINEX2', dialect: NAV_DIALECTS.RINEX2, fileSystemId };
+}
+
+/**
+ * 根据历元和星期数计算派生的时间参数
+ * @param {object} record - 卫星对象
+ * @param {object} system - 卫星系统信息
+ */
+function deriveTimeParameters(record, system) {
+  if (system.weekTimeSystem === undefined) {
+    deriveStateVectorTimeParameters(record, system);
+    return;
+  }
+
+  record.clockParameters.toc = toWeekSeconds(record.epoch, system.weekTimeSystem).seconds;
+
+  const { week } = record.timeParameters;
+  const { toe } = record.orbitalParameters;
+  if (week === undefined || toe === undefined) {
+    return;
+  }
+
+  // GPS 的拟合区间字段为 0 时表示标准的 4 小时
+  const fitHours = record.timeParameters.fitInterval || system.defaultFitHours;
+  setValidityWindow(record, fromWeekSeconds(week, toe, system.weekTimeSystem), fitHours);
+}
+
+/**
+ * 计算状态矢量类星历 (GLONASS、SBAS) 的时间参数，以记录历元作为参考时间
+ * @param {object} record - 卫星对象
+ * @param {object} system - 卫星系统信息
+ */
+function deriveStateVectorTimeParameters(record, system) {
+  setValidityWindow(record, record.epoch, system.defaultFitHours);
+}
+
+/**
+ * 以参考时间为中心设置星历的有效时间范围
+ * @param {object} record - 卫星对象
+ * @param {Date} referenceTime - 星历参考时间
+ * @param {number} fitHours - 拟合区间，单位：小时
+ */
+function setValidityWindow(record, referenceTime, fitHours) {
+  const halfFitMilliseconds = (fitHours / 2) * 3600 * 1000;
+  record.timeParameters.referenceTime = referenceTime;
+  record.timeParameters.validFrom = new Date(referenceTime.getTime() - halfFitMilliseconds);
+  record.timeParameters.validTo = new Date(referenceTime.getTime() + halfFitMilliseconds);
+}
+
+/**
+ * 检查一条导航记录的卫星号、历元、行数和数据字段
+ * @param {object} pending - 待完成的记录 {id, lines, lineNumber}，lineNumber 为记录首行的行号
+ * @param {object} dialect - 文件格式参数
+ * @returns {object|null} 发现的第一个问题 (传给诊断收集器的参数)；记录正确时返回 null
+ */
+function findNavRecordIssue(pending, dialect) {
+  const { id, lines, lineNumber } = pending;
+  const layout = NAV_RECORD_LAYOUTS[id.charAt(0)];
+  const epochText = lines[0].substring(dialect.satelliteIdLength, dialect.epochLineOffset);
+  if (Number.isNaN(parseEpoch(epochText).getTime())) {
+    return {
+      reason: '无效的历元',
+      lineNumber,
+      columnStart: dialect.satelliteIdLength + 1,
+      columnEnd: dialect.epochLineOffset,
+      text: epochText.trim()
+    };
+  }
+
+  const orbitLineCount = lines.length - 1;
+  const requiredOrbitLines = layout.requiredOrbitLines || layout.orbitLines.length;
+  if (orbitLineCount < requiredOrbitLines || orbitLineCount > layout.orbitLines.length) {
+    return {
+      reason: `导航记录应有 ${requiredOrbitLines} 个广播轨道行，实际为 ${orbitLineCount} 个`,
+      lineNumber,
+      columnStart: 1,
+      columnEnd: dialect.satelliteIdLength,
+      text: id
+    };
+  }
+
+  for (let k = 0; k < lines.length; k++) {
+    const field = k === 0
+      ? findInvalidNavField(lines[0], dialect.epochLineOffset, layout.epochFields.length)
+      : findInvalidNavField(lines[k], dialect.orbitLineOffset, NAV_FIELDS_PER_LINE);
+    if (field) {
+      return { reason: '无效的数据字段', lineNumber: lineNumber + k, ...field };
+    }
+  }
+  return null;
+}
+
+/**
+ * 解析一条完整的导航记录
+ * @param {string} id - 规范化后的卫星号
+ * @param {Array<string>} recordLines - 记录的所有行 (首行 + 广播轨道行)
+ * @param {object} dialect - 文件格式参数
+ * @returns {object} 卫星对象
+ */
+function parseNavRecord(id, recordLines, dialect) {
+  const firstLine = recordLines[0];
+  const layout = NAV_RECORD_LAYOUTS[id.charAt(0)];
+  const system = SATELLITE_SYSTEMS[id.charAt(0)];
+
+  const record = {
+    id,
+    system: system.name,
+    prn: parseInt(id.substring(1), 10),
+    epoch: parseEpoch(firstLine.substring(dialect.satelliteIdLength, dialect.epochLineOffset)),
+    clockParameters: {},
+    orbitalParameters: {},
+    timeParameters: {}
+  };
+
+  readNavFields(firstLine, dialect.epochLineOffset, layout.epochFields.length)
+    .forEach((value, k) => assignField(record, layout.epochFields[k], value));
+
+  layout.orbitLines.forEach((paths, lineIndex) => {
+    const line = recordLines[lineIndex + 1] || '';
+    readNavFields(line, dialect.orbitLineOffset, NAV_FIELDS_PER_LINE)
+      .forEach((value, k) => assignField(record, paths[k], value));
+  });
+
+  deriveTimeParameters(record, system);
+  return record;
+}
+
+/**
+ * 创建逐行解析导航文件的解析器
+ * @function createNavLineParser
+ * @description 解析器按行接收文件内容并维护文件头和当前记录的状态，
+ *              字符串解析 (parseRinex) 和流式解析 (streamRinex) 共用同一套逻辑。
+ *              记录首行之后、下一个记录首行之前的非空行都属于该记录，
+ *              因此各卫星系统记录行数不同 (或包含未知卫星系统) 时也不会错位；
+ *              一条记录在遇到下一个记录首行、空行或文件结束时才完成。
+ *              卫星号、历元、行数或数据字段有误的记录，严格模式下抛出解析错误，宽松模式下跳过并记入 warnings。
+ * @param {object} [options] - 解析选项
+ * @param {string} [options.mode='strict'] - 解析模式 ('strict' 或 'lenient')
+ * @param {Function} [options.onWarning] - 宽松模式下每产生一条警告时的回调
+ * @returns {{header: object, warnings: Array<object>, pushLine: Function, end: Function, getDialect: Function}} 解析器。
+ *          pushLine(line) 返回本行完成的卫星对象，end() 返回最后一条卫星对象，没有时返回 null；
+ *          getDialect() 返回识别出的文件格式，文件头结束前为 undefined
+ * @throws {Error} 当解析模式不受支持时抛出错误
+ */
+function createNavLineParser(options = {}) {
+  const diagnostics = createParseDiagnostics(options);
+  const header = createHeader();
+  let context = null;
+  let pending = null;
+  let lineNumber = 0;
+  let versionLine = null;
+
+  // 完成当前记录；暂不支持的卫星系统，整条记录跳过
+  const flush = () => {
+    const current = pending;
+    pending = null;
+    if (!current || !NAV_RECORD_LAYOUTS[current.id.charAt(0)]) {
+      return null;
+    }
+    const issue = findNavRecordIssue(current, context.dialect);
+    if (issue) {
+      diagnostics.report(issue);
+      return null;
+    }
+    return parseNavRecord(current.id, current.lines, context.dialect);
+  };
+
+  const pushHeaderLine = (line) => {
+    if (line.includes('END OF HEADER')) {
+      context = createParseContext(header, versionLine, diagnostics);
+      return;
+    }
+    parseHeaderLine(line, header);
+    if (line.substring(60).trim() === 'RINEX VERSION / TYPE') {
+      versionLine = { lineNumber, text: line };
+    }
+  };
+
+  // 不属于任何记录的数据行 (例如记录中间出现空行)
+  const reportOrphanLine = (line) => {
+    diagnostics.report({
+      reason: '数据行不属于任何导航记录',
+      lineNumber,
+      columnStart: 1,
+      columnEnd: line.length,
+      text: line.trim()
+    });
+  };
+
+  const pushLine = (line) => {
+    lineNumber++;
+    if (!context) {
+      pushHeaderLine(line);
+      return null;
+    }
+
+    if (line.trim() === '') {
+      return flush();
+    }
+
+    const satId = readSatelliteId(line, context);
+    if (!satId) {
+      if (pending) {
+        pending.lines.push(line);
+      } else {
+        reportOrphanLine(line);
+      }
+      return null;
+    }
+
+    const record = flush();
+    if (!/^[A-Z]\d{2}$/.test(satId)) {
+      diagnostics.report({
+        reason: '无效的卫星号',
+        lineNumber,
+        columnStart: 1,
+        columnEnd: context.dialect.satelliteIdLength,
+        text: line.substring(0, context.dialect.satelliteIdLength).trim()
+      });
+      // 宽松模式下该记录的其余各行随记录一起跳过
+      pending = { id: '?', lines: [line], lineNumber };
+      return record;
+    }
+    pending = { id: satId, lines: [line], lineNumber };
+    return record;
+  };
+
+  const end = () => {
+    if (context) {
+      return flush();
+    }
+    if (lineNumber > 0) {
+      diagnostics.report({ reason: '缺少文件头结束标记 END OF HEADER', lineNumber });
+    }
+    return null;
+  };
+
+  return {
+    header,
+    warnings: diagnostics.warnings,
+    pushLine,
+    end,
+    getDialect: () => (context ? context.dialectName : undefined)
+  };
+}
+
 /**
  * 解析RINEX格式的星历文件内容
  * @function parseRinex
- * @description 将RINEX文件的字符串内容解析为结构化的JavaScript对象
+ * @description 将RINEX文件的字符串内容解析为结构化的JavaScript对象。
+ *              根据文件头的版本号自动识别 RINEX 2.x (GPS) 与 RINEX 3.x 导航文件，
+ *              两种格式输出相同结构的卫星对象，每颗卫星包含所属卫星系统 (system)、
+ *              轨道参数 (orbitalParameters)、钟差参数 (clockParameters) 和时间参数 (timeParameters)。
+ *              RINEX 3.x 混合文件支持 GPS、北斗、GLONASS、Galileo、QZSS、SBAS 和 NavIC，
+ *              其他卫星系统的记录会被整体跳过。大文件或压缩文件请使用 streamRinex 逐条读取。
+ *              默认的严格模式下，文件中任何一条有误的记录都会导致解析失败；宽松模式下跳过有误的记录，
+ *              并在结果的 warnings 中说明每个问题的行号、列范围和原文。
  * @param {string} rinexContent - RINEX文件的完整内容
- * @returns {object} 解析后的星历数据对象
- * @throws {Error} 当输入内容为空或格式不正确时抛出错误
+ * @param {object} [options] - 解析选项
+ * @param {string} [options.mode='strict'] - 解析模式 ('strict' 或 'lenient')
+ * @returns {{header: object, satellites: Array<object>, dialect: string, warnings: Array<object>}} 解析后的星历数据对象。
+ *          header 包含版本、程序信息 (program)、注释 (comments)、电离层改正参数 (ionosphericCorrections)、
+ *          时间系统改正参数 (timeSystemCorrections) 和闰秒 (leapSeconds)；
+ *          dialect 为识别出的文件格式 ('RINEX2' 或 'RINEX3')；
+ *          warnings 仅在宽松模式下给出，每条警告包含 message、reason、lineNumber、columnStart、columnEnd 和 text
+ * @throws {Error} 当输入内容为空时抛出错误
+ * @throws {Error} 当文件格式不正确时抛出 name 为 'RinexParseError' 的解析错误 (宽松模式下只对文件头的问题抛出)
+ * @example
+ * const { satellites, warnings } = parseRinex(content, { mode: 'lenient' });
+ * warnings.forEach(warning => logger.warn(warning.message));
  */
-function parseRinex(rinexContent) {
+function parseRinex(rinexContent, options = {}) {
   // 参数校验
   if (!rinexContent || typeof rinexContent !== 'string' || rinexContent.trim() === '') {
     throw new Error('RINEX内容不能为空');
   }
 
-  // --- 开始真实的RINEX解析逻辑 ---
-
-  const lines = rinexContent.split(/\r?\n/);
-  const header = {};
+  const parser = createNavLineParser(options);
   const satellites = [];
-  let inHeader = true;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    if (inHeader) {
-      // 解析文件头
-      if (line.includes('RINEX VERSION / TYPE')) {
-        header.version = parseFloat(line.substring(0, 9));
-        header.type = line.substring(20, 21);
-        header.system = line.substring(40, 41);
-      } else if (line.includes('END OF HEADER')) {
-        inHeader = false;
-      }
-      // TODO: 可以添加更多文件头信息的解析
-    } else {
-      // 解析卫星数据
-      // 这是一个简化的解析器，只处理我们测试用例中的格式
-      // 真实的解析器需要处理更复杂的格式和多种卫星系统
-      const satId = line.substring(0, 3).trim();
-      if (satId) {
-        const satelliteData = {
-          id: satId,
-          // TODO: 解析更多卫星参数
-        };
-        satellites.push(satelliteData);
-        // 跳过后续的7行数据
-        i += 7;
-      }
+
+  rinexContent.split(/\r?\n/).forEach((line) => {
+    const record = parser.pushLine(line);
+    if (record) {
+      satellites.push(record);
     }
+  });
+
+  const lastRecord = parser.end();
+  if (lastRecord) {
+    satellites.push(lastRecord);
   }
 
-  return {
-    header,
-    satellites
+  const result = {
+    header: parser.header,
+    satellites,
+    dialect: parser.getDialect()
   };
+  if (options.mode === 'lenient') {
+    result.warnings = parser.warnings;
+  }
+  return result;
 }
 
 module.exports = {
-  parseRinex
+  parseRinex,
+  createNavLineParser,
+  NAV_DIALECTS,
+  NAV_FIELD_WIDTH,
+  NAV_RECORD_LAYOUTS,
+  IONOSPHERIC_CORRECTION_TYPES
 };
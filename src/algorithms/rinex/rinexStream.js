@@ -0,0 +1,161 @@
+/**
+ * @fileoverview RINEX导航文件流式读取模块
+ * @module rinexStream
+ * @description 从可读流或文件路径逐条读取导航记录，自动识别并解压 gzip (.gz) 和 Unix compress (.Z) 文件，
+ *              适用于按天合并的多系统广播星历以及一周的星历集合等大文件
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { createNavLineParser } = require('./rinexParser');
+const { createLzwDecompressStream, isLzwCompressed } = require('./lzwDecompressor');
+
+// gzip 文件的魔数
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/**
+ * 根据数据开头的字节选择解压流
+ * @param {Buffer} head - 数据的第一个数据块
+ * @returns {object|null} 解压流；未压缩时返回 null
+ */
+function createDecompressStream(head) {
+  if (head.length >= 2 && head[0] === GZIP_MAGIC[0] && head[1] === GZIP_MAGIC[1]) {
+    return zlib.createGunzip();
+  }
+  if (isLzwCompressed(head)) {
+    return createLzwDecompressStream();
+  }
+  return null;
+}
+
+/**
+ * 读取数据块，压缩数据自动解压
+ * @param {AsyncIterable<Buffer|string>} source - 原始数据流
+ * @returns {AsyncGenerator<Buffer|string>} 解压后的数据块
+ */
+async function* readDecompressedChunks(source) {
+  const iterator = source[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  if (first.done) {
+    return;
+  }
+
+  async function* replay() {
+    yield first.value;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  }
+
+  const head = Buffer.isBuffer(first.value) ? first.value : Buffer.alloc(0);
+  const decompressor = createDecompressStream(head);
+  if (!decompressor) {
+    yield* replay();
+    return;
+  }
+
+  // 解压出错时 pipeline 会销毁解压流，错误从下面的迭代中抛出
+  pipeline(Readable.from(replay()), decompressor, () => {});
+  yield* decompressor;
+}
+
+/**
+ * 打开数据源并按行读取 (压缩数据自动解压)
+ * @param {string|Readable} source - 文件路径或可读流
+ * @returns {{input: Readable, lines: readline.Interface}} 原始输入流和按行读取的接口
+ * @throws {Error} 当数据源无效时抛出错误
+ */
+function openLineReader(source) {
+  const isPath = typeof source === 'string';
+  if (!source || (!isPath && typeof source[Symbol.asyncIterator] !== 'function')) {
+    throw new Error('RINEX数据源无效');
+  }
+
+  const input = isPath ? fs.createReadStream(source) : source;
+  const lines = readline.createInterface({
+    input: Readable.from(readDecompressedChunks(input)),
+    crlfDelay: Infinity
+  });
+  return { input, lines };
+}
+
+/**
+ * 创建文件头回调：文件头解析完成后调用一次 onHeader
+ * @param {object} parser - createNavLineParser 创建的逐行解析器
+ * @param {Function} onHeader - 文件头回调，参数为 (header, dialect)
+ * @returns {Function} 每读入一行后调用的检查函数
+ */
+function createHeaderReporter(parser, onHeader) {
+  let isReported = false;
+  return () => {
+    if (!isReported && parser.getDialect()) {
+      isReported = true;
+      onHeader(parser.header, parser.getDialect());
+    }
+  };
+}
+
+/**
+ * 流式读取RINEX导航文件
+ * @function streamRinex
+ * @description 以异步迭代器的形式逐条产生卫星对象，卫星对象的结构与 parseRinex 的结果相同，
+ *              整个文件不会一次性读入内存。gzip 和 Unix compress (.Z) 压缩数据根据文件内容自动识别并解压。
+ *              文件头解析完成后通过 options.onHeader 回调传出。
+ *              解析模式与 parseRinex 相同：严格模式下遇到有误的记录即抛出解析错误，
+ *              宽松模式下跳过有误的记录，并通过 options.onWarning 回调逐条传出警告。
+ * @param {string|Readable} source - 文件路径或可读流
+ * @param {object} [options] - 读取选项
+ * @param {Function} [options.onHeader] - 文件头回调，参数为 (header, dialect)
+ * @param {string} [options.mode='strict'] - 解析模式 ('strict' 或 'lenient')
+ * @param {Function} [options.onWarning] - 宽松模式下的警告回调，参数为警告 {message, reason, lineNumber, columnStart, columnEnd, text}
+ * @returns {AsyncGenerator<object>} 卫星对象的异步迭代器
+ * @throws {Error} 当输入源无效、文件内容为空时抛出错误
+ * @throws {Error} 当文件格式不正确时抛出 name 为 'RinexParseError' 的解析错误
+ * @example
+ * for await (const satellite of streamRinex('BRDC00IGS_R_20200010000_01D_MN.rnx.gz')) {
+ *   satellites.push(satellite);
+ * }
+ */
+async function* streamRinex(source, options = {}) {
+  const parser = createNavLineParser({ mode: options.mode, onWarning: options.onWarning });
+  const { input, lines } = openLineReader(source);
+  const reportHeader = createHeaderReporter(parser, options.onHeader || (() => {}));
+  let isEmpty = true;
+
+  try {
+    for await (const line of lines) {
+      isEmpty = isEmpty && line.trim() === '';
+      const record = parser.pushLine(line);
+
+      reportHeader();
+      if (record) {
+        yield record;
+      }
+    }
+  } finally {
+    lines.close();
+    // 文件路径由本函数打开，提前结束迭代时也要关闭
+    if (input !== source) {
+      input.destroy();
+    }
+  }
+
+  if (isEmpty) {
+    throw new Error('RINEX内容不能为空');
+  }
+
+  const lastRecord = parser.end();
+  if (lastRecord) {
+    yield lastRecord;
+  }
+}
+
+module.exports = {
+  streamRinex
+};
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview RINEX导航文件写出模块
+ * @module rinexWriter
+ * @description 将 parseRinex 得到的星历数据 (或结构相同的合成星历) 写出为 RINEX 3.04 导航文件，
+ *              用于导出经过筛选的星历子集
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const {
+  NAV_DIALECTS,
+  NAV_FIELD_WIDTH,
+  NAV_RECORD_LAYOUTS,
+  IONOSPHERIC_CORRECTION_TYPES
+} = require('./rinexParser');
+
+// 写出的 RINEX 版本
+const RINEX_VERSION = 3.04;
+// 文件头标签所在的列
+const HEADER_LABEL_COLUMN = 60;
+// 星历数据字段的小数位数 (D19.12)
+const NAV_FIELD_DECIMALS = 12;
+
+// 文件头第 41 列的卫星系统说明
+const SATELLITE_SYSTEM_LABELS = {
+  G: 'G: GPS',
+  C: 'C: BeiDou',
+  R: 'R: GLONASS',
+  E: 'E: Galileo',
+  J: 'J: QZSS',
+  I: 'I: NavIC',
+  S: 'S: SBAS',
+  M: 'M: Mixed'
+};
+
+/**
+ * 按 Fortran Dw.d 格式输出数值 (指数部分使用 'E'，至少两位)
+ * @param {number|undefined} value - 数值
+ * @param {number} decimals - 尾数的小数位数
+ * @param {number} width - 字段宽度
+ * @returns {string} 右对齐的字段文本；数值缺失时为空白
+ */
+function formatExponential(value, decimals, width) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return ' '.repeat(width);
+  }
+  const [mantissa, exponentText] = value.toExponential(decimals).split('e');
+  const exponent = Number(exponentText);
+  const sign = exponent < 0 ? '-' : '+';
+  return `${mantissa}E${sign}${String(Math.abs(exponent)).padStart(2, '0')}`.padStart(width);
+}
+
+/**
+ * 按 Fortran Iw 格式输出整数
+ * @param {number|undefined} value - 数值
+ * @param {number} width - 字段宽度
+ * @returns {string} 右对齐的字段文本；数值缺失时为空白
+ */
+function formatInteger(value, width) {
+  return value === undefined || value === null ? ' '.repeat(width) : String(value).padStart(width);
+}
+
+/**
+ * 组成一行文件头
+ * @param {string} content - 第 1~60 列的内容
+ * @param {string} label - 文件头标签
+ * @returns {string} 文件头行
+ */
+function headerLine(content, label) {
+  return content.substring(0, HEADER_LABEL_COLUMN).padEnd(HEADER_LABEL_COLUMN) + label;
+}
+
+/**
+ * 当前 UTC 时间，格式为 yyyymmdd hhmmss UTC
+ * @returns {string} 文件生成时间
+ */
+function formatCreationDate() {
+  const text = new Date().toISOString();
+  return `${text.substring(0, 10).replace(/-/g, '')} ${text.substring(11, 19).replace(/:/g, '')} UTC`;
+}
+
+/**
+ * 确定文件头中的卫星系统标识符
+ * @param {object} header - 文件头信息
+ * @param {Array<object>} satellites - 卫星对象数组
+ * @returns {string} 卫星系统说明，单一系统时为该系统，否则为混合文件 'M: Mixed'
+ */
+function resolveSatelliteSystem(header, satellites) {
+  let systemId = header.version >= 3 && header.system ? header.system.trim() : '';
+  if (!systemId) {
+    const systemIds = new Set(satellites.map(satellite => satellite.id.charAt(0)));
+    systemId = systemIds.size === 1 ? [...systemIds][0] : 'M';
+  }
+  return SATELLITE_SYSTEM_LABELS[systemId] || systemId;
+}
+
+/**
+ * 写出电离层改正参数行
+ * @param {object} ionosphericCorrections - 按卫星系统分组的电离层模型参数
+ * @returns {Array<string>} IONOSPHERIC CORR 行
+ */
+function writeIonosphericCorrections(ionosphericCorrections) {
+  return Object.entries(IONOSPHERIC_CORRECTION_TYPES)
+    .filter(([, [systemName, key]]) => ionosphericCorrections[systemName] && ionosphericCorrections[systemName][key])
+    .map(([correctionType, [systemName, key]]) => {
+      const coefficients = ionosphericCorrections[systemName][key];
+      const fields = [0, 1, 2, 3].map(k => formatExponential(coefficients[k], 4, 12)).join('');
+      return headerLine(`${correctionType.padEnd(4)} ${fields}`, 'IONOSPHERIC CORR');
+    });
+}
+
+/**
+ * 写出时间系统改正参数行
+ * @param {object} timeSystemCorrections - 以改正类型 (例如 'GPUT') 为键的改正参数
+ * @returns {Array<string>} TIME SYSTEM CORR 行
+ */
+function writeTimeSystemCorrections(timeSystemCorrections) {
+  return Object.entries(timeSystemCorrections).map(([correctionType, correction]) => {
+    const content = `${correctionType.padEnd(4)} ` +
+      formatExponential(correction.a0, 10, 17) +
+      formatExponential(correction.a1, 9, 16) +
+      formatInteger(correction.referenceTime, 7) +
+      formatInteger(correction.referenceWeek, 5) +
+      ` ${(correction.source || '').padEnd(5)} ` +
+      formatInteger(correction.utcIdentifier, 2);
+    return headerLine(content, 'TIME SYSTEM CORR');
+  });
+}
+
+/**
+ * 写出文件头
+ * @param {object} header - 文件头信息
+ * @param {Array<object>} satellites - 卫星对象数组
+ * @returns {Array<string>} 文件头各行
+ */
+function writeHeader(header, satellites) {
+  const program = header.program || { name: 'rinexWriter', runBy: '', date: formatCreationDate() };
+  const lines = [
+    headerLine(
+      `${RINEX_VERSION.toFixed(2).padStart(9)}${' '.repeat(11)}${'N: GNSS NAV DATA'.padEnd(20)}` +
+        resolveSatelliteSystem(header, satellites),
+      'RINEX VERSION / TYPE'
+    ),
+    headerLine(`${program.name.padEnd(20)}${program.runBy.padEnd(20)}${program.date}`, 'PGM / RUN BY / DATE'),
+    ...(header.comments || []).map(comment => headerLine(comment, 'COMMENT')),
+    ...writeIonosphericCorrections(header.ionosphericCorrections || {}),
+    ...writeTimeSystemCorrections(header.timeSystemCorrections || {})
+  ];
+
+  const { leapSeconds } = header;
+  if (leapSeconds) {
+    const content = [leapSeconds.current, leapSeconds.future, leapSeconds.week, leapSeconds.day]
+      .map(value => formatInteger(value, 6))
+      .join('') + (leapSeconds.timeSystem || '');
+    lines.push(headerLine(content, 'LEAP SECONDS'));
+  }
+
+  lines.push(headerLine('', 'END OF HEADER'));
+  return lines;
+}
+
+/**
+ * 读取卫星对象中的字段
+ * @param {object} record - 卫星对象
+ * @param {string|null} path - 字段位置 ("分组.字段名" 或 "字段名")
+ * @returns {number|undefined} 字段数值
+ */
+function readField(record, path) {
+  if (!path) {
+    return undefined;
+  }
+  const [group, key] = path.split('.');
+  return key ? (record[group] || {})[key] : record[group];
+}
+
+/**
+ * 输出一行星历数据字段
+ * @param {object} record - 卫星对象
+ * @param {Array<string|null>} paths - 该行各字段的位置
+ * @returns {string} 字段文本
+ */
+function formatNavFields(record, paths) {
+  return paths.map(path => formatExponential(readField(record, path), NAV_FIELD_DECIMALS, NAV_FIELD_WIDTH)).join('');
+}
+
+/**
+ * 写出一条导航记录
+ * @param {object} record - 卫星对象
+ * @returns {Array<string>} 记录各行
+ */
+function writeNavRecord(record) {
+  const layout = NAV_RECORD_LAYOUTS[record.id.charAt(0)];
+  // 先把整个历元舍入到整秒再拆分，避免 59.5 秒以上写成 60 秒而不向分、时、日进位
+  const epoch = new Date(Math.round(record.epoch.getTime() / 1000) * 1000);
+  const epochText = [
+    epoch.getUTCMonth() + 1,
+    epoch.getUTCDate(),
+    epoch.getUTCHours(),
+    epoch.getUTCMinutes(),
+    epoch.getUTCSeconds()
+  ].map(value => String(value).padStart(2, '0')).join(' ');
+
+  const lines = [
+    `${record.id} ${epoch.getUTCFullYear()} ${epochText}${formatNavFields(record, layout.epochFields)}`,
+    ...layout.orbitLines.map(paths =>
+      ' '.repeat(NAV_DIALECTS.RINEX3.orbitLineOffset) + formatNavFields(record, paths))
+  ];
+
+  // 末尾没有任何数据的广播轨道行 (例如 RINEX 3.04 中没有的 GLONASS 第 4 行) 不输出
+  while (lines.length > 1 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+  return lines.map(line => line.trimEnd());
+}
+
+/**
+ * 将星历数据写出为 RINEX 3.04 导航文件
+ * @function writeRinex
+ * @description 输入为 parseRinex 的解析结果或结构相同的对象，可以先对 satellites 进行筛选再写出。
+ *              文件头写出程序信息、注释、电离层改正参数、时间系统改正参数和闰秒；
+ *              星历数据按 D19.12 格式输出，缺失的字段保留为空白。
+ *              对由 RINEX 文件解析得到的数据，parseRinex(writeRinex(data)) 可以无损地还原卫星对象。
+ * @param {{header: object, satellites: Array<object>}} rinexData - 星历数据
+ * @returns {string} RINEX 3.04 导航文件内容
+ * @throws {Error} 当缺少卫星数据或包含不支持的卫星系统时抛出错误
+ * @example
+ * const { header, satellites } = parseRinex(content);
+ * const output = writeRinex({ header, satellites: satellites.filter(s => s.system === 'BEIDOU' && s.health === 0) });
+ */
+function writeRinex(rinexData) {
+  if (!rinexData || !Array.isArray(rinexData.satellites)) {
+    throw new Error('缺少必要参数');
+  }
+
+  const { header = {}, satellites } = rinexData;
+  const unsupported = satellites.find(satellite => !NAV_RECORD_LAYOUTS[satellite.id.charAt(0)]);
+  if (unsupported) {
+    throw new Error(`不支持的卫星系统: ${unsupported.id}`);
+  }
+
+  const lines = writeHeader(header, satellites);
+  satellites.forEach((satellite) => {
+    lines.push(...writeNavRecord(satellite));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  writeRinex
+};
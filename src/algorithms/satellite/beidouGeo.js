@@ -0,0 +1,77 @@
+/**
+ * @fileoverview 北斗 GEO 卫星坐标变换模块
+ * @module beidouGeo
+ * @description 北斗 GEO 卫星的广播星历以相对赤道面倾斜 5° 的坐标系给出，
+ *              按北斗 ICD 把星历坐标系中的位置和速度转换到地固系
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+// 北斗 GEO 卫星的广播星历以相对赤道面倾斜 5° 的坐标系给出，计算时需要绕 X 轴旋转 -5° 回到地固系
+const BEIDOU_GEO_FRAME_TILT = (5 * Math.PI) / 180;
+
+/**
+ * 判断是否为北斗 GEO 卫星 (C01~C05 及 C59 以后)
+ * @function isBeidouGeo
+ * @param {string} system - 卫星系统名称
+ * @param {number} prn - 卫星 PRN 号
+ * @returns {boolean} 是否为北斗 GEO 卫星
+ */
+function isBeidouGeo(system, prn) {
+  return system === 'BEIDOU' && (prn <= 5 || prn >= 59);
+}
+
+/**
+ * 将星历坐标系中的矢量转换到地固系
+ * @param {{x: number, y: number, z: number}} vector - 星历坐标系中的矢量 (参考时间的惯性系绕 X 轴倾斜 5°)
+ * @param {number} rotation - 参考时间以来地球转过的角度 ωe·tk，单位：弧度
+ * @returns {{x: number, y: number, z: number}} 地固系中的矢量
+ */
+function rotateGeoToEcef(vector, rotation) {
+  // 绕 X 轴旋转 -5°
+  const cosTilt = Math.cos(-BEIDOU_GEO_FRAME_TILT);
+  const sinTilt = Math.sin(-BEIDOU_GEO_FRAME_TILT);
+  const x = vector.x;
+  const y = vector.y * cosTilt + vector.z * sinTilt;
+  const z = -vector.y * sinTilt + vector.z * cosTilt;
+  // 绕 Z 轴旋转 ωe·tk
+  const cosRotation = Math.cos(rotation);
+  const sinRotation = Math.sin(rotation);
+  return {
+    x: x * cosRotation + y * sinRotation,
+    y: -x * sinRotation + y * cosRotation,
+    z
+  };
+}
+
+/**
+ * 将北斗 GEO 卫星在星历坐标系中的位置和速度转换到地固系
+ * @function geoStateToEcef
+ * @description 绕 X 轴旋转 -5°、绕 Z 轴旋转 ωe·tk 得到地固系位置；速度经过同样的旋转后，
+ *              另加旋转坐标系引起的牵连速度 -ωe × r
+ * @param {{x: number, y: number, z: number}} position - 星历坐标系中的位置，单位：米
+ * @param {{x: number, y: number, z: number}} velocity - 星历坐标系中的速度，单位：m/s
+ * @param {number} tk - 计算时间相对参考时间的秒数
+ * @param {number} earthRotationRate - 地球自转角速度，单位：rad/s
+ * @returns {{x: number, y: number, z: number, velocity: {x: number, y: number, z: number}}} 地固系中的位置和速度
+ */
+function geoStateToEcef(position, velocity, tk, earthRotationRate) {
+  const ecef = rotateGeoToEcef(position, earthRotationRate * tk);
+  const rotated = rotateGeoToEcef(velocity, earthRotationRate * tk);
+  return {
+    ...ecef,
+    velocity: {
+      x: rotated.x + earthRotationRate * ecef.y,
+      y: rotated.y - earthRotationRate * ecef.x,
+      z: rotated.z
+    }
+  };
+}
+
+module.exports = {
+  isBeidouGeo,
+  geoStateToEcef,
+  BEIDOU_GEO_FRAME_TILT
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview 星座批量轨道外推模块
+ * @module constellationPropagator
+ * @description 在时间网格上一次性计算星历中全部卫星的位置、速度和钟差，网格节点保存在 LRU/TTL 缓存中，
+ *              网格之间的时刻 (例如 100 ms 更新周期) 由相邻节点插值得到，不再对每颗卫星重复求解开普勒方程
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const config = require('../../config/app.config');
+const { createEphemerisStore } = require('./ephemerisStore');
+const { calculateSatellitePosition } = require('./satelliteCalculator');
+const { EXCLUSION_REASONS } = require('./satellitePolicy');
+const { createLruCache } = require('../../utils/lruCache');
+
+// 默认网格步长，单位：秒
+const DEFAULT_STEP_SECONDS = 1;
+
+/**
+ * 计算一个时刻全部卫星的状态
+ * @param {object} source - 星历来源 {rinexData, ephemerisStore, positionProvider, satelliteIds, signal}
+ * @param {Date} timestamp - 计算时间 (UTC)
+ * @returns {{states: Object<string, object|null>, exclusions: Object<string, string>}} states 为卫星号 ->
+ *          {x, y, z, velocity, clockBias, clockDrift}，被排除 (超出星历有效范围、不满足可用性策略等) 的卫星为 null；
+ *          exclusions 为被排除的卫星号 -> 排除原因 (EXCLUSION_REASONS 之一)
+ */
+function computeEpochStates(source, timestamp) {
+  const { rinexData, ephemerisStore, positionProvider, satelliteIds, signal } = source;
+  const states = {};
+  const exclusions = {};
+  satelliteIds.forEach((satelliteId) => {
+    try {
+      const { x, y, z, velocity, clockBias, clockDrift } =
+        positionProvider({ rinexData, ephemerisStore, satelliteId, timestamp, signal });
+      states[satelliteId] = { x, y, z, velocity, clockBias, clockDrift };
+    } catch (error) {
+      // 没有排除原因的错误 (例如星历缺少轨道参数) 也视为没有可用的星历
+      states[satelliteId] = null;
+      exclusions[satelliteId] = error.reason || EXCLUSION_REASONS.NO_EPHEMERIS;
+    }
+  });
+  return { states, exclusions };
+}
+
+/**
+ * 三次 Hermite 插值 (由两端的数值和导数插值)
+ * @param {{value: number, rate: number}} start - 起点的数值和导数 (每秒)
+ * @param {{value: number, rate: number}} end - 终点的数值和导数 (每秒)
+ * @param {number} interval - 两端的时间间隔，单位：秒
+ * @param {number} s - 插值位置 (0~1)
+ * @returns {{value: number, rate: number}} 插值得到的数值和导数
+ */
+function hermite(start, end, interval, s) {
+  const { value: value0, rate: rate0 } = start;
+  const { value: value1, rate: rate1 } = end;
+  const s2 = s * s;
+  const s3 = s2 * s;
+  return {
+    value: (2 * s3 - 3 * s2 + 1) * value0 + (s3 - 2 * s2 + s) * interval * rate0 +
+      (-2 * s3 + 3 * s2) * value1 + (s3 - s2) * interval * rate1,
+    rate: ((6 * s2 - 6 * s) * value0 + (3 * s2 - 4 * s + 1) * interval * rate0 +
+      (-6 * s2 + 6 * s) * value1 + (3 * s2 - 2 * s) * interval * rate1) / interval
+  };
+}
+
+/**
+ * 由相邻两个网格节点的状态插值卫星状态
+ * @description 位置用速度、钟差用钟速做三次 Hermite 插值，1 s 网格的位置插值误差在毫米级
+ * @param {object|null} before - 前一节点的状态
+ * @param {object|null} after - 后一节点的状态
+ * @param {number} interval - 节点间隔，单位：秒
+ * @param {number} s - 插值位置 (0~1)
+ * @returns {object|null} 卫星状态；任一节点无法计算时为 null
+ */
+function interpolateState(before, after, interval, s) {
+  if (!before || !after) {
+    return null;
+  }
+  const [x, y, z] = ['x', 'y', 'z'].map(axis =>
+    hermite(
+      { value: before[axis], rate: before.velocity[axis] },
+      { value: after[axis], rate: after.velocity[axis] },
+      interval,
+      s
+    ));
+  const hasClock = before.clockBias !== null && after.clockBias !== null;
+  const clock = hasClock
+    ? hermite(
+      { value: before.clockBias, rate: before.clockDrift },
+      { value: after.clockBias, rate: after.clockDrift },
+      interval,
+      s
+    )
+    : { value: null, rate: null };
+  return {
+    x: x.value,
+    y: y.value,
+    z: z.value,
+    velocity: { x: x.rate, y: y.rate, z: z.rate },
+    clockBias: clock.value,
+    clockDrift: clock.rate
+  };
+}
+
+/**
+ * 校验并整理星历来源参数
+ * @param {object} params - 参数对象
+ * @returns {{rinexData: object|undefined, ephemerisStore: object, positionProvider: Function,
+ *           satelliteIds: Array<string>, signal: string|undefined}} 星历数据、星历存储、卫星位置计算函数、
+ *          要计算的卫星号和信号名称
+ * @throws {Error} 当缺少星历数据时抛出错误
+ */
+function resolveEphemerisSource(params) {
+  if (!params || (!params.rinexData && !params.ephemerisStore)) {
+    throw new Error('缺少必要参数');
+  }
+  const { rinexData, positionProvider = calculateSatellitePosition } = params;
+  const ephemerisStore = params.ephemerisStore ||
+    createEphemerisStore(rinexData.satellites || [], { policy: params.policy });
+  // 精密星历没有 satellites 数组，卫星号取自按卫星分组的位置序列
+  const defaultIds = rinexData && rinexData.positions
+    ? Object.keys(rinexData.positions)
+    : ephemerisStore.getSatelliteIds();
+  return {
+    rinexData,
+    ephemerisStore,
+    positionProvider,
+    satelliteIds: params.satelliteIds || defaultIds,
+    signal: params.signal
+  };
+}
+
+/**
+ * 创建星座轨道外推器
+ * @function createConstellationPropagator
+ * @description 以 step 秒为间隔、对齐到整秒倍数的时间网格计算全部卫星的状态，每个网格节点作为一个缓存条目
+ *              (缓存参数默认取 config.cache)。getStates 用于固定周期 (例如 config.system.updateInterval 的 100 ms)
+ *              的实时循环：同一对网格节点只计算一次，节点之间的时刻用三次 Hermite 插值得到。
+ *              propagate 在一次调用中计算整个时间范围 (例如一次飞行) 的网格，结果同时写入缓存。
+ *              不满足可用性策略或没有有效星历的卫星状态为 null，getExclusions 和 propagate 给出其排除原因。
+ * @param {object} params - 参数对象
+ * @param {object} [params.rinexData] - RINEX星历数据 (parseRinex、generateSyntheticEphemeris 等的结果)，
+ *        使用精密星历时为 parseSp3 的结果
+ * @param {object} [params.ephemerisStore] - 星历存储 (与 rinexData 二选一)
+ * @param {object} [params.policy] - createSatellitePolicy 创建的可用性策略 (仅用于 rinexData)，默认按 config.satellitePolicy 创建
+ * @param {Function} [params.positionProvider=calculateSatellitePosition] - 卫星位置计算函数，调用方式与
+ *        calculateSatellitePosition 相同；使用精密星历时传入 calculatePreciseSatellitePosition
+ * @param {Array<string>} [params.satelliteIds] - 要计算的卫星号，默认为星历中的全部卫星
+ * @param {string} [params.signal] - 信号名称，用于钟差的群延迟改正和该信号的可用性检查
+ * @param {number} [params.step=1] - 网格步长，单位：秒
+ * @param {object} [params.cache=config.cache] - 缓存参数 (enabled, ttl, maxSize, checkPeriod)
+ * @returns {{getStates: Function, getExclusions: Function, propagate: Function, clear: Function}} 外推器
+ * @throws {Error} 当缺少星历数据或步长不是正数时抛出错误
+ * @example
+ * const propagator = createConstellationPropagator({ rinexData });
+ * const states = propagator.getStates(new Date());
+ * // states.G01 => { x, y, z, velocity: { x, y, z }, clockBias, clockDrift }
+ */
+function createConstellationPropagator(params) {
+  const source = resolveEphemerisSource(params);
+  const { satelliteIds } = source;
+  const { step = DEFAULT_STEP_SECONDS, cache: cacheOptions = config.cache } = params;
+  if (!(step > 0)) {
+    throw new Error('网格步长必须为正数');
+  }
+  const stepMilliseconds = step * 1000;
+  const cache = createLruCache(cacheOptions);
+
+  const getNode = (time) => {
+    let node = cache.get(time);
+    if (!node) {
+      node = computeEpochStates(source, new Date(time));
+      cache.set(time, node);
+    }
+    return node;
+  };
+
+  // 计算时刻所在网格区间的起点；恰好位于网格节点时不需要后一个节点
+  const alignToGrid = time => Math.floor(time / stepMilliseconds) * stepMilliseconds;
+
+  /**
+   * 计算某一时刻全部卫星的状态
+   * @param {Date} timestamp - 计算时间 (UTC)
+   * @returns {Object<string, object|null>} 卫星号 -> 卫星状态，无法计算的卫星为 null
+   */
+  const getStates = (timestamp) => {
+    const time = timestamp.getTime();
+    const nodeTime = alignToGrid(time);
+    const before = getNode(nodeTime).states;
+    if (time === nodeTime) {
+      return { ...before };
+    }
+    const after = getNode(nodeTime + stepMilliseconds).states;
+    const s = (time - nodeTime) / stepMilliseconds;
+    const states = {};
+    satelliteIds.forEach((satelliteId) => {
+      states[satelliteId] = interpolateState(before[satelliteId], after[satelliteId], step, s);
+    });
+    return states;
+  };
+
+  /**
+   * 给出某一时刻被排除的卫星及原因
+   * @param {Date} timestamp - 计算时间 (UTC)
+   * @returns {Object<string, string>} 卫星号 -> 排除原因；与 getStates 一致，前后任一网格节点被排除的卫星都会列出
+   */
+  const getExclusions = (timestamp) => {
+    const time = timestamp.getTime();
+    const nodeTime = alignToGrid(time);
+    const before = getNode(nodeTime).exclusions;
+    return time === nodeTime ? { ...before } : { ...getNode(nodeTime + stepMilliseconds).exclusions, ...before };
+  };
+
+  /**
+   * 计算时间范围内每个网格节点的卫星状态
+   * @param {Date} start - 起始时间 (UTC)，按网格步长向前对齐
+   * @param {Date} end - 结束时间 (UTC)
+   * @returns {{epochs: Array<Date>, satellites: Object<string, Array<object|null>>,
+   *           exclusions: Object<string, Array<string|null>>}} 网格时刻、每颗卫星在各时刻的状态和排除原因 (未排除时为 null)
+   * @throws {Error} 当时间范围无效时抛出错误
+   */
+  const propagate = (start, end) => {
+    if (!(start instanceof Date) || !(end instanceof Date) || end.getTime() < start.getTime()) {
+      throw new Error('时间范围无效');
+    }
+    const epochs = [];
+    const satellites = {};
+    const exclusions = {};
+    satelliteIds.forEach((satelliteId) => {
+      satellites[satelliteId] = [];
+      exclusions[satelliteId] = [];
+    });
+    for (let time = alignToGrid(start.getTime()); time <= end.getTime(); time += stepMilliseconds) {
+      const node = getNode(time);
+      epochs.push(new Date(time));
+      satelliteIds.forEach((satelliteId) => {
+        satellites[satelliteId].push(node.states[satelliteId]);
+        exclusions[satelliteId].push(node.exclusions[satelliteId] || null);
+      });
+    }
+    return { epochs, satellites, exclusions };
+  };
+
+  return {
+    getStates,
+    getExclusions,
+    propagate,
+    clear: () => cache.clear()
+  };
+}
+
+/**
+ * 在时间网格上批量计算星座中全部卫星的状态
+ * @function propagateConstellation
+ * @description createConstellationPropagator(params).propagate(start, end) 的简写，适合一次性计算整段飞行时间
+ * @param {object} params - 参数对象，同 createConstellationPropagator，另外包含：
+ * @param {Date} params.start - 起始时间 (UTC)
+ * @param {Date} params.end - 结束时间 (UTC)
+ * @returns {{epochs: Array<Date>, satellites: Object<string, Array<object|null>>,
+ *           exclusions: Object<string, Array<string|null>>}} 网格时刻、各卫星的状态和排除原因
+ * @throws {Error} 当缺少星历数据、步长不是正数或时间范围无效时抛出错误
+ */
+function propagateConstellation(params) {
+  return createConstellationPropagator(params).propagate(params.start, params.end);
+}
+
+module.exports = {
+  createConstellationPropagator,
+  propagateConstellation
+};
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview 合成星历生成模块
+ * @module ephemerisGenerator
+ * @description 根据 config.satellites 中的星座构型 (Walker MEO 轨道面、北斗 GEO/IGSO 卫星) 生成合成的广播星历，
+ *              输出结构与 parseRinex 相同，离线测试和演示不需要下载真实星历
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const config = require('../../config/app.config');
+const { ORBIT_CONSTANTS } = require('./keplerOrbit');
+const { BEIDOU_GEO_FRAME_TILT } = require('./beidouGeo');
+const { utcToSystemTime, toWeekSeconds, fromWeekSeconds, SECONDS_PER_WEEK } = require('../time/gnssTime');
+
+// 度 -> 弧度
+const DEG_TO_RAD = Math.PI / 180;
+// 地球二阶带谐系数 J2 与赤道半径 (m)，用于计算升交点赤经的长期变化率
+const EARTH_J2 = 1.08262668e-3;
+const EARTH_EQUATORIAL_RADIUS = 6378137;
+// 北斗地球同步轨道 (GEO/IGSO) 的长半轴 (m)：按 CGCS2000 常数，平均运动等于地球自转角速度
+const GEOSYNCHRONOUS_SEMI_MAJOR_AXIS = Math.cbrt(
+  ORBIT_CONSTANTS.BEIDOU.gravitationalConstant / ORBIT_CONSTANTS.BEIDOU.earthRotationRate ** 2
+);
+// 默认生成时长，单位：秒
+const DEFAULT_DURATION_SECONDS = 86400;
+// 默认随机种子
+const DEFAULT_SEED = 1;
+
+/**
+ * 可生成星历的卫星系统 (以 config.satellites 中的 name 为键)
+ * constants 为该系统的地球引力常数与地球自转角速度，timeSystem 为周数和参考时间所属的时间系统；
+ * ephemerisInterval 为相邻两组星历参考时间的间隔，单位：秒；
+ * groupDelayFields 与 issueFields 分别为该系统的群延迟字段和钟差数据龄期字段，extraFields 为其他固定的广播字段
+ */
+const GENERATOR_SYSTEMS = {
+  GPS: {
+    prefix: 'G',
+    timeSystem: 'GPS',
+    constants: ORBIT_CONSTANTS.GPS,
+    ephemerisInterval: 7200,
+    fitInterval: 4,
+    groupDelayFields: ['tgd'],
+    issueFields: ['iodc'],
+    extraFields: { codesOnL2: 1, l2pDataFlag: 0 }
+  },
+  BEIDOU: {
+    prefix: 'C',
+    timeSystem: 'BDT',
+    constants: ORBIT_CONSTANTS.BEIDOU,
+    ephemerisInterval: 3600,
+    groupDelayFields: ['tgd1', 'tgd2'],
+    issueFields: ['aodc'],
+    extraFields: {}
+  }
+};
+
+/**
+ * perturbation 为 1 时各随机摄动量的上限
+ * 角度单位为度，平均运动差与倾角变化率单位为 rad/s，钟差单位为 s、钟速单位为 s/s
+ */
+const PERTURBATION_LIMITS = {
+  eccentricity: 0.005,
+  angle: 0.5,
+  deltaN: 5e-9,
+  idot: 1e-10,
+  radiusHarmonic: 200,
+  latitudeHarmonic: 1e-5,
+  inclinationHarmonic: 1e-7,
+  af0: 5e-4,
+  af1: 1e-11,
+  groupDelay: 1e-8
+};
+
+// 合成星历的用户测距精度 (URA)，单位：米
+const SYNTHETIC_ACCURACY = 2;
+// 星历发布时间相对参考时间的提前量，单位：秒
+const TRANSMISSION_LEAD_SECONDS = 1800;
+
+/**
+ * 创建可设定种子的伪随机数发生器 (mulberry32)
+ * @param {number} seed - 随机种子
+ * @returns {Function} 每次调用返回 [0, 1) 区间内的伪随机数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 将角度归一化到 (-PI, PI] 区间
+ * @param {number} angle - 角度，单位：弧度
+ * @returns {number} 归一化后的角度
+ */
+function normalizeAngle(angle) {
+  const wrapped = angle % (2 * Math.PI);
+  if (wrapped > Math.PI) {
+    return wrapped - 2 * Math.PI;
+  }
+  return wrapped <= -Math.PI ? wrapped + 2 * Math.PI : wrapped;
+}
+
+/**
+ * 按 Walker i:T/P/F 构型排列 MEO 卫星
+ * @param {object} walker - Walker 构型参数 (planes, satellitesPerPlane, phasing, inclination, semiMajorAxis, firstPrn；
+ *                          可选的 rightAscension 为第一个轨道面的升交点经度，默认为 0)
+ * @returns {Array<object>} 各卫星的标称轨道 {prn, semiMajorAxis, inclination, ascendingNode, argumentOfLatitude}
+ */
+function buildWalkerSlots(walker) {
+  const total = walker.planes * walker.satellitesPerPlane;
+  const slots = [];
+  for (let plane = 0; plane < walker.planes; plane++) {
+    for (let slot = 0; slot < walker.satellitesPerPlane; slot++) {
+      slots.push({
+        prn: walker.firstPrn + plane * walker.satellitesPerPlane + slot,
+        semiMajorAxis: walker.semiMajorAxis,
+        inclination: walker.inclination * DEG_TO_RAD,
+        ascendingNode: ((walker.rightAscension || 0) + (plane * 360) / walker.planes) * DEG_TO_RAD,
+        argumentOfLatitude:
+          ((slot * 360) / walker.satellitesPerPlane + (plane * walker.phasing * 360) / total) * DEG_TO_RAD
+      });
+    }
+  }
+  return slots;
+}
+
+/**
+ * 排列北斗 GEO 与 IGSO 卫星
+ * @description GEO 卫星位于赤道上空的定点经度；同一星下点轨迹上的 IGSO 卫星，相位晚 phase 度的卫星
+ *              晚 phase/360 个恒星日经过升交点，因此其轨道面的升交点经度相应东移 phase 度。
+ * @param {object} constellation - 星座构型
+ * @returns {Array<object>} 各卫星的标称轨道
+ */
+function buildGeosynchronousSlots(constellation) {
+  const geoSlots = (constellation.geo || []).map(({ prn, longitude }) => ({
+    prn,
+    semiMajorAxis: GEOSYNCHRONOUS_SEMI_MAJOR_AXIS,
+    inclination: 0,
+    ascendingNode: longitude * DEG_TO_RAD,
+    argumentOfLatitude: 0
+  }));
+  const igsoSlots = (constellation.igso || []).map(({ prn, longitude, phase = 0 }) => ({
+    prn,
+    semiMajorAxis: GEOSYNCHRONOUS_SEMI_MAJOR_AXIS,
+    inclination: constellation.igsoInclination * DEG_TO_RAD,
+    ascendingNode: (longitude + phase) * DEG_TO_RAD,
+    argumentOfLatitude: -phase * DEG_TO_RAD
+  }));
+  return [...geoSlots, ...igsoSlots];
+}
+
+/**
+ * 由 J2 项计算升交点赤经的长期变化率
+ * @param {number} semiMajorAxis - 长半轴，单位：m
+ * @param {number} inclination - 轨道倾角，单位：弧度
+ * @param {number} e - 偏心率
+ * @param {number} gravitationalConstant - 地球引力常数，单位：m^3/s^2
+ * @returns {number} 升交点赤经变化率，单位：rad/s
+ */
+function nodalRegressionRate(semiMajorAxis, inclination, e, gravitationalConstant) {
+  const meanMotion = Math.sqrt(gravitationalConstant / semiMajorAxis ** 3);
+  return (-1.5 * meanMotion * EARTH_J2 * (EARTH_EQUATORIAL_RADIUS / semiMajorAxis) ** 2 * Math.cos(inclination)) /
+    (1 - e * e) ** 2;
+}
+
+/**
+ * 为一颗卫星生成带随机摄动的平均轨道根数和钟差参数 (以生成历元为参考)
+ * @param {object} slot - 标称轨道
+ * @param {object} system - 卫星系统信息
+ * @param {Function} random - 伪随机数发生器
+ * @param {number} scale - 摄动幅度系数
+ * @returns {object} 卫星轨道
+ */
+function createSatelliteOrbit(slot, system, random, scale) {
+  const limits = PERTURBATION_LIMITS;
+  const symmetric = limit => (random() * 2 - 1) * limit * scale;
+  const e = random() * limits.eccentricity * scale;
+  const omega = normalizeAngle(random() * 2 * Math.PI);
+  // GEO 卫星由定点保持维持在赤道上空的定点经度上，不计倾角和升交点的漂移
+  const geo = slot.inclination === 0;
+  const i0 = geo ? 0 : Math.abs(slot.inclination + symmetric(limits.angle * DEG_TO_RAD));
+
+  return {
+    prn: slot.prn,
+    rootA: Math.sqrt(slot.semiMajorAxis),
+    e,
+    i0,
+    omega,
+    // 圆轨道上平近点角等于纬度幅角减去近地点角距
+    m0: slot.argumentOfLatitude + symmetric(limits.angle * DEG_TO_RAD) - omega,
+    ascendingNode: slot.ascendingNode + symmetric(limits.angle * DEG_TO_RAD),
+    omegadot: geo ? 0 : nodalRegressionRate(slot.semiMajorAxis, i0, e, system.constants.gravitationalConstant),
+    deltaN: symmetric(limits.deltaN),
+    idot: geo ? 0 : symmetric(limits.idot),
+    geo,
+    crs: symmetric(limits.radiusHarmonic),
+    crc: symmetric(limits.radiusHarmonic),
+    cus: symmetric(limits.latitudeHarmonic),
+    cuc: symmetric(limits.latitudeHarmonic),
+    cis: symmetric(limits.inclinationHarmonic),
+    cic: symmetric(limits.inclinationHarmonic),
+    af0: symmetric(limits.af0),
+    af1: symmetric(limits.af1),
+    groupDelays: system.groupDelayFields.map(() => symmetric(limits.groupDelay))
+  };
+}
+
+/**
+ * 计算广播星历中的轨道角 (升交点经度、倾角和近地点角距)
+ * @description 一般卫星的 omega0 为周起点的升交点经度，计算时再减去 ωe·toe。
+ *              北斗 GEO 卫星的星历以参考时间的惯性系绕 X 轴倾斜 5° 的坐标系给出：赤道面上的轨道在该坐标系中
+ *              倾角为 5°、升交点位于 -X 方向 (Ω0 - ωe·toe = π)，近地点角距从该升交点起算。
+ * @param {object} system - 卫星系统信息
+ * @param {object} orbit - 卫星轨道
+ * @param {number} dt - 参考时间相对生成历元的秒数
+ * @param {number} toe - 星历参考时间 (周内秒)
+ * @returns {{omega0: number, i0: number, omega: number}} 轨道角，单位：弧度
+ */
+function createOrbitAngles(system, orbit, dt, toe) {
+  const { earthRotationRate } = system.constants;
+  if (orbit.geo && system.name === 'BEIDOU') {
+    return {
+      omega0: normalizeAngle(Math.PI + earthRotationRate * toe),
+      i0: BEIDOU_GEO_FRAME_TILT,
+      // 参考时间的升交点地固经度加上近地点角距，再换算为从 -X 方向起算
+      omega: normalizeAngle(orbit.omega + orbit.ascendingNode - earthRotationRate * dt + Math.PI)
+    };
+  }
+  return {
+    omega0: normalizeAngle(orbit.ascendingNode + (orbit.omegadot - earthRotationRate) * dt + earthRotationRate * toe),
+    i0: orbit.i0 + orbit.idot * dt,
+    omega: orbit.omega
+  };
+}
+
+/**
+ * 生成一组广播星历
+ * @description 平近点角、升交点经度、倾角和钟差由生成历元的轨道外推到参考时间，
+ *              因此同一颗卫星相邻两组星历描述的是同一条轨道。
+ * @param {object} system - 卫星系统信息
+ * @param {object} orbit - 卫星轨道
+ * @param {number} referenceSeconds - 星历参考时间 (自该系统周数起点的秒数)
+ * @param {number} epochSeconds - 生成历元 (自该系统周数起点的秒数)
+ * @returns {object} 卫星对象
+ */
+function createEphemerisRecord(system, orbit, referenceSeconds, epochSeconds) {
+  const dt = referenceSeconds - epochSeconds;
+  const week = Math.floor(referenceSeconds / SECONDS_PER_WEEK);
+  const toe = referenceSeconds - week * SECONDS_PER_WEEK;
+  const meanMotion = Math.sqrt(system.constants.gravitationalConstant / orbit.rootA ** 6) + orbit.deltaN;
+  const angles = createOrbitAngles(system, orbit, dt, toe);
+  const issue = Math.round(referenceSeconds / system.ephemerisInterval) % 256;
+  const referenceTime = fromWeekSeconds(week, toe, system.timeSystem);
+  const fitMilliseconds = (system.fitInterval || 4) * 3600 * 1000;
+
+  const record = {
+    id: `${system.prefix}${String(orbit.prn).padStart(2, '0')}`,
+    system: system.name,
+    prn: orbit.prn,
+    source: 'synthetic',
+    epoch: referenceTime,
+    clockParameters: { af0: orbit.af0 + orbit.af1 * dt, af1: orbit.af1, af2: 0, toc: toe },
+    orbitalParameters: {
+      iode: issue,
+      crs: orbit.crs,
+      deltaN: orbit.deltaN,
+      m0: normalizeAngle(orbit.m0 + meanMotion * dt),
+      cuc: orbit.cuc,
+      e: orbit.e,
+      cus: orbit.cus,
+      rootA: orbit.rootA,
+      toe,
+      cic: orbit.cic,
+      omega0: angles.omega0,
+      cis: orbit.cis,
+      i0: angles.i0,
+      crc: orbit.crc,
+      omega: angles.omega,
+      omegadot: orbit.omegadot,
+      idot: orbit.idot
+    },
+    timeParameters: {
+      week,
+      transmissionTime: (((toe - TRANSMISSION_LEAD_SECONDS) % SECONDS_PER_WEEK) + SECONDS_PER_WEEK) % SECONDS_PER_WEEK,
+      referenceTime,
+      validFrom: new Date(referenceTime.getTime() - fitMilliseconds / 2),
+      validTo: new Date(referenceTime.getTime() + fitMilliseconds / 2)
+    },
+    accuracy: SYNTHETIC_ACCURACY,
+    health: 0,
+    ...system.extraFields
+  };
+
+  if (system.fitInterval !== undefined) {
+    record.timeParameters.fitInterval = system.fitInterval;
+  }
+  system.groupDelayFields.forEach((field, k) => {
+    record.clockParameters[field] = orbit.groupDelays[k];
+  });
+  system.issueFields.forEach((field) => {
+    record[field] = issue;
+  });
+  return record;
+}
+
+/**
+ * 生成一个星座在时间范围内的全部星历
+ * @param {object} system - 卫星系统信息
+ * @param {Array<object>} orbits - 各卫星轨道
+ * @param {Date} epoch - 生成历元
+ * @param {number} duration - 生成时长，单位：秒
+ * @returns {Array<object>} 按参考时间排列的卫星对象
+ */
+function generateConstellationRecords(system, orbits, epoch, duration) {
+  // epoch 为 UTC，换算为该系统的时间 (计入闰秒)
+  const { week, seconds } = toWeekSeconds(utcToSystemTime(epoch, system.timeSystem), system.timeSystem);
+  const epochSeconds = week * SECONDS_PER_WEEK + seconds;
+  const interval = system.ephemerisInterval;
+  const first = Math.floor(epochSeconds / interval) * interval;
+  const last = Math.ceil((epochSeconds + duration) / interval) * interval;
+
+  const records = [];
+  for (let referenceSeconds = first; referenceSeconds <= last; referenceSeconds += interval) {
+    orbits.forEach((orbit) => {
+      records.push(createEphemerisRecord(system, orbit, referenceSeconds, epochSeconds));
+    });
+  }
+  return records;
+}
+
+/**
+ * 生成合成星历
+ * @function generateSyntheticEphemeris
+ * @description 对 satellites 配置中带有 constellation 构型的每个卫星系统 (目前支持 GPS 和北斗)，
+ *              按 Walker 构型排列 MEO 卫星、按定点经度排列北斗 GEO 卫星、按星下点轨迹排列北斗 IGSO 卫星，
+ *              然后在 [epoch, epoch + duration] 内按该系统的星历更新间隔生成覆盖整个时间范围的广播星历。
+ *              构型描述的是卫星在 epoch 时刻的位置 (升交点经度和纬度幅角均为地固系下的值)。
+ *              偏心率、轨道角、摄动改正项和钟差带有由 seed 决定的随机摄动，相同参数总是得到相同的结果；
+ *              perturbation 为 0 时生成理想的圆轨道。
+ *              返回值与 parseRinex 的结构相同，可以直接传给 calculateSatellitePosition、createEphemerisStore 和 writeRinex，
+ *              卫星对象的 source 为 'synthetic'。
+ * @param {object} [params] - 生成参数对象
+ * @param {object} [params.satellites=config.satellites] - 卫星配置
+ * @param {Date} [params.epoch=new Date()] - 生成历元 (星座构型对应的 UTC 时刻)
+ * @param {number} [params.duration=86400] - 生成时长，单位：秒
+ * @param {number} [params.seed=1] - 随机种子
+ * @param {number} [params.perturbation=1] - 随机摄动幅度系数
+ * @returns {{header: object, satellites: Array<object>, dialect: string}} 合成星历数据
+ * @throws {Error} 当生成时长或摄动系数无效时抛出错误
+ * @throws {Error} 当配置中没有可生成星历的卫星星座时抛出错误
+ * @example
+ * const rinexData = generateSyntheticEphemeris({ epoch: new Date('2020-01-01T00:00:00Z'), seed: 42 });
+ * const timestamp = new Date('2020-01-01T06:00:00Z');
+ * const position = calculateSatellitePosition({ rinexData, satelliteId: 'C19', timestamp });
+ */
+function generateSyntheticEphemeris(params = {}) {
+  const {
+    satellites = config.satellites,
+    epoch = new Date(),
+    duration = DEFAULT_DURATION_SECONDS,
+    seed = DEFAULT_SEED,
+    perturbation = 1
+  } = params;
+
+  if (!(duration > 0) || !(perturbation >= 0)) {
+    throw new Error('生成时长必须为正数，摄动系数不能为负数');
+  }
+
+  const constellations = Object.values(satellites || {})
+    .filter(entry => entry && entry.constellation && GENERATOR_SYSTEMS[entry.name]);
+  if (constellations.length === 0) {
+    throw new Error('配置中没有可生成星历的卫星星座');
+  }
+
+  const random = createRandom(seed);
+  const records = [];
+  constellations.forEach(({ name, constellation }) => {
+    const system = { name, ...GENERATOR_SYSTEMS[name] };
+    const slots = [
+      ...buildGeosynchronousSlots(constellation),
+      ...(constellation.walker ? buildWalkerSlots(constellation.walker) : [])
+    ];
+    const orbits = slots.map(slot => createSatelliteOrbit(slot, system, random, perturbation));
+    records.push(...generateConstellationRecords(system, orbits, epoch, duration));
+  });
+
+  const systemIds = new Set(constellations.map(({ name }) => GENERATOR_SYSTEMS[name].prefix));
+  return {
+    header: {
+      version: 3.04,
+      type: 'N',
+      system: systemIds.size === 1 ? [...systemIds][0] : 'M',
+      comments: [`SYNTHETIC EPHEMERIS, SEED ${seed}`],
+      ionosphericCorrections: {},
+      timeSystemCorrections: {}
+    },
+    satellites: records,
+    dialect: 'RINEX3'
+  };
+}
+
+module.exports = {
+  generateSyntheticEphemeris
+};
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview 广播星历存储模块
+ * @module ephemerisStore
+ * @description 按卫星和星历参考时间索引同一颗卫星的多组广播星历，并为计算时间选择最合适的一组
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { createSatellitePolicy, EXCLUSION_REASONS } = require('./satellitePolicy');
+
+/**
+ * 星历的参考时间 (毫秒)
+ * @param {object} record - 卫星对象
+ * @returns {number|undefined} 参考时间；缺少时间参数时返回 undefined
+ */
+function getReferenceTime(record) {
+  const timeParams = record.timeParameters;
+  return timeParams && timeParams.referenceTime ? timeParams.referenceTime.getTime() : undefined;
+}
+
+/**
+ * 星历的数据龄期 (IODE)，GLONASS 等没有 IODE 的系统返回 undefined
+ * @param {object} record - 卫星对象
+ * @returns {number|undefined} IODE
+ */
+function getIssueOfData(record) {
+  return record.orbitalParameters ? record.orbitalParameters.iode : undefined;
+}
+
+/**
+ * 星历的发布时间 (周内秒)，用于判断同一参考时间的多组星历中哪一组较新
+ * @param {object} record - 卫星对象
+ * @returns {number} 发布时间；缺少时返回 -Infinity
+ */
+function getTransmissionTime(record) {
+  const timeParams = record.timeParameters;
+  return timeParams && timeParams.transmissionTime !== undefined ? timeParams.transmissionTime : -Infinity;
+}
+
+/**
+ * 判断星历在计算时间是否处于拟合区间内
+ * @param {object} record - 卫星对象
+ * @param {number} time - 计算时间 (毫秒)
+ * @returns {boolean} 是否有效；没有有效时间范围的星历视为始终有效
+ */
+function isWithinFitInterval(record, time) {
+  const timeParams = record.timeParameters;
+  if (!timeParams || !timeParams.validFrom || !timeParams.validTo) {
+    return true;
+  }
+  return time >= timeParams.validFrom.getTime() && time <= timeParams.validTo.getTime();
+}
+
+/**
+ * 创建带排除原因的错误
+ * @param {string} message - 错误信息
+ * @param {string} reason - 排除原因 (EXCLUSION_REASONS 之一)
+ * @returns {Error} 带有 reason 字段的错误
+ */
+function createExclusionError(message, reason) {
+  return Object.assign(new Error(message), { reason });
+}
+
+/**
+ * 比较两组候选星历
+ * @description 优先选择参考时间离计算时间最近的星历；距离相同时 (包括参考时间相同、IODE 不同的重新上注星历)
+ *              选择发布时间较晚的一组，最后按加入存储的先后顺序选择较晚的一组
+ * @param {object} a - 候选星历 {record, distance, order}
+ * @param {object} b - 候选星历
+ * @returns {number} 排序值，a 更优时为负数
+ */
+function compareCandidates(a, b) {
+  if (a.distance !== b.distance) {
+    return a.distance - b.distance;
+  }
+  const transmissionDiff = getTransmissionTime(b.record) - getTransmissionTime(a.record);
+  if (transmissionDiff !== 0 && !Number.isNaN(transmissionDiff)) {
+    return transmissionDiff;
+  }
+  return b.order - a.order;
+}
+
+/**
+ * 创建星历存储
+ * @function createEphemerisStore
+ * @description 以卫星号和参考时间 (toe) 为索引保存广播星历，同一参考时间、同一 IODE 的重复记录只保留最后加入的一条。
+ *              selectEphemeris 为计算时间选择拟合区间内、满足可用性策略 (健康状态、URA 等) 且参考时间最近的星历，
+ *              并报告所用的是哪一条；同一参考时间存在多个 IODE (星历重新上注) 时使用发布较晚的一组。
+ *              没有可用星历时抛出的错误带有 reason 字段 (EXCLUSION_REASONS 之一)，说明卫星被排除的原因。
+ * @param {Array<object>} [satellites=[]] - parseRinex 等得到的卫星对象数组
+ * @param {object} [options={}] - 存储参数
+ * @param {object} [options.policy] - createSatellitePolicy 创建的可用性策略，默认按 config.satellitePolicy 创建
+ * @returns {object} 星历存储，包含 add、getSatelliteIds、getRecords 和 selectEphemeris 方法
+ * @example
+ * const store = createEphemerisStore(parseRinex(content).satellites);
+ * const { record, index } = store.selectEphemeris('G01', new Date('2020-01-01T03:10:00Z'));
+ */
+function createEphemerisStore(satellites = [], options = {}) {
+  const policy = options.policy || createSatellitePolicy();
+  // 卫星号 -> 按参考时间排序的星历数组
+  const recordsBySatellite = new Map();
+  let addedCount = 0;
+  const insertionOrder = new WeakMap();
+
+  const add = (record) => {
+    if (!record || !record.id) {
+      throw new Error('缺少必要参数');
+    }
+    const records = recordsBySatellite.get(record.id) || [];
+    const referenceTime = getReferenceTime(record);
+    const duplicate = records.findIndex(existing =>
+      getReferenceTime(existing) === referenceTime && getIssueOfData(existing) === getIssueOfData(record));
+
+    insertionOrder.set(record, addedCount++);
+    if (duplicate === -1) {
+      records.push(record);
+    } else {
+      records[duplicate] = record;
+    }
+    records.sort((a, b) => (getReferenceTime(a) || 0) - (getReferenceTime(b) || 0));
+    recordsBySatellite.set(record.id, records);
+  };
+
+  const getRecords = satelliteId => recordsBySatellite.get(satelliteId) || [];
+
+  /**
+   * 为计算时间选择星历
+   * @param {string} satelliteId - 卫星号
+   * @param {Date} timestamp - 计算时间
+   * @param {string} [signal] - 信号名称，指定时同时检查该信号的健康状态
+   * @returns {{record: object, index: number, ageSeconds: number|undefined}} 选中的星历、
+   *          它在 getRecords(satelliteId) 中的序号，以及计算时间相对参考时间的秒数
+   * @throws {Error} 当没有该卫星的星历、计算时间不在任何星历的拟合区间内或拟合区间内的星历都不满足可用性策略时抛出错误
+   */
+  const selectEphemeris = (satelliteId, timestamp, signal) => {
+    const records = getRecords(satelliteId);
+    if (records.length === 0) {
+      throw createExclusionError(`找不到卫星 ${satelliteId} 的轨道数据`, EXCLUSION_REASONS.NO_EPHEMERIS);
+    }
+
+    const time = timestamp.getTime();
+    const inFit = records.filter(record => isWithinFitInterval(record, time));
+    if (inFit.length === 0) {
+      throw createExclusionError('计算时间超出星历数据有效范围', EXCLUSION_REASONS.NO_EPHEMERIS);
+    }
+
+    const candidates = inFit.map((record) => {
+      const referenceTime = getReferenceTime(record);
+      return {
+        record,
+        distance: referenceTime === undefined ? Infinity : Math.abs(time - referenceTime),
+        order: insertionOrder.get(record),
+        evaluation: policy.evaluate(record, signal)
+      };
+    }).sort(compareCandidates);
+    const usable = candidates.find(candidate => candidate.evaluation.usable);
+    if (!usable) {
+      // 按最合适的一组星历说明排除原因
+      const { reason } = candidates[0].evaluation;
+      const message = reason === EXCLUSION_REASONS.UNHEALTHY
+        ? `卫星 ${satelliteId} 在计算时间没有健康的星历`
+        : `卫星 ${satelliteId} 在计算时间没有可用的星历 (${reason})`;
+      throw createExclusionError(message, reason);
+    }
+
+    const { record } = usable;
+    const referenceTime = getReferenceTime(record);
+    return {
+      record,
+      index: records.indexOf(record),
+      ageSeconds: referenceTime === undefined ? undefined : (time - referenceTime) / 1000
+    };
+  };
+
+  satellites.forEach(add);
+
+  return {
+    add,
+    getSatelliteIds: () => [...recordsBySatellite.keys()],
+    getRecords,
+    selectEphemeris
+  };
+}
+
+module.exports = {
+  createEphemerisStore
+};
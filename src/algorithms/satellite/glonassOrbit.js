@@ -0,0 +1,134 @@
+/**
+ * @fileoverview GLONASS 轨道计算模块
+ * @module glonassOrbit
+ * @description GLONASS 广播星历给出的是参考时刻 PZ-90 地固系中的位置、速度和日月摄动加速度，
+ *              按 GLONASS ICD 用四阶龙格-库塔法数值积分含 J2 项的运动方程，得到其他时刻的卫星位置和速度；
+ *              同时给出各频道号对应的 FDMA 载波频率
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+// PZ-90 的地球引力常数 (m^3/s^2)、地球赤道半径 (m)、二阶带谐系数 J2 与地球自转角速度 (rad/s)
+const PZ90_CONSTANTS = {
+  gravitationalConstant: 3.986004418e14,
+  equatorialRadius: 6378136,
+  j2: 1.08262575e-3,
+  earthRotationRate: 7.292115e-5
+};
+
+// 积分步长，单位：秒 (星历有效范围为参考时刻前后 15 分钟，30 s 步长的积分误差远小于星历本身的误差)
+const INTEGRATION_STEP_SECONDS = 30;
+
+// 广播星历中状态矢量的单位为 km、km/s、km/s²
+const KILOMETERS = 1000;
+
+/**
+ * GLONASS FDMA 信号的载波频率：频率 = base + 频道号 × spacing，单位：Hz
+ */
+const GLONASS_FREQUENCIES = {
+  G1: { base: 1602e6, spacing: 0.5625e6 },
+  G2: { base: 1246e6, spacing: 0.4375e6 }
+};
+
+// 有效的频道号范围
+const MIN_FREQUENCY_CHANNEL = -7;
+const MAX_FREQUENCY_CHANNEL = 6;
+
+/**
+ * 计算状态矢量对时间的导数 (PZ-90 地固系中的运动方程)
+ * @param {Array<number>} state - 状态矢量 [x, y, z, vx, vy, vz]，单位：m、m/s
+ * @param {{x: number, y: number, z: number}} lunisolar - 日月摄动加速度，单位：m/s²
+ * @returns {Array<number>} 状态矢量的导数
+ */
+function computeDerivative(state, lunisolar) {
+  const [x, y, z, vx, vy, vz] = state;
+  const { gravitationalConstant: mu, equatorialRadius, j2, earthRotationRate: omega } = PZ90_CONSTANTS;
+  const r2 = x * x + y * y + z * z;
+  const r = Math.sqrt(r2);
+  const central = -mu / (r2 * r);
+  const oblateness = (-1.5 * j2 * mu * equatorialRadius * equatorialRadius) / (r2 * r2 * r);
+  const zRatio = (5 * z * z) / r2;
+
+  return [
+    vx,
+    vy,
+    vz,
+    central * x + oblateness * x * (1 - zRatio) + omega * omega * x + 2 * omega * vy + lunisolar.x,
+    central * y + oblateness * y * (1 - zRatio) + omega * omega * y - 2 * omega * vx + lunisolar.y,
+    central * z + oblateness * z * (3 - zRatio) + lunisolar.z
+  ];
+}
+
+/**
+ * 四阶龙格-库塔法积分一步
+ * @param {Array<number>} state - 状态矢量
+ * @param {number} step - 步长，单位：秒 (可以为负数)
+ * @param {{x: number, y: number, z: number}} lunisolar - 日月摄动加速度
+ * @returns {Array<number>} 积分后的状态矢量
+ */
+function rungeKuttaStep(state, step, lunisolar) {
+  const advance = (derivative, scale) => state.map((value, k) => value + derivative[k] * scale);
+  const k1 = computeDerivative(state, lunisolar);
+  const k2 = computeDerivative(advance(k1, step / 2), lunisolar);
+  const k3 = computeDerivative(advance(k2, step / 2), lunisolar);
+  const k4 = computeDerivative(advance(k3, step), lunisolar);
+  return state.map((value, k) => value + (step / 6) * (k1[k] + 2 * k2[k] + 2 * k3[k] + k4[k]));
+}
+
+/**
+ * 计算 GLONASS 卫星的位置和速度
+ * @function computeGlonassState
+ * @description 从星历参考时刻的状态矢量出发，按 GLONASS ICD 的运动方程 (中心引力、J2 项、地球自转的离心力和科氏力，
+ *              日月摄动加速度在积分区间内视为常数) 积分 tk 秒。结果为 PZ-90 地固系中的坐标。
+ * @param {object} orbitalParams - 星历中的状态矢量 {x, y, z, vx, vy, vz, ax, ay, az}，单位：km、km/s、km/s²
+ * @param {number} tk - 计算时刻相对星历参考时刻的秒数 (可以为负数)
+ * @returns {{x: number, y: number, z: number, velocity: {x: number, y: number, z: number}}} 位置 (m) 和速度 (m/s)
+ */
+function computeGlonassState(orbitalParams, tk) {
+  const { x, y, z, vx, vy, vz, ax = 0, ay = 0, az = 0 } = orbitalParams;
+  const lunisolar = { x: ax * KILOMETERS, y: ay * KILOMETERS, z: az * KILOMETERS };
+  let state = [x, y, z, vx, vy, vz].map(value => value * KILOMETERS);
+
+  const steps = Math.ceil(Math.abs(tk) / INTEGRATION_STEP_SECONDS);
+  for (let k = 0; k < steps; k++) {
+    state = rungeKuttaStep(state, tk / steps, lunisolar);
+  }
+
+  return {
+    x: state[0],
+    y: state[1],
+    z: state[2],
+    velocity: { x: state[3], y: state[4], z: state[5] }
+  };
+}
+
+/**
+ * 计算 GLONASS 卫星的 FDMA 载波频率
+ * @function getGlonassCarrierFrequency
+ * @param {number} frequencyChannel - 频道号 (-7 ~ +6，即卫星对象的 frequencyChannel)
+ * @param {string} [signal='G1'] - 信号名称 ('G1' 或 'G2')
+ * @returns {number} 载波频率，单位：Hz
+ * @throws {Error} 当频道号无效或信号不受支持时抛出错误
+ * @example
+ * getGlonassCarrierFrequency(1); // 1602562500
+ */
+function getGlonassCarrierFrequency(frequencyChannel, signal = 'G1') {
+  const band = GLONASS_FREQUENCIES[signal];
+  if (!band) {
+    throw new Error(`GLONASS 不支持信号 ${signal}`);
+  }
+  if (!Number.isInteger(frequencyChannel) ||
+    frequencyChannel < MIN_FREQUENCY_CHANNEL || frequencyChannel > MAX_FREQUENCY_CHANNEL) {
+    throw new Error(`无效的 GLONASS 频道号: ${frequencyChannel}`);
+  }
+  return band.base + frequencyChannel * band.spacing;
+}
+
+module.exports = {
+  computeGlonassState,
+  getGlonassCarrierFrequency,
+  GLONASS_FREQUENCIES,
+  PZ90_CONSTANTS
+};
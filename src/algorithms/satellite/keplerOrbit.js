@@ -0,0 +1,159 @@
+/**
+ * @fileoverview 开普勒轨道计算模块
+ * @module keplerOrbit
+ * @description 由开普勒轨道根数 (广播星历或历书) 计算卫星在ECEF坐标系中的位置，
+ *              供广播星历和历书的位置计算共用
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { isBeidouGeo, geoStateToEcef } = require('./beidouGeo');
+const { computeKeplerVelocity } = require('./keplerVelocity');
+
+// WGS-84 (GPS ICD) 的地球引力常数 (m^3/s^2) 与地球自转角速度 (rad/s)
+const GPS_CONSTANTS = { gravitationalConstant: 3.986005e14, earthRotationRate: 7.2921151467e-5 };
+
+/**
+ * 各卫星系统广播星历计算使用的地球引力常数和地球自转角速度
+ * 北斗使用 CGCS2000 的常数，Galileo 使用 GTRF 的常数，QZSS 与 NavIC 使用与 GPS 相同的常数；
+ * 未列出的系统按 GPS 处理
+ */
+const ORBIT_CONSTANTS = {
+  GPS: GPS_CONSTANTS,
+  BEIDOU: { gravitationalConstant: 3.986004418e14, earthRotationRate: 7.292115e-5 },
+  GALILEO: { gravitationalConstant: 3.986004418e14, earthRotationRate: 7.2921151467e-5 },
+  QZSS: GPS_CONSTANTS,
+  NAVIC: GPS_CONSTANTS
+};
+
+/**
+ * 确定卫星对象的轨道计算方法
+ * @function resolveOrbitModel
+ * @description 按卫星所属系统选择常数；北斗 GEO 卫星的广播星历使用专门的坐标变换。
+ *              历书 (source 为 'almanac') 的 GEO 卫星与其他卫星的计算方法相同。
+ * @param {object} record - 卫星对象 (parseRinex、历书解析或合成星历的结果)
+ * @returns {{constants: object, geo: boolean}} 轨道计算方法，constants 为 {gravitationalConstant, earthRotationRate}
+ */
+function resolveOrbitModel(record) {
+  const prn = record.prn !== undefined ? record.prn : parseInt(String(record.id).substring(1), 10);
+  return {
+    constants: ORBIT_CONSTANTS[record.system] || GPS_CONSTANTS,
+    geo: record.source !== 'almanac' && isBeidouGeo(record.system, prn)
+  };
+}
+
+/**
+ * 求解开普勒方程得到偏近点角 (Eccentric Anomaly)
+ * @param {number} meanAnomaly - 平近点角，单位：弧度
+ * @param {number} e - 偏心率
+ * @returns {number} 偏近点角，单位：弧度
+ */
+function solveKeplerEquation(meanAnomaly, e) {
+  // 将平近点角归一化到 [0, 2*PI) 范围
+  const normalizedMk = ((meanAnomaly % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+  // 使用牛顿-拉夫逊迭代法
+  let Ek = normalizedMk; // 初始猜测
+  let Ek_prev;
+  const tolerance = 1e-12; // 迭代容差
+  let iterations = 0;
+  do {
+    Ek_prev = Ek;
+    // E(k+1) = E(k) - (E(k) - e*sin(E(k)) - M(k)) / (1 - e*cos(E(k)))
+    Ek = Ek_prev - (Ek_prev - e * Math.sin(Ek_prev) - normalizedMk) / (1 - e * Math.cos(Ek_prev));
+    iterations++;
+  } while (Math.abs(Ek - Ek_prev) > tolerance && iterations < 100);
+  return Ek;
+}
+
+/**
+ * 由偏近点角计算改正后的纬度幅角、半径和轨道倾角
+ * @param {object} orbitalParams - 轨道参数
+ * @param {number} Ek - 偏近点角，单位：弧度
+ * @param {number} tk - 计算时间相对参考时间 toe 的秒数
+ * @returns {{phik: number, uk: number, rk: number, ik: number}} 纬度幅角、改正后的纬度幅角、半径和轨道倾角
+ */
+function computeOrbitPlaneState(orbitalParams, Ek, tk) {
+  // 计算真近点角 (True Anomaly)
+  const vk = Math.atan2(
+    Math.sqrt(1 - Math.pow(orbitalParams.e, 2)) * Math.sin(Ek),
+    Math.cos(Ek) - orbitalParams.e
+  );
+
+  // 计算纬度幅角 (Argument of Latitude)
+  const phik = vk + orbitalParams.omega;
+
+  // 计算摄动改正项
+  const deltaUk = orbitalParams.cus * Math.sin(2 * phik) + orbitalParams.cuc * Math.cos(2 * phik);
+  const deltaRk = orbitalParams.crs * Math.sin(2 * phik) + orbitalParams.crc * Math.cos(2 * phik);
+  const deltaIk = orbitalParams.cis * Math.sin(2 * phik) + orbitalParams.cic * Math.cos(2 * phik);
+
+  // 计算改正后的纬度幅角、半径和轨道倾角
+  return {
+    phik,
+    uk: phik + deltaUk,
+    rk: Math.pow(orbitalParams.rootA, 2) * (1 - orbitalParams.e * Math.cos(Ek)) + deltaRk,
+    ik: orbitalParams.i0 + deltaIk + orbitalParams.idot * tk
+  };
+}
+
+/**
+ * 由开普勒轨道根数计算卫星在ECEF坐标系中的位置
+ * @function computeKeplerPosition
+ * @description 北斗 GEO 卫星 (model.geo 为 true) 按北斗 ICD 计算：升交点经度中不扣除 tk 期间的地球自转，
+ *              先得到星历坐标系中的位置，再绕 X 轴旋转 -5°、绕 Z 轴旋转 ωe·tk 得到地固系位置。
+ *              速度由各步骤对时间的解析导数得到，与位置使用同一组星历参数。
+ * @param {object} orbitalParams - 轨道参数 (toe, m0, deltaN, e, rootA, omega0, i0, omega, omegadot, idot
+ *                                 及 cuc, cus, crc, crs, cic, cis 摄动改正项；历书的摄动改正项为 0)
+ * @param {number} tk - 计算时间相对参考时间 toe 的秒数
+ * @param {object} [model] - resolveOrbitModel 得到的轨道计算方法，默认按 GPS 计算
+ * @returns {{x: number, y: number, z: number, velocity: {x: number, y: number, z: number}, eccentricAnomaly: number,
+ *           meanMotion: number}} 卫星在ECEF坐标系中的位置，单位为米；velocity 为ECEF速度，单位为 m/s；
+ *          另外给出偏近点角 (rad) 和改正后的平均运动 (rad/s)，供钟差的相对论改正使用
+ */
+function computeKeplerPosition(orbitalParams, tk, model = { constants: GPS_CONSTANTS, geo: false }) {
+  const { gravitationalConstant, earthRotationRate } = model.constants;
+
+  // 2. 计算平近点角 (Mean Anomaly)
+  const n0 = Math.sqrt(gravitationalConstant / Math.pow(orbitalParams.rootA, 6)); // 平均运动 (rad/s)
+  const n = n0 + orbitalParams.deltaN; // 校正后的平均运动
+  const Mk = orbitalParams.m0 + n * tk; // 平近点角
+
+  // 3. 求解开普勒方程得到偏近点角 (Eccentric Anomaly)
+  const Ek = solveKeplerEquation(Mk, orbitalParams.e);
+
+  // 4~7. 计算纬度幅角、摄动改正项以及改正后的纬度幅角、半径和轨道倾角
+  const { phik, uk, rk, ik } = computeOrbitPlaneState(orbitalParams, Ek, tk);
+
+  // 8. 计算卫星在轨道平面内的坐标
+  const xk_prime = rk * Math.cos(uk);
+  const yk_prime = rk * Math.sin(uk);
+
+  // 9. 计算改正后的升交点经度
+  // 注意：这里需要考虑地球自转的影响，以及参考时间 toe；北斗 GEO 卫星的 tk 期间的地球自转在第 12 步处理
+  const earthRotationSinceToe = model.geo ? 0 : earthRotationRate * tk;
+  const Omegak = orbitalParams.omega0 + orbitalParams.omegadot * tk - earthRotationSinceToe -
+    earthRotationRate * orbitalParams.toe;
+
+  // 10. 将轨道平面坐标转换为ECEF坐标 (北斗 GEO 卫星为星历坐标系)
+  const position = {
+    x: xk_prime * Math.cos(Omegak) - yk_prime * Math.cos(ik) * Math.sin(Omegak),
+    y: xk_prime * Math.sin(Omegak) + yk_prime * Math.cos(ik) * Math.cos(Omegak),
+    z: yk_prime * Math.sin(ik)
+  };
+
+  // 11. 计算速度
+  const velocity = computeKeplerVelocity(orbitalParams, { Ek, n, phik, rk, uk, ik, Omegak }, model);
+
+  // 12. 北斗 GEO 卫星由星历坐标系转换到地固系，速度另加旋转坐标系引起的牵连速度 -ωe × r
+  const state = model.geo ? geoStateToEcef(position, velocity, tk, earthRotationRate) : { ...position, velocity };
+  return { ...state, eccentricAnomaly: Ek, meanMotion: n };
+}
+
+module.exports = {
+  computeKeplerPosition,
+  resolveOrbitModel,
+  ORBIT_CONSTANTS
+};
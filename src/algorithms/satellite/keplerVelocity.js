@@ -0,0 +1,54 @@
+/**
+ * @fileoverview 开普勒轨道速度计算模块
+ * @module keplerVelocity
+ * @description 由开普勒轨道计算各步骤对时间的解析导数得到卫星速度，不需要用两个时刻的位置做差分
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+/**
+ * 计算卫星速度 (轨道计算各步骤对时间的解析导数)
+ * @function computeKeplerVelocity
+ * @param {object} orbitalParams - 轨道参数
+ * @param {object} state - 位置计算的中间量 (Ek, n, phik, rk, uk, ik, Omegak)
+ * @param {object} model - 轨道计算方法 (resolveOrbitModel 的结果)
+ * @returns {{x: number, y: number, z: number}} ECEF速度 (北斗 GEO 卫星为星历坐标系中的速度)，单位：m/s
+ */
+function computeKeplerVelocity(orbitalParams, state, model) {
+  const { e, cus, cuc, crs, crc, cis, cic } = orbitalParams;
+  const { Ek, n, phik, rk, uk, ik, Omegak } = state;
+  const sin2Phik = Math.sin(2 * phik);
+  const cos2Phik = Math.cos(2 * phik);
+
+  // 偏近点角、纬度幅角、半径、倾角和升交点经度的变化率
+  const EkDot = n / (1 - e * Math.cos(Ek));
+  const phikDot = (Math.sqrt(1 - e * e) * EkDot) / (1 - e * Math.cos(Ek));
+  const ukDot = phikDot * (1 + 2 * (cus * cos2Phik - cuc * sin2Phik));
+  const rkDot = orbitalParams.rootA ** 2 * e * Math.sin(Ek) * EkDot + 2 * phikDot * (crs * cos2Phik - crc * sin2Phik);
+  const ikDot = orbitalParams.idot + 2 * phikDot * (cis * cos2Phik - cic * sin2Phik);
+  const OmegakDot = orbitalParams.omegadot - (model.geo ? 0 : model.constants.earthRotationRate);
+
+  // 轨道平面内的坐标及其变化率
+  const xkPrime = rk * Math.cos(uk);
+  const ykPrime = rk * Math.sin(uk);
+  const xkPrimeDot = rkDot * Math.cos(uk) - ykPrime * ukDot;
+  const ykPrimeDot = rkDot * Math.sin(uk) + xkPrime * ukDot;
+
+  const cosOmega = Math.cos(Omegak);
+  const sinOmega = Math.sin(Omegak);
+  const x = xkPrime * cosOmega - ykPrime * Math.cos(ik) * sinOmega;
+  const y = xkPrime * sinOmega + ykPrime * Math.cos(ik) * cosOmega;
+  return {
+    x: xkPrimeDot * cosOmega - ykPrimeDot * Math.cos(ik) * sinOmega +
+      ykPrime * Math.sin(ik) * sinOmega * ikDot - y * OmegakDot,
+    y: xkPrimeDot * sinOmega + ykPrimeDot * Math.cos(ik) * cosOmega -
+      ykPrime * Math.sin(ik) * cosOmega * ikDot + x * OmegakDot,
+    z: ykPrimeDot * Math.sin(ik) + ykPrime * Math.cos(ik) * ikDot
+  };
+}
+
+module.exports = {
+  computeKeplerVelocity
+};
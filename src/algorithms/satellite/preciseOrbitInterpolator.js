@@ -0,0 +1,215 @@
+/**
+ * @fileoverview 精密星历插值模块
+ * @module preciseOrbitInterpolator
+ * @description 基于SP3精密星历，通过拉格朗日插值计算任意时刻的卫星位置
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { utcToSystemTime, resolveTimeSystemCode } = require('../time/gnssTime');
+
+// 默认插值节点数 (对 15 分钟间隔的 SP3 数据，10 个节点可达到毫米级精度)
+const DEFAULT_INTERPOLATION_ORDER = 10;
+
+// SP3 文件头坐标框架 -> 大地基准 (DATUMS 的键)；更早的 IGS 框架与 WGS84 的差异在厘米级以内，按 WGS84 处理
+const SP3_DATUMS = {
+  IGS14: 'ITRF2014',
+  IGb14: 'ITRF2014',
+  ITR14: 'ITRF2014',
+  IGS20: 'ITRF2020',
+  IGb20: 'ITRF2020',
+  ITR20: 'ITRF2020'
+};
+
+/**
+ * 拉格朗日插值
+ * @param {Array<number>} times - 节点时间，单位：秒
+ * @param {Array<number>} values - 节点数值
+ * @param {number} t - 插值时间，单位：秒
+ * @returns {number} 插值结果
+ */
+function lagrangeInterpolate(times, values, t) {
+  let result = 0;
+  for (let i = 0; i < times.length; i++) {
+    let weight = 1;
+    for (let j = 0; j < times.length; j++) {
+      if (j !== i) {
+        weight *= (t - times[j]) / (times[i] - times[j]);
+      }
+    }
+    result += weight * values[i];
+  }
+  return result;
+}
+
+/**
+ * 拉格朗日插值多项式的导数
+ * @param {Array<number>} times - 节点时间，单位：秒
+ * @param {Array<number>} values - 节点数值
+ * @param {number} t - 插值时间，单位：秒
+ * @returns {number} 插值多项式在 t 处的导数 (每秒)
+ */
+function lagrangeDerivative(times, values, t) {
+  let result = 0;
+  for (let i = 0; i < times.length; i++) {
+    // 基函数 L_i 的导数：依次对每个因子求导，其余因子保持不变
+    let derivative = 0;
+    for (let k = 0; k < times.length; k++) {
+      if (k === i) {
+        continue;
+      }
+      let term = 1 / (times[i] - times[k]);
+      for (let j = 0; j < times.length; j++) {
+        if (j !== i && j !== k) {
+          term *= (t - times[j]) / (times[i] - times[j]);
+        }
+      }
+      derivative += term;
+    }
+    result += derivative * values[i];
+  }
+  return result;
+}
+
+/**
+ * 选取以计算时间为中心的插值节点
+ * @param {Array<object>} samples - 按时间排序的有效样本
+ * @param {number} time - 计算时间 (毫秒)
+ * @param {number} order - 插值节点数
+ * @returns {Array<object>} 插值节点
+ */
+function selectInterpolationNodes(samples, time, order) {
+  const count = Math.min(order, samples.length);
+  // 第一个时间晚于计算时间的样本
+  let next = samples.findIndex(sample => sample.timestamp.getTime() > time);
+  if (next === -1) {
+    next = samples.length;
+  }
+  const start = Math.min(Math.max(next - Math.ceil(count / 2), 0), samples.length - count);
+  return samples.slice(start, start + count);
+}
+
+/**
+ * 线性插值钟差和钟速
+ * @param {Array<object>} samples - 按时间排序的样本 (至少 2 个)
+ * @param {number} time - 计算时间 (毫秒)，不早于第一个样本
+ * @returns {{clockBias: number|null, clockDrift: number|null}} 钟差 (s) 和钟速 (s/s，相邻历元钟差之差除以间隔)；
+ *          相邻历元的钟差无效时均为 null (恰好位于钟差有效的历元时钟差仍为该历元的值)
+ */
+function interpolateClock(samples, time) {
+  let next = samples.findIndex(sample => sample.timestamp.getTime() >= time);
+  if (next === -1) {
+    next = samples.length - 1;
+  }
+  const atEpoch = samples[next].timestamp.getTime() === time ? samples[next].clockBias : null;
+  // 位于第一个历元时使用第一个区间
+  const after = samples[Math.max(next, 1)];
+  const before = samples[Math.max(next, 1) - 1];
+  if (before.clockBias === null || after.clockBias === null) {
+    return { clockBias: atEpoch, clockDrift: null };
+  }
+  const interval = (after.timestamp.getTime() - before.timestamp.getTime()) / 1000;
+  const clockDrift = (after.clockBias - before.clockBias) / interval;
+  return {
+    clockBias: before.clockBias + clockDrift * ((time - before.timestamp.getTime()) / 1000),
+    clockDrift
+  };
+}
+
+/**
+ * 将 UTC 计算时间换算为精密星历文件的时间系统
+ * @param {Date} timestamp - 计算时间 (UTC)
+ * @param {object} [header] - 精密星历文件头
+ * @returns {number} 文件时间系统中的时间 (毫秒)；文件头未声明时间系统时不做换算
+ */
+function toFileTime(timestamp, header) {
+  const timeSystem = resolveTimeSystemCode(header && header.timeSystem);
+  return timeSystem ? utcToSystemTime(timestamp, timeSystem).getTime() : timestamp.getTime();
+}
+
+/**
+ * 检查计算时间是否位于精密星历数据范围内
+ * @param {Array<object>} samples - 按时间排序的有效位置样本
+ * @param {number} time - 文件时间系统下的计算时间 (毫秒)
+ * @throws {Error} 当计算时间超出数据范围时抛出错误
+ */
+function assertWithinSamples(samples, time) {
+  if (time < samples[0].timestamp.getTime() || time > samples[samples.length - 1].timestamp.getTime()) {
+    throw new Error('计算时间超出精密星历数据范围');
+  }
+}
+
+/**
+ * 由 SP3 文件头的坐标框架确定大地基准
+ * @param {object} [header] - SP3 文件头
+ * @returns {string} 大地基准名称，未知的坐标框架按 WGS84 处理
+ */
+function getSp3Datum(header) {
+  return (header && SP3_DATUMS[header.coordinateSystem]) || 'WGS84';
+}
+
+/**
+ * 基于精密星历计算卫星在ECEF坐标系中的位置
+ * @function calculatePreciseSatellitePosition
+ * @description 调用方式与 calculateSatellitePosition 相同 ({ rinexData, satelliteId, timestamp })，rinexData 为
+ *              parseSp3 的结果。作为 positionProvider 传给 computeTransmitPosition 或 createConstellationPropagator，
+ *              即可在发射时刻求解和可见性计算中替代广播星历。
+ *              位置采用拉格朗日插值，速度为插值多项式的导数；钟差采用相邻历元间的线性插值，钟速为该区间的斜率。
+ *              计算时间为 UTC，按文件头声明的时间系统 (例如 GPS 时) 计入闰秒后再与历元比较。
+ *              结果的 datum 由文件头的坐标框架确定 (IGS14 等为 ITRF2014，IGS20 等为 ITRF2020，其他按 WGS84 处理)。
+ * @param {object} params - 计算参数对象
+ * @param {object} params.rinexData - parseSp3 解析得到的精密星历数据 (与 calculateSatellitePosition 的参数同名)
+ * @param {string} params.satelliteId - 卫星标识符 (例如 'C01', 'G01')
+ * @param {Date} params.timestamp - 计算时间戳 (UTC)
+ * @param {number} [params.order=10] - 插值节点数
+ * @returns {{x: number, y: number, z: number, velocity: object, clockBias: number|null, clockDrift: number|null,
+ *           datum: string, accuracy: string}} 卫星ECEF位置 (m)、速度 {x, y, z} (m/s)、钟差 (s) 和钟速 (s/s)，
+ *          datum 为所在的大地基准，accuracy 为 'precise'
+ * @throws {Error} 当缺少必要参数时抛出错误
+ * @throws {Error} 当找不到指定卫星数据时抛出错误
+ * @throws {Error} 当时间戳超出精密星历数据范围时抛出错误
+ */
+function calculatePreciseSatellitePosition(params) {
+  const sp3Data = params && params.rinexData;
+  if (!sp3Data || !params.satelliteId || !params.timestamp) {
+    throw new Error('缺少必要参数');
+  }
+
+  const { satelliteId, timestamp, order = DEFAULT_INTERPOLATION_ORDER } = params;
+
+  const allSamples = (sp3Data.positions && sp3Data.positions[satelliteId]) || [];
+  const samples = allSamples.filter(sample => sample.position !== null);
+  if (samples.length < 2) {
+    throw new Error(`找不到卫星 ${satelliteId} 的精密星历数据`);
+  }
+
+  const time = toFileTime(timestamp, sp3Data.header);
+  assertWithinSamples(samples, time);
+
+  // 以第一个节点为时间原点，避免大数相减带来的精度损失
+  const nodes = selectInterpolationNodes(samples, time, order);
+  const origin = nodes[0].timestamp.getTime();
+  const times = nodes.map(node => (node.timestamp.getTime() - origin) / 1000);
+  const t = (time - origin) / 1000;
+  const [x, y, z] = ['x', 'y', 'z'].map(axis => nodes.map(node => node.position[axis]));
+
+  return {
+    x: lagrangeInterpolate(times, x, t),
+    y: lagrangeInterpolate(times, y, t),
+    z: lagrangeInterpolate(times, z, t),
+    velocity: {
+      x: lagrangeDerivative(times, x, t),
+      y: lagrangeDerivative(times, y, t),
+      z: lagrangeDerivative(times, z, t)
+    },
+    ...interpolateClock(allSamples, time),
+    datum: getSp3Datum(sp3Data.header),
+    accuracy: 'precise'
+  };
+}
+
+module.exports = {
+  calculatePreciseSatellitePosition
+};
@@ -8,41 +8,179 @@
 
 'use strict';
 
-// 地球自转角速度 (rad/s)
-const EARTH_ROTATION_RATE = 7.2921151467e-5;
-// 地球引力常数 (m^3/s^2)
-const EARTH_GRAVITATIONAL_CONSTANT = 3.986004418e14;
-// GPS秒数/周
-const GPS_SECONDS_PER_WEEK = 604800;
-// Unix 纪元 (1970-01-01) 到 GPS 纪元 (1980-01-06) 的秒数差 (不考虑闰秒)
-const UNIX_TO_GPS_EPOCH_SECONDS = 315964800;
+const config = require('../../config/app.config');
+const { createEphemerisStore } = require('./ephemerisStore');
+const { createSatellitePolicy } = require('./satellitePolicy');
+const { computeKeplerPosition, resolveOrbitModel } = require('./keplerOrbit');
+const { computeGlonassState } = require('./glonassOrbit');
+const { computeSatelliteClock, computeGlonassClock } = require('./satelliteClock');
+const { getSatelliteDatum } = require('../coordinate/coordinateConverter');
+const {
+  utcToSystemTime,
+  toWeekSeconds,
+  wrapWeekSeconds,
+  getSatelliteTimeSystem
+} = require('../time/gnssTime');
+
+// 卫星数组 -> {records, policyOptions, store}，避免对同一份数据重复建立索引。
+// 数组中的星历 (增加、删除或替换) 或 config.satellitePolicy 变化后重新建立，使新的星历和策略生效
+const ephemerisStores = new WeakMap();
+
+/**
+ * 判断两组策略参数是否相同
+ * @param {object} a - 策略参数
+ * @param {object} b - 策略参数
+ * @returns {boolean} 是否相同
+ */
+function isSamePolicyOptions(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => Object.is(a[key], b[key]));
+}
+
+/**
+ * 判断缓存的星历存储是否仍然对应卫星数组和策略参数
+ * @param {object|undefined} cached - 缓存条目 {records, policyOptions, store}
+ * @param {Array<object>} satellites - 卫星数组
+ * @param {object} policyOptions - 当前的策略参数
+ * @returns {boolean} 是否可以继续使用；数组中的每条星历都必须是建立索引时的同一个对象
+ */
+function isCachedStoreCurrent(cached, satellites, policyOptions) {
+  return Boolean(cached) &&
+    cached.records.length === satellites.length &&
+    satellites.every((record, index) => record === cached.records[index]) &&
+    isSamePolicyOptions(cached.policyOptions, policyOptions);
+}
+
+/**
+ * 获取星历数据对应的星历存储
+ * @description 以 rinexData.satellites 数组为键缓存，每次调用时逐个比较数组中的星历对象 (不比较对象的内容)
+ * @param {object} rinexData - RINEX星历数据
+ * @returns {object} 星历存储，按当前的 config.satellitePolicy 筛选星历
+ */
+function getEphemerisStore(rinexData) {
+  const { satellites } = rinexData;
+  if (!Array.isArray(satellites)) {
+    return createEphemerisStore([]);
+  }
+  const policyOptions = { ...config.satellitePolicy };
+  const cached = ephemerisStores.get(satellites);
+  if (isCachedStoreCurrent(cached, satellites, policyOptions)) {
+    return cached.store;
+  }
+  const store = createEphemerisStore(satellites, { policy: createSatellitePolicy(policyOptions) });
+  ephemerisStores.set(satellites, { records: satellites.slice(), policyOptions, store });
+  return store;
+}
+
+/**
+ * 将 UTC 计算时间换算为卫星所属系统的时间系统 (计入闰秒)
+ * @param {object} ephemerisStore - 星历存储
+ * @param {string} satelliteId - 卫星号
+ * @param {Date} timestamp - 计算时间 (UTC)
+ * @returns {Date} 时间标签，与该卫星星历的时间系统相同
+ */
+function toSatelliteSystemTime(ephemerisStore, satelliteId, timestamp) {
+  const [firstRecord] = ephemerisStore.getRecords(satelliteId);
+  return utcToSystemTime(timestamp, getSatelliteTimeSystem(firstRecord && firstRecord.system));
+}
+
+/**
+ * 计算计算时刻相对星历参考时间的秒数 (tk)
+ * @param {object} satelliteData - 卫星对象
+ * @param {Date} systemTime - 计算时间在该卫星系统时间系统中的时间标签
+ * @returns {number} tk，单位：秒
+ */
+function computeTimeFromEphemeris(satelliteData, systemTime) {
+  const timeParams = satelliteData.timeParameters || {};
+  if (timeParams.referenceTime) {
+    // 参考时间已由周数和 toe 换算为时间标签，直接相减，跨周以及历书的长时间外推都不需要特殊处理
+    return (systemTime.getTime() - timeParams.referenceTime.getTime()) / 1000;
+  }
+
+  // toe 是星历参考时间，是该系统时间的周内秒 (SOW)，需要把计算时间也转换为周内秒；
+  // 相减后换算到以 toe 为中心、前后半周范围内的最小时间差
+  const { seconds } = toWeekSeconds(systemTime, getSatelliteTimeSystem(satelliteData.system));
+  return wrapWeekSeconds(seconds - satelliteData.orbitalParameters.toe);
+}
+
+/**
+ * 由星历计算卫星的位置、速度和钟差
+ * @param {object} satelliteData - 卫星对象
+ * @param {number} tk - 计算时刻相对星历参考时间的秒数
+ * @param {string} [signal] - 信号名称
+ * @returns {{x: number, y: number, z: number, velocity: object, clockBias: number|null, clockDrift: number|null}}
+ *          卫星ECEF位置 (m)、速度 (m/s)、钟差 (s) 和钟速 (s/s)；GLONASS 卫星另有 frequencyChannel
+ */
+function computeOrbitState(satelliteData, tk, signal) {
+  // GLONASS 播发状态矢量，需要数值积分
+  if (satelliteData.system === 'GLONASS') {
+    return {
+      ...computeGlonassState(satelliteData.orbitalParameters, tk),
+      ...computeGlonassClock(satelliteData, tk, signal),
+      // 各卫星的载波频率由频道号决定 (见 getGlonassCarrierFrequency)
+      frequencyChannel: satelliteData.frequencyChannel
+    };
+  }
+
+  // 2~12. 按卫星所属系统的常数和算法，由开普勒轨道根数计算卫星ECEF坐标和速度
+  const kepler = computeKeplerPosition(satelliteData.orbitalParameters, tk, resolveOrbitModel(satelliteData));
+
+  // 13. 计算卫星钟差和钟速
+  const { clockBias, clockDrift } = computeSatelliteClock(satelliteData, tk, kepler, signal);
+  return { x: kepler.x, y: kepler.y, z: kepler.z, velocity: kepler.velocity, clockBias, clockDrift };
+}
 
 /**
  * 计算卫星在ECEF坐标系中的位置
  * @function calculateSatellitePosition
- * @description 根据RINEX星历数据中的开普勒轨道根数，计算指定时间点的卫星位置
+ * @description 根据RINEX星历数据中的开普勒轨道根数，计算指定时间点的卫星位置。
+ *              同一颗卫星有多组星历时，通过星历存储选择拟合区间内、满足可用性策略且参考时间最近的一组
+ *              (使用其他策略时传入以 createEphemerisStore(satellites, { policy }) 创建的 ephemerisStore)。
+ *              计算时间为 UTC，按闰秒表换算到卫星所属系统的时间系统 (GPS 时、北斗时等) 后再与星历比较。
+ *              按卫星所属系统选择地球引力常数和地球自转角速度 (北斗为 CGCS2000 常数)，
+ *              北斗 GEO 卫星 (C01~C05、C59 以后) 按北斗 ICD 的专门算法计算。
+ *              GLONASS 星历为状态矢量，由参考时刻起数值积分 PZ-90 运动方程 (见 computeGlonassState)，
+ *              结果为 PZ-90.11 坐标，星历时间为 UTC。结果的 datum 给出坐标所在的大地基准
+ *              (北斗为 CGCS2000、GLONASS 为 PZ-90.11、其他系统为 WGS84)，与其他系统合用时可用 transformDatum 统一。
+ *              卫星速度由轨道模型的解析导数得到，不需要用两个时刻的位置做差分。
+ *              同时由钟差参数计算卫星钟差和钟速 (含相对论改正，指定 signal 时再减去该信号的群延迟)，
+ *              可用于模拟伪距和信号时延。
+ *              也可以传入历书解析结果 (parseYumaAlmanac 等) 作为 rinexData，用于预测数天后的卫星位置，
+ *              此时结果的 accuracy 为 'almanac'，表示精度低于广播星历。
  * @param {object} params - 计算参数对象
- * @param {object} params.rinexData - RINEX星历数据
- * @param {string} params.satelliteId - 卫星标识符 (例如 'B01', 'G01')
+ * @param {object} [params.rinexData] - RINEX星历数据
+ * @param {object} [params.ephemerisStore] - createEphemerisStore 创建的星历存储 (与 rinexData 二选一)
+ * @param {string} params.satelliteId - 卫星标识符 (例如 'C01', 'G01')
  * @param {Date} params.timestamp - 计算时间戳 (UTC)
- * @returns {{x: number, y: number, z: number}} 卫星在ECEF坐标系中的位置，单位为米
+ * @param {string} [params.signal] - 信号名称 (GPS/QZSS 为 'L1'、'L2'，北斗为 'B1I'、'B2I'、'B3I'，
+ *                                   Galileo 为 'E1'、'E5a'、'E5b'，GLONASS 为 'G1'、'G2')，不指定时钟差对应广播钟差的参考信号
+ * @returns {{x: number, y: number, z: number, velocity: object, clockBias: number|null, clockDrift: number|null,
+ *           datum: string, accuracy: string, ephemeris: object}} 卫星ECEF位置，单位为米，datum 为所在的大地基准；
+ *          velocity 为ECEF速度 {x, y, z}，单位为 m/s，可直接用于计算视线方向的距离变化率和多普勒频移；
+ *          clockBias 为钟差 (s)、clockDrift 为钟速 (s/s)，星历中没有钟差参数时为 null；accuracy 为位置精度等级 ('broadcast' 或 'almanac')，
+ *          ephemeris 为所用星历的信息 {referenceTime, iode, index}，index 为该星历在星历存储中的序号；
+ *          GLONASS 卫星另有 frequencyChannel (频道号)
  * @throws {Error} 当缺少必要参数时抛出错误
  * @throws {Error} 当找不到指定卫星数据时抛出错误
  * @throws {Error} 当时间戳超出星历数据有效范围时抛出错误
+ * @throws {Error} 当有效范围内的星历都不满足可用性策略 (config.satellitePolicy，例如不健康、URA 超过上限) 时抛出错误；
+ *         找不到卫星数据、超出有效范围和不满足策略的错误带有 reason 字段 (排除原因，见 EXCLUSION_REASONS)
+ * @throws {Error} 当卫星所属系统不支持指定信号时抛出错误
  */
 function calculateSatellitePosition(params) {
   // 参数校验
-  if (!params || !params.rinexData || !params.satelliteId || !params.timestamp) {
+  if (!params || (!params.rinexData && !params.ephemerisStore) || !params.satelliteId || !params.timestamp) {
     throw new Error('缺少必要参数');
   }
 
-  const { rinexData, satelliteId, timestamp } = params;
+  const { satelliteId, timestamp } = params;
+  const ephemerisStore = params.ephemerisStore || getEphemerisStore(params.rinexData);
 
-  // 查找指定卫星的轨道数据
-  const satelliteData = rinexData.satellites && rinexData.satellites.find(sat => sat.id === satelliteId);
-  if (!satelliteData) {
-    throw new Error(`找不到卫星 ${satelliteId} 的轨道数据`);
-  }
+  // 星历的时间按所属卫星系统的时间系统记录，先把 UTC 计算时间换算到该时间系统
+  const systemTime = toSatelliteSystemTime(ephemerisStore, satelliteId, timestamp);
+
+  // 选择计算时间对应的星历 (同时完成拟合区间检查，并按可用性策略检查健康状态、URA 和信号的健康状态)
+  const { record: satelliteData, index } = ephemerisStore.selectEphemeris(satelliteId, systemTime, params.signal);
 
   // 从卫星数据中提取轨道参数
   const orbitalParams = satelliteData.orbitalParameters;
@@ -50,100 +188,25 @@ function calculateSatellitePosition(params) {
     throw new Error(`卫星 ${satelliteId} 缺少轨道参数`);
   }
 
-  // 时间有效性检查
-  const timeParams = satelliteData.timeParameters;
-  if (timeParams && timeParams.validFrom && timeParams.validTo) {
-    const calculationTime = timestamp.getTime();
-    if (calculationTime < timeParams.validFrom.getTime() || calculationTime > timeParams.validTo.getTime()) {
-      throw new Error('计算时间超出星历数据有效范围');
-    }
-  }
-
   // --- 开始真实的轨道计算 ---
 
   // 1. 计算时间差 (tk)
-  // toe 是星历参考时间，通常是 GPS 周内的周秒 (SOW)。
-  // timestamp 是 UTC 时间戳。我们需要将其也转换为 GPS 周内秒。
-  const utcTimestampSeconds = timestamp.getTime() / 1000;
-  // 将 UTC 时间戳转换为 GPS 总秒数 (不考虑闰秒，这是一个近似)
-  const gpsTotalSeconds = utcTimestampSeconds - UNIX_TO_GPS_EPOCH_SECONDS;
-  // 计算 GPS 周数和周内秒
-  const gpsWeek = Math.floor(gpsTotalSeconds / GPS_SECONDS_PER_WEEK);
-  const t_sow = gpsTotalSeconds % GPS_SECONDS_PER_WEEK;
-
-  // toe 也是周内秒，所以可以直接相减
-  const toe = orbitalParams.toe;
-  let tk = t_sow - toe;
-
-  // 处理周跨接问题：如果 tk > 302400，则 tk = tk - 604800
-  // 如果 tk < -302400，则 tk = tk + 604800
-  // 这确保了 tk 是以 toe 为中心，前后半小时范围内的最小时间差。
-  const halfWeek = GPS_SECONDS_PER_WEEK / 2;
-  if (tk > halfWeek) {
-    tk -= GPS_SECONDS_PER_WEEK;
-  } else if (tk < -halfWeek) {
-    tk += GPS_SECONDS_PER_WEEK;
-  }
+  const tk = computeTimeFromEphemeris(satelliteData, systemTime);
+  const timeParams = satelliteData.timeParameters || {};
 
-  // 2. 计算平近点角 (Mean Anomaly)
-  const n0 = Math.sqrt(EARTH_GRAVITATIONAL_CONSTANT / Math.pow(orbitalParams.rootA, 6)); // 平均运动 (rad/s)
-  const n = n0 + orbitalParams.deltaN; // 校正后的平均运动
-  const Mk = orbitalParams.m0 + n * tk; // 平近点角
-  // 将平近点角归一化到 [0, 2*PI) 范围
-  const normalizedMk = ((Mk % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
-
-  // 3. 求解开普勒方程得到偏近点角 (Eccentric Anomaly)
-  // 使用牛顿-拉夫逊迭代法
-  let Ek = normalizedMk; // 初始猜测
-  let Ek_prev;
-  const tolerance = 1e-12; // 迭代容差
-  let iterations = 0;
-  do {
-    Ek_prev = Ek;
-    // E(k+1) = E(k) - (E(k) - e*sin(E(k)) - M(k)) / (1 - e*cos(E(k)))
-    Ek = Ek_prev - (Ek_prev - orbitalParams.e * Math.sin(Ek_prev) - normalizedMk) / (1 - orbitalParams.e * Math.cos(Ek_prev));
-    iterations++;
-  } while (Math.abs(Ek - Ek_prev) > tolerance && iterations < 100);
-
-  // 4. 计算真近点角 (True Anomaly)
-  const vk = Math.atan2(
-    Math.sqrt(1 - Math.pow(orbitalParams.e, 2)) * Math.sin(Ek),
-    Math.cos(Ek) - orbitalParams.e
-  );
-
-  // 5. 计算纬度幅角 (Argument of Latitude)
-  const phik = vk + orbitalParams.omega;
-
-  // 6. 计算摄动改正项
-  const deltaUk = orbitalParams.cus * Math.sin(2 * phik) + orbitalParams.cuc * Math.cos(2 * phik);
-  const deltaRk = orbitalParams.crs * Math.sin(2 * phik) + orbitalParams.crc * Math.cos(2 * phik);
-  const deltaIk = orbitalParams.cis * Math.sin(2 * phik) + orbitalParams.cic * Math.cos(2 * phik);
-
-  // 7. 计算改正后的纬度幅角、半径和轨道倾角
-  const uk = phik + deltaUk;
-  const rk = Math.pow(orbitalParams.rootA, 2) * (1 - orbitalParams.e * Math.cos(Ek)) + deltaRk;
-  const ik = orbitalParams.i0 + deltaIk + orbitalParams.idot * tk;
-
-  // 8. 计算卫星在轨道平面内的坐标
-  const xk_prime = rk * Math.cos(uk);
-  const yk_prime = rk * Math.sin(uk);
-
-  // 9. 计算改正后的升交点经度
-  // 注意：这里需要考虑地球自转的影响，以及参考时间 toe
-  const Omegak = orbitalParams.omega0 + (orbitalParams.omegadot - EARTH_ROTATION_RATE) * tk - EARTH_ROTATION_RATE * toe;
-
-  // 10. 将轨道平面坐标转换为ECEF坐标
-  const xk = xk_prime * Math.cos(Omegak) - yk_prime * Math.cos(ik) * Math.sin(Omegak);
-  const yk = xk_prime * Math.sin(Omegak) + yk_prime * Math.cos(ik) * Math.cos(Omegak);
-  const zk = yk_prime * Math.sin(ik);
-
-  // 注意：这里还没有考虑卫星钟差校正。在完整实现中，需要根据 clockParameters 计算钟差，
-  // 并对计算出的位置进行修正。
+  // 2~13. 计算卫星ECEF坐标 (m)、速度 (m/s)、钟差 (s) 和钟速 (s/s)
+  const state = computeOrbitState(satelliteData, tk, params.signal);
 
   return {
-    x: xk, // ECEF X坐标，单位：米
-    y: yk, // ECEF Y坐标，单位：米
-    z: zk  // ECEF Z坐标，单位：米
+    ...state,
+    datum: getSatelliteDatum(satelliteData.system),
+    // 历书只有开普勒根数而没有摄动改正项，位置精度为千米级
+    accuracy: satelliteData.source === 'almanac' ? 'almanac' : 'broadcast',
+    ephemeris: {
+      referenceTime: timeParams.referenceTime,
+      iode: orbitalParams.iode,
+      index
+    }
   };
 }
 
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview 卫星钟差计算模块
+ * @module satelliteClock
+ * @description 由广播星历的钟差多项式 (af0/af1/af2) 计算卫星钟差和钟速，
+ *              并加入偏心率引起的相对论改正和各信号的群延迟 (TGD/BGD) 改正
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { resolveOrbitModel } = require('./keplerOrbit');
+const { wrapWeekSeconds } = require('../time/gnssTime');
+
+// 光速 (m/s)
+const SPEED_OF_LIGHT = 299792458;
+
+/**
+ * 各卫星系统信号的群延迟改正
+ * 广播钟差对应各系统的参考信号 (GPS 为 L1/L2 无电离层组合，北斗为 B3I，Galileo 为 E1/E5b 无电离层组合)，
+ * 单频信号的钟差需要减去 factor × 群延迟参数 field；factor 为 0 的信号即参考信号，不需要改正。
+ * Galileo 按 I/NAV 星历使用 BGD(E5b, E1)。GLONASS 的广播钟差对应 G1 信号，G2 信号比 G1 晚 ΔτN 发射 (factor 为 -1)。
+ */
+const SIGNAL_GROUP_DELAYS = {
+  GPS: {
+    L1: { field: 'tgd', factor: 1 },
+    L2: { field: 'tgd', factor: (1575.42 / 1227.6) ** 2 }
+  },
+  QZSS: {
+    L1: { field: 'tgd', factor: 1 },
+    L2: { field: 'tgd', factor: (1575.42 / 1227.6) ** 2 }
+  },
+  BEIDOU: {
+    B1I: { field: 'tgd1', factor: 1 },
+    B2I: { field: 'tgd2', factor: 1 },
+    B3I: { field: 'tgd1', factor: 0 }
+  },
+  GALILEO: {
+    E1: { field: 'bgdE5bE1', factor: 1 },
+    E5a: { field: 'bgdE5aE1', factor: (1575.42 / 1176.45) ** 2 },
+    E5b: { field: 'bgdE5bE1', factor: (1575.42 / 1207.14) ** 2 }
+  },
+  GLONASS: {
+    G1: { field: 'groupDelayDifference', factor: 0 },
+    G2: { field: 'groupDelayDifference', factor: -1 }
+  }
+};
+
+/**
+ * 计算计算时刻相对钟差参考时间 toc 的秒数
+ * @param {object} satelliteData - 卫星对象
+ * @param {number} tk - 计算时刻相对星历参考时间 toe 的秒数
+ * @returns {number} 相对 toc 的秒数 (已处理周跨接)
+ */
+function timeFromClockReference(satelliteData, tk) {
+  const { toe } = satelliteData.orbitalParameters;
+  const { toc = toe } = satelliteData.clockParameters;
+  return wrapWeekSeconds(tk + toe - toc);
+}
+
+/**
+ * 计算信号的群延迟改正
+ * @param {object} satelliteData - 卫星对象
+ * @param {string} [signal] - 信号名称 (例如 'L1', 'B1I', 'E5a')，不指定时不做改正
+ * @returns {number} 群延迟改正，单位：秒
+ * @throws {Error} 当卫星所属系统不支持该信号时抛出错误
+ */
+function groupDelayCorrection(satelliteData, signal) {
+  if (!signal) {
+    return 0;
+  }
+  const delays = SIGNAL_GROUP_DELAYS[satelliteData.system] || {};
+  const delay = delays[signal];
+  if (!delay) {
+    throw new Error(`卫星 ${satelliteData.id} 不支持信号 ${signal}`);
+  }
+  // 历书等没有群延迟参数的星历不做改正
+  const value = satelliteData.clockParameters[delay.field];
+  return Number.isFinite(value) ? delay.factor * value : 0;
+}
+
+/**
+ * 计算卫星钟差和钟速
+ * @function computeSatelliteClock
+ * @description 钟差 = af0 + af1·dt + af2·dt² + F·e·√A·sin(Ek) − 群延迟，
+ *              其中 dt 为相对 toc 的时间 (缺少 toc 时使用 toe)，相对论改正系数 F = −2√µ/c² 按卫星所属系统的地球引力常数计算
+ *              (GPS 为 −4.442807633e-10 s/√m)。钟速为钟差对时间的导数。
+ *              计算时间按未经钟差改正的卫星时处理，两者的差异 (毫秒级) 对钟差的影响可以忽略。
+ * @param {object} satelliteData - 卫星对象 (parseRinex 等的结果)
+ * @param {number} tk - 计算时刻相对星历参考时间 toe 的秒数
+ * @param {{eccentricAnomaly: number, meanMotion: number}} kepler - computeKeplerPosition 的结果
+ * @param {string} [signal] - 信号名称，不指定时给出参考信号 (无电离层组合或北斗 B3I) 的钟差
+ * @returns {{clockBias: number|null, clockDrift: number|null}} 钟差 (s) 和钟速 (s/s)；星历中没有钟差参数时为 null
+ * @throws {Error} 当卫星所属系统不支持指定信号时抛出错误
+ */
+function computeSatelliteClock(satelliteData, tk, kepler, signal) {
+  const clockParams = satelliteData.clockParameters;
+  if (!clockParams || !Number.isFinite(clockParams.af0)) {
+    return { clockBias: null, clockDrift: null };
+  }
+
+  const { af0, af1 = 0, af2 = 0 } = clockParams;
+  const dt = timeFromClockReference(satelliteData, tk);
+
+  // 相对论改正及其变化率 (dEk/dt = n / (1 - e·cos(Ek)))
+  const { e, rootA } = satelliteData.orbitalParameters;
+  const { gravitationalConstant } = resolveOrbitModel(satelliteData).constants;
+  const relativisticFactor = (-2 * Math.sqrt(gravitationalConstant)) / SPEED_OF_LIGHT ** 2;
+  const { eccentricAnomaly, meanMotion } = kepler;
+  const eccentricAnomalyRate = meanMotion / (1 - e * Math.cos(eccentricAnomaly));
+
+  return {
+    clockBias: af0 + af1 * dt + af2 * dt * dt + relativisticFactor * e * rootA * Math.sin(eccentricAnomaly) -
+      groupDelayCorrection(satelliteData, signal),
+    clockDrift: af1 + 2 * af2 * dt + relativisticFactor * e * rootA * Math.cos(eccentricAnomaly) * eccentricAnomalyRate
+  };
+}
+
+/**
+ * 计算 GLONASS 卫星钟差和钟速
+ * @function computeGlonassClock
+ * @description 钟差 = -τN + γN·tk − 群延迟，其中 clockParameters.clockBias 即 RINEX 中的 -τN，
+ *              relativeFrequencyBias 即 γN。GLONASS 的广播钟差已包含相对论改正。
+ * @param {object} satelliteData - GLONASS 卫星对象
+ * @param {number} tk - 计算时刻相对星历参考时刻的秒数
+ * @param {string} [signal] - 信号名称 ('G1' 或 'G2')，不指定时给出 G1 的钟差
+ * @returns {{clockBias: number|null, clockDrift: number|null}} 钟差 (s) 和钟速 (s/s)；星历中没有钟差参数时为 null
+ * @throws {Error} 当指定的信号不受支持时抛出错误
+ */
+function computeGlonassClock(satelliteData, tk, signal) {
+  const clockParams = satelliteData.clockParameters;
+  if (!clockParams || !Number.isFinite(clockParams.clockBias)) {
+    return { clockBias: null, clockDrift: null };
+  }
+
+  const { clockBias, relativeFrequencyBias = 0 } = clockParams;
+  return {
+    clockBias: clockBias + relativeFrequencyBias * tk - groupDelayCorrection(satelliteData, signal),
+    clockDrift: relativeFrequencyBias
+  };
+}
+
+module.exports = {
+  computeSatelliteClock,
+  computeGlonassClock,
+  SIGNAL_GROUP_DELAYS,
+  SPEED_OF_LIGHT
+};
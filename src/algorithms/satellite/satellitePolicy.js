@@ -0,0 +1,164 @@
+/**
+ * @fileoverview 卫星可用性策略模块
+ * @module satellitePolicy
+ * @description 根据星历中的健康标志、用户测距精度 (URA/SISA) 和各信号的健康状态判断卫星能否参与计算，
+ *              不可用的卫星给出排除原因，便于界面区分 "不健康" 与 "不可见" 等情况
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const config = require('../../config/app.config');
+
+/**
+ * 卫星被排除的原因
+ * UNHEALTHY 为健康标志不健康，UNTESTED 为卫星或信号处于测试状态 (Galileo 信号健康状态为 "in test" 或 SISA 为 NAPA)，
+ * ACCURACY 为 URA/SISA 超过上限，SIGNAL_UNAVAILABLE 为指定信号不可用，NO_EPHEMERIS 为计算时间没有有效星历
+ */
+const EXCLUSION_REASONS = {
+  UNHEALTHY: 'unhealthy',
+  UNTESTED: 'untested',
+  ACCURACY: 'accuracy',
+  SIGNAL_UNAVAILABLE: 'signalUnavailable',
+  NO_EPHEMERIS: 'noEphemeris'
+};
+
+/**
+ * Galileo 健康字段中各信号的起始位：每个信号依次为 1 位数据有效状态 (DVS) 和 2 位信号健康状态 (HS)
+ */
+const GALILEO_SIGNAL_HEALTH_BITS = { E1: 0, E5a: 3, E5b: 6 };
+
+// Galileo 信号健康状态：0 正常，1 停止服务，2 扩展运行模式，3 测试中
+const GALILEO_SIGNAL_IN_TEST = 3;
+
+/**
+ * 判断 Galileo 一个信号的健康状态
+ * @param {number} health - 星历中的健康字段
+ * @param {number} bit - 该信号的起始位
+ * @returns {string|null} 排除原因；信号正常时为 null
+ */
+function classifyGalileoSignal(health, bit) {
+  const dataValidity = (health >> bit) & 1;
+  const signalHealth = (health >> (bit + 1)) & 3;
+  if (signalHealth === GALILEO_SIGNAL_IN_TEST) {
+    return EXCLUSION_REASONS.UNTESTED;
+  }
+  return dataValidity || signalHealth ? EXCLUSION_REASONS.UNHEALTHY : null;
+}
+
+/**
+ * 判断 Galileo 卫星的健康状态
+ * @description 指定信号时只看该信号的状态，不可用时为 SIGNAL_UNAVAILABLE；
+ *              不指定信号时，所有异常的信号都处于测试状态则为 UNTESTED，否则为 UNHEALTHY
+ * @param {object} record - Galileo 卫星对象
+ * @param {string} [signal] - 信号名称 ('E1'、'E5a'、'E5b')
+ * @returns {string|null} 排除原因；健康时为 null
+ */
+function classifyGalileoHealth(record, signal) {
+  // SISA 为 NAPA (没有精度预报) 的卫星处于测试状态
+  if (record.accuracy < 0) {
+    return EXCLUSION_REASONS.UNTESTED;
+  }
+  const health = record.health || 0;
+  if (signal && GALILEO_SIGNAL_HEALTH_BITS[signal] !== undefined) {
+    const reason = classifyGalileoSignal(health, GALILEO_SIGNAL_HEALTH_BITS[signal]);
+    return reason === EXCLUSION_REASONS.UNHEALTHY ? EXCLUSION_REASONS.SIGNAL_UNAVAILABLE : reason;
+  }
+  const reasons = Object.values(GALILEO_SIGNAL_HEALTH_BITS)
+    .map(bit => classifyGalileoSignal(health, bit))
+    .filter(reason => reason !== null);
+  if (reasons.length === 0) {
+    return null;
+  }
+  return reasons.every(reason => reason === EXCLUSION_REASONS.UNTESTED)
+    ? EXCLUSION_REASONS.UNTESTED
+    : EXCLUSION_REASONS.UNHEALTHY;
+}
+
+/**
+ * GLONASS URAI (ICD 中的 F_T) 对应的测距精度，单位：米，以 F_T 为下标 (GLONASS ICD 5.1 表 4.4)。
+ * F_T 为 15 表示没有精度预报
+ */
+const GLONASS_URAI_METERS = [1, 2, 2.5, 4, 5, 7, 10, 12, 14, 16, 32, 64, 128, 256, 512, Infinity];
+
+/**
+ * 把星历中的 accuracy 换算为米
+ * @param {object} record - 卫星对象
+ * @returns {number|undefined} URA/SISA，单位：米；不做精度检查时返回 undefined
+ */
+function getAccuracyMeters(record) {
+  if (record.system === 'SBAS') {
+    return undefined;
+  }
+  if (record.system === 'GLONASS' && record.accuracy !== undefined) {
+    const meters = GLONASS_URAI_METERS[record.accuracy];
+    return meters === undefined ? Infinity : meters;
+  }
+  return record.accuracy;
+}
+
+/**
+ * 判断卫星的健康状态
+ * @param {object} record - 卫星对象
+ * @param {string} [signal] - 信号名称
+ * @returns {string|null} 排除原因；健康时为 null
+ */
+function classifyHealth(record, signal) {
+  if (record.system === 'GALILEO') {
+    return classifyGalileoHealth(record, signal);
+  }
+  // 其他系统的健康字段不区分信号，非 0 即不健康
+  return record.health ? EXCLUSION_REASONS.UNHEALTHY : null;
+}
+
+/**
+ * 创建卫星可用性策略
+ * @function createSatellitePolicy
+ * @description evaluate 依次检查健康状态 (含指定信号的健康状态) 和 URA/SISA，给出卫星能否使用及排除原因。
+ *              GLONASS 星历的 accuracy 为 URAI (F_T)，按 ICD 的对应表换算为米后检查；SBAS 星历的 accuracy 为 URA 指数，
+ *              不做精度检查；没有 accuracy 的星历 (例如历书) 视为满足精度要求。
+ * @param {object} [options=config.satellitePolicy] - 策略参数
+ * @param {boolean} [options.excludeUnhealthy=true] - 是否排除不健康的卫星和不可用的信号
+ * @param {number} [options.maxUra=Infinity] - URA/SISA 上限，单位：米
+ * @param {boolean} [options.includeUntested=false] - 是否使用处于测试状态的卫星
+ * @returns {{evaluate: Function, options: object}} 策略，evaluate(record, signal) 返回 {usable, reason}
+ * @throws {Error} 当 URA 上限不是正数时抛出错误
+ * @example
+ * const policy = createSatellitePolicy({ maxUra: 10 });
+ * policy.evaluate(record); // { usable: false, reason: 'accuracy' }
+ */
+function createSatellitePolicy(options = config.satellitePolicy) {
+  const { excludeUnhealthy = true, maxUra = Infinity, includeUntested = false } = options;
+  if (!(maxUra > 0)) {
+    throw new Error('URA 上限必须为正数');
+  }
+
+  /**
+   * 判断一条星历能否使用
+   * @param {object} record - 卫星对象
+   * @param {string} [signal] - 信号名称，不指定时按卫星整体的健康状态判断
+   * @returns {{usable: boolean, reason: string|null}} 能否使用，以及不能使用时的排除原因 (EXCLUSION_REASONS 之一)
+   */
+  const evaluate = (record, signal) => {
+    const health = classifyHealth(record, signal);
+    const excluded = health === EXCLUSION_REASONS.UNTESTED ? !includeUntested : health !== null && excludeUnhealthy;
+    if (excluded) {
+      return { usable: false, reason: health };
+    }
+    if (getAccuracyMeters(record) > maxUra) {
+      return { usable: false, reason: EXCLUSION_REASONS.ACCURACY };
+    }
+    return { usable: true, reason: null };
+  };
+
+  return {
+    evaluate,
+    options: { excludeUnhealthy, maxUra, includeUntested }
+  };
+}
+
+module.exports = {
+  createSatellitePolicy,
+  EXCLUSION_REASONS
+};
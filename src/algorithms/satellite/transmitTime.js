@@ -0,0 +1,115 @@
+/**
+ * @fileoverview 信号发射时刻求解模块
+ * @module transmitTime
+ * @description 由接收时刻和接收机位置迭代求解信号传播时间 (光行时)，给出信号发射时刻的卫星位置，
+ *              并改正信号传播期间的地球自转 (Sagnac 效应)，得到接收时刻地固系中几何上正确的视线
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { calculateSatellitePosition } = require('./satelliteCalculator');
+const { ORBIT_CONSTANTS } = require('./keplerOrbit');
+const { SPEED_OF_LIGHT } = require('./satelliteClock');
+
+// 接收机坐标为 WGS-84 地固系，Sagnac 改正使用 WGS-84 的地球自转角速度 (rad/s)
+const EARTH_ROTATION_RATE = ORBIT_CONSTANTS.GPS.earthRotationRate;
+// 光行时迭代的收敛阈值 (s，约 0.3 mm) 和最大迭代次数
+const LIGHT_TIME_TOLERANCE = 1e-12;
+const MAX_ITERATIONS = 10;
+
+/**
+ * 绕 Z 轴旋转矢量 (把发射时刻地固系中的矢量换算到接收时刻的地固系)
+ * @param {{x: number, y: number, z: number}} vector - 矢量
+ * @param {number} angle - 传播期间地球转过的角度，单位：弧度
+ * @returns {{x: number, y: number, z: number}} 旋转后的矢量
+ */
+function rotateEarth(vector, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: cos * vector.x + sin * vector.y,
+    y: -sin * vector.x + cos * vector.y,
+    z: vector.z
+  };
+}
+
+/**
+ * 计算发射时刻的卫星状态
+ * @description Date 只有毫秒精度 (卫星 1 ms 约移动 4 m)，先在整毫秒时刻计算，再用速度外推剩余的亚毫秒部分
+ * @param {object} params - computeTransmitPosition 的参数
+ * @param {number} transmitTime - 发射时刻 (UTC，自 1970 年起的毫秒数，可以有小数)
+ * @returns {object} 卫星位置计算函数的结果，位置已外推到发射时刻
+ */
+function computeStateAt(params, transmitTime) {
+  const { positionProvider = calculateSatellitePosition } = params;
+  const wholeMilliseconds = Math.floor(transmitTime);
+  const state = positionProvider({ ...params, timestamp: new Date(wholeMilliseconds) });
+  const remainder = (transmitTime - wholeMilliseconds) / 1000;
+  return {
+    ...state,
+    x: state.x + state.velocity.x * remainder,
+    y: state.y + state.velocity.y * remainder,
+    z: state.z + state.velocity.z * remainder,
+    clockBias: state.clockBias === null ? null : state.clockBias + state.clockDrift * remainder
+  };
+}
+
+/**
+ * 计算信号发射时刻的卫星位置
+ * @function computeTransmitPosition
+ * @description 信号从卫星到达接收机约需 70~130 ms。从传播时间 τ = 0 开始迭代：计算 t_rx − τ 时刻的卫星位置，
+ *              把它绕 Z 轴旋转 ωe·τ 换算到接收时刻的地固系 (Sagnac 改正)，再由卫星到接收机的距离更新 τ = ρ / c，
+ *              直到 τ 的变化小于 1e-12 s (通常 3 次)。传播时间按几何距离计算，不含卫星钟差和大气延迟。
+ *              结果可以直接作为 calculateSignalStrength 和 checkOcclusion 的 satellitePosition。
+ * @param {object} params - 计算参数对象，同 calculateSatellitePosition，另外包含：
+ * @param {{x: number, y: number, z: number}} params.receiverPosition - 接收机 (飞机) 的ECEF坐标，单位为米
+ * @param {Date} params.timestamp - 信号接收时间 (UTC)
+ * @param {Function} [params.positionProvider=calculateSatellitePosition] - 卫星位置计算函数，调用方式与
+ *        calculateSatellitePosition 相同；使用精密星历时传入 calculatePreciseSatellitePosition，rinexData 为 parseSp3 的结果
+ * @returns {object} positionProvider 的结果，其中 x、y、z 和 velocity 为发射时刻的卫星状态在接收时刻地固系中的值，
+ *          clockBias 和 clockDrift 为发射时刻的值；另外包含 transmitTime (发射时间，UTC，毫秒精度)、
+ *          lightTime (传播时间，s，不受毫秒精度限制) 和 range (卫星到接收机的几何距离，m)
+ * @throws {Error} 当缺少必要参数时抛出错误
+ * @throws {Error} 当光行时迭代不收敛时抛出错误
+ * @throws {Error} positionProvider 抛出的错误 (找不到卫星、超出星历有效范围等)
+ * @example
+ * const satellitePosition = computeTransmitPosition({ rinexData, satelliteId: 'G01', timestamp, receiverPosition });
+ * const blocked = checkOcclusion({ aircraftPosition: receiverPosition, satellitePosition });
+ */
+function computeTransmitPosition(params) {
+  if (!params || !params.receiverPosition || !params.timestamp) {
+    throw new Error('缺少必要参数');
+  }
+
+  const { receiverPosition, timestamp } = params;
+  let lightTime = 0;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    const state = computeStateAt(params, timestamp.getTime() - lightTime * 1000);
+    const rotation = EARTH_ROTATION_RATE * lightTime;
+    const position = rotateEarth(state, rotation);
+    const range = Math.hypot(
+      position.x - receiverPosition.x,
+      position.y - receiverPosition.y,
+      position.z - receiverPosition.z
+    );
+    const nextLightTime = range / SPEED_OF_LIGHT;
+    if (Math.abs(nextLightTime - lightTime) < LIGHT_TIME_TOLERANCE) {
+      return {
+        ...state,
+        ...position,
+        velocity: rotateEarth(state.velocity, rotation),
+        transmitTime: new Date(Math.round(timestamp.getTime() - lightTime * 1000)),
+        lightTime,
+        range
+      };
+    }
+    lightTime = nextLightTime;
+  }
+  throw new Error(`卫星 ${params.satelliteId} 的光行时迭代不收敛`);
+}
+
+module.exports = {
+  computeTransmitPosition
+};
@@ -32,7 +32,8 @@ function calculateDistance(pos1, pos2) {
  * @description 基于自由空间路径损耗等模型，计算飞机接收到的卫星信号强度。
  * @param {object} params - 计算参数对象
  * @param {{x: number, y: number, z: number}} params.aircraftPosition - 飞机的ECEF坐标，单位为米
- * @param {{x: number, y: number, z: number}} params.satellitePosition - 卫星的ECEF坐标，单位为米
+ * @param {{x: number, y: number, z: number}} params.satellitePosition - 卫星的ECEF坐标，单位为米；
+ *        应使用经过光行时和地球自转改正的信号发射时刻位置 (computeTransmitPosition 的结果)
  * @param {number} params.transmitterPower - 卫星发射功率 (dBW)
  * @param {number} params.frequency - 信号频率 (Hz)
  * @param {number} [params.satelliteAntennaGain=0] - 卫星天线增益 (dBi), 默认为 0
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview SP3精密星历解析模块
+ * @module sp3Parser
+ * @description 解析SP3-c/SP3-d格式的精密轨道文件
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const { calendarToDate } = require('../time/gnssTime');
+
+// SP3 中位置分量的单位为 km
+const KILOMETERS_TO_METERS = 1000;
+// SP3 中钟差的单位为 µs
+const MICROSECONDS_TO_SECONDS = 1e-6;
+// SP3 中速度分量的单位为 dm/s
+const DECIMETERS_TO_METERS = 0.1;
+// SP3 中钟速的单位为 1e-4 µs/s
+const CLOCK_RATE_TO_SECONDS = 1e-10;
+// 表示钟差数据无效的数值
+const BAD_CLOCK_VALUE = 999999;
+
+/**
+ * 按列读取 SP3 数值字段
+ * @param {string} line - 数据行
+ * @param {number} start - 起始列
+ * @param {number} end - 结束列 (不含)
+ * @returns {number|null} 数值；字段为空时返回 null
+ */
+function readNumber(line, start, end) {
+  const text = line.substring(start, end).trim();
+  return text === '' ? null : Number(text);
+}
+
+/**
+ * 解析 SP3 历元时间
+ * @param {string} text - 年 月 日 时 分 秒
+ * @returns {Date} 历元时间 (按文件的时间系统记录)
+ */
+function parseEpochTime(text) {
+  const [year, month, day, hour, minute, second] = text.trim().split(/\s+/).map(Number);
+  return calendarToDate([year, month, day, hour, minute, second]);
+}
+
+/**
+ * 解析第一行文件头
+ * @param {string} line - 以 '#' 开头的第一行
+ * @param {object} header - 文件头信息
+ */
+function parseFirstHeaderLine(line, header) {
+  header.version = line.charAt(1);
+  header.dataType = line.charAt(2);
+  header.startTime = parseEpochTime(line.substring(3, 31));
+  header.numberOfEpochs = readNumber(line, 32, 39);
+  header.dataUsed = line.substring(40, 45).trim();
+  header.coordinateSystem = line.substring(46, 51).trim();
+  header.orbitType = line.substring(52, 55).trim();
+  header.agency = line.substring(56, 60).trim();
+}
+
+/**
+ * 解析第二行文件头
+ * @param {string} line - 以 '##' 开头的第二行
+ * @param {object} header - 文件头信息
+ */
+function parseSecondHeaderLine(line, header) {
+  header.gpsWeek = readNumber(line, 3, 7);
+  header.secondsOfWeek = readNumber(line, 8, 23);
+  header.epochInterval = readNumber(line, 24, 38);
+  header.modifiedJulianDay = readNumber(line, 39, 44);
+}
+
+/**
+ * 解析一行文件头 (第一、二行之外)
+ * @param {string} line - 文件头行
+ * @param {object} header - 文件头信息
+ */
+function parseHeaderLine(line, header) {
+  if (line.startsWith('+ ')) {
+    // 第一行卫星列表中包含卫星总数
+    if (header.numberOfSatellites === undefined) {
+      header.numberOfSatellites = readNumber(line, 2, 6);
+    }
+    // 每行最多 17 颗卫星，从第 10 列开始，每颗占 3 列
+    for (let col = 9; col + 3 <= 60; col += 3) {
+      const id = line.substring(col, col + 3).replace(/ /g, '0');
+      if (id !== '000' && header.satelliteIds.length < header.numberOfSatellites) {
+        header.satelliteIds.push(id);
+      }
+    }
+  } else if (line.startsWith('%c') && header.timeSystem === undefined) {
+    header.timeSystem = line.substring(9, 12).trim();
+  } else if (line.startsWith('/*')) {
+    header.comments.push(line.substring(3).trim());
+  }
+}
+
+/**
+ * 解析位置记录行 (P 行)
+ * @param {string} line - 位置记录行
+ * @returns {{id: string, position: object|null, clockBias: number|null}} 卫星号、ECEF位置(米)和钟差(秒)
+ */
+function parsePositionLine(line) {
+  const x = readNumber(line, 4, 18);
+  const y = readNumber(line, 18, 32);
+  const z = readNumber(line, 32, 46);
+  const clock = readNumber(line, 46, 60);
+
+  // 位置全为 0 表示该历元的轨道数据无效
+  const isPositionValid = !(x === 0 && y === 0 && z === 0);
+  const isClockValid = clock !== null && Math.abs(clock) < BAD_CLOCK_VALUE;
+
+  return {
+    id: line.substring(1, 4).replace(/ /g, '0'),
+    position: isPositionValid
+      ? { x: x * KILOMETERS_TO_METERS, y: y * KILOMETERS_TO_METERS, z: z * KILOMETERS_TO_METERS }
+      : null,
+    clockBias: isClockValid ? clock * MICROSECONDS_TO_SECONDS : null
+  };
+}
+
+/**
+ * 解析速度记录行 (V 行)
+ * @param {string} line - 速度记录行
+ * @returns {{velocity: object, clockRate: number|null}} ECEF速度(米/秒)和钟速(秒/秒)
+ */
+function parseVelocityLine(line) {
+  const clockRate = readNumber(line, 46, 60);
+  return {
+    velocity: {
+      x: readNumber(line, 4, 18) * DECIMETERS_TO_METERS,
+      y: readNumber(line, 18, 32) * DECIMETERS_TO_METERS,
+      z: readNumber(line, 32, 46) * DECIMETERS_TO_METERS
+    },
+    clockRate: clockRate !== null && Math.abs(clockRate) < BAD_CLOCK_VALUE ? clockRate * CLOCK_RATE_TO_SECONDS : null
+  };
+}
+
+// 第一行文件头之后各行的解析方法，以行首标志为键 ('##' 为第二行文件头，'*' 为历元行，P/V 为位置/速度记录)
+const RECORD_LINE_PARSERS = {
+  '##': (line, state) => parseSecondHeaderLine(line, state.header),
+  '*': (line, state) => {
+    state.currentEpoch = parseEpochTime(line.substring(1));
+    state.epochs.push(state.currentEpoch);
+  },
+  P: (line, state) => {
+    if (!state.currentEpoch) {
+      return;
+    }
+    const { id, position, clockBias } = parsePositionLine(line);
+    state.lastSample = { timestamp: state.currentEpoch, position, clockBias };
+    if (!state.positions[id]) {
+      state.positions[id] = [];
+    }
+    state.positions[id].push(state.lastSample);
+  },
+  V: (line, state) => {
+    if (state.lastSample) {
+      Object.assign(state.lastSample, parseVelocityLine(line));
+    }
+  }
+};
+
+/**
+ * 解析第一行文件头之后的一行
+ * @param {string} line - 数据行
+ * @param {object} state - 解析状态 {header, epochs, positions, currentEpoch, lastSample}
+ */
+function parseRecordLine(line, state) {
+  const parseLine = RECORD_LINE_PARSERS[line.startsWith('##') ? '##' : line.charAt(0)];
+  if (parseLine) {
+    parseLine(line, state);
+  } else if (!state.currentEpoch) {
+    parseHeaderLine(line, state.header);
+  }
+}
+
+/**
+ * 解析SP3格式的精密星历文件内容
+ * @function parseSp3
+ * @description 将SP3-c/SP3-d文件内容解析为文件头、历元列表以及按卫星分组的位置序列。
+ *              位置单位转换为米，钟差转换为秒；无效的位置或钟差记为 null。
+ * @param {string} sp3Content - SP3文件的完整内容
+ * @returns {{header: object, epochs: Array<Date>, positions: Object<string, Array<object>>}} 解析后的精密星历数据，
+ *          positions 以卫星号为键，值为按时间排序的 {timestamp, position, clockBias[, velocity, clockRate]} 数组
+ * @throws {Error} 当输入内容为空或不是SP3格式时抛出错误
+ */
+function parseSp3(sp3Content) {
+  if (!sp3Content || typeof sp3Content !== 'string' || sp3Content.trim() === '') {
+    throw new Error('SP3内容不能为空');
+  }
+
+  const lines = sp3Content.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (!lines[0].startsWith('#') || !['c', 'd'].includes(lines[0].charAt(1))) {
+    throw new Error('不支持的SP3文件格式');
+  }
+
+  const state = {
+    header: { satelliteIds: [], comments: [] },
+    epochs: [],
+    positions: {},
+    currentEpoch: null,
+    lastSample: null
+  };
+  parseFirstHeaderLine(lines[0], state.header);
+
+  for (let i = 1; i < lines.length && !lines[i].startsWith('EOF'); i++) {
+    parseRecordLine(lines[i], state);
+  }
+
+  const { header, epochs, positions } = state;
+  return {
+    header,
+    epochs,
+    positions
+  };
+}
+
+module.exports = {
+  parseSp3
+};
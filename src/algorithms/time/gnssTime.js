@@ -0,0 +1,311 @@
+/**
+ * @fileoverview GNSS时间系统模块
+ * @module gnssTime
+ * @description 在 UTC、GPS 时 (GPST)、北斗时 (BDT)、Galileo 系统时 (GST)、GLONASS 时 (GLONASST) 与 TAI 之间换算，
+ *              并提供周数/周内秒、周数翻转等各算法模块共用的时间工具。
+ *              模块中的 Date 分两种：UTC 时刻 (JavaScript Date 的本义)，以及某个时间系统的“时间标签”——
+ *              用 Date 的 UTC 日历字段表示该时间系统的读数 (RINEX、SP3 等文件中的历元即按此方式解析)。
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+// 每周秒数
+const SECONDS_PER_WEEK = 604800;
+
+/**
+ * 闰秒表：[开始生效的 UTC 时刻 (毫秒), TAI - UTC (秒)]
+ * 最后一次闰秒为 2017-01-01；发布新的闰秒公告后需要在此追加
+ */
+const LEAP_SECONDS = [
+  [Date.UTC(1972, 0, 1), 10],
+  [Date.UTC(1972, 6, 1), 11],
+  [Date.UTC(1973, 0, 1), 12],
+  [Date.UTC(1974, 0, 1), 13],
+  [Date.UTC(1975, 0, 1), 14],
+  [Date.UTC(1976, 0, 1), 15],
+  [Date.UTC(1977, 0, 1), 16],
+  [Date.UTC(1978, 0, 1), 17],
+  [Date.UTC(1979, 0, 1), 18],
+  [Date.UTC(1980, 0, 1), 19],
+  [Date.UTC(1981, 6, 1), 20],
+  [Date.UTC(1982, 6, 1), 21],
+  [Date.UTC(1983, 6, 1), 22],
+  [Date.UTC(1985, 6, 1), 23],
+  [Date.UTC(1988, 0, 1), 24],
+  [Date.UTC(1990, 0, 1), 25],
+  [Date.UTC(1991, 0, 1), 26],
+  [Date.UTC(1992, 6, 1), 27],
+  [Date.UTC(1993, 6, 1), 28],
+  [Date.UTC(1994, 6, 1), 29],
+  [Date.UTC(1996, 0, 1), 30],
+  [Date.UTC(1997, 6, 1), 31],
+  [Date.UTC(1999, 0, 1), 32],
+  [Date.UTC(2006, 0, 1), 33],
+  [Date.UTC(2009, 0, 1), 34],
+  [Date.UTC(2012, 6, 1), 35],
+  [Date.UTC(2015, 6, 1), 36],
+  [Date.UTC(2017, 0, 1), 37]
+];
+
+/**
+ * 支持的时间系统
+ * taiOffset 为连续时间系统落后于 TAI 的秒数 (不随闰秒变化)；utcOffset 为跟随闰秒的时间系统相对 UTC 的偏差 (秒)；
+ * weekEpoch 为周数起点的时间标签 (毫秒)，weekBits 为导航电文中周数的位数。
+ * GST 的周数按 GPS 周 1024 (1999-08-22) 起算，周内秒与 GPS 相同。
+ */
+const TIME_SYSTEMS = {
+  GPS: { taiOffset: 19, weekEpoch: Date.UTC(1980, 0, 6), weekBits: 10 },
+  BDT: { taiOffset: 33, weekEpoch: Date.UTC(2006, 0, 1), weekBits: 13 },
+  GST: { taiOffset: 19, weekEpoch: Date.UTC(1999, 7, 22), weekBits: 12 },
+  TAI: { taiOffset: 0 },
+  UTC: { utcOffset: 0 },
+  GLONASST: { utcOffset: 3 * 3600 }
+};
+
+/**
+ * 卫星系统广播星历时间标签所用的时间系统
+ * QZSS、NavIC 与 SBAS 在 RINEX 中按 GPS 时记录；RINEX 中 GLONASS 星历的历元为 UTC
+ */
+const SATELLITE_TIME_SYSTEMS = {
+  GPS: 'GPS',
+  BEIDOU: 'BDT',
+  GALILEO: 'GST',
+  QZSS: 'GPS',
+  NAVIC: 'GPS',
+  SBAS: 'GPS',
+  GLONASS: 'UTC'
+};
+
+/**
+ * RINEX/SP3 文件中的时间系统代码与时间系统的对应关系
+ * 文件中的 GLONASS 时间按 UTC(SU) 记录，不含 3 小时的时区差
+ */
+const TIME_SYSTEM_CODES = {
+  GPS: 'GPS',
+  QZS: 'GPS',
+  IRN: 'GPS',
+  GAL: 'GST',
+  BDT: 'BDT',
+  BDS: 'BDT',
+  GLO: 'UTC',
+  UTC: 'UTC',
+  TAI: 'TAI'
+};
+
+/**
+ * 获取时间系统的定义
+ * @param {string} timeSystem - 时间系统名称
+ * @returns {object} 时间系统定义
+ * @throws {Error} 当时间系统不受支持时抛出错误
+ */
+function getTimeSystem(timeSystem) {
+  const definition = TIME_SYSTEMS[timeSystem];
+  if (!definition) {
+    throw new Error(`不支持的时间系统: ${timeSystem}`);
+  }
+  return definition;
+}
+
+/**
+ * 由日历字段创建时间
+ * @function calendarToDate
+ * @param {Array<number>} fields - [年, 月 (1~12), 日, 时, 分, 秒]，秒可带小数 (按毫秒取整)
+ * @returns {Date} 以 UTC 日历字段表示的时间 (文件中的历元即为所属时间系统的时间标签)
+ */
+function calendarToDate([year, month, day, hour, minute, second]) {
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, 0) + Math.round(second * 1000));
+}
+
+/**
+ * 查询闰秒数 (TAI - UTC)
+ * @function getLeapSeconds
+ * @param {Date} date - UTC 时刻
+ * @returns {number} TAI - UTC，单位：秒
+ * @throws {Error} 当时间早于 1972 年时抛出错误
+ */
+function getLeapSeconds(date) {
+  const time = date.getTime();
+  if (time < LEAP_SECONDS[0][0]) {
+    throw new Error('不支持 1972 年以前的时间');
+  }
+  let leapSeconds = LEAP_SECONDS[0][1];
+  for (const [start, value] of LEAP_SECONDS) {
+    if (time < start) {
+      break;
+    }
+    leapSeconds = value;
+  }
+  return leapSeconds;
+}
+
+/**
+ * 计算某 UTC 时刻的时间系统读数相对 UTC 的偏差
+ * @param {number} time - UTC 时刻 (毫秒)
+ * @param {object} definition - 时间系统定义
+ * @returns {number} 时间标签 - UTC，单位：毫秒
+ */
+function offsetFromUtc(time, definition) {
+  if (definition.utcOffset !== undefined) {
+    return definition.utcOffset * 1000;
+  }
+  return (getLeapSeconds(new Date(time)) - definition.taiOffset) * 1000;
+}
+
+/**
+ * 将 UTC 时刻换算为时间系统的时间标签
+ * @function utcToSystemTime
+ * @param {Date} date - UTC 时刻
+ * @param {string} timeSystem - 时间系统 ('GPS'、'BDT'、'GST'、'GLONASST'、'TAI' 或 'UTC')
+ * @returns {Date} 时间标签，例如 2020-01-01T00:00:00Z 的 GPS 时间标签为 2020-01-01T00:00:18Z
+ * @throws {Error} 当时间系统不受支持时抛出错误
+ */
+function utcToSystemTime(date, timeSystem) {
+  const definition = getTimeSystem(timeSystem);
+  return new Date(date.getTime() + offsetFromUtc(date.getTime(), definition));
+}
+
+/**
+ * 将时间系统的时间标签换算为 UTC 时刻
+ * @function systemTimeToUtc
+ * @description 先用时间标签近似 UTC 查询闰秒，再用得到的 UTC 重新查询一次，闰秒生效前后也能得到正确结果
+ * @param {Date} date - 时间标签
+ * @param {string} timeSystem - 时间系统
+ * @returns {Date} UTC 时刻
+ * @throws {Error} 当时间系统不受支持时抛出错误
+ */
+function systemTimeToUtc(date, timeSystem) {
+  const definition = getTimeSystem(timeSystem);
+  const approximate = date.getTime() - offsetFromUtc(date.getTime(), definition);
+  return new Date(date.getTime() - offsetFromUtc(approximate, definition));
+}
+
+/**
+ * 在两个时间系统之间换算时间标签
+ * @function convertTime
+ * @param {Date} date - 源时间系统的时间标签
+ * @param {string} fromSystem - 源时间系统
+ * @param {string} toSystem - 目标时间系统
+ * @returns {Date} 目标时间系统的时间标签，例如 BDT = GPST - 14 秒
+ * @throws {Error} 当时间系统不受支持时抛出错误
+ */
+function convertTime(date, fromSystem, toSystem) {
+  return utcToSystemTime(systemTimeToUtc(date, fromSystem), toSystem);
+}
+
+/**
+ * 获取有周数的时间系统的定义
+ * @param {string} timeSystem - 时间系统
+ * @returns {object} 时间系统定义
+ * @throws {Error} 当时间系统没有周数时抛出错误
+ */
+function getWeekTimeSystem(timeSystem) {
+  const definition = getTimeSystem(timeSystem);
+  if (definition.weekEpoch === undefined) {
+    throw new Error(`时间系统 ${timeSystem} 没有周数`);
+  }
+  return definition;
+}
+
+/**
+ * 将时间标签换算为周数和周内秒
+ * @function toWeekSeconds
+ * @param {Date} date - 时间标签
+ * @param {string} timeSystem - 时间系统 ('GPS'、'BDT' 或 'GST')
+ * @returns {{week: number, seconds: number}} 完整周数 (不翻转) 和周内秒
+ * @throws {Error} 当时间系统没有周数时抛出错误
+ */
+function toWeekSeconds(date, timeSystem) {
+  const totalSeconds = (date.getTime() - getWeekTimeSystem(timeSystem).weekEpoch) / 1000;
+  const week = Math.floor(totalSeconds / SECONDS_PER_WEEK);
+  return { week, seconds: totalSeconds - week * SECONDS_PER_WEEK };
+}
+
+/**
+ * 由周数和周内秒得到时间标签
+ * @function fromWeekSeconds
+ * @param {number} week - 完整周数
+ * @param {number} seconds - 周内秒
+ * @param {string} timeSystem - 时间系统 ('GPS'、'BDT' 或 'GST')
+ * @returns {Date} 时间标签
+ * @throws {Error} 当时间系统没有周数时抛出错误
+ */
+function fromWeekSeconds(week, seconds, timeSystem) {
+  return new Date(getWeekTimeSystem(timeSystem).weekEpoch + (week * SECONDS_PER_WEEK + seconds) * 1000);
+}
+
+/**
+ * 把两个周内秒之差换算到半周以内 (处理跨周)
+ * @function wrapWeekSeconds
+ * @param {number} seconds - 周内秒之差
+ * @returns {number} 换算到 [-302400, 302400] 的秒数
+ */
+function wrapWeekSeconds(seconds) {
+  const halfWeek = SECONDS_PER_WEEK / 2;
+  if (seconds > halfWeek) {
+    return seconds - SECONDS_PER_WEEK;
+  }
+  if (seconds < -halfWeek) {
+    return seconds + SECONDS_PER_WEEK;
+  }
+  return seconds;
+}
+
+/**
+ * 恢复导航电文中被截断的周数
+ * @function resolveWeekRollover
+ * @description GPS 导航电文的周数为 10 位 (每 1024 周翻转)，北斗为 13 位，Galileo 为 12 位。
+ *              取与参考时间所在周相差不超过半个翻转周期的完整周数。
+ * @param {number} week - 文件或电文中的周数
+ * @param {string} timeSystem - 时间系统 ('GPS'、'BDT' 或 'GST')
+ * @param {Date} referenceDate - 参考 UTC 时刻 (应与实际日期相差不超过半个翻转周期)
+ * @param {number} [weekBits] - 周数的位数，默认为该时间系统导航电文的位数
+ * @returns {number} 完整周数；week 已超出翻转周期时原样返回
+ * @throws {Error} 当时间系统没有周数时抛出错误
+ */
+function resolveWeekRollover(week, timeSystem, referenceDate, weekBits = getWeekTimeSystem(timeSystem).weekBits) {
+  const modulus = 2 ** weekBits;
+  if (week >= modulus) {
+    return week;
+  }
+  const referenceWeek = toWeekSeconds(utcToSystemTime(referenceDate, timeSystem), timeSystem).week;
+  return week + Math.round((referenceWeek - week) / modulus) * modulus;
+}
+
+/**
+ * 获取卫星系统广播星历时间标签所用的时间系统
+ * @function getSatelliteTimeSystem
+ * @param {string} [systemName] - 卫星系统名称 (例如 'GPS'、'BEIDOU')
+ * @returns {string} 时间系统；未知的卫星系统按 GPS 时处理
+ */
+function getSatelliteTimeSystem(systemName) {
+  return SATELLITE_TIME_SYSTEMS[systemName] || 'GPS';
+}
+
+/**
+ * 由 RINEX/SP3 文件中的时间系统代码得到时间系统
+ * @function resolveTimeSystemCode
+ * @param {string} code - 时间系统代码 (例如 'GPS'、'BDT'、'GLO')
+ * @returns {string|undefined} 时间系统；无法识别时返回 undefined
+ */
+function resolveTimeSystemCode(code) {
+  return TIME_SYSTEM_CODES[String(code || '').trim().toUpperCase()];
+}
+
+module.exports = {
+  calendarToDate,
+  getLeapSeconds,
+  utcToSystemTime,
+  systemTimeToUtc,
+  convertTime,
+  toWeekSeconds,
+  fromWeekSeconds,
+  wrapWeekSeconds,
+  resolveWeekRollover,
+  getSatelliteTimeSystem,
+  resolveTimeSystemCode,
+  SECONDS_PER_WEEK,
+  LEAP_SECONDS,
+  TIME_SYSTEMS
+};
@@ -8,6 +8,8 @@
 
 'use strict';
 
+const { ALTITUDE_REFERENCES } = require('../coordinate/altitude');
+
 /**
  * 生成模拟的飞机轨迹
  * @function generateTrajectory
@@ -16,7 +18,8 @@
  * @param {string} params.flightPhase - 飞行阶段 ('takeoff', 'cruise', 'landing')
  * @param {number} params.duration - 模拟时长 (秒)
  * @param {number} params.interval - 数据点间隔 (秒)
- * @returns {Array<object>} 飞机状态数据数组，每个元素包含 timestamp, position, attitude
+ * @returns {Array<object>} 飞机状态数据数组，每个元素包含 timestamp, position, attitude。
+ *          position 的高度为海拔高度 (altitudeReference 为 'msl')，传给 llaToEcef 前需用 convertAltitude 转换为椭球高
  * @throws {Error} 当缺少必要参数或参数无效时抛出错误
  */
 function generateTrajectory(params) {
@@ -92,7 +95,7 @@ function generateTrajectory(params) {
 
     trajectory.push({
       timestamp,
-      position,
+      position: { ...position, altitudeReference: ALTITUDE_REFERENCES.MSL },
       attitude,
     });
   }
@@ -18,7 +18,8 @@ const EARTH_RADIUS = 6378137.0;
  *              从而判断是否存在遮挡。算法核心是求解线段与球体的相交问题。
  * @param {object} params - 计算参数对象
  * @param {{x: number, y: number, z: number}} params.aircraftPosition - 飞机的ECEF坐标，单位为米
- * @param {{x: number, y: number, z: number}} params.satellitePosition - 卫星的ECEF坐标，单位为米
+ * @param {{x: number, y: number, z: number}} params.satellitePosition - 卫星的ECEF坐标，单位为米；
+ *        应使用经过光行时和地球自转改正的信号发射时刻位置 (computeTransmitPosition 的结果)
  * @returns {boolean} 如果存在遮挡返回 true，否则返回 false
  * @throws {Error} 当缺少必要参数时抛出错误
  */
@@ -24,9 +24,38 @@ const config = {
     beidou: {
       name: 'BEIDOU',
       frequency: 1268520000, // B3I频率，单位：Hz
-      supportedIds: ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B09', 'B10'], // 支持的卫星ID
+      supportedIds: ['C01', 'C02', 'C03', 'C04', 'C05', 'C06', 'C07', 'C08', 'C09', 'C10'], // 支持的卫星ID
       orbitalRadius: 42164000, // 轨道半径，单位：m
       orbitalPeriod: 43082, // 轨道周期，单位：s
+      // 合成星历使用的星座构型，角度单位：度
+      constellation: {
+        // MEO 卫星：Walker 24/3/1 构型
+        walker: {
+          planes: 3, // 轨道面数
+          satellitesPerPlane: 8, // 每个轨道面的卫星数
+          phasing: 1, // 相位因子
+          inclination: 55, // 轨道倾角
+          semiMajorAxis: 27906100, // 轨道长半轴，单位：m
+          firstPrn: 19 // 第一颗卫星的PRN号
+        },
+        // GEO 卫星定点经度
+        geo: [
+          { prn: 1, longitude: 140 },
+          { prn: 2, longitude: 80 },
+          { prn: 3, longitude: 110.5 },
+          { prn: 4, longitude: 160 },
+          { prn: 5, longitude: 58.75 }
+        ],
+        // IGSO 卫星：星下点轨迹交叉点经度及在同一轨迹上的相位
+        igso: [
+          { prn: 6, longitude: 118, phase: 0 },
+          { prn: 7, longitude: 118, phase: 120 },
+          { prn: 8, longitude: 118, phase: 240 },
+          { prn: 9, longitude: 95, phase: 0 },
+          { prn: 10, longitude: 95, phase: 180 }
+        ],
+        igsoInclination: 55 // IGSO 轨道倾角
+      }
     },
     gps: {
       name: 'GPS',
@@ -34,9 +63,34 @@ const config = {
       supportedIds: ['G01', 'G02', 'G03', 'G04', 'G05', 'G06', 'G07', 'G08', 'G09', 'G10'], // 支持的卫星ID
       orbitalRadius: 26560000, // 轨道半径，单位：m
       orbitalPeriod: 43082, // 轨道周期，单位：s
+      // 合成星历使用的星座构型，角度单位：度
+      constellation: {
+        walker: {
+          planes: 6, // 轨道面数
+          satellitesPerPlane: 4, // 每个轨道面的卫星数
+          phasing: 1, // 相位因子
+          inclination: 55, // 轨道倾角
+          semiMajorAxis: 26559700, // 轨道长半轴，单位：m
+          firstPrn: 1 // 第一颗卫星的PRN号
+        }
+      }
     },
   },
   
+  // 卫星可用性策略
+  satellitePolicy: {
+    excludeUnhealthy: true, // 是否排除健康标志不健康的卫星和不可用的信号
+    maxUra: 100, // URA/SISA 上限，单位：m
+    includeUntested: false // 是否使用处于测试状态的卫星
+  },
+  
+  // 大地水准面配置
+  geoid: {
+    model: 'EGM96', // 大地水准面模型 ('EGM96' 或 'EGM2008')
+    gridFile: './data/geoid/WW15MGH.GRD', // 本地格网文件路径 (NGA .GRD 文本格式)
+    interpolation: 'bilinear' // 插值方法 ('bilinear' 或 'bicubic')
+  },
+  
   // 飞机配置
   aircraft: {
     defaultModel: 'cuboid', // 默认模型
@@ -56,7 +110,7 @@ const config = {
     },
     trajectory: {
       defaultSpeed: 250, // 默认速度，单位：m/s
-      defaultAltitude: 10000, // 默认高度，单位：m
+      defaultAltitude: 10000, // 默认高度 (海拔高度)，单位：m
       maxAcceleration: 10, // 最大加速度，单位：m/s²
     },
   },
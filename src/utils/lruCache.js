@@ -0,0 +1,91 @@
+/**
+ * @fileoverview LRU/TTL 缓存模块
+ * @module lruCache
+ * @description 按最近最少使用 (LRU) 淘汰、并按生存时间 (TTL) 过期的内存缓存，参数与 config.cache 一致
+ * @author Development Team
+ * @date 2026-10-19
+ */
+
+'use strict';
+
+const config = require('../config/app.config');
+
+/**
+ * 创建 LRU/TTL 缓存
+ * @function createLruCache
+ * @description 条目数超过 maxSize 时淘汰最久未使用的条目；条目写入超过 ttl 秒后视为过期。
+ *              过期条目在读取时删除，并且每隔 checkPeriod 秒在写入时统一清理一次。
+ *              enabled 为 false 时缓存不保存任何内容。
+ * @param {object} [options=config.cache] - 缓存参数
+ * @param {boolean} [options.enabled=true] - 是否启用缓存
+ * @param {number} [options.ttl] - 生存时间，单位：秒；不指定时不过期
+ * @param {number} [options.maxSize=Infinity] - 最大条目数
+ * @param {number} [options.checkPeriod] - 清理过期条目的周期，单位：秒
+ * @param {Function} [options.now=Date.now] - 返回当前时间 (毫秒) 的函数，便于测试
+ * @returns {{get: Function, set: Function, has: Function, delete: Function, clear: Function, size: Function}} 缓存
+ * @throws {Error} 当 maxSize 或 ttl 不是正数时抛出错误
+ * @example
+ * const cache = createLruCache({ ttl: 300, maxSize: 1000 });
+ * cache.set('G01@0', position);
+ */
+function createLruCache(options = config.cache) {
+  const { enabled = true, ttl, maxSize = Infinity, checkPeriod, now = Date.now } = options;
+  if (!(maxSize > 0) || (ttl !== undefined && !(ttl > 0))) {
+    throw new Error('缓存的最大条目数和生存时间必须为正数');
+  }
+
+  // Map 按插入顺序迭代，最近使用的条目移到末尾，第一个即最久未使用的条目
+  const entries = new Map();
+  let lastCheck = now();
+
+  const isExpired = entry => ttl !== undefined && now() - entry.storedAt > ttl * 1000;
+
+  const removeExpired = () => {
+    entries.forEach((entry, key) => {
+      if (isExpired(entry)) {
+        entries.delete(key);
+      }
+    });
+    lastCheck = now();
+  };
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    entries.delete(key);
+    if (isExpired(entry)) {
+      return undefined;
+    }
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    if (!enabled) {
+      return;
+    }
+    if (checkPeriod !== undefined && now() - lastCheck >= checkPeriod * 1000) {
+      removeExpired();
+    }
+    entries.delete(key);
+    entries.set(key, { value, storedAt: now() });
+    while (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    get,
+    set,
+    has: key => get(key) !== undefined,
+    delete: key => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size
+  };
+}
+
+module.exports = {
+  createLruCache
+};
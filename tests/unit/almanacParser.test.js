@@ -0,0 +1,157 @@
+const { parseYumaAlmanac, parseSemAlmanac, parseBeidouAlmanac } = require('../../src/algorithms/almanac/almanacParser');
+const { parseRinex } = require('../../src/algorithms/rinex/rinexParser');
+const { calculateSatellitePosition } = require('../../src/algorithms/satellite/satelliteCalculator');
+
+// 由 G01 广播星历 (2020-01-01，GPS 周 2086) 生成的历书，周数按 1024 翻转后为 38
+const YUMA_CONTENT = `******** Week  38 almanac for PRN-01 ********
+ID:                         01
+Health:                     000
+Eccentricity:               8.4732710849E-03
+Time of Applicability(s):  259200.0000
+Orbital Inclination(rad):   0.9678475986
+Rate of Right Ascen(r/s):  -7.8624700708E-09
+SQRT(A)  (m 1/2):           5153.667454
+Right Ascen at Week(rad):  -1.6491872016E+00
+Argument of Perigee(rad):   0.826377937
+Mean Anom(rad):             2.5676200170E+00
+Af0(s):                    -3.0064024031E-04
+Af1(s/s):                  -8.2991391537E-12
+week:                        38
+`;
+
+const SEM_CONTENT = `1 CURRENT.ALM
+38 259200
+
+1
+63
+0
+8.47327108494900E-3 8.07545893850142E-3 -2.50270195335822E-9
+5.15366745376600E+3 -5.24952590451703E-1 2.63044267170897E-1
+8.17298835385634E-1 -3.00640240311600E-4 -8.29913915367800E-12
+0
+9
+`;
+
+// 北斗 YUMA 格式历书，周数为 BDT 周
+const BEIDOU_YUMA_CONTENT = `******** Week 730 almanac for PRN-19 ********
+ID:                         19
+Health:                     000
+Eccentricity:               8.4732710849E-03
+Time of Applicability(s):  259200.0000
+Orbital Inclination(rad):   0.9678475986
+Rate of Right Ascen(r/s):  -7.8624700708E-09
+SQRT(A)  (m 1/2):           5153.667454
+Right Ascen at Week(rad):  -1.6491872016E+00
+Argument of Perigee(rad):   0.826377937
+Mean Anom(rad):             2.5676200170E+00
+Af0(s):                    -3.0064024031E-04
+Af1(s/s):                  -8.2991391537E-12
+week:                       730
+`;
+
+// 对应的 G01 广播星历
+const NAV_CONTENT = `     3.04           N: GNSS NAV DATA    M: Mixed            RINEX VERSION / TYPE
+                                                            END OF HEADER
+G01 2020 01 01 00 00 00-3.006402403116E-04-8.299139153678E-12 0.000000000000E+00
+     3.100000000000E+01-1.093750000000E+01 4.707339453990E-09 2.567620017035E+00
+    -6.798654794693E-07 8.473271084949E-03 1.044943928719E-05 5.153667453766E+03
+     2.592000000000E+05 4.284083843231E-08-1.649187201646E+00 1.117587089539E-08
+     9.678475985525E-01 1.810937500000E+02 8.263779373130E-01-7.862470070795E-09
+     1.917937309430E-10 1.000000000000E+00 2.086000000000E+03 0.000000000000E+00
+     2.000000000000E+00 0.000000000000E+00 5.587935447693E-09 3.100000000000E+01
+     2.521800000000E+05 4.000000000000E+00
+`;
+
+const REFERENCE_DATE = new Date('2020-01-01T00:00:00Z');
+
+/**
+ * 计算两个位置之间的距离
+ * @param {{x: number, y: number, z: number}} a - 位置
+ * @param {{x: number, y: number, z: number}} b - 位置
+ * @returns {number} 距离，单位：米
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+describe('历书解析', () => {
+  describe('基本功能测试', () => {
+    test('应该能够解析YUMA历书并恢复翻转的周数', () => {
+      const { header, satellites } = parseYumaAlmanac(YUMA_CONTENT, { referenceDate: REFERENCE_DATE });
+      const [satellite] = satellites;
+
+      expect(header).toEqual({ format: 'YUMA', week: 2086, toa: 259200 });
+      expect(satellite.id).toBe('G01');
+      expect(satellite.source).toBe('almanac');
+      expect(satellite.health).toBe(0);
+      expect(satellite.orbitalParameters.rootA).toBeCloseTo(5153.667454, 6);
+      expect(satellite.orbitalParameters.cuc).toBe(0);
+      expect(satellite.clockParameters.af0).toBeCloseTo(-3.0064024031e-4, 14);
+      expect(satellite.timeParameters.referenceTime.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+    });
+
+    test('应该能够解析SEM历书并将半周换算为弧度', () => {
+      const yuma = parseYumaAlmanac(YUMA_CONTENT, { referenceDate: REFERENCE_DATE }).satellites[0];
+      const { header, satellites } = parseSemAlmanac(SEM_CONTENT, { referenceDate: REFERENCE_DATE });
+      const [satellite] = satellites;
+
+      expect(header.name).toBe('CURRENT.ALM');
+      expect(satellite.id).toBe('G01');
+      expect(satellite.svn).toBe(63);
+      expect(satellite.orbitalParameters.i0).toBeCloseTo(yuma.orbitalParameters.i0, 9);
+      expect(satellite.orbitalParameters.omega0).toBeCloseTo(yuma.orbitalParameters.omega0, 9);
+      expect(satellite.orbitalParameters.omegadot).toBeCloseTo(yuma.orbitalParameters.omegadot, 18);
+      expect(satellite.timeParameters.referenceTime).toEqual(yuma.timeParameters.referenceTime);
+    });
+
+    test('应该能够解析北斗历书', () => {
+      const { satellites } = parseBeidouAlmanac(BEIDOU_YUMA_CONTENT);
+
+      expect(satellites[0].id).toBe('C19');
+      expect(satellites[0].system).toBe('BEIDOU');
+      expect(satellites[0].timeParameters.referenceTime.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('位置计算', () => {
+    const almanacData = parseYumaAlmanac(YUMA_CONTENT, { referenceDate: REFERENCE_DATE });
+
+    test('历书位置与广播星历位置的差异应该在千米级以内，并标记为低精度', () => {
+      const timestamp = new Date('2020-01-01T01:00:00Z');
+      const fromAlmanac = calculateSatellitePosition({ rinexData: almanacData, satelliteId: 'G01', timestamp });
+      const fromEphemeris = calculateSatellitePosition({
+        rinexData: parseRinex(NAV_CONTENT),
+        satelliteId: 'G01',
+        timestamp
+      });
+
+      expect(fromAlmanac.accuracy).toBe('almanac');
+      expect(fromEphemeris.accuracy).toBe('broadcast');
+      expect(distance(fromAlmanac, fromEphemeris)).toBeLessThan(5000);
+    });
+
+    test('应该能够预测数天后的卫星位置', () => {
+      const position = calculateSatellitePosition({
+        rinexData: almanacData,
+        satelliteId: 'G01',
+        timestamp: new Date('2020-01-06T12:00:00Z')
+      });
+      const radius = Math.hypot(position.x, position.y, position.z);
+
+      expect(radius).toBeGreaterThan(26.4e6);
+      expect(radius).toBeLessThan(26.8e6);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当输入内容为空时应该抛出错误', () => {
+      expect(() => parseYumaAlmanac('')).toThrow('历书内容不能为空');
+      expect(() => parseSemAlmanac('')).toThrow('历书内容不能为空');
+    });
+
+    test('当输入不是历书格式时应该抛出错误', () => {
+      expect(() => parseYumaAlmanac('not an almanac')).toThrow('不支持的历书文件格式');
+      expect(() => parseSemAlmanac('2 CURRENT.ALM\n38 259200\n1')).toThrow('不支持的历书文件格式');
+    });
+  });
+});
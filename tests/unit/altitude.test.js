@@ -0,0 +1,96 @@
+const {
+  ALTITUDE_REFERENCES,
+  altitudeToPressure,
+  pressureToAltitude,
+  convertAltitude
+} = require('../../src/algorithms/coordinate/altitude');
+const { parseGeoidGrid, createGeoidModel } = require('../../src/algorithms/coordinate/geoid');
+const { llaToEcef } = require('../../src/algorithms/coordinate/coordinateConverter');
+const { generateTrajectory } = require('../../src/algorithms/trajectory/trajectorySimulator');
+
+// 北京附近大地水准面差距为 -10 m 的 1° 区域格网
+const GEOID_GRID = `39 41 116 118 1 1
+-10 -10 -10
+-10 -10 -10
+-10 -10 -10
+`;
+
+describe('高度类型转换', () => {
+  const geoid = createGeoidModel(parseGeoidGrid(GEOID_GRID));
+  const position = { longitude: 116.3974, latitude: 39.9093, altitude: 10000 };
+
+  describe('基本功能测试', () => {
+    test('应该按国际标准大气换算气压和气压高度', () => {
+      expect(altitudeToPressure(0)).toBeCloseTo(1013.25, 10);
+      expect(altitudeToPressure(5000)).toBeCloseTo(540.20, 2);
+      expect(altitudeToPressure(11000)).toBeCloseTo(226.32, 2);
+      expect(altitudeToPressure(15000)).toBeCloseTo(120.45, 2);
+
+      [-300, 0, 3048, 10668, 11000, 18000].forEach((altitude) => {
+        expect(pressureToAltitude(altitudeToPressure(altitude))).toBeCloseTo(altitude, 6);
+      });
+    });
+
+    test('应该能够在海拔高度和椭球高之间转换', () => {
+      const msl = { ...position, altitudeReference: ALTITUDE_REFERENCES.MSL };
+      const ellipsoidal = convertAltitude({ position: msl, targetReference: ALTITUDE_REFERENCES.ELLIPSOIDAL, geoid });
+      expect(ellipsoidal).toEqual({ ...position, altitude: 9990, altitudeReference: 'ellipsoidal' });
+
+      const back = convertAltitude({ position: ellipsoidal, targetReference: ALTITUDE_REFERENCES.MSL, geoid });
+      expect(back.altitude).toBeCloseTo(10000, 6);
+      expect(back.altitudeReference).toBe('msl');
+    });
+
+    test('应该能够按 QNH 在气压高度和海拔高度之间转换', () => {
+      const pressure = { ...position, altitudeReference: ALTITUDE_REFERENCES.PRESSURE };
+      const standard = convertAltitude({ position: pressure, targetReference: ALTITUDE_REFERENCES.MSL });
+      expect(standard.altitude).toBeCloseTo(10000, 10);
+
+      // QNH 高于标准气压时，高度表按 QNH 拨正后读数高于气压高度
+      const qnh = 1023.25;
+      const msl = convertAltitude({ position: pressure, targetReference: ALTITUDE_REFERENCES.MSL, qnh });
+      expect(msl.altitude).toBeCloseTo(10000 - pressureToAltitude(qnh), 6);
+      expect(msl.altitude - 10000).toBeGreaterThan(80);
+      expect(msl.altitude - 10000).toBeLessThan(90);
+
+      const ellipsoidal = convertAltitude({
+        position: pressure,
+        targetReference: ALTITUDE_REFERENCES.ELLIPSOIDAL,
+        geoid,
+        qnh
+      });
+      expect(ellipsoidal.altitude).toBeCloseTo(msl.altitude - 10, 6);
+    });
+
+    test('轨迹的海拔高度应该转换为椭球高后再转换为ECEF坐标', () => {
+      const [point] = generateTrajectory({ flightPhase: 'cruise', duration: 10, interval: 10 });
+      expect(point.position.altitudeReference).toBe('msl');
+      expect(() => llaToEcef(point.position)).toThrow('LLA 转 ECEF 需要椭球高，当前高度类型为 msl');
+
+      const ellipsoidal = convertAltitude({ position: point.position, targetReference: 'ellipsoidal', geoid });
+      const ecef = llaToEcef(ellipsoidal);
+      const expected = llaToEcef({ ...position, altitude: 9990 });
+      expect(ecef.x).toBeCloseTo(expected.x, 6);
+      expect(ecef.z).toBeCloseTo(expected.z, 6);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('没有高度类型的位置应该视为椭球高，同类型转换不需要大地水准面模型', () => {
+      expect(convertAltitude({ position, targetReference: 'msl', geoid }).altitude).toBeCloseTo(10010, 6);
+      expect(convertAltitude({ position, targetReference: 'ellipsoidal' }).altitude).toBe(10000);
+      expect(convertAltitude({ position, sourceReference: 'msl', targetReference: 'pressure' }).altitude)
+        .toBeCloseTo(10000, 10);
+    });
+
+    test('当参数无效时应该抛出错误', () => {
+      expect(() => convertAltitude({ position, targetReference: 'msl' }))
+        .toThrow('椭球高与海拔高度的转换需要大地水准面模型');
+      expect(() => convertAltitude({ position, targetReference: 'agl' })).toThrow('不支持的高度类型: agl');
+      expect(() => convertAltitude({ position })).toThrow('缺少必要参数');
+      expect(() => pressureToAltitude(0)).toThrow('气压必须为正数');
+      expect(() => pressureToAltitude(10)).toThrow('高度超出标准大气的适用范围');
+      expect(() => altitudeToPressure(25000)).toThrow('高度超出标准大气的适用范围: 25000');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  eulerToDcm,
+  quaternionToDcm,
+  dcmToEuler,
+  attitudeToDcm,
+  transposeMatrix,
+  multiplyMatrices,
+  rotateVector
+} = require('../../src/algorithms/coordinate/attitude');
+
+/**
+ * 逐元素比较两个矩阵
+ * @param {Array<Array<number>>} actual - 实际矩阵
+ * @param {Array<Array<number>>} expected - 期望矩阵
+ */
+function expectMatrixCloseTo(actual, expected) {
+  actual.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], 12)));
+}
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+describe('姿态与旋转矩阵', () => {
+  describe('基本功能测试', () => {
+    test('欧拉角应该按 Z-Y-X 顺序旋转机体轴', () => {
+      // 偏航 90°：机头指向东
+      expect(rotateVector(eulerToDcm({ roll: 0, pitch: 0, yaw: 90 }), { x: 1, y: 0, z: 0 }).y).toBeCloseTo(1, 12);
+      // 俯仰 30°：机头向上 (NED 的 z 为负)
+      const nose = rotateVector(eulerToDcm({ roll: 0, pitch: 30, yaw: 0 }), { x: 1, y: 0, z: 0 });
+      expect(nose.x).toBeCloseTo(Math.cos(Math.PI / 6), 12);
+      expect(nose.z).toBeCloseTo(-0.5, 12);
+      // 右滚 90°：右翼指向下
+      expect(rotateVector(eulerToDcm({ roll: 90, pitch: 0, yaw: 0 }), { x: 0, y: 1, z: 0 }).z).toBeCloseTo(1, 12);
+    });
+
+    test('方向余弦矩阵应该正交，并可以还原欧拉角', () => {
+      const angles = { roll: -12.5, pitch: 7.25, yaw: 123.4 };
+      const dcm = eulerToDcm(angles);
+
+      expectMatrixCloseTo(multiplyMatrices(dcm, transposeMatrix(dcm)), IDENTITY);
+      const restored = dcmToEuler(dcm);
+      expect(restored.roll).toBeCloseTo(angles.roll, 10);
+      expect(restored.pitch).toBeCloseTo(angles.pitch, 10);
+      expect(restored.yaw).toBeCloseTo(angles.yaw, 10);
+    });
+
+    test('俯仰角为 90° 时横滚角应该取 0', () => {
+      const restored = dcmToEuler(eulerToDcm({ roll: 0, pitch: 90, yaw: 40 }));
+      expect(restored.roll).toBe(0);
+      expect(restored.pitch).toBeCloseTo(90, 10);
+      expect(restored.yaw).toBeCloseTo(40, 10);
+    });
+
+    test('四元数应该与等价的欧拉角给出相同的矩阵，并自动归一化', () => {
+      const half = Math.PI / 4;
+      expectMatrixCloseTo(
+        quaternionToDcm({ w: Math.cos(half), x: 0, y: 0, z: Math.sin(half) }),
+        eulerToDcm({ roll: 0, pitch: 0, yaw: 90 })
+      );
+      expectMatrixCloseTo(quaternionToDcm({ w: 2, x: 0, y: 0, z: 0 }), IDENTITY);
+    });
+
+    test('应该识别三种姿态表示', () => {
+      const angles = { roll: 5, pitch: -3, yaw: 250 };
+      const dcm = eulerToDcm(angles);
+
+      expect(attitudeToDcm(angles)).toEqual(dcm);
+      expect(attitudeToDcm({ dcm })).toEqual(dcm);
+      expect(attitudeToDcm({ dcm })).not.toBe(dcm);
+      expectMatrixCloseTo(attitudeToDcm({ quaternion: { w: 1, x: 0, y: 0, z: 0 } }), IDENTITY);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当姿态参数无效时应该抛出错误', () => {
+      expect(() => quaternionToDcm({ w: 0, x: 0, y: 0, z: 0 })).toThrow('四元数的模必须为正数');
+      expect(() => attitudeToDcm({ dcm: [[1, 0], [0, 1]] })).toThrow('方向余弦矩阵必须为 3×3 的数值矩阵');
+      expect(() => attitudeToDcm({ roll: 0, pitch: 0 })).toThrow('无效的姿态参数');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const {
+  createConstellationPropagator,
+  propagateConstellation
+} = require('../../src/algorithms/satellite/constellationPropagator');
+const { generateSyntheticEphemeris } = require('../../src/algorithms/satellite/ephemerisGenerator');
+const { createEphemerisStore } = require('../../src/algorithms/satellite/ephemerisStore');
+const { createSatellitePolicy } = require('../../src/algorithms/satellite/satellitePolicy');
+const { calculateSatellitePosition } = require('../../src/algorithms/satellite/satelliteCalculator');
+const { calculatePreciseSatellitePosition } = require('../../src/algorithms/satellite/preciseOrbitInterpolator');
+const config = require('../../src/config/app.config');
+
+const EPOCH = new Date('2020-01-01T00:00:00Z');
+const rinexData = generateSyntheticEphemeris({ epoch: EPOCH, duration: 3600 });
+
+/**
+ * 创建统计选星次数的星历存储
+ * @returns {{ephemerisStore: object, calls: Function}} 星历存储和已选星次数
+ */
+function createCountingStore() {
+  const store = createEphemerisStore(rinexData.satellites);
+  let calls = 0;
+  return {
+    ephemerisStore: {
+      ...store,
+      selectEphemeris: (...args) => {
+        calls += 1;
+        return store.selectEphemeris(...args);
+      }
+    },
+    calls: () => calls
+  };
+}
+
+/**
+ * 相对生成历元偏移指定秒数的时间
+ * @param {number} seconds - 秒数
+ * @returns {Date} 时间
+ */
+function at(seconds) {
+  return new Date(EPOCH.getTime() + seconds * 1000);
+}
+
+/**
+ * 由广播星历生成 5 分钟间隔的精密星历数据 (与 parseSp3 的结果结构相同)
+ * @param {Array<string>} satelliteIds - 卫星号
+ * @returns {object} 精密星历数据
+ */
+function buildSp3Data(satelliteIds) {
+  const epochs = [];
+  for (let seconds = 0; seconds <= 3600; seconds += 300) {
+    epochs.push(new Date(EPOCH.getTime() + seconds * 1000));
+  }
+  const positions = {};
+  satelliteIds.forEach((satelliteId) => {
+    positions[satelliteId] = epochs.map((timestamp) => {
+      const { x, y, z, clockBias } = calculateSatellitePosition({ rinexData, satelliteId, timestamp });
+      return { timestamp, position: { x, y, z }, clockBias };
+    });
+  });
+  return { header: { coordinateSystem: 'IGS14', satelliteIds }, epochs, positions };
+}
+
+describe('星座批量轨道外推', () => {
+  describe('基本功能测试', () => {
+    test('应该在时间网格上一次计算全部卫星', () => {
+      const result = propagateConstellation({ rinexData, start: at(0), end: at(60) });
+
+      expect(result.epochs).toHaveLength(61);
+      expect(result.epochs[60]).toEqual(at(60));
+      expect(Object.keys(result.satellites)).toEqual(expect.arrayContaining(['G01', 'G24', 'C01', 'C19']));
+
+      const direct = calculateSatellitePosition({ rinexData, satelliteId: 'C19', timestamp: at(30) });
+      expect(result.satellites.C19[30]).toEqual({
+        x: direct.x,
+        y: direct.y,
+        z: direct.z,
+        velocity: direct.velocity,
+        clockBias: direct.clockBias,
+        clockDrift: direct.clockDrift
+      });
+    });
+
+    test('网格之间的时刻应该插值到毫米级', () => {
+      const propagator = createConstellationPropagator({ rinexData, satelliteIds: ['G01', 'C03', 'C19'] });
+
+      [0.1, 0.5, 12.3, 59.9].forEach((seconds) => {
+        const states = propagator.getStates(at(seconds));
+        ['G01', 'C03', 'C19'].forEach((satelliteId) => {
+          const direct = calculateSatellitePosition({ rinexData, satelliteId, timestamp: at(seconds) });
+          const state = states[satelliteId];
+          expect(Math.hypot(state.x - direct.x, state.y - direct.y, state.z - direct.z)).toBeLessThan(1e-3);
+          expect(state.velocity.x).toBeCloseTo(direct.velocity.x, 3);
+          expect(state.clockBias).toBeCloseTo(direct.clockBias, 15);
+          expect(state.clockDrift).toBeCloseTo(direct.clockDrift, 15);
+        });
+      });
+    });
+
+    test('同一对网格节点应该只计算一次', () => {
+      const { ephemerisStore, calls } = createCountingStore();
+      const propagator = createConstellationPropagator({ ephemerisStore, satelliteIds: ['G01', 'C19'] });
+
+      propagator.getStates(at(0.1));
+      const afterFirst = calls();
+      for (let tenth = 2; tenth < 10; tenth += 1) {
+        propagator.getStates(at(tenth / 10));
+      }
+      expect(afterFirst).toBe(4);
+      expect(calls()).toBe(afterFirst);
+
+      // 批量计算的节点写入缓存，之后的实时查询不再重新计算
+      propagator.propagate(at(1), at(5));
+      expect(calls()).toBe(afterFirst + 8);
+      propagator.getStates(at(3.7));
+      expect(calls()).toBe(afterFirst + 8);
+
+      propagator.clear();
+      propagator.getStates(at(3.7));
+      expect(calls()).toBe(afterFirst + 12);
+    });
+
+    test('缓存条目过期后应该重新计算', () => {
+      const { ephemerisStore, calls } = createCountingStore();
+      let now = 0;
+      const propagator = createConstellationPropagator({
+        ephemerisStore,
+        satelliteIds: ['G01'],
+        cache: { ttl: 1, maxSize: 10, now: () => now }
+      });
+
+      propagator.getStates(at(0));
+      now = 2000;
+      propagator.getStates(at(0));
+      expect(calls()).toBe(2);
+    });
+
+    test('全星座 100 ms 周期的计算时间应该小于 config.system.maxCalculationTime', () => {
+      const propagator = createConstellationPropagator({ rinexData });
+      const updateInterval = config.system.updateInterval / 1000;
+      const cycles = 100;
+
+      const started = Date.now();
+      for (let cycle = 0; cycle < cycles; cycle += 1) {
+        propagator.getStates(at(cycle * updateInterval));
+      }
+      const average = (Date.now() - started) / cycles;
+
+      expect(average).toBeLessThan(config.system.maxCalculationTime);
+    });
+  });
+
+  describe('精密星历', () => {
+    test('传入 positionProvider 时应该用精密星历计算精密星历中的全部卫星', () => {
+      const result = propagateConstellation({
+        rinexData: buildSp3Data(['G01', 'C19']),
+        positionProvider: calculatePreciseSatellitePosition,
+        start: at(0),
+        end: at(2)
+      });
+
+      expect(Object.keys(result.satellites)).toEqual(['G01', 'C19']);
+      const direct = calculateSatellitePosition({ rinexData, satelliteId: 'C19', timestamp: at(1) });
+      const state = result.satellites.C19[1];
+      expect(Math.hypot(state.x - direct.x, state.y - direct.y, state.z - direct.z)).toBeLessThan(0.01);
+      expect(state.velocity.x).toBeCloseTo(direct.velocity.x, 3);
+    });
+
+    test('超出精密星历数据范围的卫星应该被排除', () => {
+      const propagator = createConstellationPropagator({
+        rinexData: buildSp3Data(['G01']),
+        positionProvider: calculatePreciseSatellitePosition
+      });
+      expect(propagator.getStates(at(7200)).G01).toBeNull();
+      expect(propagator.getExclusions(at(7200))).toEqual({ G01: 'noEphemeris' });
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('超出星历有效范围的卫星应该为 null 并给出排除原因', () => {
+      const propagator = createConstellationPropagator({ rinexData, satelliteIds: ['G01'] });
+      expect(propagator.getStates(at(86400)).G01).toBeNull();
+      expect(propagator.getExclusions(at(86400))).toEqual({ G01: 'noEphemeris' });
+    });
+
+    test('不满足可用性策略的卫星应该被排除并给出原因', () => {
+      const degraded = {
+        ...rinexData,
+        satellites: rinexData.satellites.map(record => (record.id === 'G02' ? { ...record, health: 1 } : record))
+      };
+      const policy = createSatellitePolicy({ maxUra: 1 });
+      const satelliteIds = ['G01', 'G02'];
+
+      const result = propagateConstellation({ rinexData: degraded, satelliteIds, start: at(0), end: at(2) });
+      expect(result.satellites.G02).toEqual([null, null, null]);
+      expect(result.exclusions).toEqual({ G01: [null, null, null], G02: ['unhealthy', 'unhealthy', 'unhealthy'] });
+
+      const strict = createConstellationPropagator({ rinexData: degraded, satelliteIds, policy });
+      expect(strict.getExclusions(at(0.5))).toEqual({ G01: 'accuracy', G02: 'unhealthy' });
+    });
+
+    test('当参数无效时应该抛出错误', () => {
+      expect(() => createConstellationPropagator({})).toThrow('缺少必要参数');
+      expect(() => createConstellationPropagator({ rinexData, step: 0 })).toThrow('网格步长必须为正数');
+      expect(() => propagateConstellation({ rinexData, start: at(10), end: at(0) })).toThrow('时间范围无效');
+    });
+  });
+});
@@ -1,4 +1,28 @@
-const { llaToEcef, ecefToLla, bodyToEcef, ecefToBody } = require('../../src/algorithms/coordinate/coordinateConverter');
+const {
+  llaToEcef,
+  ecefToLla,
+  transformDatum,
+  getSatelliteDatum,
+  bodyToEcef,
+  ecefToBody,
+  nedToEcefMatrix,
+  ecefToNed,
+  ecefToEnu,
+  calculateLookAngles,
+  calculateBodyLookAngles,
+  WGS84_SEMI_MAJOR_AXIS,
+  WGS84_SEMI_MINOR_AXIS
+} = require('../../src/algorithms/coordinate/coordinateConverter');
+const config = require('../../src/config/app.config');
+
+/**
+ * 转置 NED 到 ECEF 的旋转矩阵，得到北、东、地方向的单位矢量
+ * @param {Array<Array<number>>} matrix - 旋转矩阵 C_n^e
+ * @returns {Array<Array<number>>} 北、东、地方向在 ECEF 中的单位矢量
+ */
+function transposeNed(matrix) {
+  return [0, 1, 2].map(column => matrix.map(row => row[column]));
+}
 
 describe('坐标转换', () => {
   describe('LLA 与 ECEF 坐标转换', () => {
@@ -23,8 +47,20 @@ describe('坐标转换', () => {
         expect(typeof ecefCoord.y).toBe('number');
         expect(typeof ecefCoord.z).toBe('number');
 
-        // TODO: 后续需要添加与已知精确值的比对测试
-        // 例如: expect(ecefCoord.x).toBeCloseTo(-2178193.23, 2);
+        expect(ecefCoord.x).toBeCloseTo(-2178163.405, 2);
+        expect(ecefCoord.y).toBeCloseTo(4388381.730, 2);
+        expect(ecefCoord.z).toBeCloseTo(4070297.879, 2);
+      });
+
+      test('赤道和两极应该落在椭球的长半轴和短半轴上', () => {
+        const equator = llaToEcef({ longitude: 90, latitude: 0, altitude: 100 });
+        const northPole = llaToEcef({ longitude: 0, latitude: 90, altitude: 0 });
+
+        expect(equator.x).toBeCloseTo(0, 6);
+        expect(equator.y).toBeCloseTo(WGS84_SEMI_MAJOR_AXIS + 100, 6);
+        expect(equator.z).toBeCloseTo(0, 6);
+        expect(northPole.x).toBeCloseTo(0, 6);
+        expect(northPole.z).toBeCloseTo(6356752.3142, 4);
       });
 
       test('当缺少LLA参数时应该抛出错误', () => {
@@ -54,12 +90,124 @@ describe('坐标转换', () => {
         expect(typeof llaCoord.altitude).toBe('number');
       });
 
+      test('两极、赤道和飞机高度处的转换应该准确', () => {
+        const southPole = ecefToLla({ x: 0, y: 0, z: -(WGS84_SEMI_MINOR_AXIS + 12000) });
+        expect(southPole.latitude).toBe(-90);
+        expect(southPole.longitude).toBe(0);
+        expect(southPole.altitude).toBeCloseTo(12000, 6);
+
+        const equator = ecefToLla({ x: -(WGS84_SEMI_MAJOR_AXIS + 10000), y: 0, z: 0 });
+        expect(equator).toEqual({ longitude: 180, latitude: 0, altitude: 10000, datum: 'WGS84' });
+
+        const beijing = ecefToLla({ x: -2178163.405, y: 4388381.730, z: 4070297.879 });
+        expect(beijing.longitude).toBeCloseTo(116.3974, 8);
+        expect(beijing.latitude).toBeCloseTo(39.9093, 8);
+        expect(beijing.altitude).toBeCloseTo(50, 2);
+      });
+
+      test('往返转换的误差应该小于 config.precision.coordinateConversion', () => {
+        [-90, -89.9999, -45, 0, 0.0001, 39.9093, 89.9999, 90].forEach((latitude) => {
+          [-500, 0, 10000, 20000].forEach((altitude) => {
+            const lla = { longitude: 116.3974, latitude, altitude };
+            const ecef = llaToEcef(lla);
+            const back = llaToEcef(ecefToLla(ecef));
+
+            expect(Math.hypot(back.x - ecef.x, back.y - ecef.y, back.z - ecef.z))
+              .toBeLessThan(config.precision.coordinateConversion);
+            expect(Math.abs(ecefToLla(ecef).altitude - altitude)).toBeLessThan(config.precision.coordinateConversion);
+          });
+        });
+      });
+
       test('当缺少ECEF参数时应该抛出错误', () => {
         expect(() => ecefToLla({})).toThrow('缺少必要参数');
       });
     });
   });
 
+  describe('大地基准', () => {
+    describe('基本功能测试', () => {
+      test('结果应该给出所在的大地基准，并按该基准的椭球计算', () => {
+        const equator = { longitude: 0, latitude: 0, altitude: 0 };
+        expect(llaToEcef(equator).datum).toBe('WGS84');
+        const pz90 = llaToEcef({ ...equator, datum: 'PZ-90.11' });
+        expect(pz90.datum).toBe('PZ-90.11');
+        expect(pz90.x).toBeCloseTo(6378136, 6);
+
+        // CGCS2000 与 WGS84 只有扁率不同，中纬度的差异在亚毫米级
+        const beijing = { longitude: 116.3974, latitude: 39.9093, altitude: 50 };
+        const cgcs = llaToEcef({ ...beijing, datum: 'CGCS2000' });
+        const wgs = llaToEcef(beijing);
+        expect(Math.abs(cgcs.z - wgs.z)).toBeLessThan(0.001);
+        expect(Math.abs(cgcs.z - wgs.z)).toBeGreaterThan(0);
+
+        const back = ecefToLla(cgcs);
+        expect(back.datum).toBe('CGCS2000');
+        expect(back.latitude).toBeCloseTo(beijing.latitude, 10);
+        expect(back.altitude).toBeCloseTo(beijing.altitude, 6);
+      });
+
+      test('应该能够按七参数在大地基准之间转换，且正逆转换一致', () => {
+        const position = llaToEcef({ longitude: 37.6, latitude: 55.75, altitude: 200, datum: 'PZ-90.11' });
+        const wgs84 = transformDatum({ position, targetDatum: 'WGS84' });
+        expect(wgs84.datum).toBe('WGS84');
+        const shift = Math.hypot(wgs84.x - position.x, wgs84.y - position.y, wgs84.z - position.z);
+        expect(shift).toBeGreaterThan(0.001);
+        expect(shift).toBeLessThan(0.01);
+
+        const back = transformDatum({ position: wgs84, targetDatum: 'PZ-90.11' });
+        expect(back.x).toBeCloseTo(position.x, 6);
+        expect(back.y).toBeCloseTo(position.y, 6);
+        expect(back.z).toBeCloseTo(position.z, 6);
+      });
+
+      test('ITRF2014 和 ITRF2020 的七参数应该随历元变化', () => {
+        const position = { x: WGS84_SEMI_MAJOR_AXIS, y: 0, z: 0 };
+        const atReference = transformDatum({ position, sourceDatum: 'ITRF2014', targetDatum: 'WGS84' });
+        expect(atReference.epoch).toBe(2010);
+        expect(atReference.x - position.x).toBeCloseTo(0.0016 - 0.02e-9 * WGS84_SEMI_MAJOR_AXIS, 9);
+        expect(atReference.z - position.z).toBeCloseTo(0.0024, 9);
+
+        const later = transformDatum({ position, sourceDatum: 'ITRF2014', targetDatum: 'WGS84', epoch: 2020 });
+        expect(later.x - position.x).toBeCloseTo(0.0016 + 0.28e-9 * WGS84_SEMI_MAJOR_AXIS, 9);
+        expect(later.z - position.z).toBeCloseTo(0.0014, 9);
+
+        // ITRF2020 的参考历元为 2015.0
+        const itrf2020 = transformDatum({ position, sourceDatum: 'ITRF2020', targetDatum: 'WGS84' });
+        expect(itrf2020.epoch).toBe(2015);
+        expect(itrf2020.x - position.x).toBeCloseTo(0.0002 - 0.29e-9 * WGS84_SEMI_MAJOR_AXIS, 9);
+        expect(itrf2020.z - position.z).toBeCloseTo(0.0033, 9);
+      });
+
+      test('应该给出各卫星系统星历所用的大地基准', () => {
+        expect(getSatelliteDatum('BEIDOU')).toBe('CGCS2000');
+        expect(getSatelliteDatum('GLONASS')).toBe('PZ-90.11');
+        expect(getSatelliteDatum('GPS')).toBe('WGS84');
+        expect(getSatelliteDatum(undefined)).toBe('WGS84');
+      });
+    });
+
+    describe('边界条件测试', () => {
+      test('相同基准之间的转换应该不改变坐标', () => {
+        const position = { x: 1234567.8, y: -2345678.9, z: 5678901.2, datum: 'WGS84' };
+        const result = transformDatum({ position, targetDatum: 'CGCS2000', epoch: 2025 });
+        expect(result).toEqual({ x: position.x, y: position.y, z: position.z, datum: 'CGCS2000', epoch: 2025 });
+      });
+
+      test('当基准不受支持、高度不是椭球高、历元无效或缺少参数时应该抛出错误', () => {
+        const position = { x: WGS84_SEMI_MAJOR_AXIS, y: 0, z: 0 };
+        expect(() => llaToEcef({ longitude: 0, latitude: 0, altitude: 0, altitudeReference: 'msl' }))
+          .toThrow('LLA 转 ECEF 需要椭球高，当前高度类型为 msl');
+        expect(() => llaToEcef({ longitude: 0, latitude: 0, altitude: 0, datum: 'ED50' }))
+          .toThrow('不支持的大地基准: ED50');
+        expect(() => transformDatum({ position, targetDatum: 'NAD83' })).toThrow('不支持的大地基准: NAD83');
+        expect(() => transformDatum({ position, targetDatum: 'ITRF2014', epoch: NaN }))
+          .toThrow('历元必须为以年为单位的有限数');
+        expect(() => transformDatum({ position })).toThrow('缺少必要参数');
+      });
+    });
+  });
+
   describe('机体坐标系与 ECEF 坐标转换', () => {
     describe('机体坐标系 转 ECEF', () => {
       test('应该能够将机体坐标正确转换为ECEF坐标', () => {
@@ -92,6 +240,34 @@ describe('坐标转换', () => {
         expect(typeof ecefCoord.z).toBe('number');
       });
 
+      test('零姿态下机头方向应该指向当地正北', () => {
+        const aircraftPositionLla = { longitude: 116.3974, latitude: 39.9093, altitude: 10000 };
+        const origin = llaToEcef(aircraftPositionLla);
+        const ecefCoord = bodyToEcef({
+          aircraftPositionLla,
+          aircraftAttitude: { roll: 0, pitch: 0, yaw: 0 },
+          bodyCoord: { x: 10, y: 0, z: 0 }
+        });
+        const [north] = transposeNed(nedToEcefMatrix(aircraftPositionLla));
+
+        expect(ecefCoord.x - origin.x).toBeCloseTo(10 * north[0], 9);
+        expect(ecefCoord.y - origin.y).toBeCloseTo(10 * north[1], 9);
+        expect(ecefCoord.z - origin.z).toBeCloseTo(10 * north[2], 9);
+        expect(ecefToLla(ecefCoord).latitude).toBeGreaterThan(aircraftPositionLla.latitude);
+      });
+
+      test('机体 Z 轴在零姿态下应该指向当地铅垂向下', () => {
+        const aircraftPositionLla = { longitude: 0, latitude: 0, altitude: 0 };
+        const ecefCoord = bodyToEcef({
+          aircraftPositionLla,
+          aircraftAttitude: { roll: 0, pitch: 0, yaw: 0 },
+          bodyCoord: { x: 0, y: 0, z: 100 }
+        });
+
+        expect(ecefCoord.x).toBeCloseTo(WGS84_SEMI_MAJOR_AXIS - 100, 6);
+        expect(ecefToLla(ecefCoord).altitude).toBeCloseTo(-100, 6);
+      });
+
       test('当缺少机体转换参数时应该抛出错误', () => {
         expect(() => bodyToEcef({})).toThrow('缺少必要参数');
       });
@@ -129,9 +305,127 @@ describe('坐标转换', () => {
         expect(typeof bodyCoord.z).toBe('number');
       });
 
+      test('应该是 bodyToEcef 的逆过程，且欧拉角、四元数和方向余弦矩阵的结果一致', () => {
+        const aircraftPositionLla = { longitude: -73.5, latitude: 45.2, altitude: 11000 };
+        const bodyCoord = { x: 3.2, y: -1.5, z: -2.4 };
+        // 偏航 60° 对应的四元数
+        const yawOnly = { quaternion: { w: Math.cos(Math.PI / 6), x: 0, y: 0, z: Math.sin(Math.PI / 6) } };
+
+        const yawEuler = { roll: 0, pitch: 0, yaw: 60 };
+        const fromEuler = bodyToEcef({ aircraftPositionLla, aircraftAttitude: yawEuler, bodyCoord });
+        const fromQuaternion = bodyToEcef({ aircraftPositionLla, aircraftAttitude: yawOnly, bodyCoord });
+        expect(fromQuaternion.x).toBeCloseTo(fromEuler.x, 8);
+        expect(fromQuaternion.y).toBeCloseTo(fromEuler.y, 8);
+        expect(fromQuaternion.z).toBeCloseTo(fromEuler.z, 8);
+
+        const aircraftAttitude = { roll: 15, pitch: -4, yaw: 287 };
+        const ecefCoord = bodyToEcef({ aircraftPositionLla, aircraftAttitude, bodyCoord });
+        const back = ecefToBody({ aircraftPositionLla, aircraftAttitude, ecefCoord });
+        expect(back.x).toBeCloseTo(bodyCoord.x, 8);
+        expect(back.y).toBeCloseTo(bodyCoord.y, 8);
+        expect(back.z).toBeCloseTo(bodyCoord.z, 8);
+      });
+
+      test('当姿态参数无效时应该抛出错误', () => {
+        expect(() => ecefToBody({
+          aircraftPositionLla: { longitude: 0, latitude: 0, altitude: 0 },
+          aircraftAttitude: { yaw: 10 },
+          ecefCoord: { x: WGS84_SEMI_MAJOR_AXIS, y: 0, z: 0 }
+        })).toThrow('无效的姿态参数');
+      });
+
       test('当缺少ECEF转机体参数时应该抛出错误', () => {
         expect(() => ecefToBody({})).toThrow('缺少必要参数');
       });
     });
   });
+
+  describe('目标相对测站的方向', () => {
+    // 位于赤道、本初子午线上的测站：北为 +Z，东为 +Y，天顶为 +X
+    const receiverPositionLla = { longitude: 0, latitude: 0, altitude: 0 };
+    const receiverPosition = { x: WGS84_SEMI_MAJOR_AXIS, y: 0, z: 0 };
+
+    describe('基本功能测试', () => {
+      test('应该能够计算目标的 NED 和 ENU 坐标', () => {
+        const targetPosition = { x: WGS84_SEMI_MAJOR_AXIS + 300, y: 200, z: 100 };
+        const ned = ecefToNed({ receiverPositionLla, targetPosition });
+        expect(ned.north).toBeCloseTo(100, 6);
+        expect(ned.east).toBeCloseTo(200, 6);
+        expect(ned.down).toBeCloseTo(-300, 6);
+
+        const enu = ecefToEnu({ receiverPosition, targetPosition });
+        expect(enu.east).toBeCloseTo(200, 6);
+        expect(enu.north).toBeCloseTo(100, 6);
+        expect(enu.up).toBeCloseTo(300, 6);
+      });
+
+      test('应该能够计算方位角、仰角和斜距', () => {
+        const zenith = calculateLookAngles({
+          receiverPositionLla,
+          targetPosition: { x: WGS84_SEMI_MAJOR_AXIS + 20200000, y: 0, z: 0 }
+        });
+        expect(zenith.elevation).toBeCloseTo(90, 8);
+        expect(zenith.range).toBeCloseTo(20200000, 4);
+
+        const east = calculateLookAngles({
+          receiverPosition,
+          targetPosition: { x: WGS84_SEMI_MAJOR_AXIS, y: 1000, z: 0 }
+        });
+        expect(east.azimuth).toBeCloseTo(90, 8);
+        expect(east.elevation).toBeCloseTo(0, 8);
+
+        const northWest = calculateLookAngles({
+          receiverPosition,
+          targetPosition: { x: WGS84_SEMI_MAJOR_AXIS + 1000, y: -1000, z: 1000 }
+        });
+        expect(northWest.azimuth).toBeCloseTo(315, 8);
+        expect(northWest.elevation).toBeCloseTo(Math.atan(1 / Math.SQRT2) * 180 / Math.PI, 8);
+        expect(northWest.range).toBeCloseTo(1000 * Math.sqrt(3), 6);
+        expect(northWest.ned.east).toBeCloseTo(-1000, 6);
+      });
+
+      test('应该能够计算相对机体的方位角和仰角', () => {
+        const eastTarget = { x: WGS84_SEMI_MAJOR_AXIS, y: 5000, z: 0 };
+        // 航向朝东时，正东方的目标位于机头方向
+        const ahead = calculateBodyLookAngles({
+          receiverPositionLla,
+          targetPosition: eastTarget,
+          aircraftAttitude: { roll: 0, pitch: 0, yaw: 90 }
+        });
+        expect(ahead.azimuth).toBeCloseTo(0, 8);
+        expect(ahead.elevation).toBeCloseTo(0, 8);
+        expect(ahead.body.x).toBeCloseTo(5000, 6);
+
+        // 航向朝北时，正东方的目标位于右翼方向；抬头 30° 后当地天顶在机头上方 60°
+        const right = calculateBodyLookAngles({
+          receiverPositionLla,
+          targetPosition: eastTarget,
+          aircraftAttitude: { roll: 0, pitch: 0, yaw: 0 }
+        });
+        expect(right.azimuth).toBeCloseTo(90, 8);
+        const zenith = calculateBodyLookAngles({
+          receiverPositionLla,
+          targetPosition: { x: WGS84_SEMI_MAJOR_AXIS + 1000, y: 0, z: 0 },
+          aircraftAttitude: { roll: 0, pitch: 30, yaw: 0 }
+        });
+        expect(zenith.azimuth).toBeCloseTo(0, 8);
+        expect(zenith.elevation).toBeCloseTo(60, 8);
+        expect(zenith.range).toBeCloseTo(1000, 6);
+      });
+    });
+
+    describe('边界条件测试', () => {
+      test('地平线以下的目标仰角应该为负数', () => {
+        const below = calculateLookAngles({ receiverPositionLla, targetPosition: { x: 0, y: 0, z: 0 } });
+        expect(below.elevation).toBeCloseTo(-90, 8);
+      });
+
+      test('当缺少必要参数时应该抛出错误', () => {
+        expect(() => ecefToNed({ receiverPositionLla })).toThrow('缺少必要参数');
+        expect(() => calculateLookAngles({ targetPosition: receiverPosition })).toThrow('缺少必要参数');
+        expect(() => calculateBodyLookAngles({ receiverPositionLla, targetPosition: receiverPosition }))
+          .toThrow('缺少必要参数');
+      });
+    });
+  });
 });
@@ -0,0 +1,138 @@
+const { generateSyntheticEphemeris } = require('../../src/algorithms/satellite/ephemerisGenerator');
+const { calculateSatellitePosition } = require('../../src/algorithms/satellite/satelliteCalculator');
+const { parseRinex } = require('../../src/algorithms/rinex/rinexParser');
+const { writeRinex } = require('../../src/algorithms/rinex/rinexWriter');
+
+const EPOCH = new Date('2020-01-01T00:00:00Z');
+const SIDEREAL_DAY_SECONDS = 86164.0905;
+
+/**
+ * 计算卫星的地心经纬度和地心距
+ * @param {object} rinexData - 星历数据
+ * @param {string} satelliteId - 卫星号
+ * @param {number} [seconds=0] - 相对生成历元的秒数
+ * @returns {{longitude: number, latitude: number, radius: number}} 经纬度 (度) 和地心距 (米)
+ */
+function locate(rinexData, satelliteId, seconds = 0) {
+  const { x, y, z } = calculateSatellitePosition({
+    rinexData,
+    satelliteId,
+    timestamp: new Date(EPOCH.getTime() + seconds * 1000)
+  });
+  const radius = Math.hypot(x, y, z);
+  return {
+    longitude: (Math.atan2(y, x) * 180) / Math.PI,
+    latitude: (Math.asin(z / radius) * 180) / Math.PI,
+    radius
+  };
+}
+
+describe('合成星历生成', () => {
+  describe('基本功能测试', () => {
+    test('应该按 config.satellites 生成 GPS 与北斗全星座星历', () => {
+      const rinexData = generateSyntheticEphemeris({ epoch: EPOCH, duration: 3600 });
+      const ids = [...new Set(rinexData.satellites.map(satellite => satellite.id))];
+
+      expect(rinexData.dialect).toBe('RINEX3');
+      expect(rinexData.header.system).toBe('M');
+      expect(ids.filter(id => id.startsWith('G'))).toHaveLength(24);
+      expect(ids).toEqual(expect.arrayContaining(['C01', 'C05', 'C06', 'C10', 'C19', 'C42', 'G01', 'G24']));
+
+      const record = rinexData.satellites.find(satellite => satellite.id === 'C19');
+      expect(record).toMatchObject({ system: 'BEIDOU', prn: 19, source: 'synthetic', health: 0 });
+      expect(record.orbitalParameters.rootA).toBeCloseTo(Math.sqrt(27906100), 9);
+      expect(record.clockParameters).toHaveProperty('tgd1');
+      expect(record.timeParameters.week).toBe(730);
+    });
+
+    test('没有摄动时应该得到理想的 Walker 构型和定点位置', () => {
+      const rinexData = generateSyntheticEphemeris({ epoch: EPOCH, perturbation: 0 });
+
+      // Walker 24/6/1：G01 位于第一个轨道面的升交点，G05 位于第二个轨道面并有 15° 的相位差
+      const leading = locate(rinexData, 'G01');
+      expect(leading.longitude).toBeCloseTo(0, 9);
+      expect(leading.latitude).toBeCloseTo(0, 9);
+      expect(leading.radius).toBeCloseTo(26559700, 3);
+      expect(locate(rinexData, 'G05').latitude).toBeGreaterThan(0);
+
+      // GEO 卫星始终位于定点经度的赤道上空
+      const geo = locate(rinexData, 'C03', 6 * 3600);
+      expect(geo.longitude).toBeCloseTo(110.5, 6);
+      expect(geo.latitude).toBeCloseTo(0, 6);
+
+      // 同一星下点轨迹上相位为 120° 的 IGSO 卫星晚 1/3 个恒星日经过升交点
+      const igso = locate(rinexData, 'C07', SIDEREAL_DAY_SECONDS / 3);
+      expect(igso.longitude).toBeCloseTo(118, 1);
+      expect(igso.latitude).toBeCloseTo(0, 3);
+    });
+
+    test('相同的随机种子应该生成相同的星历', () => {
+      const first = generateSyntheticEphemeris({ epoch: EPOCH, duration: 3600, seed: 42 });
+      const second = generateSyntheticEphemeris({ epoch: EPOCH, duration: 3600, seed: 42 });
+      const other = generateSyntheticEphemeris({ epoch: EPOCH, duration: 3600, seed: 43 });
+
+      expect(second.satellites).toEqual(first.satellites);
+      expect(other.satellites[0].orbitalParameters.e).not.toBe(first.satellites[0].orbitalParameters.e);
+    });
+
+    test('相邻两组星历应该描述同一条轨道', () => {
+      const rinexData = generateSyntheticEphemeris({ epoch: EPOCH, duration: 7200, seed: 7 });
+      const [before, after] = rinexData.satellites.filter(satellite => satellite.id === 'G05');
+      const timestamp = new Date(EPOCH.getTime() + 3600 * 1000);
+
+      const a = calculateSatellitePosition({ rinexData: { satellites: [before] }, satelliteId: 'G05', timestamp });
+      const b = calculateSatellitePosition({ rinexData: { satellites: [after] }, satelliteId: 'G05', timestamp });
+
+      expect(Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)).toBeLessThan(1e-3);
+    });
+
+    test('写出为 RINEX 文件后应该能解析出相同的卫星位置', () => {
+      const rinexData = generateSyntheticEphemeris({ epoch: EPOCH, duration: 7200, seed: 7 });
+      const parsed = parseRinex(writeRinex(rinexData));
+      const timestamp = new Date(EPOCH.getTime() + 5000 * 1000);
+
+      ['G12', 'C02', 'C08', 'C30'].forEach((satelliteId) => {
+        const a = calculateSatellitePosition({ rinexData, satelliteId, timestamp });
+        const b = calculateSatellitePosition({ rinexData: parsed, satelliteId, timestamp });
+        expect(Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)).toBeLessThan(1e-3);
+      });
+    });
+
+    test('应该支持自定义的卫星配置', () => {
+      const satellites = {
+        gps: {
+          name: 'GPS',
+          constellation: {
+            walker: {
+              planes: 3,
+              satellitesPerPlane: 2,
+              phasing: 1,
+              inclination: 55,
+              semiMajorAxis: 26559700,
+              firstPrn: 7
+            }
+          }
+        },
+        beidou: { name: 'BEIDOU' }
+      };
+
+      const rinexData = generateSyntheticEphemeris({ satellites, epoch: EPOCH, duration: 3600 });
+
+      expect(rinexData.header.system).toBe('G');
+      expect([...new Set(rinexData.satellites.map(satellite => satellite.id))])
+        .toEqual(['G07', 'G08', 'G09', 'G10', 'G11', 'G12']);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当配置中没有星座构型时应该抛出错误', () => {
+      expect(() => generateSyntheticEphemeris({ satellites: { gps: { name: 'GPS' } } }))
+        .toThrow('配置中没有可生成星历的卫星星座');
+    });
+
+    test('当生成时长无效时应该抛出错误', () => {
+      expect(() => generateSyntheticEphemeris({ epoch: EPOCH, duration: 0 }))
+        .toThrow('生成时长必须为正数，摄动系数不能为负数');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { createEphemerisStore } = require('../../src/algorithms/satellite/ephemerisStore');
+const { createSatellitePolicy } = require('../../src/algorithms/satellite/satellitePolicy');
+
+const HOUR = 3600 * 1000;
+const START_TIME = Date.UTC(2020, 0, 1);
+
+/**
+ * 创建一条简化的星历记录 (拟合区间 4 小时)
+ * @param {object} options - 记录参数
+ * @returns {object} 卫星对象
+ */
+function makeRecord({ id = 'G01', hour, iode, health = 0, accuracy = 2, transmissionTime }) {
+  const referenceTime = new Date(START_TIME + hour * HOUR);
+  return {
+    id,
+    health,
+    accuracy,
+    orbitalParameters: { iode },
+    timeParameters: {
+      referenceTime,
+      validFrom: new Date(referenceTime.getTime() - 2 * HOUR),
+      validTo: new Date(referenceTime.getTime() + 2 * HOUR),
+      transmissionTime
+    }
+  };
+}
+
+describe('星历存储', () => {
+  describe('基本功能测试', () => {
+    test('应该按卫星和参考时间建立索引', () => {
+      const store = createEphemerisStore([
+        makeRecord({ hour: 2, iode: 2 }),
+        makeRecord({ id: 'C19', hour: 0, iode: 1 }),
+        makeRecord({ hour: 0, iode: 1 })
+      ]);
+
+      expect(store.getSatelliteIds()).toEqual(['G01', 'C19']);
+      expect(store.getRecords('G01').map(record => record.orbitalParameters.iode)).toEqual([1, 2]);
+      expect(store.getRecords('E01')).toEqual([]);
+    });
+
+    test('应该选择参考时间最近的星历并报告所用的记录', () => {
+      const store = createEphemerisStore([0, 2, 4, 6].map(hour => makeRecord({ hour, iode: hour })));
+
+      const selection = store.selectEphemeris('G01', new Date(START_TIME + 4.8 * HOUR));
+
+      expect(selection.record.orbitalParameters.iode).toBe(4);
+      expect(selection.index).toBe(2);
+      expect(selection.ageSeconds).toBeCloseTo(0.8 * 3600, 6);
+    });
+
+    test('应该跳过不健康的星历', () => {
+      const store = createEphemerisStore([
+        makeRecord({ hour: 2, iode: 2 }),
+        makeRecord({ hour: 4, iode: 4, health: 1 })
+      ]);
+
+      const { record } = store.selectEphemeris('G01', new Date(START_TIME + 3.9 * HOUR));
+
+      expect(record.orbitalParameters.iode).toBe(2);
+    });
+
+    test('应该按可用性策略跳过 URA 超过上限的星历', () => {
+      const records = [makeRecord({ hour: 2, iode: 2 }), makeRecord({ hour: 4, iode: 4, accuracy: 6 })];
+      const timestamp = new Date(START_TIME + 3.9 * HOUR);
+
+      expect(createEphemerisStore(records).selectEphemeris('G01', timestamp).record.orbitalParameters.iode).toBe(4);
+      const store = createEphemerisStore(records, { policy: createSatellitePolicy({ maxUra: 4 }) });
+      expect(store.selectEphemeris('G01', timestamp).record.orbitalParameters.iode).toBe(2);
+    });
+
+    test('同一参考时间重新上注的星历应该使用发布较晚的一组', () => {
+      const store = createEphemerisStore([
+        makeRecord({ hour: 2, iode: 10, transmissionTime: 259000 }),
+        makeRecord({ hour: 2, iode: 11, transmissionTime: 262000 }),
+        makeRecord({ hour: 2, iode: 10, transmissionTime: 259000 })
+      ]);
+
+      const { record } = store.selectEphemeris('G01', new Date(START_TIME + 2 * HOUR));
+
+      expect(store.getRecords('G01')).toHaveLength(2);
+      expect(record.orbitalParameters.iode).toBe(11);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当找不到卫星数据时应该抛出错误', () => {
+      const store = createEphemerisStore([makeRecord({ hour: 0, iode: 1 })]);
+
+      expect(() => store.selectEphemeris('C01', new Date(START_TIME))).toThrow('找不到卫星 C01 的轨道数据');
+    });
+
+    test('当计算时间不在任何星历的拟合区间内时应该抛出错误', () => {
+      const store = createEphemerisStore([makeRecord({ hour: 0, iode: 1 })]);
+
+      expect(() => store.selectEphemeris('G01', new Date(START_TIME + 3 * HOUR)))
+        .toThrow('计算时间超出星历数据有效范围');
+    });
+
+    test('当拟合区间内只有不健康的星历时应该抛出错误', () => {
+      const store = createEphemerisStore([makeRecord({ hour: 0, iode: 1, health: 63 })]);
+
+      expect(() => store.selectEphemeris('G01', new Date(START_TIME))).toThrow('卫星 G01 在计算时间没有健康的星历');
+    });
+
+    test('没有可用星历时错误应该带有排除原因', () => {
+      const reasonOf = (store, hour) => {
+        try {
+          store.selectEphemeris('G01', new Date(START_TIME + hour * HOUR));
+        } catch (error) {
+          return error.reason;
+        }
+        return null;
+      };
+      const policy = createSatellitePolicy({ maxUra: 1 });
+
+      expect(reasonOf(createEphemerisStore([makeRecord({ hour: 0, iode: 1, health: 1 })]), 0)).toBe('unhealthy');
+      expect(reasonOf(createEphemerisStore([makeRecord({ hour: 0, iode: 1 })], { policy }), 0)).toBe('accuracy');
+      expect(reasonOf(createEphemerisStore([makeRecord({ hour: 0, iode: 1 })]), 3)).toBe('noEphemeris');
+      expect(() => createEphemerisStore([makeRecord({ hour: 0, iode: 1 })], { policy })
+        .selectEphemeris('G01', new Date(START_TIME))).toThrow('卫星 G01 在计算时间没有可用的星历 (accuracy)');
+    });
+
+    test('当添加的记录缺少卫星号时应该抛出错误', () => {
+      expect(() => createEphemerisStore().add({})).toThrow('缺少必要参数');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseGeoidGrid, loadGeoidGrid, createGeoidModel } = require('../../src/algorithms/coordinate/geoid');
+
+/**
+ * 按 .GRD 格式生成格网文件内容
+ * @param {Array<number>} header - 南、北纬度，西、东经度，纬度、经度间隔
+ * @param {Function} undulation - 由 (纬度, 经度) 计算格点值的函数
+ * @returns {string} 格网文件内容
+ */
+function buildGrid(header, undulation) {
+  const [south, north, west, east, latitudeSpacing, longitudeSpacing] = header;
+  const lines = [header.join(' ')];
+  for (let latitude = north; latitude >= south; latitude -= latitudeSpacing) {
+    const row = [];
+    for (let longitude = west; longitude <= east; longitude += longitudeSpacing) {
+      row.push(undulation(latitude, longitude).toFixed(6));
+    }
+    lines.push(row.join(' '));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// 全球 30° 格网，经度方向以 360° 为周期
+const GLOBAL_HEADER = [-90, 90, 0, 360, 30, 30];
+const globalUndulation = (latitude, longitude) => 20 * Math.cos(longitude * Math.PI / 180) + 0.1 * latitude;
+// 中国区域 1° 格网，格点值为经纬度的二次函数
+const REGIONAL_HEADER = [20, 50, 100, 130, 1, 1];
+const quadratic = (latitude, longitude) =>
+  0.01 * latitude * longitude - 0.002 * latitude * latitude + 0.003 * longitude * longitude - 60;
+
+describe('大地水准面模型', () => {
+  describe('基本功能测试', () => {
+    test('应该能够解析 .GRD 格网文件', () => {
+      const grid = parseGeoidGrid(buildGrid(GLOBAL_HEADER, globalUndulation), { model: 'EGM2008' });
+      expect(grid.model).toBe('EGM2008');
+      expect(grid.rows).toBe(7);
+      expect(grid.columns).toBe(13);
+      expect(grid.values).toHaveLength(91);
+      // 第一行为北纬 90°，每行由西向东
+      expect(grid.values[0]).toBeCloseTo(globalUndulation(90, 0), 5);
+      expect(grid.values[13 + 1]).toBeCloseTo(globalUndulation(60, 30), 5);
+      expect(parseGeoidGrid(buildGrid(GLOBAL_HEADER, globalUndulation)).model).toBe('EGM96');
+    });
+
+    test('格点处的插值结果应该等于格点值，全球格网应该在经度方向循环', () => {
+      const grid = parseGeoidGrid(buildGrid(GLOBAL_HEADER, globalUndulation));
+      ['bilinear', 'bicubic'].forEach((interpolation) => {
+        const geoid = createGeoidModel(grid, { interpolation });
+        expect(geoid.interpolation).toBe(interpolation);
+        expect(geoid.getUndulation({ latitude: 30, longitude: 60 })).toBeCloseTo(globalUndulation(30, 60), 5);
+        expect(geoid.getUndulation({ latitude: 30, longitude: -30 })).toBeCloseTo(globalUndulation(30, 330), 5);
+        expect(geoid.getUndulation({ latitude: 0, longitude: -15 }))
+          .toBeCloseTo(geoid.getUndulation({ latitude: 0, longitude: 345 }), 6);
+      });
+    });
+
+    test('双线性插值应该精确还原线性变化，双三次插值应该精确还原二次变化', () => {
+      const grid = parseGeoidGrid(buildGrid(REGIONAL_HEADER, quadratic));
+      const bilinear = createGeoidModel(grid, { interpolation: 'bilinear' });
+      const bicubic = createGeoidModel(grid, { interpolation: 'bicubic' });
+      const position = { latitude: 35.3, longitude: 115.7 };
+
+      expect(bicubic.getUndulation(position)).toBeCloseTo(quadratic(35.3, 115.7), 4);
+      const bilinearError = Math.abs(bilinear.getUndulation(position) - quadratic(35.3, 115.7));
+      expect(bilinearError).toBeGreaterThan(1e-4);
+      expect(bilinearError).toBeLessThan(1e-3);
+
+      const plane = (latitude, longitude) => 0.3 * latitude - 0.2 * longitude;
+      const linear = parseGeoidGrid(buildGrid(REGIONAL_HEADER, plane));
+      expect(createGeoidModel(linear, { interpolation: 'bilinear' }).getUndulation(position))
+        .toBeCloseTo(0.3 * 35.3 - 0.2 * 115.7, 4);
+    });
+
+    test('应该能够读取本地格网文件', async () => {
+      const filePath = path.join(os.tmpdir(), `geoid-${process.pid}.grd`);
+      fs.writeFileSync(filePath, buildGrid(REGIONAL_HEADER, quadratic));
+      try {
+        const grid = await loadGeoidGrid(filePath, { model: 'EGM2008' });
+        expect(grid.model).toBe('EGM2008');
+        expect(createGeoidModel(grid).getUndulation({ latitude: 40, longitude: 116 }))
+          .toBeCloseTo(quadratic(40, 116), 4);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('格网边缘应该取最近的格点，超出区域格网范围时应该抛出错误', () => {
+      const grid = parseGeoidGrid(buildGrid(REGIONAL_HEADER, quadratic));
+      const geoid = createGeoidModel(grid, { interpolation: 'bicubic' });
+      expect(geoid.getUndulation({ latitude: 50, longitude: 130 })).toBeCloseTo(quadratic(50, 130), 4);
+      expect(geoid.getUndulation({ latitude: 20, longitude: 100 })).toBeCloseTo(quadratic(20, 100), 4);
+      expect(() => geoid.getUndulation({ latitude: 10, longitude: 116 }))
+        .toThrow('位置超出大地水准面格网范围: (10, 116)');
+      expect(() => geoid.getUndulation({ latitude: 40, longitude: 140 })).toThrow('位置超出大地水准面格网范围');
+      expect(() => geoid.getUndulation({ latitude: 40 })).toThrow('缺少必要参数');
+    });
+
+    test('当格网文件格式错误或参数无效时应该抛出错误', () => {
+      expect(() => parseGeoidGrid('')).toThrow('大地水准面格网文件格式错误');
+      expect(() => parseGeoidGrid('90 -90 0 360 30 30\n1 2 3')).toThrow('大地水准面格网文件格式错误');
+      expect(() => parseGeoidGrid('-90 90 0 360 30 30\n1 x 3')).toThrow('大地水准面格网文件格式错误');
+      expect(() => parseGeoidGrid('-90 90 0 360 30 30\n1 2 3')).toThrow('大地水准面格网数据个数不符: 应为 91，实际为 3');
+
+      const grid = parseGeoidGrid(buildGrid(GLOBAL_HEADER, globalUndulation));
+      expect(() => createGeoidModel(grid, { interpolation: 'spline' })).toThrow('不支持的插值方法: spline');
+      expect(() => createGeoidModel()).toThrow('缺少必要参数');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const {
+  computeGlonassState,
+  getGlonassCarrierFrequency,
+  PZ90_CONSTANTS
+} = require('../../src/algorithms/satellite/glonassOrbit');
+
+// R05 2020-01-01 00:15:00 UTC 的广播状态矢量 (km、km/s、km/s²)
+const STATE_VECTOR = {
+  x: -1.402879638672e4,
+  vx: -2.079648017883,
+  ax: 9.313225746155e-10,
+  y: -1.852227441406e4,
+  vy: -1.016933441162,
+  ay: -9.313225746155e-10,
+  z: -8.127954101562e3,
+  vz: 3.142919540405,
+  az: -2.793967723846e-9
+};
+
+/**
+ * 计算旋转坐标系中含 J2 项的雅可比积分 (没有日月摄动时守恒)
+ * @param {object} state - computeGlonassState 的结果
+ * @returns {number} 雅可比积分，单位：m²/s²
+ */
+function jacobiIntegral(state) {
+  const { gravitationalConstant: mu, equatorialRadius, j2, earthRotationRate } = PZ90_CONSTANTS;
+  const { x, y, z, velocity } = state;
+  const r = Math.hypot(x, y, z);
+  const potential = (mu / r) * (1 + ((j2 / 2) * (equatorialRadius / r) ** 2) * (1 - (3 * z * z) / (r * r)));
+  const speed2 = velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2;
+  return speed2 / 2 - (earthRotationRate ** 2 * (x * x + y * y)) / 2 - potential;
+}
+
+/**
+ * 把积分结果转换为星历中的状态矢量格式 (km)
+ * @param {object} state - computeGlonassState 的结果
+ * @returns {object} 状态矢量
+ */
+function toStateVector(state) {
+  return {
+    ...STATE_VECTOR,
+    x: state.x / 1000,
+    y: state.y / 1000,
+    z: state.z / 1000,
+    vx: state.velocity.x / 1000,
+    vy: state.velocity.y / 1000,
+    vz: state.velocity.z / 1000
+  };
+}
+
+describe('GLONASS轨道计算', () => {
+  describe('基本功能测试', () => {
+    test('tk 为 0 时应该把状态矢量换算为米', () => {
+      const state = computeGlonassState(STATE_VECTOR, 0);
+      expect(state.x).toBeCloseTo(-14028796.38672, 4);
+      expect(state.velocity.y).toBeCloseTo(-1016.933441162, 6);
+    });
+
+    test('没有日月摄动时应该保持雅可比积分守恒', () => {
+      const unperturbed = { ...STATE_VECTOR, ax: 0, ay: 0, az: 0 };
+      const initial = jacobiIntegral(computeGlonassState(unperturbed, 0));
+      [-900, 450, 900].forEach((tk) => {
+        expect(Math.abs(jacobiIntegral(computeGlonassState(unperturbed, tk)) - initial)).toBeLessThan(1e-3);
+      });
+    });
+
+    test('向前积分后再向后积分应该回到起点', () => {
+      const forward = computeGlonassState(STATE_VECTOR, 900);
+      const back = computeGlonassState(toStateVector(forward), -900);
+
+      expect(back.x).toBeCloseTo(STATE_VECTOR.x * 1000, 2);
+      expect(back.y).toBeCloseTo(STATE_VECTOR.y * 1000, 2);
+      expect(back.z).toBeCloseTo(STATE_VECTOR.z * 1000, 2);
+      // 15 分钟内卫星约运行 3500 km
+      expect(Math.hypot(forward.x - back.x, forward.y - back.y, forward.z - back.z)).toBeGreaterThan(3e6);
+    });
+
+    test('应该由频道号计算 FDMA 载波频率', () => {
+      expect(getGlonassCarrierFrequency(0)).toBe(1602e6);
+      expect(getGlonassCarrierFrequency(1, 'G1')).toBe(1602.5625e6);
+      expect(getGlonassCarrierFrequency(-7, 'G2')).toBe(1242.9375e6);
+      expect(getGlonassCarrierFrequency(6, 'G2')).toBe(1248.625e6);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当频道号或信号无效时应该抛出错误', () => {
+      expect(() => getGlonassCarrierFrequency(7)).toThrow('无效的 GLONASS 频道号: 7');
+      expect(() => getGlonassCarrierFrequency(undefined)).toThrow('无效的 GLONASS 频道号');
+      expect(() => getGlonassCarrierFrequency(0, 'L1')).toThrow('GLONASS 不支持信号 L1');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  calendarToDate,
+  getLeapSeconds,
+  utcToSystemTime,
+  systemTimeToUtc,
+  convertTime,
+  toWeekSeconds,
+  fromWeekSeconds,
+  wrapWeekSeconds,
+  resolveWeekRollover,
+  getSatelliteTimeSystem,
+  resolveTimeSystemCode
+} = require('../../src/algorithms/time/gnssTime');
+
+const UTC_2020 = new Date('2020-01-01T00:00:00.000Z');
+
+describe('GNSS时间系统', () => {
+  describe('基本功能测试', () => {
+    test('应该按闰秒表给出 TAI - UTC', () => {
+      expect(getLeapSeconds(new Date('1980-01-06T00:00:00Z'))).toBe(19);
+      expect(getLeapSeconds(new Date('2016-12-31T23:59:59Z'))).toBe(36);
+      expect(getLeapSeconds(new Date('2017-01-01T00:00:00Z'))).toBe(37);
+      expect(getLeapSeconds(UTC_2020)).toBe(37);
+    });
+
+    test('应该在 UTC 与各时间系统之间换算', () => {
+      expect(utcToSystemTime(UTC_2020, 'GPS').toISOString()).toBe('2020-01-01T00:00:18.000Z');
+      expect(utcToSystemTime(UTC_2020, 'GST').toISOString()).toBe('2020-01-01T00:00:18.000Z');
+      expect(utcToSystemTime(UTC_2020, 'BDT').toISOString()).toBe('2020-01-01T00:00:04.000Z');
+      expect(utcToSystemTime(UTC_2020, 'TAI').toISOString()).toBe('2020-01-01T00:00:37.000Z');
+      expect(utcToSystemTime(UTC_2020, 'GLONASST').toISOString()).toBe('2020-01-01T03:00:00.000Z');
+      expect(utcToSystemTime(UTC_2020, 'UTC').toISOString()).toBe('2020-01-01T00:00:00.000Z');
+
+      ['GPS', 'BDT', 'GST', 'GLONASST', 'TAI'].forEach((timeSystem) => {
+        expect(systemTimeToUtc(utcToSystemTime(UTC_2020, timeSystem), timeSystem)).toEqual(UTC_2020);
+      });
+    });
+
+    test('闰秒生效前后应该使用各自的闰秒数', () => {
+      const before = new Date('2016-12-31T23:59:50Z');
+      const after = new Date('2017-01-01T00:00:10Z');
+
+      expect(utcToSystemTime(before, 'GPS').toISOString()).toBe('2017-01-01T00:00:07.000Z');
+      expect(utcToSystemTime(after, 'GPS').toISOString()).toBe('2017-01-01T00:00:28.000Z');
+      // GPS 时间标签 00:00:07 仍处于闰秒之前，应该按 17 秒换算回 UTC
+      expect(systemTimeToUtc(new Date('2017-01-01T00:00:07Z'), 'GPS')).toEqual(before);
+      expect(systemTimeToUtc(new Date('2017-01-01T00:00:28Z'), 'GPS')).toEqual(after);
+    });
+
+    test('北斗时应该比 GPS 时落后 14 秒', () => {
+      const gpsTime = new Date('2020-01-01T00:00:00Z');
+      expect(convertTime(gpsTime, 'GPS', 'BDT').toISOString()).toBe('2019-12-31T23:59:46.000Z');
+      expect(convertTime(convertTime(gpsTime, 'GPS', 'BDT'), 'BDT', 'GPS')).toEqual(gpsTime);
+    });
+
+    test('应该在时间标签与周数、周内秒之间换算', () => {
+      const gpsTime = utcToSystemTime(UTC_2020, 'GPS');
+
+      expect(toWeekSeconds(gpsTime, 'GPS')).toEqual({ week: 2086, seconds: 259218 });
+      expect(toWeekSeconds(gpsTime, 'GST')).toEqual({ week: 1062, seconds: 259218 });
+      expect(toWeekSeconds(utcToSystemTime(UTC_2020, 'BDT'), 'BDT')).toEqual({ week: 730, seconds: 259204 });
+      expect(fromWeekSeconds(2086, 259218, 'GPS')).toEqual(gpsTime);
+      expect(fromWeekSeconds(0, 0, 'BDT').toISOString()).toBe('2006-01-01T00:00:00.000Z');
+    });
+
+    test('应该按参考日期恢复 10 位和 13 位周数的翻转', () => {
+      expect(resolveWeekRollover(38, 'GPS', UTC_2020)).toBe(2086);
+      expect(resolveWeekRollover(1000, 'GPS', new Date('2019-03-01T00:00:00Z'))).toBe(2024);
+      expect(resolveWeekRollover(1000, 'GPS', new Date('1999-03-01T00:00:00Z'))).toBe(1000);
+      expect(resolveWeekRollover(730, 'BDT', UTC_2020)).toBe(730);
+      expect(resolveWeekRollover(2086, 'GPS', UTC_2020)).toBe(2086);
+      // 按 8 位周数翻转
+      expect(resolveWeekRollover(2086 % 256, 'GPS', UTC_2020, 8)).toBe(2086);
+    });
+
+    test('应该把周内秒之差换算到半周以内', () => {
+      expect(wrapWeekSeconds(604000)).toBe(-800);
+      expect(wrapWeekSeconds(-604000)).toBe(800);
+      expect(wrapWeekSeconds(3600)).toBe(3600);
+    });
+
+    test('应该给出卫星系统和文件时间系统代码对应的时间系统', () => {
+      expect(getSatelliteTimeSystem('BEIDOU')).toBe('BDT');
+      expect(getSatelliteTimeSystem('GALILEO')).toBe('GST');
+      expect(getSatelliteTimeSystem('GLONASS')).toBe('UTC');
+      expect(getSatelliteTimeSystem(undefined)).toBe('GPS');
+      expect(resolveTimeSystemCode('BDS')).toBe('BDT');
+      expect(resolveTimeSystemCode('GLO')).toBe('UTC');
+      expect(resolveTimeSystemCode('ccc')).toBeUndefined();
+    });
+
+    test('应该由日历字段创建时间并按毫秒取整', () => {
+      expect(calendarToDate([2020, 1, 1, 0, 0, 1.0004]).toISOString()).toBe('2020-01-01T00:00:01.000Z');
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当时间系统不受支持时应该抛出错误', () => {
+      expect(() => utcToSystemTime(UTC_2020, 'XYZ')).toThrow('不支持的时间系统: XYZ');
+      expect(() => toWeekSeconds(UTC_2020, 'UTC')).toThrow('时间系统 UTC 没有周数');
+    });
+
+    test('当时间早于闰秒表时应该抛出错误', () => {
+      expect(() => utcToSystemTime(new Date('1970-01-01T00:00:00Z'), 'GPS')).toThrow('不支持 1972 年以前的时间');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { createLruCache } = require('../../src/utils/lruCache');
+
+/**
+ * 创建可手动推进的时钟
+ * @returns {{now: Function, advance: Function}} 时钟
+ */
+function createClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    advance: (seconds) => {
+      time += seconds * 1000;
+    }
+  };
+}
+
+describe('LRU/TTL 缓存', () => {
+  describe('基本功能测试', () => {
+    test('超过最大条目数时应该淘汰最久未使用的条目', () => {
+      const cache = createLruCache({ maxSize: 2 });
+      cache.set('a', 1);
+      cache.set('b', 2);
+      expect(cache.get('a')).toBe(1);
+      cache.set('c', 3);
+
+      expect(cache.has('b')).toBe(false);
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('c')).toBe(3);
+      expect(cache.size()).toBe(2);
+    });
+
+    test('超过生存时间的条目应该过期，并按检查周期统一清理', () => {
+      const clock = createClock();
+      const cache = createLruCache({ ttl: 10, checkPeriod: 5, now: clock.now });
+      cache.set('a', 1);
+      clock.advance(6);
+      cache.set('b', 2);
+      expect(cache.get('a')).toBe(1);
+
+      clock.advance(5);
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.get('b')).toBe(2);
+
+      // b 在清理时已过期，写入 c 时应该被统一删除
+      clock.advance(10);
+      cache.set('c', 3);
+      expect(cache.size()).toBe(1);
+    });
+
+    test('应该默认使用 config.cache 的参数，并可以关闭缓存', () => {
+      const cache = createLruCache();
+      cache.set('a', 1);
+      expect(cache.get('a')).toBe(1);
+      cache.clear();
+      expect(cache.size()).toBe(0);
+
+      const disabled = createLruCache({ enabled: false, ttl: 300, maxSize: 1000 });
+      disabled.set('a', 1);
+      expect(disabled.get('a')).toBeUndefined();
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当最大条目数或生存时间不是正数时应该抛出错误', () => {
+      expect(() => createLruCache({ maxSize: 0 })).toThrow('缓存的最大条目数和生存时间必须为正数');
+      expect(() => createLruCache({ ttl: -1 })).toThrow('缓存的最大条目数和生存时间必须为正数');
+    });
+  });
+});
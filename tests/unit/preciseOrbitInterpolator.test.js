@@ -0,0 +1,207 @@
+const { parseSp3 } = require('../../src/algorithms/sp3/sp3Parser');
+const { calculatePreciseSatellitePosition } = require('../../src/algorithms/satellite/preciseOrbitInterpolator');
+const { calculateSatellitePosition } = require('../../src/algorithms/satellite/satelliteCalculator');
+const { generateSyntheticEphemeris } = require('../../src/algorithms/satellite/ephemerisGenerator');
+
+// 圆轨道参数：半径 26560 km，周期约 12 小时
+const ORBIT_RADIUS_KM = 26560;
+const ANGULAR_RATE = (2 * Math.PI) / 43082;
+const START_TIME = Date.UTC(2020, 0, 1);
+
+/**
+ * 计算圆轨道上的卫星位置，单位：km
+ * @param {number} t - 相对起始时间的秒数
+ * @returns {{x: number, y: number, z: number}}
+ */
+function circularOrbit(t) {
+  const angle = ANGULAR_RATE * t;
+  return {
+    x: ORBIT_RADIUS_KM * Math.cos(angle),
+    y: ORBIT_RADIUS_KM * Math.sin(angle) * Math.cos(0.96),
+    z: ORBIT_RADIUS_KM * Math.sin(angle) * Math.sin(0.96)
+  };
+}
+
+/**
+ * 计算圆轨道上的卫星速度，单位：km/s
+ * @param {number} t - 相对起始时间的秒数
+ * @returns {{x: number, y: number, z: number}}
+ */
+function circularVelocity(t) {
+  const angle = ANGULAR_RATE * t;
+  const speed = ORBIT_RADIUS_KM * ANGULAR_RATE;
+  return {
+    x: -speed * Math.sin(angle),
+    y: speed * Math.cos(angle) * Math.cos(0.96),
+    z: speed * Math.cos(angle) * Math.sin(0.96)
+  };
+}
+
+/**
+ * 按 SP3 格式写出一颗卫星在各历元的位置 (km) 和钟差 (μs)
+ * @param {string} satelliteId - 卫星号
+ * @param {Array<{time: number, position: object, clock: number}>} epochs - 历元 (UTC 毫秒)、位置和钟差
+ * @returns {string} SP3 文件内容
+ */
+function formatSp3(satelliteId, epochs) {
+  const start = new Date(epochs[0].time);
+  const lines = [
+    `#cP${start.getUTCFullYear()}  1  1  0  0  0.00000000 ${String(epochs.length).padStart(7)} ORBIT IGS14 HLM  IGS`,
+    `+    1   ${satelliteId}  0  0  0  0  0  0  0  0  0  0  0  0  0  0  0  0`
+  ];
+  epochs.forEach(({ time, position, clock }) => {
+    const date = new Date(time);
+    const fields = [date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes()]
+      .map(value => String(value).padStart(2));
+    lines.push(`*  ${date.getUTCFullYear()} ${fields.join(' ')}  0.00000000`);
+    const values = [position.x, position.y, position.z, clock].map(value => value.toFixed(6).padStart(14));
+    lines.push(`P${satelliteId}${values.join('')}`);
+  });
+  lines.push('EOF');
+  return lines.join('\n');
+}
+
+/**
+ * 生成 15 分钟间隔的 SP3 文件内容
+ * @param {number} epochCount - 历元个数
+ * @returns {string} SP3 文件内容
+ */
+function buildSp3Content(epochCount) {
+  const epochs = [];
+  for (let k = 0; k < epochCount; k++) {
+    const t = k * 900;
+    epochs.push({ time: START_TIME + t * 1000, position: circularOrbit(t), clock: 100 + k });
+  }
+  return formatSp3('G01', epochs);
+}
+
+describe('精密星历插值', () => {
+  const sp3Data = parseSp3(buildSp3Content(24));
+
+  describe('基本功能测试', () => {
+    test('在历元时刻应该返回原始位置', () => {
+      const position = calculatePreciseSatellitePosition({
+        rinexData: sp3Data,
+        satelliteId: 'G01',
+        timestamp: new Date(START_TIME + 3 * 900 * 1000)
+      });
+      const expected = circularOrbit(3 * 900);
+
+      expect(position.x).toBeCloseTo(expected.x * 1000, 2);
+      expect(position.y).toBeCloseTo(expected.y * 1000, 2);
+      expect(position.z).toBeCloseTo(expected.z * 1000, 2);
+    });
+
+    test('在历元之间插值的位置误差应该小于1厘米', () => {
+      const t = 10 * 900 + 450;
+      const position = calculatePreciseSatellitePosition({
+        rinexData: sp3Data,
+        satelliteId: 'G01',
+        timestamp: new Date(START_TIME + t * 1000)
+      });
+      const expected = circularOrbit(t);
+
+      expect(Math.abs(position.x - expected.x * 1000)).toBeLessThan(0.01);
+      expect(Math.abs(position.y - expected.y * 1000)).toBeLessThan(0.01);
+      expect(Math.abs(position.z - expected.z * 1000)).toBeLessThan(0.01);
+    });
+
+    test('在数据首尾附近也应该能够插值', () => {
+      const t = 100;
+      const position = calculatePreciseSatellitePosition({
+        rinexData: sp3Data,
+        satelliteId: 'G01',
+        timestamp: new Date(START_TIME + t * 1000)
+      });
+
+      expect(Math.abs(position.x - circularOrbit(t).x * 1000)).toBeLessThan(0.01);
+    });
+
+    test('钟差应该在相邻历元之间线性插值', () => {
+      const position = calculatePreciseSatellitePosition({
+        rinexData: sp3Data,
+        satelliteId: 'G01',
+        timestamp: new Date(START_TIME + 450 * 1000)
+      });
+
+      expect(position.clockBias).toBeCloseTo(100.5e-6, 12);
+      expect(position.clockDrift).toBeCloseTo(1e-6 / 900, 15);
+    });
+
+    test('应该给出插值多项式导数的速度以及大地基准', () => {
+      const t = 5 * 900 + 300;
+      const position = calculatePreciseSatellitePosition({
+        rinexData: sp3Data,
+        satelliteId: 'G01',
+        timestamp: new Date(START_TIME + t * 1000)
+      });
+      const expected = circularVelocity(t);
+
+      expect(Math.abs(position.velocity.x - expected.x * 1000)).toBeLessThan(1e-5);
+      expect(Math.abs(position.velocity.y - expected.y * 1000)).toBeLessThan(1e-5);
+      expect(Math.abs(position.velocity.z - expected.z * 1000)).toBeLessThan(1e-5);
+      // 文件头的坐标框架为 IGS14
+      expect(position.datum).toBe('ITRF2014');
+      expect(position.accuracy).toBe('precise');
+
+      const call = { satelliteId: 'G01', timestamp: new Date(START_TIME + t * 1000) };
+      ['IGS20', 'IGb20'].forEach((coordinateSystem) => {
+        const rinexData = { ...sp3Data, header: { ...sp3Data.header, coordinateSystem } };
+        expect(calculatePreciseSatellitePosition({ ...call, rinexData }).datum).toBe('ITRF2020');
+      });
+    });
+
+    test('应该能够以相同的调用方式替代广播星历', () => {
+      const epoch = new Date('2020-01-01T00:00:00Z');
+      const broadcast = generateSyntheticEphemeris({ epoch, duration: 3 * 3600 });
+      const epochs = [];
+      for (let k = 0; k <= 8; k++) {
+        const time = epoch.getTime() + k * 900 * 1000;
+        const state = calculateSatellitePosition({
+          rinexData: broadcast,
+          satelliteId: 'G01',
+          timestamp: new Date(time)
+        });
+        const position = { x: state.x / 1000, y: state.y / 1000, z: state.z / 1000 };
+        epochs.push({ time, position, clock: state.clockBias * 1e6 });
+      }
+      const precise = parseSp3(formatSp3('G01', epochs));
+
+      const call = { satelliteId: 'G01', timestamp: new Date(epoch.getTime() + 3 * 900 * 1000 + 420 * 1000) };
+      const [fromBroadcast, fromPrecise] = [
+        calculateSatellitePosition({ ...call, rinexData: broadcast }),
+        calculatePreciseSatellitePosition({ ...call, rinexData: precise })
+      ];
+      ['x', 'y', 'z'].forEach((axis) => {
+        expect(Math.abs(fromPrecise[axis] - fromBroadcast[axis])).toBeLessThan(0.01);
+        expect(Math.abs(fromPrecise.velocity[axis] - fromBroadcast.velocity[axis])).toBeLessThan(1e-4);
+      });
+      expect(fromPrecise.clockBias).toBeCloseTo(fromBroadcast.clockBias, 10);
+      expect(fromPrecise.clockDrift).toBeCloseTo(fromBroadcast.clockDrift, 14);
+      expect(fromBroadcast.datum).toBe('WGS84');
+      expect(fromPrecise.datum).toBe('ITRF2014');
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当缺少参数时应该抛出错误', () => {
+      expect(() => calculatePreciseSatellitePosition({})).toThrow('缺少必要参数');
+    });
+
+    test('当找不到卫星数据时应该抛出错误', () => {
+      expect(() => calculatePreciseSatellitePosition({
+        rinexData: sp3Data,
+        satelliteId: 'C01',
+        timestamp: new Date(START_TIME)
+      })).toThrow('找不到卫星 C01 的精密星历数据');
+    });
+
+    test('当计算时间超出精密星历数据范围时应该抛出错误', () => {
+      expect(() => calculatePreciseSatellitePosition({
+        rinexData: sp3Data,
+        satelliteId: 'G01',
+        timestamp: new Date(START_TIME - 1000)
+      })).toThrow('计算时间超出精密星历数据范围');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { parseRinexObs } = require('../../src/algorithms/rinex/rinexObsParser');
+
+// 北斗卫星的观测记录超过 120 列，分两段拼接
+const BDS_OBS_RECORD = 'C19  21123456.789 6 110000000.250 6       567.125          42.500' +
+  '    21123457.500                                          38.250';
+
+// GPS 与北斗混合观测文件：北斗观测类型超过 13 个 (含续行)，第二个历元之前有一个事件记录
+const OBS_CONTENT = `     3.04           OBSERVATION DATA    M (MIXED)           RINEX VERSION / TYPE
+TEST OBSERVATION FILE                                       COMMENT
+BJFS                                                        MARKER NAME
+3001320             TRIMBLE NETR9       5.45                REC # / TYPE / VERS
+1441112501          TRM59800.00     NONE                    ANT # / TYPE
+ -2148744.3969  4426641.2099  4044655.8564                  APPROX POSITION XYZ
+        0.0035        0.0000        0.0000                  ANTENNA: DELTA H/E/N
+G    4 C1C L1C D1C S1C                                      SYS / # / OBS TYPES
+C   14 C2I L2I D2I S2I C6I L6I D6I S6I C7I L7I D7I S7I C1P  SYS / # / OBS TYPES
+       L1P                                                  SYS / # / OBS TYPES
+DBHZ                                                        SIGNAL STRENGTH UNIT
+    30.000                                                  INTERVAL
+  2020     1     1     0     0    0.0000000     GPS         TIME OF FIRST OBS
+                                                            END OF HEADER
+> 2020 01 01 00 00  0.0000000  0  2
+G01  23456789.123 7 123456789.45617     -1234.567 7        45.000
+${BDS_OBS_RECORD}
+> 2020 01 01 00 00 30.0000000  4  1
+MARKER MOVED                                                COMMENT
+> 2020 01 01 00 00 30.0000000  0  1
+G01  23456800.500   123456850.000                          44.750
+`;
+
+describe('RINEX观测文件解析', () => {
+  describe('基本功能测试', () => {
+    test('应该能够解析文件头信息', () => {
+      const { header } = parseRinexObs(OBS_CONTENT);
+
+      expect(header.version).toBe(3.04);
+      expect(header.satelliteSystem).toBe('M');
+      expect(header.markerName).toBe('BJFS');
+      expect(header.receiver.type).toBe('TRIMBLE NETR9');
+      expect(header.antenna).toEqual({
+        number: '1441112501',
+        type: 'TRM59800.00     NONE',
+        delta: { height: 0.0035, east: 0, north: 0 }
+      });
+      expect(header.approxPosition).toEqual({ x: -2148744.3969, y: 4426641.2099, z: 4044655.8564 });
+      expect(header.observationTypes.G).toEqual(['C1C', 'L1C', 'D1C', 'S1C']);
+      expect(header.observationTypes.C).toHaveLength(14);
+      expect(header.observationTypes.C[13]).toBe('L1P');
+      expect(header.interval).toBe(30);
+      expect(header.firstObservation.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+      expect(header.timeSystem).toBe('GPS');
+    });
+
+    test('应该以时间为键按卫星和信号解析观测值', () => {
+      const { epochs } = parseRinexObs(OBS_CONTENT);
+
+      expect(Object.keys(epochs)).toEqual(['2019-12-31T23:59:42.000Z', '2020-01-01T00:00:12.000Z']);
+      expect(epochs['2019-12-31T23:59:42.000Z'].satellites.G01['1C']).toEqual({
+        pseudorange: 23456789.123,
+        carrierPhase: 123456789.456,
+        doppler: -1234.567,
+        signalStrength: 45,
+        lli: 1,
+        ssi: 7
+      });
+    });
+
+    test('应该按文件的时间系统把历元换算为 UTC 时刻', () => {
+      // 2020 年 GPS 时比 UTC 快 18 秒
+      const gps = parseRinexObs(OBS_CONTENT).epochs['2019-12-31T23:59:42.000Z'];
+      expect(gps.timestamp.toISOString()).toBe('2019-12-31T23:59:42.000Z');
+      expect(gps.receiverTime.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+
+      // 北斗时比 UTC 快 4 秒
+      const bdt = parseRinexObs(OBS_CONTENT.replace('0.0000000     GPS  ', '0.0000000     BDT  '));
+      expect(Object.keys(bdt.epochs)).toEqual(['2019-12-31T23:59:56.000Z', '2020-01-01T00:00:26.000Z']);
+
+      // 省略时间系统的单系统 GLONASS 文件按 UTC 记录历元
+      const glonass = parseRinexObs(OBS_CONTENT
+        .replace('M (MIXED)', 'R: GLONASS')
+        .replace('0.0000000     GPS  ', '0.0000000          '));
+      expect(glonass.header.timeSystem).toBeUndefined();
+      expect(Object.keys(glonass.epochs)).toEqual(['2020-01-01T00:00:00.000Z', '2020-01-01T00:00:30.000Z']);
+    });
+
+    test('应该能够读取北斗各频点的信号强度', () => {
+      const { satellites } = parseRinexObs(OBS_CONTENT).epochs['2019-12-31T23:59:42.000Z'];
+
+      expect(satellites.C19['2I'].signalStrength).toBe(42.5);
+      expect(satellites.C19['6I']).toEqual({ pseudorange: 21123457.5, signalStrength: 38.25 });
+      expect(satellites.C19['7I']).toBeUndefined();
+    });
+
+    test('应该跳过事件记录并忽略空的观测值', () => {
+      const epoch = parseRinexObs(OBS_CONTENT).epochs['2020-01-01T00:00:12.000Z'];
+
+      expect(epoch.flag).toBe(0);
+      expect(Object.keys(epoch.satellites)).toEqual(['G01']);
+      expect(epoch.satellites.G01['1C'].doppler).toBeUndefined();
+      expect(epoch.satellites.G01['1C'].signalStrength).toBe(44.75);
+    });
+  });
+
+  describe('解析模式与错误诊断', () => {
+    // 第一个历元中 G01 的伪距被截断为无法解析的文本
+    const BAD_OBS_CONTENT = OBS_CONTENT.replace('G01  23456789.123', 'G01  23456789.1-3');
+
+    test('严格模式下应该拒绝有误的观测值并给出位置', () => {
+      expect(() => parseRinexObs(BAD_OBS_CONTENT)).toThrow('第 16 行第 4-17 列: 无效的观测值 (C1C) "23456789.1-3"');
+    });
+
+    test('宽松模式下应该跳过有误的历元并给出警告', () => {
+      const { epochs, warnings } = parseRinexObs(BAD_OBS_CONTENT, { mode: 'lenient' });
+
+      expect(Object.keys(epochs)).toEqual(['2020-01-01T00:00:12.000Z']);
+      expect(warnings).toEqual([expect.objectContaining({ lineNumber: 16, text: '23456789.1-3' })]);
+    });
+
+    test('宽松模式下应该报告无效的历元行', () => {
+      const content = OBS_CONTENT.replace('> 2020 01 01 00 00  0.0000000  0  2', '> 2020 01 01 00 00  0.0000000  0  x');
+      const { epochs, warnings } = parseRinexObs(content, { mode: 'lenient' });
+
+      expect(Object.keys(epochs)).toHaveLength(1);
+      expect(warnings[0]).toMatchObject({ reason: '无效的卫星数', lineNumber: 15, columnStart: 33, columnEnd: 35 });
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当输入内容为空时应该抛出错误', () => {
+      expect(() => parseRinexObs('')).toThrow('RINEX内容不能为空');
+    });
+
+    test('当输入不是RINEX 3.x观测文件时应该抛出错误', () => {
+      const navContent = OBS_CONTENT.replace('OBSERVATION DATA    M (MIXED)', 'N: GNSS NAV DATA    M: Mixed    ');
+      expect(() => parseRinexObs(navContent)).toThrow('不支持的RINEX观测文件格式');
+    });
+  });
+});
@@ -1,4 +1,91 @@
 const { parseRinex } = require('../../src/algorithms/rinex/rinexParser');
+const { isRinexParseError } = require('../../src/algorithms/rinex/rinexParseError');
+const { calculateSatellitePosition } = require('../../src/algorithms/satellite/satelliteCalculator');
+
+// GPS 与北斗各一条的 RINEX 3.04 导航记录 (北斗记录使用 Fortran 的 D 指数)
+const GPS_BDS_NAV_CONTENT = `     3.04           N: GNSS NAV DATA    M: Mixed            RINEX VERSION / TYPE
+                                                            END OF HEADER
+G01 2020 01 01 00 00 00-3.006402403116E-04-8.299139153678E-12 0.000000000000E+00
+     3.100000000000E+01-1.093750000000E+01 4.707339453990E-09 2.567620017035E+00
+    -6.798654794693E-07 8.473271084949E-03 1.044943928719E-05 5.153667453766E+03
+     2.592000000000E+05 4.284083843231E-08-1.649187201646E+00 1.117587089539E-08
+     9.678475985525E-01 1.810937500000E+02 8.263779373130E-01-7.862470070795E-09
+     1.917937309430E-10 1.000000000000E+00 2.086000000000E+03 0.000000000000E+00
+     2.000000000000E+00 0.000000000000E+00 5.587935447693E-09 3.100000000000E+01
+     2.521800000000E+05 4.000000000000E+00
+C19 2020 01 01 00 00 00-6.331985350698D-04 1.101474097573D-11 0.000000000000D+00
+     1.000000000000D+00 1.021718750000D+02 3.638365232227D-09 1.862049911339D+00
+     5.029141902924D-06 7.466482138261D-04 1.022592186928D-05 5.282627849579D+03
+     2.592000000000D+05-4.703179001808D-08 2.990483023226D+00-1.862645149231D-08
+     9.618716430472D-01 1.450625000000D+02-8.838461014839D-01-6.515985721834D-09
+    -3.632294469569D-10 0.000000000000D+00 7.300000000000D+02 0.000000000000D+00
+     2.000000000000D+00 0.000000000000D+00 1.500000000000D-08-1.020000000000D-08
+     2.592006000000D+05 1.000000000000D+00
+`;
+
+// 混合文件：GLONASS (3 个广播轨道行)、Galileo、未知卫星系统记录，最后是一条 GPS 记录
+const MIXED_NAV_CONTENT = `     3.04           N: GNSS NAV DATA    M: Mixed            RINEX VERSION / TYPE
+                                                            END OF HEADER
+R05 2020 01 01 00 15 00-2.551730722189E-05 0.000000000000E+00 5.400000000000E+04
+    -1.402879638672E+04-2.079648017883E+00 9.313225746155E-10 0.000000000000E+00
+    -1.852227441406E+04-1.016933441162E+00-9.313225746155E-10 1.000000000000E+00
+    -8.127954101562E+03 3.142919540405E+00-2.793967723846E-09 0.000000000000E+00
+E11 2020 01 01 00 10 00-6.175571470521E-04-7.673861546209E-12 0.000000000000E+00
+     8.000000000000E+01-1.734375000000E+02 2.604037859473E-09-1.032468095049E+00
+    -8.128955960274E-06 3.196154162288E-04 6.362423300743E-06 5.440605249405E+03
+     2.598000000000E+05 3.725290298462E-09-2.986268434039E+00 5.587935447693E-09
+     9.875023617153E-01 2.050000000000E+02 7.432574010253E-01-5.643449355036E-09
+    -3.810872177428E-10 5.160000000000E+02 2.086000000000E+03 0.000000000000E+00
+     3.120000000000E+00 0.000000000000E+00-1.862645149231E-09-2.095475792885E-09
+     2.604560000000E+05
+X01 2020 01 01 00 00 00 1.000000000000E+00 2.000000000000E+00 3.000000000000E+00
+     1.000000000000E+00 2.000000000000E+00 3.000000000000E+00 4.000000000000E+00
+${GPS_BDS_NAV_CONTENT.split('END OF HEADER\n')[1]}`;
+
+// 同一颗 GPS 卫星的 RINEX 2.11 格式记录 (两位数年份、无系统标识)，另附一条 PRN 12 的记录
+const RINEX2_GPS_NAV_CONTENT = `     2.11           N: GPS NAV DATA                         RINEX VERSION / TYPE
+                                                            END OF HEADER
+ 1 20  1  1  0  0  0.0-3.006402403116D-04-8.299139153678D-12 0.000000000000D+00
+    3.100000000000D+01-1.093750000000D+01 4.707339453990D-09 2.567620017035D+00
+   -6.798654794693D-07 8.473271084949D-03 1.044943928719D-05 5.153667453766D+03
+    2.592000000000D+05 4.284083843231D-08-1.649187201646D+00 1.117587089539D-08
+    9.678475985525D-01 1.810937500000D+02 8.263779373130D-01-7.862470070795D-09
+    1.917937309430D-10 1.000000000000D+00 2.086000000000D+03 0.000000000000D+00
+    2.000000000000D+00 0.000000000000D+00 5.587935447693D-09 3.100000000000D+01
+    2.521800000000D+05 4.000000000000D+00
+12 20  1  1  2  0  0.0-3.006402403116D-04-8.299139153678D-12 0.000000000000D+00
+    3.100000000000D+01-1.093750000000D+01 4.707339453990D-09 2.567620017035D+00
+   -6.798654794693D-07 8.473271084949D-03 1.044943928719D-05 5.153667453766D+03
+    2.592000000000D+05 4.284083843231D-08-1.649187201646D+00 1.117587089539D-08
+    9.678475985525D-01 1.810937500000D+02 8.263779373130D-01-7.862470070795D-09
+    1.917937309430D-10 1.000000000000D+00 2.086000000000D+03 0.000000000000D+00
+    2.000000000000D+00 0.000000000000D+00 5.587935447693D-09 3.100000000000D+01
+    2.521800000000D+05 4.000000000000D+00
+`;
+
+// 包含程序信息、注释、电离层改正、时间系统改正和闰秒的文件头
+const RINEX3_HEADER = `     3.04           N: GNSS NAV DATA    M: Mixed            RINEX VERSION / TYPE
+sbf2rin-13.4.3      TEST                20200102 000211 UTC PGM / RUN BY / DATE
+MERGED NAVIGATION FILE                                      COMMENT
+GPSA   1.1176D-08 -1.4901D-08 -5.9605D-08  1.1921D-07       IONOSPHERIC CORR
+GPSB   1.1469D+05 -1.4746D+05  0.0000D+00 -6.5536D+04       IONOSPHERIC CORR
+BDSA   1.0245D-08  2.9802D-08 -4.1723D-07  5.9605D-07 A 03  IONOSPHERIC CORR
+BDSB   1.2288D+05 -1.6384D+05 -4.5875D+05  1.7039D+06 A 03  IONOSPHERIC CORR
+GAL    2.8250D+01  2.3438D-02  9.0332D-03                   IONOSPHERIC CORR
+GPUT -1.8626451492D-09-1.509903313D-14 589824 2086 GPS    0 TIME SYSTEM CORR
+BDUT -9.3132257462D-10 0.000000000D+00     14  730          TIME SYSTEM CORR
+    18    18  1929     7                                    LEAP SECONDS
+                                                            END OF HEADER
+`;
+
+const RINEX2_HEADER = `     2.11           N: GPS NAV DATA                         RINEX VERSION / TYPE
+teqc  2019Jun10     IGS                 20200102 00:21:05UTCPGM / RUN BY / DATE
+    0.1118D-07 -0.1490D-07 -0.5960D-07  0.1192D-06          ION ALPHA
+    0.1147D+06 -0.1475D+06  0.0000D+00 -0.6554D+05          ION BETA
+   -0.186264514923D-08-0.150990331349D-13   589824     2086 DELTA-UTC: A0,A1,T,W
+    18                                                      LEAP SECONDS
+                                                            END OF HEADER
+`;
 
 describe('RINEX星历数据解析', () => {
   describe('基本功能测试', () => {
@@ -29,6 +116,260 @@ C01 2025 01 01 00 00 00  1.0e-04  1.0e-12  1.0e-12
     });
   });
 
+  describe('广播星历记录解析', () => {
+    test('应该能够解析GPS记录的全部轨道、钟差和时间参数', () => {
+      const { satellites } = parseRinex(GPS_BDS_NAV_CONTENT);
+      const gps = satellites[0];
+
+      expect(satellites).toHaveLength(2);
+      expect(gps.id).toBe('G01');
+      expect(gps.system).toBe('GPS');
+      expect(gps.epoch.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+      expect(gps.clockParameters).toEqual({
+        toc: 259200,
+        af0: -3.006402403116e-4,
+        af1: -8.299139153678e-12,
+        af2: 0,
+        tgd: 5.587935447693e-9
+      });
+      expect(gps.orbitalParameters.iode).toBe(31);
+      expect(gps.orbitalParameters.rootA).toBe(5153.667453766);
+      expect(gps.orbitalParameters.e).toBe(8.473271084949e-3);
+      expect(gps.orbitalParameters.toe).toBe(259200);
+      expect(gps.orbitalParameters.omegadot).toBe(-7.862470070795e-9);
+      expect(gps.orbitalParameters.idot).toBe(1.917937309430e-10);
+      expect(gps.health).toBe(0);
+      expect(gps.accuracy).toBe(2);
+      expect(gps.iodc).toBe(31);
+      expect(gps.timeParameters.week).toBe(2086);
+      expect(gps.timeParameters.fitInterval).toBe(4);
+      expect(gps.timeParameters.transmissionTime).toBe(252180);
+    });
+
+    test('应该能够根据星期数、toe和拟合区间得到星历有效时间范围', () => {
+      const gps = parseRinex(GPS_BDS_NAV_CONTENT).satellites[0];
+
+      expect(gps.timeParameters.referenceTime.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+      expect(gps.timeParameters.validFrom.toISOString()).toBe('2019-12-31T22:00:00.000Z');
+      expect(gps.timeParameters.validTo.toISOString()).toBe('2020-01-01T02:00:00.000Z');
+    });
+
+    test('应该能够解析北斗记录的AODE、TGD1/TGD2及D指数', () => {
+      const bds = parseRinex(GPS_BDS_NAV_CONTENT).satellites[1];
+
+      expect(bds.id).toBe('C19');
+      expect(bds.system).toBe('BEIDOU');
+      expect(bds.clockParameters.af0).toBe(-6.331985350698e-4);
+      expect(bds.clockParameters.tgd1).toBe(1.5e-8);
+      expect(bds.clockParameters.tgd2).toBe(-1.02e-8);
+      expect(bds.orbitalParameters.iode).toBe(1);
+      expect(bds.orbitalParameters.rootA).toBe(5282.627849579);
+      expect(bds.timeParameters.week).toBe(730);
+      expect(bds.aodc).toBe(1);
+      // 北斗周从 2006-01-01 起算
+      expect(bds.timeParameters.referenceTime.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+    });
+
+    test('解析结果应该能够直接用于卫星位置计算', () => {
+      const rinexData = parseRinex(GPS_BDS_NAV_CONTENT);
+      const position = calculateSatellitePosition({
+        rinexData,
+        satelliteId: 'G01',
+        timestamp: new Date('2020-01-01T00:30:00.000Z')
+      });
+      const radius = Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+
+      // GPS 卫星轨道半径约为 26560 km
+      expect(radius).toBeGreaterThan(26.0e6);
+      expect(radius).toBeLessThan(27.0e6);
+    });
+  });
+
+  describe('多系统混合导航文件', () => {
+    test('应该能够解析各卫星系统长度不同的记录并标注所属系统', () => {
+      const { satellites } = parseRinex(MIXED_NAV_CONTENT);
+
+      expect(satellites.map(sat => sat.id)).toEqual(['R05', 'E11', 'G01', 'C19']);
+      expect(satellites.map(sat => sat.system)).toEqual(['GLONASS', 'GALILEO', 'GPS', 'BEIDOU']);
+      // 后续记录不应因前面的记录长度不同而错位
+      expect(satellites[2]).toEqual(parseRinex(GPS_BDS_NAV_CONTENT).satellites[0]);
+    });
+
+    test('应该能够解析GLONASS的状态矢量与频率通道号', () => {
+      const glonass = parseRinex(MIXED_NAV_CONTENT).satellites[0];
+
+      expect(glonass.orbitalParameters).toEqual({
+        x: -1.402879638672e4,
+        vx: -2.079648017883,
+        ax: 9.313225746155e-10,
+        y: -1.852227441406e4,
+        vy: -1.016933441162,
+        ay: -9.313225746155e-10,
+        z: -8.127954101562e3,
+        vz: 3.142919540405,
+        az: -2.793967723846e-9
+      });
+      expect(glonass.clockParameters.clockBias).toBe(-2.551730722189e-5);
+      expect(glonass.timeParameters.messageFrameTime).toBe(54000);
+      expect(glonass.frequencyChannel).toBe(1);
+      expect(glonass.health).toBe(0);
+      expect(glonass.timeParameters.validFrom.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+      expect(glonass.timeParameters.validTo.toISOString()).toBe('2020-01-01T00:30:00.000Z');
+    });
+
+    test('应该能够解析Galileo的IODnav、SISA和BGD参数', () => {
+      const galileo = parseRinex(MIXED_NAV_CONTENT).satellites[1];
+
+      expect(galileo.orbitalParameters.iode).toBe(80);
+      expect(galileo.orbitalParameters.toe).toBe(259800);
+      expect(galileo.dataSources).toBe(516);
+      expect(galileo.accuracy).toBe(3.12);
+      expect(galileo.clockParameters.bgdE5aE1).toBe(-1.862645149231e-9);
+      expect(galileo.clockParameters.bgdE5bE1).toBe(-2.095475792885e-9);
+      expect(galileo.timeParameters.referenceTime.toISOString()).toBe('2020-01-01T00:10:00.000Z');
+    });
+
+    test('应该能够解析RINEX 3.05中带第4个广播轨道行的GLONASS记录', () => {
+      const lines = MIXED_NAV_CONTENT.split('\n');
+      const recordEnd = lines.findIndex(line => line.startsWith('E11'));
+      lines.splice(recordEnd, 0, '     0.000000000000E+00-2.793967723846E-09 2.000000000000E+00 0.000000000000E+00');
+      const content = lines.join('\n').replace('     3.04', '     3.05');
+
+      const { satellites } = parseRinex(content);
+
+      expect(satellites.map(sat => sat.id)).toEqual(['R05', 'E11', 'G01', 'C19']);
+      expect(satellites[0].clockParameters.groupDelayDifference).toBe(-2.793967723846e-9);
+      expect(satellites[0].accuracy).toBe(2);
+    });
+  });
+
+  describe('文件头解析', () => {
+    test('应该能够解析程序信息和注释', () => {
+      const { header } = parseRinex(RINEX3_HEADER);
+
+      expect(header.version).toBe(3.04);
+      expect(header.program).toEqual({ name: 'sbf2rin-13.4.3', runBy: 'TEST', date: '20200102 000211 UTC' });
+      expect(header.comments).toEqual(['MERGED NAVIGATION FILE']);
+    });
+
+    test('应该能够解析各系统的电离层改正参数', () => {
+      const { ionosphericCorrections } = parseRinex(RINEX3_HEADER).header;
+
+      expect(ionosphericCorrections.GPS.alpha).toEqual([1.1176e-8, -1.4901e-8, -5.9605e-8, 1.1921e-7]);
+      expect(ionosphericCorrections.GPS.beta).toEqual([1.1469e5, -1.4746e5, 0, -6.5536e4]);
+      expect(ionosphericCorrections.BEIDOU.alpha).toEqual([1.0245e-8, 2.9802e-8, -4.1723e-7, 5.9605e-7]);
+      expect(ionosphericCorrections.BEIDOU.beta).toEqual([1.2288e5, -1.6384e5, -4.5875e5, 1.7039e6]);
+      expect(ionosphericCorrections.GALILEO.ai).toEqual([28.25, 2.3438e-2, 9.0332e-3]);
+    });
+
+    test('应该能够解析时间系统改正参数和闰秒', () => {
+      const { timeSystemCorrections, leapSeconds } = parseRinex(RINEX3_HEADER).header;
+
+      expect(timeSystemCorrections.GPUT).toEqual({
+        a0: -1.8626451492e-9,
+        a1: -1.509903313e-14,
+        referenceTime: 589824,
+        referenceWeek: 2086,
+        source: 'GPS',
+        utcIdentifier: 0
+      });
+      expect(timeSystemCorrections.BDUT.a0).toBe(-9.3132257462e-10);
+      expect(timeSystemCorrections.BDUT.referenceWeek).toBe(730);
+      expect(leapSeconds).toEqual({ current: 18, future: 18, week: 1929, day: 7, timeSystem: undefined });
+    });
+
+    test('应该能够将 RINEX 2.x 的文件头解析为相同的结构', () => {
+      const { header } = parseRinex(RINEX2_HEADER);
+
+      expect(header.ionosphericCorrections.GPS.alpha).toEqual([0.1118e-7, -0.1490e-7, -0.5960e-7, 0.1192e-6]);
+      expect(header.ionosphericCorrections.GPS.beta).toEqual([0.1147e6, -0.1475e6, 0, -0.6554e5]);
+      expect(header.timeSystemCorrections.GPUT).toEqual({
+        a0: -0.186264514923e-8,
+        a1: -0.150990331349e-13,
+        referenceTime: 589824,
+        referenceWeek: 2086
+      });
+      expect(header.leapSeconds.current).toBe(18);
+    });
+  });
+
+  describe('RINEX 2.x 导航文件', () => {
+    test('应该能够根据版本号识别文件格式', () => {
+      expect(parseRinex(RINEX2_GPS_NAV_CONTENT).dialect).toBe('RINEX2');
+      expect(parseRinex(GPS_BDS_NAV_CONTENT).dialect).toBe('RINEX3');
+    });
+
+    test('应该能够输出与 RINEX 3.x 相同结构的卫星对象', () => {
+      const rinex2 = parseRinex(RINEX2_GPS_NAV_CONTENT);
+      const rinex3 = parseRinex(GPS_BDS_NAV_CONTENT);
+
+      expect(rinex2.satellites).toHaveLength(2);
+      expect(rinex2.satellites[0]).toEqual(rinex3.satellites[0]);
+      expect(rinex2.satellites[1].id).toBe('G12');
+      expect(rinex2.satellites[1].system).toBe('GPS');
+      expect(rinex2.satellites[1].epoch.toISOString()).toBe('2020-01-01T02:00:00.000Z');
+    });
+
+    test('当 RINEX 2.x 文件类型不受支持时应该抛出错误', () => {
+      const content = RINEX2_GPS_NAV_CONTENT.replace('N: GPS NAV DATA', 'X: UNKNOWN DATA ');
+      expect(() => parseRinex(content)).toThrow('不支持的RINEX 2.x导航文件类型: X');
+    });
+  });
+
+  describe('解析模式与错误诊断', () => {
+    // G01 第一个广播轨道行的第 2 个字段中混入了字母 O
+    const BAD_FIELD_CONTENT = GPS_BDS_NAV_CONTENT.replace('-1.093750000000E+01', '-1.09375000O000E+01');
+
+    test('严格模式下应该拒绝有误的文件并给出行号、列范围和原文', () => {
+      let error;
+      try {
+        parseRinex(BAD_FIELD_CONTENT);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(isRinexParseError(error)).toBe(true);
+      expect(error).toMatchObject({ lineNumber: 4, columnStart: 24, columnEnd: 42, text: '-1.09375000O000E+01' });
+      expect(error.message).toBe('第 4 行第 24-42 列: 无效的数据字段 "-1.09375000O000E+01"');
+    });
+
+    test('宽松模式下应该跳过有误的记录并给出警告', () => {
+      const { satellites, warnings } = parseRinex(BAD_FIELD_CONTENT, { mode: 'lenient' });
+
+      expect(satellites.map(satellite => satellite.id)).toEqual(['C19']);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatchObject({ reason: '无效的数据字段', lineNumber: 4 });
+    });
+
+    test('宽松模式下应该报告无效的卫星号、历元和不完整的记录', () => {
+      const content = GPS_BDS_NAV_CONTENT
+        .replace('G01 2020 01 01 00 00 00', 'G01 2020 01 0x 00 00 00')
+        .replace('     2.592006000000D+05 1.000000000000D+00\n', '');
+      const invalidId = GPS_BDS_NAV_CONTENT.replace('C19 2020', 'CX9 2020');
+
+      expect(parseRinex(content, { mode: 'lenient' }).warnings).toEqual([
+        expect.objectContaining({ reason: '无效的历元', lineNumber: 3, columnStart: 4, columnEnd: 23 }),
+        expect.objectContaining({ reason: '导航记录应有 7 个广播轨道行，实际为 6 个', lineNumber: 11, text: 'C19' })
+      ]);
+      expect(parseRinex(invalidId, { mode: 'lenient' }).warnings[0])
+        .toMatchObject({ reason: '无效的卫星号', lineNumber: 11, text: 'CX9' });
+    });
+
+    test('正确的文件在宽松模式下警告为空', () => {
+      expect(parseRinex(GPS_BDS_NAV_CONTENT, { mode: 'lenient' }).warnings).toEqual([]);
+      expect(parseRinex(GPS_BDS_NAV_CONTENT)).not.toHaveProperty('warnings');
+    });
+
+    test('缺少文件头结束标记时应该抛出解析错误', () => {
+      const content = GPS_BDS_NAV_CONTENT.replace('END OF HEADER', '');
+      expect(() => parseRinex(content)).toThrow('缺少文件头结束标记 END OF HEADER');
+    });
+
+    test('当解析模式不受支持时应该抛出错误', () => {
+      expect(() => parseRinex(GPS_BDS_NAV_CONTENT, { mode: 'loose' })).toThrow('不支持的解析模式: loose');
+    });
+  });
+
   describe('边界条件测试', () => {
     test('当输入内容为空时应该抛出错误', () => {
       expect(() => parseRinex('')).toThrow('RINEX内容不能为空');
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { parseRinex } = require('../../src/algorithms/rinex/rinexParser');
+const { streamRinex } = require('../../src/algorithms/rinex/rinexStream');
+
+// GPS 与北斗各一条的 RINEX 3.04 导航记录
+const NAV_CONTENT = `     3.04           N: GNSS NAV DATA    M: Mixed            RINEX VERSION / TYPE
+                                                            END OF HEADER
+G01 2020 01 01 00 00 00-3.006402403116E-04-8.299139153678E-12 0.000000000000E+00
+     3.100000000000E+01-1.093750000000E+01 4.707339453990E-09 2.567620017035E+00
+    -6.798654794693E-07 8.473271084949E-03 1.044943928719E-05 5.153667453766E+03
+     2.592000000000E+05 4.284083843231E-08-1.649187201646E+00 1.117587089539E-08
+     9.678475985525E-01 1.810937500000E+02 8.263779373130E-01-7.862470070795E-09
+     1.917937309430E-10 1.000000000000E+00 2.086000000000E+03 0.000000000000E+00
+     2.000000000000E+00 0.000000000000E+00 5.587935447693E-09 3.100000000000E+01
+     2.521800000000E+05 4.000000000000E+00
+C19 2020 01 01 00 00 00-6.331985350698D-04 1.101474097573D-11 0.000000000000D+00
+     1.000000000000D+00 1.021718750000D+02 3.638365232227D-09 1.862049911339D+00
+     5.029141902924D-06 7.466482138261D-04 1.022592186928D-05 5.282627849579D+03
+     2.592000000000D+05-4.703179001808D-08 2.990483023226D+00-1.862645149231D-08
+     9.618716430472D-01 1.450625000000D+02-8.838461014839D-01-6.515985721834D-09
+    -3.632294469569D-10 0.000000000000D+00 7.300000000000D+02 0.000000000000D+00
+     2.000000000000D+00 0.000000000000D+00 1.500000000000D-08-1.020000000000D-08
+     2.592006000000D+05 1.000000000000D+00
+`;
+
+// NAV_CONTENT 经 Unix compress (compress -b16) 压缩后的数据
+const NAV_CONTENT_Z = Buffer.from([
+  'H52QIAIGnOECBg2BCBE60QHiiJMpU0A4CWIFBJEgVIIgbMKwSRo8ZcgkHAlCShInRbCAsFJEypQkT5yAeAGCShYoRRSQ3Mmz',
+  'p8+fAos4IQLiiREQSIoEIdJSwREYMUDIgDEVBFSrUWHAsLpVawuCWm3QoDp2RowYNoq0MNgChwsZOXLEmCG3xgwbN3CojSHD',
+  'akGtgANrLbJCq06EBGMIXkwYaosYBXPMuFFjMYzGUWm4uAHjxgy6NOzGvbw2h1QXNfDamAqV84wajWEcDtjCxuYcOGzUoHEj',
+  'Bw0bktV2BuGW9wwZNxTjoOE7h/AZICAbZE6DrgwcyZ2vrQGihosYdm3gDT1ZfOMZswPKQJ2DteXG3DVfH4tjxvLjZoXjeOxC',
+  'rFzsU6H1W2zRfRcDZdjBgEMOoumXHgg59JcXbzXgVkMNMsC2VlSQ4aCYZJQJ1lhfbslgw2S9TWbWDKQ5doMLucnAm1ac9aYh',
+  'DDk8CJlcKXqGY3WkKVagZSIWttV6CtpA5GWFQQfDX0syaVhCSEYpZVdQLkmgdzVgJ9luvAE3g3CmJWYlZg+uh2EMOBAJHwia',
+  'WXmlAkPEYNpUVV2lZ1d81ubCZ3biYFdlwOFAxFoHQaZYDLyNlQNlnh16ll9yEmGkjlkSaalWQ8pwIJshArZpXwSdWJ9uMhwn',
+  'A3KH4lhgjAbFddZnOWwqW0LeUSUXDXbqKmOrNoDw4m9i4eCpfSbG0GqiBa1aoae5tWfodt29ZexqEzLY26boUcmee4ttWkML',
+  'mrl2YA5asalgqzicNhoN9VGlqg228hejWDUw2p5Z7D4YoQ2gCsgibzK0yqELocGwWmWCjdoWjPb9tii8dBnsZ74VCnoDtDPQ',
+  '0GqOCH3Vn6q+/cYgcJJiWamRwv5p5aiUvnyptytz+mTNW0HG8JLs8kdVlP16+2xY4RbGnXQyGwY='
+].join(''), 'base64');
+
+/**
+ * 读取异步迭代器产生的全部卫星对象
+ * @param {AsyncIterable<object>} iterator - 卫星对象迭代器
+ * @returns {Promise<Array<object>>} 卫星对象数组
+ */
+async function collect(iterator) {
+  const satellites = [];
+  for await (const satellite of iterator) {
+    satellites.push(satellite);
+  }
+  return satellites;
+}
+
+/**
+ * 将数据按固定大小切分为可读流，模拟分块到达的数据
+ * @param {Buffer} data - 数据
+ * @param {number} size - 数据块大小
+ * @returns {Readable} 可读流
+ */
+function chunkedStream(data, size) {
+  const chunks = [];
+  for (let i = 0; i < data.length; i += size) {
+    chunks.push(data.subarray(i, i + size));
+  }
+  return Readable.from(chunks);
+}
+
+describe('RINEX导航文件流式读取', () => {
+  const expected = parseRinex(NAV_CONTENT).satellites;
+
+  describe('基本功能测试', () => {
+    test('应该逐条产生与parseRinex相同的卫星对象', async () => {
+      const satellites = await collect(streamRinex(chunkedStream(Buffer.from(NAV_CONTENT), 100)));
+
+      expect(satellites.map(satellite => satellite.id)).toEqual(['G01', 'C19']);
+      expect(satellites).toEqual(expected);
+    });
+
+    test('应该通过回调传出文件头', async () => {
+      const onHeader = jest.fn();
+      await collect(streamRinex(Readable.from([NAV_CONTENT]), { onHeader }));
+
+      expect(onHeader).toHaveBeenCalledTimes(1);
+      expect(onHeader.mock.calls[0][0].version).toBe(3.04);
+      expect(onHeader.mock.calls[0][1]).toBe('RINEX3');
+    });
+
+    test('应该自动解压gzip数据', async () => {
+      const satellites = await collect(streamRinex(chunkedStream(zlib.gzipSync(NAV_CONTENT), 64)));
+
+      expect(satellites).toEqual(expected);
+    });
+
+    test('应该自动解压Unix compress (.Z) 数据', async () => {
+      const satellites = await collect(streamRinex(chunkedStream(NAV_CONTENT_Z, 7)));
+
+      expect(satellites).toEqual(expected);
+    });
+
+    test('应该能够从文件路径读取', async () => {
+      const filePath = path.join(os.tmpdir(), `rinex-stream-${process.pid}.rnx.gz`);
+      fs.writeFileSync(filePath, zlib.gzipSync(NAV_CONTENT));
+      try {
+        const satellites = await collect(streamRinex(filePath));
+        expect(satellites).toEqual(expected);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    test('宽松模式下应该跳过有误的记录并通过回调传出警告', async () => {
+      const onWarning = jest.fn();
+      const content = NAV_CONTENT.replace('5.153667453766E+03', '5.153667453766E+0?');
+      const satellites = await collect(streamRinex(Readable.from([content]), { mode: 'lenient', onWarning }));
+
+      expect(satellites.map(satellite => satellite.id)).toEqual(['C19']);
+      expect(onWarning).toHaveBeenCalledTimes(1);
+      expect(onWarning.mock.calls[0][0]).toMatchObject({ lineNumber: 5, columnStart: 62, columnEnd: 80 });
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当数据源无效时应该抛出错误', async () => {
+      await expect(collect(streamRinex(null))).rejects.toThrow('RINEX数据源无效');
+    });
+
+    test('当输入内容为空时应该抛出错误', async () => {
+      await expect(collect(streamRinex(Readable.from([''])))).rejects.toThrow('RINEX内容不能为空');
+    });
+
+    test('当压缩数据损坏时应该抛出错误', async () => {
+      const corrupted = zlib.gzipSync(NAV_CONTENT).subarray(0, 40);
+      await expect(collect(streamRinex(Readable.from([corrupted])))).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { parseRinex } = require('../../src/algorithms/rinex/rinexParser');
+const { writeRinex } = require('../../src/algorithms/rinex/rinexWriter');
+
+// 带完整文件头的 RINEX 3.04 混合导航文件：GLONASS、Galileo、GPS 和北斗 (北斗记录使用 D 指数)
+const NAV_CONTENT = `     3.04           N: GNSS NAV DATA    M: Mixed            RINEX VERSION / TYPE
+sbf2rin-13.4.3      TEST                20200102 000211 UTC PGM / RUN BY / DATE
+MERGED NAVIGATION FILE                                      COMMENT
+GPSA   1.1176D-08 -1.4901D-08 -5.9605D-08  1.1921D-07       IONOSPHERIC CORR
+GPSB   1.1469D+05 -1.4746D+05  0.0000D+00 -6.5536D+04       IONOSPHERIC CORR
+BDSA   1.0245D-08  2.9802D-08 -4.1723D-07  5.9605D-07       IONOSPHERIC CORR
+BDSB   1.2288D+05 -1.6384D+05 -4.5875D+05  1.7039D+06       IONOSPHERIC CORR
+GAL    2.8250D+01  2.3438D-02  9.0332D-03                   IONOSPHERIC CORR
+GPUT -1.8626451492D-09-1.509903313D-14 589824 2086 GPS    0 TIME SYSTEM CORR
+BDUT -9.3132257462D-10 0.000000000D+00     14  730          TIME SYSTEM CORR
+    18    18  1929     7                                    LEAP SECONDS
+                                                            END OF HEADER
+R05 2020 01 01 00 15 00-2.551730722189E-05 0.000000000000E+00 5.400000000000E+04
+    -1.402879638672E+04-2.079648017883E+00 9.313225746155E-10 0.000000000000E+00
+    -1.852227441406E+04-1.016933441162E+00-9.313225746155E-10 1.000000000000E+00
+    -8.127954101562E+03 3.142919540405E+00-2.793967723846E-09 0.000000000000E+00
+E11 2020 01 01 00 10 00-6.175571470521E-04-7.673861546209E-12 0.000000000000E+00
+     8.000000000000E+01-1.734375000000E+02 2.604037859473E-09-1.032468095049E+00
+    -8.128955960274E-06 3.196154162288E-04 6.362423300743E-06 5.440605249405E+03
+     2.598000000000E+05 3.725290298462E-09-2.986268434039E+00 5.587935447693E-09
+     9.875023617153E-01 2.050000000000E+02 7.432574010253E-01-5.643449355036E-09
+    -3.810872177428E-10 5.160000000000E+02 2.086000000000E+03 0.000000000000E+00
+     3.120000000000E+00 0.000000000000E+00-1.862645149231E-09-2.095475792885E-09
+     2.604560000000E+05
+G01 2020 01 01 00 00 00-3.006402403116E-04-8.299139153678E-12 0.000000000000E+00
+     3.100000000000E+01-1.093750000000E+01 4.707339453990E-09 2.567620017035E+00
+    -6.798654794693E-07 8.473271084949E-03 1.044943928719E-05 5.153667453766E+03
+     2.592000000000E+05 4.284083843231E-08-1.649187201646E+00 1.117587089539E-08
+     9.678475985525E-01 1.810937500000E+02 8.263779373130E-01-7.862470070795E-09
+     1.917937309430E-10 1.000000000000E+00 2.086000000000E+03 0.000000000000E+00
+     2.000000000000E+00 0.000000000000E+00 5.587935447693E-09 3.100000000000E+01
+     2.521800000000E+05 4.000000000000E+00
+C19 2020 01 01 00 00 00-6.331985350698D-04 1.101474097573D-11 0.000000000000D+00
+     1.000000000000D+00 1.021718750000D+02 3.638365232227D-09 1.862049911339D+00
+     5.029141902924D-06 7.466482138261D-04 1.022592186928D-05 5.282627849579D+03
+     2.592000000000D+05-4.703179001808D-08 2.990483023226D+00-1.862645149231D-08
+     9.618716430472D-01 1.450625000000D+02-8.838461014839D-01-6.515985721834D-09
+    -3.632294469569D-10 0.000000000000D+00 7.300000000000D+02 0.000000000000D+00
+     2.000000000000D+00 0.000000000000D+00 1.500000000000D-08-1.020000000000D-08
+     2.592006000000D+05 1.000000000000D+00
+`;
+
+// RINEX 2.11 GPS 导航文件
+const RINEX2_NAV_CONTENT = `     2.11           N: GPS NAV DATA                         RINEX VERSION / TYPE
+                                                            END OF HEADER
+ 1 20  1  1  0  0  0.0-3.006402403116D-04-8.299139153678D-12 0.000000000000D+00
+    3.100000000000D+01-1.093750000000D+01 4.707339453990D-09 2.567620017035D+00
+   -6.798654794693D-07 8.473271084949D-03 1.044943928719D-05 5.153667453766D+03
+    2.592000000000D+05 4.284083843231D-08-1.649187201646D+00 1.117587089539D-08
+    9.678475985525D-01 1.810937500000D+02 8.263779373130D-01-7.862470070795D-09
+    1.917937309430D-10 1.000000000000D+00 2.086000000000D+03 0.000000000000D+00
+    2.000000000000D+00 0.000000000000D+00 5.587935447693D-09 3.100000000000D+01
+    2.521800000000D+05 4.000000000000D+00
+12 20  1  1  2  0  0.0-3.006402403116D-04-8.299139153678D-12 0.000000000000D+00
+    3.100000000000D+01-1.093750000000D+01 4.707339453990D-09 2.567620017035D+00
+   -6.798654794693D-07 8.473271084949D-03 1.044943928719D-05 5.153667453766D+03
+    2.592000000000D+05 4.284083843231D-08-1.649187201646D+00 1.117587089539D-08
+    9.678475985525D-01 1.810937500000D+02 8.263779373130D-01-7.862470070795D-09
+    1.917937309430D-10 1.000000000000D+00 2.086000000000D+03 0.000000000000D+00
+    2.000000000000D+00 0.000000000000D+00 5.587935447693D-09 3.100000000000D+01
+    2.521800000000D+05 4.000000000000D+00
+`;
+
+describe('RINEX导航文件写出', () => {
+  describe('基本功能测试', () => {
+    test('写出后再解析应该无损地还原星历数据', () => {
+      const parsed = parseRinex(NAV_CONTENT);
+      const reparsed = parseRinex(writeRinex(parsed));
+
+      expect(reparsed.satellites).toEqual(parsed.satellites);
+      expect(reparsed.header).toEqual(parsed.header);
+      expect(reparsed.dialect).toBe('RINEX3');
+    });
+
+    test('应该将 RINEX 2.x 数据转换为 RINEX 3.04 格式', () => {
+      const parsed = parseRinex(RINEX2_NAV_CONTENT);
+      const output = writeRinex(parsed);
+      const reparsed = parseRinex(output);
+
+      expect(output.split('\n')[0]).toBe(
+        '     3.04           N: GNSS NAV DATA    G: GPS              RINEX VERSION / TYPE'
+      );
+      expect(reparsed.header.version).toBe(3.04);
+      expect(reparsed.satellites).toEqual(parsed.satellites);
+    });
+
+    test('应该按 RINEX 3.04 的列格式输出', () => {
+      const lines = writeRinex(parseRinex(NAV_CONTENT)).split('\n');
+
+      expect(lines).toContain('GPUT -1.8626451492E-09-1.509903313E-14 589824 2086 GPS    0 TIME SYSTEM CORR');
+      expect(lines).toContain('    18    18  1929     7                                    LEAP SECONDS');
+      expect(lines).toContain('C19 2020 01 01 00 00 00-6.331985350698E-04 1.101474097573E-11 0.000000000000E+00');
+      expect(lines).toContain('     2.592006000000E+05 1.000000000000E+00');
+    });
+
+    test('应该能够只写出筛选后的卫星', () => {
+      const { header, satellites } = parseRinex(NAV_CONTENT);
+      const beidouSatellites = satellites.filter(satellite => satellite.system === 'BEIDOU');
+      const output = writeRinex({ header: { ...header, system: '' }, satellites: beidouSatellites });
+      const reparsed = parseRinex(output);
+
+      expect(output).toContain('N: GNSS NAV DATA    C: BeiDou');
+      expect(reparsed.satellites.map(satellite => satellite.id)).toEqual(['C19']);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('不足整秒的历元应该舍入到最近的整秒并向分、时、日进位', () => {
+      const { header, satellites } = parseRinex(NAV_CONTENT);
+      const gps = satellites.find(satellite => satellite.id === 'G01');
+      const output = writeRinex({
+        header,
+        satellites: [
+          { ...gps, epoch: new Date('2019-12-31T23:59:59.600Z') },
+          { ...gps, epoch: new Date('2020-01-01T00:10:00.400Z') }
+        ]
+      });
+      const epochLines = output.split('\n').filter(line => line.startsWith('G01'));
+
+      expect(epochLines[0].slice(0, 23)).toBe('G01 2020 01 01 00 00 00');
+      expect(epochLines[1].slice(0, 23)).toBe('G01 2020 01 01 00 10 00');
+    });
+
+    test('当缺少卫星数据时应该抛出错误', () => {
+      expect(() => writeRinex({ header: {} })).toThrow('缺少必要参数');
+    });
+
+    test('当包含不支持的卫星系统时应该抛出错误', () => {
+      expect(() => writeRinex({ satellites: [{ id: 'X01' }] })).toThrow('不支持的卫星系统: X01');
+    });
+  });
+});
@@ -1,4 +1,52 @@
 const { calculateSatellitePosition } = require('../../src/algorithms/satellite/satelliteCalculator');
+const { resolveOrbitModel, ORBIT_CONSTANTS } = require('../../src/algorithms/satellite/keplerOrbit');
+const { computeGlonassState } = require('../../src/algorithms/satellite/glonassOrbit');
+const { parseRinex } = require('../../src/algorithms/rinex/rinexParser');
+const config = require('../../src/config/app.config');
+
+// 北斗星历的参考时间 2025-01-01 00:00:00 BDT (周内秒 259200)；2025 年北斗时比 UTC 快 4 秒，GPS 时比 UTC 快 18 秒
+const BDT_REFERENCE_TIME = new Date('2025-01-01T00:00:00.000Z');
+const BDT_REFERENCE_TOE = 259200;
+const BDT_MINUS_UTC_MILLISECONDS = 4000;
+const GPS_MINUS_UTC_MILLISECONDS = 18000;
+
+/**
+ * 创建一颗北斗卫星的圆轨道星历 (无摄动改正项)
+ * @param {string} id - 卫星号
+ * @param {object} elements - 轨道根数 (rootA, i0, omega0, omega, m0)
+ * @returns {object} RINEX星历数据
+ */
+function createBeidouEphemeris(id, elements) {
+  return {
+    satellites: [{
+      id,
+      system: 'BEIDOU',
+      prn: parseInt(id.substring(1), 10),
+      orbitalParameters: {
+        toe: BDT_REFERENCE_TOE, deltaN: 0, e: 0, omegadot: 0, idot: 0,
+        cuc: 0, cus: 0, crc: 0, crs: 0, cic: 0, cis: 0,
+        ...elements
+      },
+      timeParameters: {
+        referenceTime: BDT_REFERENCE_TIME,
+        validFrom: new Date(BDT_REFERENCE_TIME.getTime() - 86400 * 1000),
+        validTo: new Date(BDT_REFERENCE_TIME.getTime() + 86400 * 1000)
+      }
+    }]
+  };
+}
+
+/**
+ * 计算卫星的地心经纬度 (度)
+ * @param {{x: number, y: number, z: number}} position - ECEF位置
+ * @returns {{longitude: number, latitude: number}} 地心经纬度
+ */
+function toGeocentric({ x, y, z }) {
+  return {
+    longitude: (Math.atan2(y, x) * 180) / Math.PI,
+    latitude: (Math.asin(z / Math.hypot(x, y, z)) * 180) / Math.PI
+  };
+}
 
 describe('卫星位置计算', () => {
   describe('基本功能测试', () => {
@@ -52,8 +100,8 @@ describe('卫星位置计算', () => {
       const standardExampleRinexData = {
         satellites: [
           {
-            id: 'B01', // 北斗卫星
-            system: 'BEIDOU',
+            id: 'G01', // GPS卫星 (参数取自 GPS 示例星历)
+            system: 'GPS',
             orbitalParameters: {
               // 广播星历-1 (Broadcast Ephemeris - 1) 参数
               // 时间参数
@@ -94,7 +142,7 @@ describe('卫星位置计算', () => {
 
       // 一个具体的计算时间点，在参考时间之后1小时
       const calculationTimestamp = new Date('2025-01-01T01:00:00.000Z');
-      const satelliteId = 'B01';
+      const satelliteId = 'G01';
 
       const position = calculateSatellitePosition({
         rinexData: standardExampleRinexData,
@@ -106,9 +154,9 @@ describe('卫星位置计算', () => {
       // 在算法逻辑被验证为正确后，我们用算法的输出结果来更新这个期望值。
       // 这确保了测试用例与算法实现的一致性。
       const expectedPosition = {
-        x: 7387565.99, // ECEF X坐标，单位：米
-        y: 23271842.74, // ECEF Y坐标，单位：米
-        z: 12748244.67  // ECEF Z坐标，单位：米
+        x: 7401537.39, // ECEF X坐标，单位：米
+        y: 23247599.35, // ECEF Y坐标，单位：米
+        z: 12795830.16  // ECEF Z坐标，单位：米
       };
 
       // 使用一个合理的精度阈值进行比较，因为浮点计算存在微小误差。
@@ -119,6 +167,316 @@ describe('卫星位置计算', () => {
       expect(position.y).toBeCloseTo(expectedPosition.y, Math.log10(precision));
       expect(position.z).toBeCloseTo(expectedPosition.z, Math.log10(precision));
     });
+    test('同一卫星有多组星历时应该使用计算时间所在拟合区间内的星历', () => {
+      const orbitalParameters = {
+        toe: 0, m0: 0.1, deltaN: 0, e: 0.01, rootA: 5153.6, i0: 0.9, idot: 0, omega0: 1.7, omega: -1.4, omegadot: -8e-9,
+        cuc: 0, cus: 0, crc: 0, crs: 0, cic: 0, cis: 0
+      };
+      const mockRinexData = {
+        satellites: [0, 4].map((hour, k) => ({
+          id: 'G01',
+          health: 0,
+          orbitalParameters: { ...orbitalParameters, iode: k + 1 },
+          timeParameters: {
+            referenceTime: new Date(Date.UTC(2025, 0, 1, hour + 2)),
+            validFrom: new Date(Date.UTC(2025, 0, 1, hour)),
+            validTo: new Date(Date.UTC(2025, 0, 1, hour + 4))
+          }
+        }))
+      };
+
+      const position = calculateSatellitePosition({
+        rinexData: mockRinexData,
+        satelliteId: 'G01',
+        timestamp: new Date('2025-01-01T05:00:00.000Z')
+      });
+
+      expect(position.ephemeris.iode).toBe(2);
+      expect(position.ephemeris.index).toBe(1);
+      expect(Number.isFinite(position.x)).toBe(true);
+    });
+
+    test('星历数据或可用性策略变化后应该使用最新的星历和策略', () => {
+      const createRecord = id => ({
+        id,
+        health: 0,
+        accuracy: 2,
+        orbitalParameters: {
+          toe: 0, m0: 0.1, deltaN: 0, e: 0.01, rootA: 5153.6, i0: 0.9, idot: 0, omega0: 1.7, omega: -1.4,
+          omegadot: -8e-9, cuc: 0, cus: 0, crc: 0, crs: 0, cic: 0, cis: 0, iode: 1
+        },
+        timeParameters: {
+          referenceTime: new Date(Date.UTC(2025, 0, 1, 2)),
+          validFrom: new Date(Date.UTC(2025, 0, 1, 0)),
+          validTo: new Date(Date.UTC(2025, 0, 1, 4))
+        }
+      });
+      const rinexData = { satellites: [createRecord('G01')] };
+      const timestamp = new Date('2025-01-01T01:00:00.000Z');
+
+      expect(calculateSatellitePosition({ rinexData, satelliteId: 'G01', timestamp })).toHaveProperty('x');
+      expect(() => calculateSatellitePosition({ rinexData, satelliteId: 'G02', timestamp }))
+        .toThrow('找不到卫星 G02 的轨道数据');
+
+      rinexData.satellites.push(createRecord('G02'));
+      expect(calculateSatellitePosition({ rinexData, satelliteId: 'G02', timestamp })).toHaveProperty('x');
+
+      // 替换数组中的星历 (长度不变) 后应该使用新的星历
+      rinexData.satellites[1] = { ...createRecord('G02'), health: 1 };
+      expect(() => calculateSatellitePosition({ rinexData, satelliteId: 'G02', timestamp }))
+        .toThrow(expect.objectContaining({ reason: 'unhealthy' }));
+      rinexData.satellites[1] = createRecord('G02');
+
+      const { maxUra } = config.satellitePolicy;
+      config.satellitePolicy.maxUra = 1;
+      try {
+        expect(() => calculateSatellitePosition({ rinexData, satelliteId: 'G02', timestamp }))
+          .toThrow(expect.objectContaining({ reason: 'accuracy' }));
+      } finally {
+        config.satellitePolicy.maxUra = maxUra;
+      }
+      expect(calculateSatellitePosition({ rinexData, satelliteId: 'G02', timestamp })).toHaveProperty('x');
+    });
+  });
+
+  describe('北斗卫星', () => {
+    const { gravitationalConstant, earthRotationRate } = ORBIT_CONSTANTS.BEIDOU;
+
+    test('应该按卫星系统选择常数，并只对北斗 GEO 卫星的广播星历使用专门算法', () => {
+      expect(resolveOrbitModel({ id: 'C01', system: 'BEIDOU' }))
+        .toEqual({ constants: ORBIT_CONSTANTS.BEIDOU, geo: true });
+      expect(resolveOrbitModel({ id: 'C59', system: 'BEIDOU', prn: 59 }).geo).toBe(true);
+      expect(resolveOrbitModel({ id: 'C19', system: 'BEIDOU', prn: 19 }).geo).toBe(false);
+      expect(resolveOrbitModel({ id: 'C01', system: 'BEIDOU', source: 'almanac' }).geo).toBe(false);
+      expect(resolveOrbitModel({ id: 'G01', system: 'GPS' })).toEqual({ constants: ORBIT_CONSTANTS.GPS, geo: false });
+      expect(ORBIT_CONSTANTS.BEIDOU).toEqual({ gravitationalConstant: 3.986004418e14, earthRotationRate: 7.292115e-5 });
+      expect(ORBIT_CONSTANTS.GPS).toEqual({ gravitationalConstant: 3.986005e14, earthRotationRate: 7.2921151467e-5 });
+    });
+
+    test('GEO 卫星应该经过 -5° 坐标旋转后始终位于定点经度的赤道上空', () => {
+      // 星历坐标系中倾角 5°、升交点位于 -X 方向的圆轨道，对应地固系中定点于东经 140° 的 GEO 卫星
+      const longitude = (140 * Math.PI) / 180;
+      const rinexData = createBeidouEphemeris('C01', {
+        rootA: Math.sqrt(Math.cbrt(gravitationalConstant / earthRotationRate ** 2)),
+        i0: (5 * Math.PI) / 180,
+        omega0: Math.PI + earthRotationRate * BDT_REFERENCE_TOE,
+        omega: longitude + Math.PI,
+        m0: 0
+      });
+
+      [0, 6, 12].forEach((hour) => {
+        const timestamp = new Date(BDT_REFERENCE_TIME.getTime() - BDT_MINUS_UTC_MILLISECONDS + hour * 3600 * 1000);
+        const position = toGeocentric(calculateSatellitePosition({ rinexData, satelliteId: 'C01', timestamp }));
+        expect(position.longitude).toBeCloseTo(140, 6);
+        expect(position.latitude).toBeCloseTo(0, 6);
+      });
+    });
+
+    test('应该把 UTC 时间戳换算为北斗时后计算 IGSO/MEO 卫星的位置', () => {
+      // 参考时间位于升交点：计算时间为参考时间对应的 UTC 时刻 (北斗时 - 4 秒) 时，卫星应该恰好在赤道上
+      ['C08', 'C19'].forEach((satelliteId) => {
+        const rinexData = createBeidouEphemeris(satelliteId, {
+          rootA: Math.sqrt(satelliteId === 'C08' ? 42164200 : 27906100),
+          i0: (55 * Math.PI) / 180,
+          omega0: 2 + earthRotationRate * BDT_REFERENCE_TOE,
+          omega: 0,
+          m0: 0
+        });
+        const timestamp = new Date(BDT_REFERENCE_TIME.getTime() - BDT_MINUS_UTC_MILLISECONDS);
+        const position = toGeocentric(calculateSatellitePosition({ rinexData, satelliteId, timestamp }));
+
+        expect(position.longitude).toBeCloseTo((2 * 180) / Math.PI, 6);
+        expect(position.latitude).toBeCloseTo(0, 6);
+      });
+    });
+  });
+
+  describe('卫星钟差', () => {
+    const GPS_REFERENCE_TIME = new Date('2025-01-01T00:00:00.000Z');
+    const clockParameters = { af0: 1.5e-4, af1: 2e-11, af2: 1e-18, toc: 259200, tgd: -8e-9 };
+    const rinexData = {
+      satellites: [{
+        id: 'G07',
+        system: 'GPS',
+        orbitalParameters: {
+          toe: 259200, m0: 0, deltaN: 0, e: 0.02, rootA: 5153.6, i0: 0.96, idot: 0, omega0: 1.2, omega: 0.4,
+          omegadot: -8e-9, cuc: 0, cus: 0, crc: 0, crs: 0, cic: 0, cis: 0
+        },
+        clockParameters,
+        timeParameters: {
+          referenceTime: GPS_REFERENCE_TIME,
+          validFrom: new Date(GPS_REFERENCE_TIME.getTime() - 7200 * 1000),
+          validTo: new Date(GPS_REFERENCE_TIME.getTime() + 7200 * 1000)
+        }
+      }]
+    };
+    const calculateAt = (seconds, signal) => calculateSatellitePosition({
+      rinexData,
+      satelliteId: 'G07',
+      timestamp: new Date(GPS_REFERENCE_TIME.getTime() - GPS_MINUS_UTC_MILLISECONDS + seconds * 1000),
+      signal
+    });
+
+    test('应该由钟差多项式和相对论改正计算钟差和钟速', () => {
+      // 参考时间位于近地点 (Ek = 0)：相对论改正为 0，其变化率为 F·e·√A·n/(1 - e)
+      const meanMotion = Math.sqrt(ORBIT_CONSTANTS.GPS.gravitationalConstant / 5153.6 ** 6);
+      const relativisticRate = (-4.442807633e-10 * 0.02 * 5153.6 * meanMotion) / (1 - 0.02);
+      const atReference = calculateAt(0);
+
+      expect(atReference.clockBias).toBeCloseTo(1.5e-4, 15);
+      expect(atReference.clockDrift).toBeCloseTo(2e-11 + relativisticRate, 18);
+
+      // 钟速应该等于钟差的时间导数
+      const before = calculateAt(1799);
+      const after = calculateAt(1801);
+      expect(calculateAt(1800).clockDrift).toBeCloseTo((after.clockBias - before.clockBias) / 2, 16);
+      expect(calculateAt(1800).clockBias).not.toBeCloseTo(1.5e-4 + 2e-11 * 1800 + 1e-18 * 1800 ** 2, 12);
+    });
+
+    test('指定信号时应该减去该信号的群延迟', () => {
+      const reference = calculateAt(600).clockBias;
+
+      expect(calculateAt(600, 'L1').clockBias).toBeCloseTo(reference + 8e-9, 15);
+      expect(calculateAt(600, 'L2').clockBias).toBeCloseTo(reference + (77 / 60) ** 2 * 8e-9, 15);
+      expect(() => calculateAt(600, 'B1I')).toThrow('卫星 G07 不支持信号 B1I');
+    });
+
+    test('北斗卫星应该按信号使用 TGD1/TGD2，B3I 不做改正', () => {
+      const beidouData = createBeidouEphemeris('C19', {
+        rootA: Math.sqrt(27906100), i0: 0.96, omega0: 1.2, omega: 0, m0: 0
+      });
+      beidouData.satellites[0].clockParameters = {
+        af0: 2e-4, af1: 0, af2: 0, toc: BDT_REFERENCE_TOE, tgd1: 5e-9, tgd2: -3e-9
+      };
+      const calculate = signal => calculateSatellitePosition({
+        rinexData: beidouData,
+        satelliteId: 'C19',
+        timestamp: new Date(BDT_REFERENCE_TIME.getTime() - BDT_MINUS_UTC_MILLISECONDS),
+        signal
+      });
+
+      expect(calculate().clockBias).toBeCloseTo(2e-4, 15);
+      expect(calculate('B3I').clockBias).toBeCloseTo(2e-4, 15);
+      expect(calculate('B1I').clockBias).toBeCloseTo(2e-4 - 5e-9, 15);
+      expect(calculate('B2I').clockBias).toBeCloseTo(2e-4 + 3e-9, 15);
+    });
+
+    test('星历中没有钟差参数时钟差和钟速应该为 null', () => {
+      const position = calculateSatellitePosition({
+        rinexData: { satellites: [{ ...rinexData.satellites[0], clockParameters: undefined }] },
+        satelliteId: 'G07',
+        timestamp: GPS_REFERENCE_TIME
+      });
+
+      expect(position.clockBias).toBeNull();
+      expect(position.clockDrift).toBeNull();
+    });
+  });
+
+  describe('卫星速度', () => {
+    /**
+     * 用前后 0.5 秒的位置做中心差分，检验解析速度
+     * @param {object} rinexData - 星历数据
+     * @param {string} satelliteId - 卫星号
+     * @param {Date} timestamp - 计算时间
+     */
+    function expectVelocityMatchesDifference(rinexData, satelliteId, timestamp) {
+      const at = offset => calculateSatellitePosition({
+        rinexData,
+        satelliteId,
+        timestamp: new Date(timestamp.getTime() + offset * 1000)
+      });
+      const { velocity } = at(0);
+      const before = at(-0.5);
+      const after = at(0.5);
+
+      expect(velocity.x).toBeCloseTo(after.x - before.x, 3);
+      expect(velocity.y).toBeCloseTo(after.y - before.y, 3);
+      expect(velocity.z).toBeCloseTo(after.z - before.z, 3);
+    }
+
+    test('MEO/IGSO 卫星的速度应该等于位置的时间导数 (含摄动改正项)', () => {
+      const harmonics = { cuc: 2.3e-6, cus: 8.9e-7, crc: 294.375, crs: -106.25, cic: -5.6e-8, cis: 7.5e-9 };
+      ['C10', 'C19'].forEach((satelliteId) => {
+        const rinexData = createBeidouEphemeris(satelliteId, {
+          rootA: Math.sqrt(satelliteId === 'C10' ? 42164200 : 27906100),
+          e: 0.01, i0: 0.96, idot: -2.9e-10, omega0: 1.7, omegadot: -7e-9, omega: -1.48, m0: 0.93, deltaN: 4e-9,
+          ...harmonics
+        });
+        expectVelocityMatchesDifference(rinexData, satelliteId, new Date('2025-01-01T03:00:00.000Z'));
+      });
+    });
+
+    test('GEO 卫星的速度应该考虑 -5° 坐标旋转并接近静止', () => {
+      const { gravitationalConstant, earthRotationRate } = ORBIT_CONSTANTS.BEIDOU;
+      const rinexData = createBeidouEphemeris('C03', {
+        rootA: Math.sqrt(Math.cbrt(gravitationalConstant / earthRotationRate ** 2)),
+        e: 0.001,
+        i0: (5.5 * Math.PI) / 180,
+        omega0: Math.PI + earthRotationRate * BDT_REFERENCE_TOE,
+        omega: 2,
+        m0: 0.3,
+        crs: 50,
+        cuc: 1e-6
+      });
+      const timestamp = new Date('2025-01-01T05:00:00.000Z');
+      const { velocity } = calculateSatellitePosition({ rinexData, satelliteId: 'C03', timestamp });
+
+      expectVelocityMatchesDifference(rinexData, 'C03', timestamp);
+      expect(Math.hypot(velocity.x, velocity.y, velocity.z)).toBeLessThan(50);
+    });
+  });
+
+  describe('GLONASS卫星', () => {
+    // GLONASS 星历的历元为 UTC
+    const GLONASS_NAV_CONTENT = `     3.04           N: GNSS NAV DATA    R: GLONASS          RINEX VERSION / TYPE
+                                                            END OF HEADER
+R05 2020 01 01 00 15 00-2.551730722189E-05 1.818989403546E-12 5.400000000000E+04
+    -1.402879638672E+04-2.079648017883E+00 9.313225746155E-10 0.000000000000E+00
+    -1.852227441406E+04-1.016933441162E+00-9.313225746155E-10 1.000000000000E+00
+    -8.127954101562E+03 3.142919540405E+00-2.793967723846E-09 0.000000000000E+00
+`;
+    const rinexData = parseRinex(GLONASS_NAV_CONTENT);
+    const [record] = rinexData.satellites;
+
+    test('应该由状态矢量积分得到 GLONASS 卫星的位置、速度和钟差', () => {
+      const timestamp = new Date('2020-01-01T00:25:00.000Z');
+      const position = calculateSatellitePosition({ rinexData, satelliteId: 'R05', timestamp });
+      const expected = computeGlonassState(record.orbitalParameters, 600);
+
+      expect(position.x).toBeCloseTo(expected.x, 6);
+      expect(position.y).toBeCloseTo(expected.y, 6);
+      expect(position.z).toBeCloseTo(expected.z, 6);
+      expect(position.velocity).toEqual(expected.velocity);
+      expect(position.clockBias).toBeCloseTo(-2.551730722189e-5 + 1.818989403546e-12 * 600, 18);
+      expect(position.clockDrift).toBe(1.818989403546e-12);
+      expect(position.frequencyChannel).toBe(1);
+      expect(position.datum).toBe('PZ-90.11');
+      expect(position.ephemeris.referenceTime.toISOString()).toBe('2020-01-01T00:15:00.000Z');
+    });
+
+    test('在参考时刻应该直接给出星历中的状态矢量', () => {
+      const timestamp = new Date('2020-01-01T00:15:00.000Z');
+      const position = calculateSatellitePosition({ rinexData, satelliteId: 'R05', timestamp });
+
+      expect(position.x).toBeCloseTo(-1.402879638672e7, 3);
+      expect(position.y).toBeCloseTo(-1.852227441406e7, 3);
+      expect(position.z).toBeCloseTo(-8.127954101562e6, 3);
+      expect(position.velocity.z).toBeCloseTo(3142.919540405, 6);
+    });
+
+    test('GLONASS 卫星的速度应该等于位置的时间导数', () => {
+      const timestamp = new Date('2020-01-01T00:05:00.000Z');
+      const at = offset => calculateSatellitePosition({
+        rinexData,
+        satelliteId: 'R05',
+        timestamp: new Date(timestamp.getTime() + offset * 1000)
+      });
+
+      expect(at(0).velocity.x).toBeCloseTo(at(0.5).x - at(-0.5).x, 3);
+      expect(at(0).velocity.y).toBeCloseTo(at(0.5).y - at(-0.5).y, 3);
+      expect(at(0).velocity.z).toBeCloseTo(at(0.5).z - at(-0.5).z, 3);
+    });
   });
 
   describe('边界条件测试', () => {
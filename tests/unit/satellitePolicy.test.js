@@ -0,0 +1,72 @@
+const { createSatellitePolicy, EXCLUSION_REASONS } = require('../../src/algorithms/satellite/satellitePolicy');
+
+// Galileo 健康字段：E5a 信号健康状态为 "测试中" (第 4~5 位为 3)，E5b 停止服务 (第 7~8 位为 1)
+const GALILEO_E5A_IN_TEST = 3 << 4;
+const GALILEO_E5B_OUT_OF_SERVICE = 1 << 7;
+
+describe('卫星可用性策略', () => {
+  describe('基本功能测试', () => {
+    test('应该按 config.satellitePolicy 排除不健康和精度超限的卫星', () => {
+      const policy = createSatellitePolicy();
+
+      expect(policy.evaluate({ system: 'GPS', health: 0, accuracy: 2 })).toEqual({ usable: true, reason: null });
+      expect(policy.evaluate({ system: 'GPS', health: 63, accuracy: 2 }))
+        .toEqual({ usable: false, reason: EXCLUSION_REASONS.UNHEALTHY });
+      expect(policy.evaluate({ system: 'GPS', health: 0, accuracy: 6144 }))
+        .toEqual({ usable: false, reason: EXCLUSION_REASONS.ACCURACY });
+      // 历书没有 accuracy，SBAS 的 accuracy 为 URA 指数
+      expect(policy.evaluate({ system: 'BEIDOU', health: 0 }).usable).toBe(true);
+      expect(policy.evaluate({ system: 'SBAS', health: 0, accuracy: 1000 }).usable).toBe(true);
+    });
+
+    test('应该按参数调整 URA 上限和是否排除不健康的卫星', () => {
+      const strict = createSatellitePolicy({ maxUra: 2 });
+      const lenient = createSatellitePolicy({ excludeUnhealthy: false });
+
+      expect(strict.evaluate({ system: 'GPS', health: 0, accuracy: 2.4 }).reason).toBe(EXCLUSION_REASONS.ACCURACY);
+      expect(lenient.evaluate({ system: 'GPS', health: 1, accuracy: 2 }).usable).toBe(true);
+      expect(lenient.options).toEqual({ excludeUnhealthy: false, maxUra: Infinity, includeUntested: false });
+    });
+
+    test('GLONASS 的 URAI 应该按 ICD 换算为米后与上限比较', () => {
+      const policy = createSatellitePolicy({ maxUra: 10 });
+
+      // F_T = 6 对应 10 m，F_T = 7 对应 12 m
+      expect(policy.evaluate({ system: 'GLONASS', health: 0, accuracy: 6 }).usable).toBe(true);
+      expect(policy.evaluate({ system: 'GLONASS', health: 0, accuracy: 7 }).reason).toBe(EXCLUSION_REASONS.ACCURACY);
+      // F_T = 15 表示没有精度预报
+      expect(policy.evaluate({ system: 'GLONASS', health: 0, accuracy: 15 }).reason)
+        .toBe(EXCLUSION_REASONS.ACCURACY);
+      expect(createSatellitePolicy().evaluate({ system: 'GLONASS', health: 0, accuracy: 14 }).reason)
+        .toBe(EXCLUSION_REASONS.ACCURACY);
+      expect(policy.evaluate({ system: 'GLONASS', health: 0 }).usable).toBe(true);
+    });
+
+    test('Galileo 处于测试状态的卫星应该按 includeUntested 决定是否使用', () => {
+      const record = { system: 'GALILEO', health: GALILEO_E5A_IN_TEST, accuracy: 3.12 };
+      const napa = { system: 'GALILEO', health: 0, accuracy: -1 };
+
+      expect(createSatellitePolicy().evaluate(record).reason).toBe(EXCLUSION_REASONS.UNTESTED);
+      expect(createSatellitePolicy().evaluate(napa).reason).toBe(EXCLUSION_REASONS.UNTESTED);
+      expect(createSatellitePolicy({ includeUntested: true }).evaluate(record).usable).toBe(true);
+      expect(createSatellitePolicy({ includeUntested: true }).evaluate(napa).usable).toBe(true);
+    });
+
+    test('指定信号时应该只检查该信号的健康状态', () => {
+      const policy = createSatellitePolicy();
+      const record = { system: 'GALILEO', health: GALILEO_E5B_OUT_OF_SERVICE, accuracy: 3.12 };
+
+      expect(policy.evaluate(record).reason).toBe(EXCLUSION_REASONS.UNHEALTHY);
+      expect(policy.evaluate(record, 'E1').usable).toBe(true);
+      expect(policy.evaluate(record, 'E5b').reason).toBe(EXCLUSION_REASONS.SIGNAL_UNAVAILABLE);
+      expect(policy.evaluate({ ...record, health: GALILEO_E5A_IN_TEST }, 'E5a').reason)
+        .toBe(EXCLUSION_REASONS.UNTESTED);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当 URA 上限不是正数时应该抛出错误', () => {
+      expect(() => createSatellitePolicy({ maxUra: 0 })).toThrow('URA 上限必须为正数');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { parseSp3 } = require('../../src/algorithms/sp3/sp3Parser');
+
+const SP3_CONTENT = `#cP2020  1  1  0  0  0.00000000       2 ORBIT IGS14 HLM  IGS
+## 2086 259200.00000000   900.00000000 58849 0.0000000000000
++    2   G01C19  0  0  0  0  0  0  0  0  0  0  0  0  0  0  0
+++         2  3  0  0  0  0  0  0  0  0  0  0  0  0  0  0  0
+%c M  cc GPS ccc cccc cccc cccc cccc ccccc ccccc ccccc ccccc
+%c cc cc ccc ccc cccc cccc cccc cccc ccccc ccccc ccccc ccccc
+/* FINAL ORBIT COMBINATION FROM WEIGHTED AVERAGE OF:
+*  2020  1  1  0  0  0.00000000
+PG01 -13998.164738  -7574.224329 -21274.376468   -300.640193
+PC19   8117.620521  21049.131418  12587.402373 999999.999999
+*  2020  1  1  0 15  0.00000000
+PG01 -13005.457231  -9665.014832 -20936.109475   -300.647663
+PC19      0.000000      0.000000      0.000000 999999.999999
+EOF
+`;
+
+describe('SP3精密星历解析', () => {
+  describe('基本功能测试', () => {
+    test('应该能够解析文件头信息', () => {
+      const { header } = parseSp3(SP3_CONTENT);
+
+      expect(header.version).toBe('c');
+      expect(header.dataType).toBe('P');
+      expect(header.startTime.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+      expect(header.numberOfEpochs).toBe(2);
+      expect(header.coordinateSystem).toBe('IGS14');
+      expect(header.agency).toBe('IGS');
+      expect(header.gpsWeek).toBe(2086);
+      expect(header.epochInterval).toBe(900);
+      expect(header.satelliteIds).toEqual(['G01', 'C19']);
+      expect(header.timeSystem).toBe('GPS');
+      expect(header.comments).toEqual(['FINAL ORBIT COMBINATION FROM WEIGHTED AVERAGE OF:']);
+    });
+
+    test('应该能够解析历元、位置和钟差并转换单位', () => {
+      const { epochs, positions } = parseSp3(SP3_CONTENT);
+
+      expect(epochs.map(epoch => epoch.toISOString())).toEqual([
+        '2020-01-01T00:00:00.000Z',
+        '2020-01-01T00:15:00.000Z'
+      ]);
+      expect(positions.G01).toHaveLength(2);
+      expect(positions.G01[0].position.x).toBeCloseTo(-13998164.738, 3);
+      expect(positions.G01[0].position.z).toBeCloseTo(-21274376.468, 3);
+      expect(positions.G01[0].clockBias).toBeCloseTo(-300.640193e-6, 12);
+    });
+
+    test('应该将无效的位置和钟差记为null', () => {
+      const { positions } = parseSp3(SP3_CONTENT);
+
+      expect(positions.C19[0].clockBias).toBeNull();
+      expect(positions.C19[1].position).toBeNull();
+    });
+
+    test('应该能够解析速度记录', () => {
+      const content = SP3_CONTENT.replace('#cP', '#cV').replace(
+        'PC19   8117',
+        'VG01  -2000.000000  10000.000000   5000.000000      1.000000\nPC19   8117'
+      );
+      const sample = parseSp3(content).positions.G01[0];
+
+      expect(sample.velocity).toEqual({ x: -200, y: 1000, z: 500 });
+      expect(sample.clockRate).toBeCloseTo(1e-10, 15);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当输入内容为空时应该抛出错误', () => {
+      expect(() => parseSp3('')).toThrow('SP3内容不能为空');
+    });
+
+    test('当输入不是SP3-c/d格式时应该抛出错误', () => {
+      expect(() => parseSp3('#aP2020  1  1  0  0  0.00000000')).toThrow('不支持的SP3文件格式');
+    });
+  });
+});
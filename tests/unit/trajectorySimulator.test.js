@@ -17,6 +17,8 @@ describe('飞机轨迹模拟', () => {
       expect(trajectory[0]).toHaveProperty('timestamp');
       expect(trajectory[0]).toHaveProperty('position');
       expect(trajectory[0]).toHaveProperty('attitude');
+      // 轨迹高度为海拔高度
+      expect(trajectory[0].position.altitudeReference).toBe('msl');
     });
 
     test('应该能够生成一个包含多个数据点的起飞阶段轨迹', () => {
@@ -0,0 +1,124 @@
+const { computeTransmitPosition } = require('../../src/algorithms/satellite/transmitTime');
+const { generateSyntheticEphemeris } = require('../../src/algorithms/satellite/ephemerisGenerator');
+const { calculateSatellitePosition } = require('../../src/algorithms/satellite/satelliteCalculator');
+const { calculatePreciseSatellitePosition } = require('../../src/algorithms/satellite/preciseOrbitInterpolator');
+
+const EPOCH = new Date('2020-01-01T00:00:00Z');
+const SPEED_OF_LIGHT = 299792458;
+const EARTH_ROTATION_RATE = 7.2921151467e-5;
+const rinexData = generateSyntheticEphemeris({ epoch: EPOCH, duration: 3600 });
+
+// 北纬 40°、东经 116° 的地面接收机 (球面近似)
+const LATITUDE = (40 * Math.PI) / 180;
+const LONGITUDE = (116 * Math.PI) / 180;
+const RECEIVER = {
+  x: 6378137 * Math.cos(LATITUDE) * Math.cos(LONGITUDE),
+  y: 6378137 * Math.cos(LATITUDE) * Math.sin(LONGITUDE),
+  z: 6378137 * Math.sin(LATITUDE)
+};
+
+/**
+ * 由广播星历生成 5 分钟间隔的精密星历数据 (与 parseSp3 的结果结构相同)
+ * @param {Array<string>} satelliteIds - 卫星号
+ * @returns {object} 精密星历数据
+ */
+function buildSp3Data(satelliteIds) {
+  const epochs = [];
+  for (let seconds = 0; seconds <= 3600; seconds += 300) {
+    epochs.push(new Date(EPOCH.getTime() + seconds * 1000));
+  }
+  const positions = {};
+  satelliteIds.forEach((satelliteId) => {
+    positions[satelliteId] = epochs.map((timestamp) => {
+      const { x, y, z, clockBias } = calculateSatellitePosition({ rinexData, satelliteId, timestamp });
+      return { timestamp, position: { x, y, z }, clockBias };
+    });
+  });
+  return { header: { coordinateSystem: 'IGS14', satelliteIds }, epochs, positions };
+}
+
+describe('信号发射时刻求解', () => {
+  describe('基本功能测试', () => {
+    test('传播时间应该等于发射位置到接收机的距离除以光速', () => {
+      const timestamp = new Date(EPOCH.getTime() + 600 * 1000);
+      ['C03', 'G01'].forEach((satelliteId) => {
+        const result = computeTransmitPosition({ rinexData, satelliteId, timestamp, receiverPosition: RECEIVER });
+        const range = Math.hypot(result.x - RECEIVER.x, result.y - RECEIVER.y, result.z - RECEIVER.z);
+
+        expect(result.range).toBeCloseTo(range, 6);
+        expect(Math.abs(result.lightTime - range / SPEED_OF_LIGHT)).toBeLessThan(1e-11);
+        expect(result.lightTime).toBeGreaterThan(0.06);
+        expect(result.lightTime).toBeLessThan(0.14);
+        expect(result.transmitTime.getTime()).toBe(Math.round(timestamp.getTime() - result.lightTime * 1000));
+        expect(result.accuracy).toBe('broadcast');
+      });
+    });
+
+    test('应该给出发射时刻的卫星位置并改正地球自转', () => {
+      const timestamp = new Date(EPOCH.getTime() + 600 * 1000);
+      const result = computeTransmitPosition({ rinexData, satelliteId: 'G01', timestamp, receiverPosition: RECEIVER });
+      const received = calculateSatellitePosition({ rinexData, satelliteId: 'G01', timestamp });
+
+      // 传播期间卫星移动约 4 km/s × 70 ms
+      const displacement = Math.hypot(result.x - received.x, result.y - received.y, result.z - received.z);
+      expect(displacement).toBeGreaterThan(100);
+
+      // 把位置转回发射时刻的地固系，与直接计算的发射时刻位置一致
+      const angle = -EARTH_ROTATION_RATE * result.lightTime;
+      const unrotated = {
+        x: Math.cos(angle) * result.x + Math.sin(angle) * result.y,
+        y: -Math.sin(angle) * result.x + Math.cos(angle) * result.y,
+        z: result.z
+      };
+      const transmitMilliseconds = timestamp.getTime() - result.lightTime * 1000;
+      const wholeMilliseconds = Math.floor(transmitMilliseconds);
+      const direct = calculateSatellitePosition({
+        rinexData,
+        satelliteId: 'G01',
+        timestamp: new Date(wholeMilliseconds)
+      });
+      const remainder = (transmitMilliseconds - wholeMilliseconds) / 1000;
+      expect(unrotated.x).toBeCloseTo(direct.x + direct.velocity.x * remainder, 3);
+      expect(unrotated.y).toBeCloseTo(direct.y + direct.velocity.y * remainder, 3);
+      expect(unrotated.z).toBeCloseTo(direct.z + direct.velocity.z * remainder, 3);
+
+      // Sagnac 改正: ρ = |rs − rr| + ωe / c · (xs·yr − ys·xr)
+      const uncorrected = Math.hypot(unrotated.x - RECEIVER.x, unrotated.y - RECEIVER.y, unrotated.z - RECEIVER.z);
+      const sagnac = (EARTH_ROTATION_RATE / SPEED_OF_LIGHT) * (unrotated.x * RECEIVER.y - unrotated.y * RECEIVER.x);
+      expect(result.range).toBeCloseTo(uncorrected + sagnac, 3);
+    });
+  });
+
+  describe('精密星历', () => {
+    test('传入 positionProvider 时应该使用精密星历求解发射时刻', () => {
+      const timestamp = new Date(EPOCH.getTime() + 600 * 1000);
+      const call = { satelliteId: 'G01', timestamp, receiverPosition: RECEIVER };
+      const broadcast = computeTransmitPosition({ ...call, rinexData });
+      const precise = computeTransmitPosition({
+        ...call,
+        rinexData: buildSp3Data(['G01']),
+        positionProvider: calculatePreciseSatellitePosition
+      });
+
+      expect(precise.accuracy).toBe('precise');
+      expect(precise.datum).toBe('ITRF2014');
+      expect(Math.hypot(precise.x - broadcast.x, precise.y - broadcast.y, precise.z - broadcast.z)).toBeLessThan(0.01);
+      expect(precise.lightTime).toBeCloseTo(broadcast.lightTime, 10);
+    });
+  });
+
+  describe('边界条件测试', () => {
+    test('当缺少接收机位置时应该抛出错误', () => {
+      expect(() => computeTransmitPosition({ rinexData, satelliteId: 'G01', timestamp: EPOCH })).toThrow('缺少必要参数');
+    });
+
+    test('应该传递卫星位置计算的错误', () => {
+      expect(() => computeTransmitPosition({
+        rinexData,
+        satelliteId: 'G99',
+        timestamp: EPOCH,
+        receiverPosition: RECEIVER
+      })).toThrow('找不到卫星');
+    });
+  });
+});